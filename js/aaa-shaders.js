@@ -1,6 +1,7 @@
 // AAA-Quality Shader Effects for Enhanced Visual Fidelity
 import * as THREE from 'three';
 import { ShaderPass } from 'three/examples/jsm/postprocessing/ShaderPass.js';
+import scheduler from './scheduler.js';
 
 class AAAShaders {
     constructor() {
@@ -307,7 +308,8 @@ class AAAShaders {
         };
     }
 
-    createPasses(composer) {
+    // Without a composer the passes are only created; ChaosEngine's PostFXPipeline adds them
+    createPasses(composer = null) {
         // Create shader passes
         this.passes.chromaticAberration = new ShaderPass(this.shaders.chromaticAberration);
         this.passes.digitalGlitch = new ShaderPass(this.shaders.digitalGlitch);
@@ -320,9 +322,11 @@ class AAAShaders {
         this.passes.holographic.enabled = false;
 
         // Add to composer
-        composer.addPass(this.passes.chromaticAberration);
-        composer.addPass(this.passes.energyField);
-        composer.addPass(this.passes.neonGlow);
+        if (composer) {
+            composer.addPass(this.passes.chromaticAberration);
+            composer.addPass(this.passes.energyField);
+            composer.addPass(this.passes.neonGlow);
+        }
 
         return this.passes;
     }
@@ -376,9 +380,9 @@ class AAAShaders {
         this.passes.digitalGlitch.uniforms.distortion.value = 5.0;
         this.passes.digitalGlitch.uniforms.distortion2.value = 5.0;
 
-        setTimeout(() => {
+        scheduler.timeout(() => {
             this.passes.digitalGlitch.enabled = false;
-        }, duration);
+        }, duration, { name: 'shader-glitch-off', category: 'ambient' });
     }
 
     destroy() {
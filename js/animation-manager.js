@@ -4,6 +4,10 @@
 // NOTE: Import-safe: no DOM access or instantiation at import time. Use initAnimationManager() or
 // rely on the DOMContentLoaded bootstrap below (browser-only) to create the singleton.
 
+import seededRandom from './seeded-random.js';
+import scheduler from './scheduler.js';
+const random = seededRandom.stream('animation-manager');
+
 class AnimationManager {
     constructor() {
         this.activeAnimations = new Map();
@@ -221,12 +225,12 @@ class AnimationManager {
             overlay.setAttribute('data-temporary', 'true');
             
             // Fade in
-            setTimeout(() => {
+            scheduler.timeout(() => {
                 overlay.style.opacity = '1';
-            }, 10);
+            }, 10, { name: 'anime-overlay-fade', category: 'effect' });
             
             // Small delay to ensure DOM is updated
-            setTimeout(resolve, 100);
+            this.delay(100).then(resolve);
         });
     }
 
@@ -518,8 +522,8 @@ class AnimationManager {
 
             // Perform shake
             for (let i = 0; i < shakes; i++) {
-                const x = (Math.random() - 0.5) * intensity * 2;
-                const y = (Math.random() - 0.5) * intensity * 2;
+                const x = (random() - 0.5) * intensity * 2;
+                const y = (random() - 0.5) * intensity * 2;
                 el.style.transition = `transform ${shakeTime}ms ease-out`;
                 el.style.transform = `${originalTransform} translate(${x}px, ${y}px)`;
                 await this.delay(shakeTime);
@@ -592,20 +596,21 @@ class AnimationManager {
             let iterations = 0;
             const maxIterations = 30;
 
-            const interval = setInterval(() => {
+            // Ambient: a cancelled scramble would leave the text garbled
+            const interval = scheduler.interval(() => {
                 el.textContent = originalText.split('').map((char, index) => {
                     if (index < iterations) {
                         return originalText[index];
                     }
-                    return chars[Math.floor(Math.random() * chars.length)];
+                    return chars[Math.floor(random() * chars.length)];
                 }).join('');
 
                 iterations++;
                 if (iterations > maxIterations) {
-                    clearInterval(interval);
+                    interval.cancel();
                     el.textContent = originalText;
                 }
-            }, duration / maxIterations);
+            }, duration / maxIterations, { name: 'anime-scramble', category: 'ambient' });
         }
 
         await this.delay(duration);
@@ -729,11 +734,11 @@ class AnimationManager {
                 overlay.style.opacity = '0';
                 
                 // Remove after fade
-                setTimeout(() => {
+                scheduler.timeout(() => {
                     if (overlay.parentNode) {
                         overlay.parentNode.removeChild(overlay);
                     }
-                }, 500);
+                }, 500, { name: 'anime-overlay-remove', category: 'ambient' });
             }
         });
     }
@@ -823,8 +828,9 @@ class AnimationManager {
         }
     }
 
+    // Ambient so an emergency stop can't leave an awaiting animation hanging
     delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+        return new Promise(resolve => scheduler.timeout(resolve, ms, { name: 'anime-delay', category: 'ambient' }));
     }
 
     // Clean up all active animations
@@ -1,4 +1,5 @@
 import animeManager from './anime-init.js';
+import scheduler from './scheduler.js';
 
 const anime = animeManager.anime;
 
@@ -135,7 +136,7 @@ window.addEventListener('storage', (e) => {
 
 // Listen for localStorage polling (same-tab communication)
 let lastMessageId = null;
-setInterval(() => {
+scheduler.interval(() => {
   const messageData = localStorage.getItem('3886_vj_message');
   if (messageData) {
     try {
@@ -152,7 +153,7 @@ setInterval(() => {
       // Ignore JSON parse errors
     }
   }
-}, 100);
+}, 100, { name: 'anime-logo-poll', category: 'system', scaled: false, background: true });
 
 function enableLogoAnimation() {
   if (logoAnimationActive) return;
@@ -0,0 +1,347 @@
+// Audio Analyzer - live audio input (mic / line-in / <audio> element / file) via Web Audio
+// Computes band energies and onsets and broadcasts them as window events:
+//   audioUpdate  { bass, mid, treble, volume }        (0..1, throttled to updateRate)
+//   audioOnset   { strength, band, time }             (kick / transient detected)
+//   audioStatus  { active, source, error? }
+
+const SETTINGS_STORAGE_KEY = '3886_audio_settings';
+
+// Frequency bands in Hz
+const BANDS = {
+    bass: [20, 250],
+    mid: [250, 4000],
+    treble: [4000, 16000]
+};
+
+const DEFAULT_SETTINGS = {
+    gain: 1.0,          // input gain multiplier applied to band energies (0..4)
+    smoothing: 0.6,     // 0 = raw, 0.99 = very sluggish
+    sensitivity: 1.4,   // onset threshold as multiple of the running bass average
+    updateRate: 20      // audioUpdate events per second
+};
+
+const ONSET_HISTORY = 43;      // ~0.7s of frames at 60fps
+const ONSET_MIN_GAP_MS = 120;  // no faster than 500 BPM sixteenths
+
+const AUTOPLAY_BLOCKED = 'autoplay blocked, click the display page to start audio';
+
+class AudioAnalyzer {
+    constructor() {
+        this.context = null;
+        this.analyser = null;
+        this.sourceNode = null;
+        this.stream = null;
+        this.mediaElement = null;
+        this._objectUrl = null;
+
+        this.source = 'off';
+        this.isActive = false;
+        this.settings = { ...DEFAULT_SETTINGS, ...this._loadSettings() };
+
+        this.levels = { bass: 0, mid: 0, treble: 0, volume: 0 };
+        this._bassHistory = [];
+        this._lastOnset = 0;
+        this._lastDispatch = 0;
+        this._rafId = null;
+        this._gestureListener = null;
+
+        this._freqData = null;
+        this._timeData = null;
+        this._bandBins = null;
+    }
+
+    /**
+     * Start analysing a live input device (microphone / line-in)
+     * @param {string} deviceId - Optional audio input device id
+     */
+    async startMicrophone(deviceId = null) {
+        if (!navigator.mediaDevices?.getUserMedia) {
+            return this._fail('getUserMedia not supported');
+        }
+        try {
+            // Disable voice processing: we want the raw club signal
+            const stream = await navigator.mediaDevices.getUserMedia({
+                audio: {
+                    deviceId: deviceId ? { exact: deviceId } : undefined,
+                    echoCancellation: false,
+                    noiseSuppression: false,
+                    autoGainControl: false
+                }
+            });
+            this._teardownSource();
+            this._ensureContext();
+            this.stream = stream;
+            this.sourceNode = this.context.createMediaStreamSource(stream);
+            this._connect(false);
+            this._activate('mic');
+        } catch (error) {
+            this._fail(error.message || 'Microphone access denied');
+        }
+    }
+
+    /**
+     * Analyse an existing <audio>/<video> element (also routed to speakers)
+     */
+    startElement(element) {
+        this._attachElement(element, 'element');
+    }
+
+    /**
+     * Test mode: loop an audio file / blob so the system works without a sound card input
+     */
+    async startFile(file) {
+        if (!(file instanceof Blob)) return this._fail('No audio file received');
+
+        const audio = new Audio();
+        audio.loop = true;
+        this._attachElement(audio, 'file');
+        if (!this.isActive) return;
+
+        this._objectUrl = URL.createObjectURL(file);
+        audio.src = this._objectUrl;
+        try {
+            await audio.play();
+        } catch (error) {
+            if (error.name === 'NotAllowedError') this._awaitGesture();
+            else this._fail(error.message || 'Playback blocked');
+        }
+    }
+
+    stop() {
+        this._removeGestureListener();
+        this._teardownSource();
+        this.isActive = false;
+        this.source = 'off';
+        this.levels = { bass: 0, mid: 0, treble: 0, volume: 0 };
+        this._dispatch('audioUpdate', { ...this.levels });
+        this._dispatch('audioStatus', { active: false, source: 'off' });
+        console.log('🔇 Audio analyzer stopped');
+    }
+
+    setSettings(partial = {}) {
+        const next = { ...this.settings };
+        if (partial.gain !== undefined) next.gain = Math.max(0, Math.min(4, Number(partial.gain)));
+        if (partial.smoothing !== undefined) next.smoothing = Math.max(0, Math.min(0.99, Number(partial.smoothing)));
+        if (partial.sensitivity !== undefined) next.sensitivity = Math.max(1, Math.min(3, Number(partial.sensitivity)));
+        if (partial.updateRate !== undefined) next.updateRate = Math.max(1, Math.min(60, Number(partial.updateRate)));
+        this.settings = next;
+        try { localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(next)); } catch {}
+    }
+
+    getLevels() {
+        return { ...this.levels };
+    }
+
+    getStatus() {
+        return { active: this.isActive, source: this.source, settings: { ...this.settings } };
+    }
+
+    // ============================================
+    // INTERNALS
+    // ============================================
+
+    _attachElement(element, source) {
+        if (!element) return this._fail('No media element');
+        try {
+            this._teardownSource();
+            this._ensureContext();
+            this.mediaElement = element;
+            this.sourceNode = this.context.createMediaElementSource(element);
+            this._connect(true);
+            this._activate(source);
+        } catch (error) {
+            this._fail(error.message || 'Could not attach media element');
+        }
+    }
+
+    _ensureContext() {
+        if (!this.context) {
+            const Ctx = window.AudioContext || window.webkitAudioContext;
+            if (!Ctx) throw new Error('Web Audio not supported');
+            this.context = new Ctx();
+            this.context.addEventListener('statechange', () => {
+                // Clears the autoplay error in the panel once a gesture lets the context run
+                if (this.context?.state === 'running' && this.isActive) {
+                    this._dispatch('audioStatus', { active: true, source: this.source });
+                }
+            });
+        }
+        // Autoplay policy may leave the context suspended until a gesture
+        if (this.context.state === 'suspended') {
+            this.context.resume().catch((error) => this._fail(error.message || 'Audio context blocked'));
+        }
+    }
+
+    /**
+     * The display page has had no user gesture yet: say so in the panel and
+     * resume (and restart file playback) on the next click or key press there
+     */
+    _awaitGesture() {
+        if (this._gestureListener) return;
+        this._dispatch('audioStatus', { active: this.isActive, source: this.source, error: AUTOPLAY_BLOCKED });
+
+        this._gestureListener = () => {
+            this._removeGestureListener();
+            if (!this.isActive) return;
+            const resumes = [this.context?.resume()];
+            if (this.source === 'file' && this.mediaElement?.paused) resumes.push(this.mediaElement.play());
+            Promise.all(resumes)
+                .then(() => this.isActive && this._dispatch('audioStatus', { active: true, source: this.source }))
+                .catch((error) => this._fail(error.message || 'Playback blocked'));
+        };
+        window.addEventListener('pointerdown', this._gestureListener, true);
+        window.addEventListener('keydown', this._gestureListener, true);
+    }
+
+    _removeGestureListener() {
+        if (!this._gestureListener) return;
+        window.removeEventListener('pointerdown', this._gestureListener, true);
+        window.removeEventListener('keydown', this._gestureListener, true);
+        this._gestureListener = null;
+    }
+
+    _connect(toSpeakers) {
+        this.analyser = this.context.createAnalyser();
+        this.analyser.fftSize = 2048;
+        // Our own smoothing is applied on band energies, keep the FFT responsive
+        this.analyser.smoothingTimeConstant = 0.3;
+        this.sourceNode.connect(this.analyser);
+        if (toSpeakers) this.sourceNode.connect(this.context.destination);
+
+        this._freqData = new Uint8Array(this.analyser.frequencyBinCount);
+        this._timeData = new Uint8Array(this.analyser.fftSize);
+
+        const hzPerBin = this.context.sampleRate / this.analyser.fftSize;
+        this._bandBins = {};
+        Object.entries(BANDS).forEach(([band, [lo, hi]]) => {
+            this._bandBins[band] = [
+                Math.max(1, Math.floor(lo / hzPerBin)),
+                Math.min(this.analyser.frequencyBinCount - 1, Math.ceil(hi / hzPerBin))
+            ];
+        });
+    }
+
+    _activate(source) {
+        this.source = source;
+        this.isActive = true;
+        this._bassHistory = [];
+        if (!this._rafId) this._rafId = requestAnimationFrame(() => this._tick());
+        console.log(`🎧 Audio analyzer active (${source})`);
+        if (this.context.state === 'suspended') this._awaitGesture();
+        else this._dispatch('audioStatus', { active: true, source });
+    }
+
+    _tick() {
+        this._rafId = null;
+        if (!this.isActive || !this.analyser) return;
+
+        this.analyser.getByteFrequencyData(this._freqData);
+        this.analyser.getByteTimeDomainData(this._timeData);
+
+        const { gain, smoothing, sensitivity, updateRate } = this.settings;
+        const raw = {};
+        Object.entries(this._bandBins).forEach(([band, [from, to]]) => {
+            let sum = 0;
+            for (let i = from; i <= to; i++) sum += this._freqData[i];
+            raw[band] = sum / ((to - from + 1) * 255);
+        });
+
+        // RMS of the waveform for overall volume
+        let sq = 0;
+        for (let i = 0; i < this._timeData.length; i++) {
+            const v = (this._timeData[i] - 128) / 128;
+            sq += v * v;
+        }
+        raw.volume = Math.sqrt(sq / this._timeData.length) * 2;
+
+        Object.keys(this.levels).forEach((key) => {
+            const target = Math.min(1, raw[key] * gain);
+            this.levels[key] = this.levels[key] * smoothing + target * (1 - smoothing);
+        });
+
+        // Onset: unsmoothed bass energy jumping above its recent average
+        const now = performance.now();
+        const bassNow = raw.bass * gain;
+        const history = this._bassHistory;
+        if (history.length >= 8) {
+            const avg = history.reduce((a, b) => a + b, 0) / history.length;
+            if (bassNow > avg * sensitivity && bassNow > 0.15 && now - this._lastOnset > ONSET_MIN_GAP_MS) {
+                this._lastOnset = now;
+                this._dispatch('audioOnset', {
+                    strength: Math.min(1, (bassNow - avg) / Math.max(avg, 0.01)),
+                    band: 'bass',
+                    time: now
+                });
+            }
+        }
+        history.push(bassNow);
+        if (history.length > ONSET_HISTORY) history.shift();
+
+        if (now - this._lastDispatch >= 1000 / updateRate) {
+            this._lastDispatch = now;
+            this._dispatch('audioUpdate', { ...this.levels });
+        }
+
+        this._rafId = requestAnimationFrame(() => this._tick());
+    }
+
+    _teardownSource() {
+        if (this._rafId) {
+            cancelAnimationFrame(this._rafId);
+            this._rafId = null;
+        }
+        try { this.sourceNode?.disconnect(); } catch {}
+        try { this.analyser?.disconnect(); } catch {}
+        if (this.stream) {
+            this.stream.getTracks().forEach((track) => track.stop());
+            this.stream = null;
+        }
+        if (this.mediaElement) {
+            try { this.mediaElement.pause(); } catch {}
+            this.mediaElement = null;
+        }
+        if (this._objectUrl) {
+            URL.revokeObjectURL(this._objectUrl);
+            this._objectUrl = null;
+        }
+        this.sourceNode = null;
+        this.analyser = null;
+    }
+
+    _fail(message) {
+        console.warn('🎧 Audio analyzer error:', message);
+        this._removeGestureListener();
+        this._teardownSource();
+        this.isActive = false;
+        this.source = 'off';
+        this._dispatch('audioStatus', { active: false, source: 'off', error: message });
+    }
+
+    _dispatch(name, detail) {
+        window.dispatchEvent(new CustomEvent(name, { detail }));
+    }
+
+    _loadSettings() {
+        try {
+            return JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY)) || {};
+        } catch {
+            return {};
+        }
+    }
+
+    destroy() {
+        this._removeGestureListener();
+        this._teardownSource();
+        this.isActive = false;
+        if (this.context) {
+            this.context.close().catch(() => {});
+            this.context = null;
+        }
+    }
+}
+
+const audioAnalyzer = new AudioAnalyzer();
+if (typeof window !== 'undefined') {
+    window.audioAnalyzer = audioAnalyzer;
+}
+export default audioAnalyzer;
@@ -1,4 +1,7 @@
 import gsap from 'gsap';
+import seededRandom from './seeded-random.js';
+import scheduler from './scheduler.js';
+const random = seededRandom.stream('background-animator');
 
 class BackgroundAnimator {
     constructor() {
@@ -7,6 +10,8 @@ class BackgroundAnimator {
         this.logoWrapper = null;
         this.imageWrapper = null;
         this.timeline = null;
+        this.glowTimer = null;
+        this.glitchTimer = null;
         this.initialized = false;
     }
 
@@ -157,7 +162,8 @@ class BackgroundAnimator {
             colorIndex = (colorIndex + 1) % glowColors.length;
         };
 
-        setInterval(shiftGlow, 4000);
+        this.glowTimer?.cancel();
+        this.glowTimer = scheduler.interval(shiftGlow, 4000, { name: 'background-glow-shift', category: 'ambient' });
         shiftGlow();
     }
 
@@ -209,8 +215,8 @@ class BackgroundAnimator {
         if (!this.bgElement) return;
 
         gsap.to(this.bgElement, {
-            skewX: Math.random() * 10 - 5,
-            skewY: Math.random() * 10 - 5,
+            skewX: random() * 10 - 5,
+            skewY: random() * 10 - 5,
             duration: 0.1,
             yoyo: true,
             repeat: 3,
@@ -223,17 +229,21 @@ class BackgroundAnimator {
 
     // Periodic glitch triggers
     startGlitchSequence() {
-        setInterval(() => {
-            if (Math.random() > 0.7) {
+        this.glitchTimer?.cancel();
+        this.glitchTimer = scheduler.interval(() => {
+            if (random() > 0.7) {
                 this.triggerGlitchBurst();
             }
-        }, 8000);
+        }, 8000, { name: 'background-glitch', category: 'effect' });
     }
 
     destroy() {
         if (this.timeline) {
             this.timeline.kill();
         }
+        this.glowTimer?.cancel();
+        this.glitchTimer?.cancel();
+        this.glowTimer = this.glitchTimer = null;
         gsap.killTweensOf([this.bgElement, this.bgOverlay, this.logoWrapper, this.imageWrapper]);
         this.initialized = false;
     }
@@ -0,0 +1,279 @@
+// Beat Clock - phase-locked beat/bar counter for the display
+// Tempo sources: manual BPM, tap-tempo, or automatic detection from audio onsets
+// (see audio-analyzer.js). Emits window events:
+//   beat       { beat, bar, beatInBar, bpm, time }   on every beat
+//   beatClock  { bpm, source, mode, confidence }     when tempo/mode changes
+
+const MIN_BPM = 20;
+const MAX_BPM = 300;
+
+// Auto detection folds every tempo estimate into this octave
+const AUTO_MIN_BPM = 85;
+const AUTO_MAX_BPM = 170;
+
+const TAP_RESET_MS = 2000;
+const TAP_HISTORY = 8;
+
+const ONSET_WINDOW_MS = 8000;
+const PHASE_LOCK_GAIN = 0.15; // fraction of the phase error corrected per onset
+
+class BeatClock {
+    constructor() {
+        this.bpm = 120;
+        this.source = 'manual';     // manual | tap | auto
+        this.mode = 'manual';       // manual | auto (auto follows audio onsets)
+        this.confidence = 0;
+        this.beatsPerBar = 4;
+
+        this.anchor = performance.now(); // time of beat 0
+        this.lastBeat = -1;
+
+        this._taps = [];
+        this._onsets = [];
+        this._listeners = new Set();
+        this._pending = [];
+        this._rafId = null;
+
+        this._onOnset = (e) => this.handleOnset(e.detail?.time ?? performance.now());
+    }
+
+    init() {
+        if (this._rafId) return;
+        window.addEventListener('audioOnset', this._onOnset);
+        this._rafId = requestAnimationFrame(() => this._tick());
+        console.log('🥁 Beat clock running at', this.bpm, 'BPM');
+    }
+
+    get period() {
+        return 60000 / this.bpm;
+    }
+
+    /**
+     * Set tempo while keeping the current beat phase continuous
+     */
+    setBPM(bpm, source = 'manual') {
+        const next = Math.max(MIN_BPM, Math.min(MAX_BPM, Number(bpm)));
+        if (!Number.isFinite(next)) return;
+
+        const now = performance.now();
+        const position = this.getPosition(now);
+        this.bpm = Math.round(next * 10) / 10;
+        this.anchor = now - position * this.period;
+        this.source = source;
+        if (source === 'manual' || source === 'tap') this.mode = 'manual';
+        this._emitStatus();
+    }
+
+    setMode(mode) {
+        this.mode = mode === 'auto' ? 'auto' : 'manual';
+        this._onsets = [];
+        this.confidence = 0;
+        this._emitStatus();
+    }
+
+    /**
+     * Tap tempo: averages the last taps and locks the beat to the latest tap
+     */
+    tap(time = performance.now()) {
+        const last = this._taps[this._taps.length - 1];
+        if (last && time - last > TAP_RESET_MS) this._taps = [];
+        this._taps.push(time);
+        if (this._taps.length > TAP_HISTORY) this._taps.shift();
+        if (this._taps.length < 2) return;
+
+        const span = this._taps[this._taps.length - 1] - this._taps[0];
+        const bpm = 60000 / (span / (this._taps.length - 1));
+        this.setBPM(bpm, 'tap');
+        this.anchor = time - Math.round((time - this.anchor) / this.period) * this.period;
+    }
+
+    /**
+     * Mark "now" as the downbeat of a bar
+     */
+    resync(time = performance.now()) {
+        this.anchor = time;
+        this.lastBeat = -1;
+        this._emitStatus();
+    }
+
+    // Fractional beat position since the anchor
+    getPosition(time = performance.now()) {
+        return (time - this.anchor) / this.period;
+    }
+
+    getState(time = performance.now()) {
+        const position = this.getPosition(time);
+        const beat = Math.floor(position);
+        return {
+            bpm: this.bpm,
+            source: this.source,
+            mode: this.mode,
+            confidence: this.confidence,
+            beat,
+            bar: Math.floor(beat / this.beatsPerBar),
+            beatInBar: ((beat % this.beatsPerBar) + this.beatsPerBar) % this.beatsPerBar,
+            phase: position - beat
+        };
+    }
+
+    /**
+     * Subscribe to every beat; returns an unsubscribe function
+     */
+    onBeat(callback) {
+        this._listeners.add(callback);
+        return () => this._listeners.delete(callback);
+    }
+
+    /**
+     * Run a callback on the next beat (or the next downbeat with division 'bar')
+     */
+    onNextBeat(callback, division = 'beat') {
+        this._pending.push({ callback, division });
+    }
+
+    /**
+     * Drop everything queued with onNextBeat (emergency stop)
+     * @returns {number} callbacks dropped
+     */
+    cancelPending() {
+        const count = this._pending.length;
+        this._pending = [];
+        return count;
+    }
+
+    /**
+     * Milliseconds from `time` until the next grid line of `beats` length
+     */
+    msUntilNext(beats = 1, time = performance.now()) {
+        const position = this.getPosition(time);
+        const next = Math.ceil(position / beats + 1e-6) * beats;
+        return (next - position) * this.period;
+    }
+
+    // ============================================
+    // AUTO DETECTION
+    // ============================================
+
+    handleOnset(time) {
+        if (this.mode !== 'auto') return;
+
+        this._onsets.push(time);
+        while (this._onsets.length && time - this._onsets[0] > ONSET_WINDOW_MS) this._onsets.shift();
+
+        const estimate = this._estimateTempo();
+        if (estimate && estimate.confidence > 0.25) {
+            this.confidence = estimate.confidence;
+            // Ignore sub-BPM jitter so the grid doesn't wobble
+            if (Math.abs(estimate.bpm - this.bpm) >= 1) {
+                this.setBPM(estimate.bpm, 'auto');
+                this.mode = 'auto';
+            }
+        }
+
+        // Phase lock: pull the grid towards onsets close to a predicted beat
+        const position = this.getPosition(time);
+        const error = position - Math.round(position);
+        if (Math.abs(error) < 0.25) {
+            this.anchor += error * this.period * PHASE_LOCK_GAIN;
+        }
+    }
+
+    // Inter-onset interval histogram, folded into one tempo octave
+    _estimateTempo() {
+        const onsets = this._onsets;
+        if (onsets.length < 6) return null;
+
+        const bins = new Map();
+        for (let i = 0; i < onsets.length; i++) {
+            for (let j = i + 1; j < onsets.length; j++) {
+                const interval = onsets[j] - onsets[i];
+                if (interval > 2000) break;
+                let bpm = 60000 / interval;
+                while (bpm < AUTO_MIN_BPM) bpm *= 2;
+                while (bpm > AUTO_MAX_BPM) bpm /= 2;
+                const key = Math.round(bpm);
+                bins.set(key, (bins.get(key) || 0) + 1);
+            }
+        }
+
+        let bestBpm = 0;
+        let bestScore = 0;
+        let total = 0;
+        bins.forEach((count, key) => {
+            total += count;
+            // Neighbouring bins vote too (tempo jitter spreads across ±1 BPM)
+            const score = count + 0.5 * ((bins.get(key - 1) || 0) + (bins.get(key + 1) || 0));
+            if (score > bestScore) {
+                bestScore = score;
+                bestBpm = key;
+            }
+        });
+        if (!bestBpm || !total) return null;
+
+        return { bpm: bestBpm, confidence: Math.min(1, bestScore / total * 2) };
+    }
+
+    // ============================================
+    // INTERNALS
+    // ============================================
+
+    _tick() {
+        const now = performance.now();
+        const state = this.getState(now);
+
+        if (state.beat !== this.lastBeat) {
+            // Only fire for forward steps; setBPM/resync can move the grid backwards
+            const fire = state.beat > this.lastBeat || this.lastBeat === -1;
+            this.lastBeat = state.beat;
+            if (fire) this._fireBeat(state, now);
+        }
+
+        this._rafId = requestAnimationFrame(() => this._tick());
+    }
+
+    _fireBeat(state, now) {
+        const detail = {
+            beat: state.beat,
+            bar: state.bar,
+            beatInBar: state.beatInBar,
+            bpm: this.bpm,
+            time: now
+        };
+
+        const pending = this._pending;
+        this._pending = [];
+        pending.forEach((entry) => {
+            if (entry.division === 'bar' && state.beatInBar !== 0) {
+                this._pending.push(entry);
+                return;
+            }
+            try { entry.callback(detail); } catch (error) { console.error('Beat callback failed:', error); }
+        });
+
+        this._listeners.forEach((listener) => {
+            try { listener(detail); } catch (error) { console.error('Beat listener failed:', error); }
+        });
+
+        window.dispatchEvent(new CustomEvent('beat', { detail }));
+    }
+
+    _emitStatus() {
+        window.dispatchEvent(new CustomEvent('beatClock', {
+            detail: { bpm: this.bpm, source: this.source, mode: this.mode, confidence: this.confidence }
+        }));
+    }
+
+    destroy() {
+        if (this._rafId) cancelAnimationFrame(this._rafId);
+        this._rafId = null;
+        window.removeEventListener('audioOnset', this._onOnset);
+        this._listeners.clear();
+        this._pending = [];
+    }
+}
+
+const beatClock = new BeatClock();
+if (typeof window !== 'undefined') {
+    window.beatClock = beatClock;
+}
+export default beatClock;
@@ -1,9 +1,13 @@
 import gsap from 'gsap';
+import seededRandom from './seeded-random.js';
+import scheduler from './scheduler.js';
+const random = seededRandom.stream('beehive-background');
 
 class BeehiveBackground {
     constructor() {
         this.initialized = false;
         this.container = null;
+        this.particleTimer = null;
     }
 
     init() {
@@ -116,11 +120,11 @@ class BeehiveBackground {
     createHexagonParticles() {
         // Create subtle floating hexagon particles
         for (let i = 0; i < 8; i++) {  // Increased from 5 to 8 particles
-            setTimeout(() => {
+            scheduler.timeout(() => {
                 const hex = document.createElement('div');
-                const size = Math.random() * 40 + 20;  // Slightly larger
-                const xPos = Math.random() * 100;
-                const duration = Math.random() * 25 + 20;  // Faster animation
+                const size = random() * 40 + 20;  // Slightly larger
+                const xPos = random() * 100;
+                const duration = random() * 25 + 20;  // Faster animation
 
                 hex.style.cssText = `
                     position: absolute;
@@ -131,7 +135,7 @@ class BeehiveBackground {
                     opacity: 0;
                     pointer-events: none;
                     animation: hexFloat ${duration}s linear infinite;
-                    animation-delay: ${Math.random() * duration}s;
+                    animation-delay: ${random() * duration}s;
                 `;
 
                 // Create hexagon shape with CSS
@@ -147,18 +151,20 @@ class BeehiveBackground {
                 this.container.appendChild(hex);
 
                 // Remove after animation completes
-                setTimeout(() => {
+                scheduler.timeout(() => {
                     if (hex.parentNode) {
                         hex.remove();
                     }
-                }, duration * 1000);
-            }, i * 5000);
+                }, duration * 1000, { name: 'beehive-hex-remove', category: 'ambient' });
+            }, i * 5000, { name: 'beehive-hex', category: 'ambient' });
         }
 
-        // Continuously create new particles
-        setInterval(() => {
-            this.createHexagonParticles();
-        }, 15000);  // More frequent particle generation
+        // Continuously create new particles (one loop; each wave no longer starts another)
+        if (!this.particleTimer) {
+            this.particleTimer = scheduler.interval(() => {
+                this.createHexagonParticles();
+            }, 15000, { name: 'beehive-hex-waves', category: 'ambient' });  // More frequent particle generation
+        }
     }
 }
 
@@ -1,16 +1,22 @@
 // BEEHIVE LOGO BLEND EFFECT
-// Creates a circular masked beehive video that blends through the main logo
+// Periodically blends the circular-masked beehive clip (video-layer.js, clip
+// 'beehive-logo' in videos/manifest.json) through the main logo. Stays out of the
+// way while a clip or playlist from the control panel is running.
 import gsap from 'gsap';
+import seededRandom from './seeded-random.js';
+import scheduler from './scheduler.js';
+import videoLayer from './video-layer.js';
+const random = seededRandom.stream('beehive-logo-blend');
+
+const CLIP_ID = 'beehive-logo';
 
 class BeehiveLogoBlend {
     constructor() {
         this.logo = null;
-        this.container = null;
-        this.videoElement = null;
-        this.maskElement = null;
         this.isActive = false;
-        this.isTransitioning = false;
         this.isInitialized = false;
+        this.displayTimer = null;
+        this.hideTimer = null;
 
         // Effect settings - OPTIMIZED FOR PERFORMANCE
         this.settings = {
@@ -19,8 +25,7 @@ class BeehiveLogoBlend {
             fadeOutTime: 0.3, // Smoother fade
             interval: 90000, // Less frequent - every 90 seconds
             logoOpacityMin: 0.9, // Less dramatic opacity change
-            logoOpacityMax: 1.0,
-            beehiveOpacity: 0.2  // Lower opacity for better performance
+            logoOpacityMax: 1.0
         };
     }
 
@@ -29,7 +34,6 @@ class BeehiveLogoBlend {
             return;
         }
 
-
         // Find the logo element
         this.logo = document.querySelector('.image-2') ||
                     document.querySelector('img[src*="c01n"]') ||
@@ -40,249 +44,91 @@ class BeehiveLogoBlend {
             return;
         }
 
-
-        // Get logo position and size
-        this.updateLogoPosition();
-
-        // Create the beehive container
-        this.createContainer();
-
-        // Create video element
-        this.createVideoElement();
+        videoLayer.init();
 
         // Start periodic display
         this.startPeriodicDisplay();
 
-        // Listen for window resize
-        window.addEventListener('resize', () => this.updateLogoPosition());
-
         // Listen for animation phases
         window.addEventListener('animationPhase', (e) => this.reactToPhase(e.detail.phase));
 
         this.isInitialized = true;
     }
 
-    updateLogoPosition() {
-        if (!this.logo) return;
-
-        const rect = this.logo.getBoundingClientRect();
-        this.logoPosition = {
-            x: rect.left + rect.width / 2,
-            y: rect.top + rect.height / 2,
-            width: rect.width,
-            height: rect.height,
-            radius: Math.min(rect.width, rect.height) / 2
-        };
-    }
-
-    createContainer() {
-        this.container = document.createElement('div');
-        this.container.className = 'beehive-logo-container';
-
-        // Position behind the logo - COMPLETELY HIDDEN
-        this.container.style.cssText = `
-            position: fixed;
-            pointer-events: none;
-            z-index: -1;  // Behind everything
-            opacity: 0;
-            display: none;
-            visibility: hidden;  // Extra hiding
-        `;
-
-        // Create circular mask
-        this.maskElement = document.createElement('div');
-        this.maskElement.style.cssText = `
-            position: absolute;
-            overflow: hidden;
-            border-radius: 50%;
-        `;
-
-        this.container.appendChild(this.maskElement);
-        document.body.appendChild(this.container);
-    }
-
-    createVideoElement() {
-        this.videoElement = document.createElement('video');
-        this.videoElement.src = './videos/beehive-loop.mp4';
-        this.videoElement.loop = true;
-        this.videoElement.muted = true;
-        this.videoElement.playsInline = true;
-        this.videoElement.autoplay = false;
-        this.videoElement.playbackRate = 1.0; // Normal speed to reduce processing
-
-        // Performance optimizations
-        this.videoElement.preload = 'auto';
-        this.videoElement.setAttribute('webkit-playsinline', 'true');
-        this.videoElement.setAttribute('x5-video-player-type', 'h5');
-        this.videoElement.setAttribute('x5-video-player-fullscreen', 'false');
-
-        this.videoElement.style.cssText = `
-            position: absolute;
-            width: 100%;
-            height: 100%;
-            object-fit: cover;
-            filter: none;  // Remove ALL filters for performance
-            will-change: auto;  // Let browser optimize
-            transform: translateZ(0);  // Force GPU layer
-            -webkit-transform: translateZ(0);
-            backface-visibility: hidden;
-            -webkit-backface-visibility: hidden;
-        `;
-
-        this.maskElement.appendChild(this.videoElement);
-
-        // Add error handler for missing video file
-        this.videoElement.addEventListener('error', () => {
-            // Silently handle missing video - it's an optional resource
-            console.debug('Video file not available, beehive effect will be disabled');
-            this.videoElement.style.display = 'none';
-        }, { once: true });
-
-        // Preload video
-        this.videoElement.load();
-    }
-
     startPeriodicDisplay() {
         // Show after 3 seconds for testing
-        setTimeout(() => {
+        this.displayTimer?.cancel();
+        this.displayTimer = scheduler.timeout(() => {
             this.show();
 
             // Set up periodic display
-            this.intervalId = setInterval(() => {
+            this.displayTimer = scheduler.interval(() => {
                 if (!this.isActive) {
                     this.show();
                 }
-            }, this.settings.interval);
-        }, 3000);
+            }, this.settings.interval, { name: 'beehive-blend-display', category: 'ambient' });
+        }, 3000, { name: 'beehive-blend-display', category: 'ambient' });
     }
 
     show() {
-        if (this.isActive || this.isTransitioning || !this.logo) return;
+        if (this.isActive || !this.logo || !videoLayer.ready || videoLayer.playing) return;
 
+        const error = videoLayer.playClip(CLIP_ID, { transition: 'crossfade', fade: this.settings.fadeInTime });
+        if (error) {
+            console.debug(`🐝 Beehive logo blend skipped: ${error}`);
+            return;
+        }
         this.isActive = true;
-        this.isTransitioning = true;
-
-        // Update position
-        this.updateLogoPosition();
-
-        // Position and size the container - match logo size
-        const pos = this.logoPosition;
-        // Use actual logo size, no artificial cap
-        const actualRadius = pos.radius;
-
-        this.container.style.left = `${pos.x - actualRadius}px`;
-        this.container.style.top = `${pos.y - actualRadius}px`;
-        this.container.style.width = `${actualRadius * 2}px`;
-        this.container.style.height = `${actualRadius * 2}px`;
 
-        this.maskElement.style.width = `${actualRadius * 2}px`;
-        this.maskElement.style.height = `${actualRadius * 2}px`;
-
-        // Force lower quality rendering for performance
-        this.videoElement.style.imageRendering = 'pixelated';
-        this.videoElement.style.imageRendering = 'crisp-edges';
-
-        this.container.style.display = 'block';
-        this.container.style.visibility = 'visible';
-        this.container.style.zIndex = '10';  // Bring to front when active
-
-        // Start video with performance optimizations
-        this.videoElement.currentTime = 0;
-        // Request lower quality if possible
-        if (this.videoElement.requestVideoFrameCallback) {
-            this.videoElement.requestVideoFrameCallback(() => {});
-        }
-        // Only play if not already playing
-        if (this.videoElement.paused) {
-            this.videoElement.play().catch(err => {
-                // Silently handle autoplay failures
-                console.log('🐝 Video autoplay blocked - user interaction required');
+        // Fade down logo opacity, then a subtle pulse
+        gsap.timeline()
+            .to(this.logo, {
+                opacity: this.settings.logoOpacityMin,
+                duration: this.settings.fadeInTime,
+                ease: 'power2.inOut'
+            })
+            .to(this.logo, {
+                opacity: 0.99, // Extremely subtle pulse between 98% and 99%
+                duration: 1.5,
+                yoyo: true,
+                repeat: 3,
+                ease: 'sine.inOut'
             });
-        }
-
-        // Create the blend animation timeline
-        const tl = gsap.timeline();
 
-        // Fade in beehive
-        tl.to(this.container, {
-            opacity: this.settings.beehiveOpacity,
-            duration: this.settings.fadeInTime,
-            ease: 'power2.inOut'
-        })
-        // Fade down logo opacity
-        .to(this.logo, {
-            opacity: this.settings.logoOpacityMin,
-            duration: this.settings.fadeInTime,
-            ease: 'power2.inOut'
-        }, '<')
-        // Add subtle pulsing effect
-        .to(this.logo, {
-            opacity: 0.99, // Extremely subtle pulse between 98% and 99%
-            duration: 1.5,
-            yoyo: true,
-            repeat: 3,
-            ease: 'sine.inOut'
-        })
-        // REMOVED filter animations for performance
-        // Filter effects cause major performance issues
-
-        // Schedule hide
-        setTimeout(() => this.hide(), this.settings.duration);
+        // Schedule hide; ambient so the logo opacity is always restored
+        this.hideTimer?.cancel();
+        this.hideTimer = scheduler.timeout(() => this.hide(), this.settings.duration, {
+            name: 'beehive-blend-hide', category: 'ambient'
+        });
     }
 
     hide() {
+        this.hideTimer?.cancel();
+        this.hideTimer = null;
         if (!this.isActive) return;
 
         // CRITICAL: Set isActive false IMMEDIATELY to prevent stuck state
         this.isActive = false;
 
-        // Kill any existing animations on these elements first
-        gsap.killTweensOf(this.container);
-        gsap.killTweensOf(this.logo);
-
-        const tl = gsap.timeline();
+        // Only stop our own clip: the panel may have taken the video layer over
+        const playing = videoLayer.playing;
+        if (playing?.clip === CLIP_ID && !playing.playlist) {
+            videoLayer.stop({ fade: this.settings.fadeOutTime });
+        }
 
-        // Fade out beehive and restore logo
-        tl.to(this.container, {
-            opacity: 0,
-            duration: this.settings.fadeOutTime,
-            ease: 'power2.inOut'
-        })
-        .to(this.logo, {
+        gsap.killTweensOf(this.logo);
+        gsap.to(this.logo, {
             opacity: this.settings.logoOpacityMax,
             duration: this.settings.fadeOutTime,
-            ease: 'power2.inOut',
-            onComplete: () => {
-                this.forceHideContainer();
-            }
-        }, '<');
-
-        // FAILSAFE: Force hide after fadeOutTime + buffer, even if animation interrupted
-        setTimeout(() => {
-            this.forceHideContainer();
-        }, (this.settings.fadeOutTime * 1000) + 200);
-    }
-
-    // Separate method to force hide - can be called from multiple places
-    forceHideContainer() {
-        if (this.container) {
-            this.container.style.display = 'none';
-            this.container.style.visibility = 'hidden';
-            this.container.style.zIndex = '-1';
-            this.container.style.opacity = '0';
-        }
-        if (this.videoElement) {
-            this.videoElement.pause();
-        }
-        // Clear transition state
-        this.isTransitioning = false;
+            ease: 'power2.inOut'
+        });
     }
 
     reactToPhase(phase) {
         switch(phase) {
             case 'intense':
             case 'glitch':
-                if (!this.isActive && Math.random() > 0.5) {
+                if (!this.isActive && random() > 0.5) {
                     this.show();
                 }
                 break;
@@ -299,22 +145,16 @@ class BeehiveLogoBlend {
     }
 
     destroy() {
-        if (this.intervalId) {
-            clearInterval(this.intervalId);
-        }
+        this.displayTimer?.cancel();
+        this.displayTimer = null;
 
         if (this.isActive) {
             this.hide();
         }
 
-        gsap.killTweensOf([this.container, this.videoElement, this.logo]);
-
-        if (this.container && this.container.parentNode) {
-            this.container.parentNode.removeChild(this.container);
-        }
-
+        gsap.killTweensOf(this.logo);
         this.isInitialized = false;
     }
 }
 
-export default new BeehiveLogoBlend();
\ No newline at end of file
+export default new BeehiveLogoBlend();
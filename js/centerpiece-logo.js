@@ -1,6 +1,9 @@
 // CENTERPIECE LOGO ANIMATION SYSTEM
 // Advanced animation system for the ZIKADA SVG logo as the visual centerpiece
 import gsap from 'gsap';
+import seededRandom from './seeded-random.js';
+import scheduler from './scheduler.js';
+const random = seededRandom.stream('centerpiece-logo');
 
 class CenterpieceLogo {
     constructor() {
@@ -12,6 +15,8 @@ class CenterpieceLogo {
         this.currentAnimation = null;
         this.animationQueue = [];
         this.isAnimating = false;
+        this.cycleTimer = null;
+        this.animatingTimer = null;
 
         // Core timelines
         this.breathingTimeline = null;
@@ -397,7 +402,7 @@ class CenterpieceLogo {
 
         this.glowLayers.forEach((layer, i) => {
             const delay = i * 0.1;
-            const color = Object.values(this.glowColors)[Math.floor(Math.random() * 8)];
+            const color = Object.values(this.glowColors)[Math.floor(random() * 8)];
 
             tl.to(layer, {
                 opacity: 0.8 - i * 0.2,
@@ -458,8 +463,8 @@ class CenterpieceLogo {
         // Create electric effect with rapid scale changes
         for (let i = 0; i < 10; i++) {
             tl.to(this.logo, {
-                scale: 1 + Math.random() * 0.1,
-                rotation: Math.random() * 10 - 5,
+                scale: 1 + random() * 0.1,
+                rotation: random() * 10 - 5,
                 duration: 0.05,
                 ease: 'none'
             });
@@ -524,9 +529,9 @@ class CenterpieceLogo {
         for (let i = 0; i < 20; i++) {
             const factor = 1 - i/20;
             tl.to(this.logo, {
-                x: (Math.random() - 0.5) * intensity * factor,
-                y: (Math.random() - 0.5) * intensity * factor,
-                rotation: (Math.random() - 0.5) * 10 * factor,
+                x: (random() - 0.5) * intensity * factor,
+                y: (random() - 0.5) * intensity * factor,
+                rotation: (random() - 0.5) * 10 * factor,
                 duration: 0.02,
                 ease: 'none'
             });
@@ -746,18 +751,19 @@ class CenterpieceLogo {
             // Only trigger new animation if not already animating
             if (!this.isAnimating) {
                 const animationNames = Object.keys(this.animations);
-                const randomAnimation = animationNames[Math.floor(Math.random() * animationNames.length)];
+                const randomAnimation = animationNames[Math.floor(random() * animationNames.length)];
                 // console.log(`🎯 Running animation: ${randomAnimation}`);
                 this.triggerAnimation(randomAnimation);
             }
 
             // Schedule next animation (3-8 seconds randomly)
-            const delay = 3000 + Math.random() * 5000;
-            setTimeout(runNextAnimation, delay);
+            const delay = 3000 + random() * 5000;
+            this.cycleTimer = scheduler.timeout(runNextAnimation, delay, { name: 'centerpiece-cycle', category: 'ambient' });
         };
 
         // Start first animation after 2 seconds
-        setTimeout(runNextAnimation, 2000);
+        this.cycleTimer?.cancel();
+        this.cycleTimer = scheduler.timeout(runNextAnimation, 2000, { name: 'centerpiece-cycle', category: 'ambient' });
     }
 
     reactToPhase(phase) {
@@ -794,7 +800,7 @@ class CenterpieceLogo {
 
     triggerRandomAnimation() {
         const animationNames = Object.keys(this.animations);
-        const randomAnimation = animationNames[Math.floor(Math.random() * animationNames.length)];
+        const randomAnimation = animationNames[Math.floor(random() * animationNames.length)];
         this.triggerAnimation(randomAnimation);
     }
 
@@ -813,9 +819,10 @@ class CenterpieceLogo {
             });
         } else {
             // If no timeline returned, reset flag after expected duration
-            setTimeout(() => {
+            this.animatingTimer?.cancel();
+            this.animatingTimer = scheduler.timeout(() => {
                 this.isAnimating = false;
-            }, 2000);
+            }, 2000, { name: 'centerpiece-animating', category: 'ambient' });
         }
     }
 
@@ -839,6 +846,9 @@ class CenterpieceLogo {
         if (this.breathingTimeline) this.breathingTimeline.kill();
         if (this.pulseTimeline) this.pulseTimeline.kill();
         if (this.ambientTimeline) this.ambientTimeline.kill();
+        this.cycleTimer?.cancel();
+        this.animatingTimer?.cancel();
+        this.cycleTimer = this.animatingTimer = null;
 
         gsap.killTweensOf([this.logo, ...this.glowLayers]);
 
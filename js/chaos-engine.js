@@ -7,6 +7,28 @@ import { FilmPass } from 'three/examples/jsm/postprocessing/FilmPass.js';
 import { ShaderPass } from 'three/examples/jsm/postprocessing/ShaderPass.js';
 import { createNoise3D } from 'simplex-noise';
 import gsap from 'gsap';
+import seededRandom from './seeded-random.js';
+import scheduler from './scheduler.js';
+import performanceModeManager from './performance-mode-manager.js';
+import aaaShaders from './aaa-shaders.js';
+import { PostFXPipeline } from './postfx-pipeline.js';
+import { SCENE_CONTENT, DEFAULT_SCENE, getSceneContent, buildParticles } from './scene-content.js';
+import { GPUParticles, PARTICLE_MODES } from './gpu-particles.js';
+import outputManager from './output-manager.js';
+import layerManager from './layer-manager.js';
+const random = seededRandom.stream('chaos-engine');
+
+const GEOMETRY_TYPES = {
+    box: THREE.BoxGeometry,
+    cone: THREE.ConeGeometry,
+    dodecahedron: THREE.DodecahedronGeometry,
+    icosahedron: THREE.IcosahedronGeometry,
+    octahedron: THREE.OctahedronGeometry,
+    sphere: THREE.SphereGeometry,
+    tetrahedron: THREE.TetrahedronGeometry,
+    torus: THREE.TorusGeometry,
+    torusKnot: THREE.TorusKnotGeometry
+};
 
 class ChaosEngine {
     constructor() {
@@ -14,25 +36,48 @@ class ChaosEngine {
         this.camera = null;
         this.renderer = null;
         this.composer = null;
+        this.pipeline = new PostFXPipeline();
+        this.bloomBase = { strength: 1.5 };
         this.clock = new THREE.Clock();
         this.noise3D = createNoise3D();
         this.meshes = [];
-        this.particles = null;
+        this.particles = null;      // THREE.Points of particleField
+        this.particleField = null;  // GPUParticles
+        this.particleMode = 'waves';
         this.glitchPass = null;
+        this.glitchTimeline = null;
         this.chromaticAberrationPass = null;
         this.animationPhase = 0;
         this.isInitialized = false;
+        this.frameListeners = new Set();
+
+        // Scene content (scene-content.js): particle layout, geometry, palette, camera path
+        this.sceneName = DEFAULT_SCENE;
+        this.cameraPath = { ...getSceneContent(DEFAULT_SCENE).camera };
 
         // Performance optimizations
-        this.particleCount = 2000;
-        this.frameCounter = 0;
-        this.updateFrequency = 2; // Update particles every N frames
+        this.particleCount = 2000;       // waves mode
+        this.gpuParticleCount = 16384;   // flock / attractor (GPGPU) modes
         this.performanceMode = 'high';
-        this.originalPositions = null;
+        this.particleSize = 0.5;
+        this.pixelRatio = 2;
+
+        // Live audio levels (0..1) from audio-analyzer; onsetPulse decays each frame
+        this.audioLevels = { bass: 0, mid: 0, treble: 0, volume: 0 };
+        this.onsetPulse = 0;
 
-        // Listen for performance adjustments
-        window.addEventListener('adjustParticles', (e) => this.adjustParticleCount(e.detail.count));
-        window.addEventListener('adjustPostProcessing', (e) => this.adjustPostProcessing(e.detail.quality));
+        // Particle count, post-processing and resolution follow the quality tier
+        performanceModeManager.register('chaosEngine', (knobs) => this.applyQuality(knobs));
+
+        // Audio reactivity
+        window.addEventListener('audioUpdate', (e) => { this.audioLevels = e.detail || this.audioLevels; });
+        window.addEventListener('audioOnset', (e) => {
+            this.onsetPulse = Math.max(this.onsetPulse, 0.5 + 0.5 * (e.detail?.strength || 0));
+        });
+        // A new crop moves this output's slice of the spanned canvas
+        window.addEventListener('outputConfig', () => {
+            if (this.isInitialized) this.handleResize();
+        });
     }
 
     init(forceRestart = false) {
@@ -53,6 +98,7 @@ class ChaosEngine {
         this.createParticles();
         this.setupPostProcessing();
         this.setupAnimations();
+        this.adjustPostProcessing(this.performanceMode);
         this.animate();
 
         this.isInitialized = true;
@@ -69,7 +115,7 @@ class ChaosEngine {
             powerPreference: "high-performance"
         });
         this.renderer.setSize(window.innerWidth, window.innerHeight);
-        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, this.pixelRatio));
         this.renderer.setClearColor(0x000000, 0);
 
         // Insert canvas behind pre-loader content
@@ -81,6 +127,7 @@ class ChaosEngine {
         canvas.style.height = '100%';
         canvas.style.zIndex = '0';
         canvas.id = 'chaos-canvas';
+        layerManager.add('scene', canvas);
 
         const preLoader = document.querySelector('.pre-loader');
         if (preLoader) {
@@ -103,6 +150,23 @@ class ChaosEngine {
             1000
         );
         this.camera.position.z = 30;
+        this.applyViewport();
+    }
+
+    /**
+     * Multi-output: the camera frames the whole spanned canvas and renders only
+     * this output's crop (output-manager.js); the canvas stays viewport-sized.
+     */
+    applyViewport() {
+        const view = outputManager.getViewport();
+        this.camera.aspect = view.fullWidth / view.fullHeight;
+        if (view.spanned) {
+            this.camera.setViewOffset(view.fullWidth, view.fullHeight, view.x, view.y, view.width, view.height);
+        } else {
+            this.camera.clearViewOffset();
+        }
+        this.camera.updateProjectionMatrix();
+        return view;
     }
 
     setupLights() {
@@ -112,7 +176,7 @@ class ChaosEngine {
 
         // Animated point lights
         this.lights = [];
-        const colors = [0xff0080, 0x00ff80, 0x80ff00, 0x8000ff];
+        const colors = this.lightColors(getSceneContent(this.sceneName));
 
         colors.forEach((color, i) => {
             const light = new THREE.PointLight(color, 2, 50);
@@ -127,121 +191,155 @@ class ChaosEngine {
     }
 
     createGeometry() {
-        // Create multiple geometric shapes
-        const geometries = [
-            new THREE.IcosahedronGeometry(8, 1),
-            new THREE.TorusKnotGeometry(6, 2, 100, 16),
-            new THREE.OctahedronGeometry(7, 0),
-            new THREE.TetrahedronGeometry(8, 2)
-        ];
-
-        const material = new THREE.MeshPhongMaterial({
-            color: 0x00ffff,
-            wireframe: true,
-            emissive: 0x001111,
-            emissiveIntensity: 0.5,
-            transparent: true,
-            opacity: 0.3
-        });
+        this.addSceneMeshes(getSceneContent(this.sceneName), 1);
+    }
 
-        geometries.forEach((geo, i) => {
-            const mesh = new THREE.Mesh(geo, material.clone());
-            mesh.position.set(
-                (i - 1.5) * 15,
-                Math.random() * 10 - 5,
-                Math.random() * 10 - 5
-            );
+    /**
+     * Build a scene's geometry set. fade scales mesh opacity (0 = invisible)
+     * so scene changes can crossfade the old and new sets.
+     */
+    addSceneMeshes(content, fade) {
+        const spacing = content.spacing || 15;
+        const unplaced = content.geometry.filter((shape) => !shape.position).length;
+        let slot = 0;
+
+        content.geometry.forEach((shape, i) => {
+            const Geometry = GEOMETRY_TYPES[shape.type];
+            if (!Geometry) {
+                console.warn(`⚠️ Scene content: unknown geometry ${shape.type}`);
+                return;
+            }
+            const color = new THREE.Color(content.palette[i % content.palette.length]);
+            const material = new THREE.MeshPhongMaterial({
+                color,
+                wireframe: true,
+                emissive: color.clone().multiplyScalar(0.07),
+                emissiveIntensity: 0.5,
+                transparent: true,
+                opacity: 0.3 * fade
+            });
+
+            const mesh = new THREE.Mesh(new Geometry(...(shape.args || [])), material);
+            if (shape.position) {
+                mesh.position.set(...shape.position);
+            } else {
+                // Unpositioned shapes share a row centred on the origin
+                mesh.position.set(
+                    (slot++ - (unplaced - 1) / 2) * spacing,
+                    random() * 10 - 5,
+                    random() * 10 - 5
+                );
+            }
             mesh.userData = {
                 originalPosition: mesh.position.clone(),
-                rotationSpeed: Math.random() * 0.02 + 0.01,
-                floatSpeed: Math.random() * 0.5 + 0.5,
-                floatAmplitude: Math.random() * 2 + 1
+                rotationSpeed: random() * 0.02 + 0.01,
+                floatSpeed: random() * 0.5 + 0.5,
+                floatAmplitude: random() * 2 + 1,
+                fade
             };
             this.scene.add(mesh);
             this.meshes.push(mesh);
         });
     }
 
+    lightColors(content) {
+        const colors = content.lights || content.palette;
+        return [0, 1, 2, 3].map((i) => colors[i % colors.length]);
+    }
+
     createParticles() {
-        const geometry = new THREE.BufferGeometry();
-        const positions = new Float32Array(this.particleCount * 3);
-        const colors = new Float32Array(this.particleCount * 3);
-
-        // Store original positions for efficient updates
-        this.originalPositions = new Float32Array(this.particleCount * 3);
-
-        for (let i = 0; i < this.particleCount * 3; i += 3) {
-            const x = (Math.random() - 0.5) * 100;
-            const y = (Math.random() - 0.5) * 100;
-            const z = (Math.random() - 0.5) * 100;
-
-            positions[i] = x;
-            positions[i + 1] = y;
-            positions[i + 2] = z;
-
-            // Store original positions
-            this.originalPositions[i] = x;
-            this.originalPositions[i + 1] = y;
-            this.originalPositions[i + 2] = z;
-
-            // Techno colors - cyan, magenta, yellow
-            const colorChoice = Math.random();
-            if (colorChoice < 0.33) {
-                colors[i] = 0; colors[i + 1] = 1; colors[i + 2] = 1;
-            } else if (colorChoice < 0.66) {
-                colors[i] = 1; colors[i + 1] = 0; colors[i + 2] = 1;
-            } else {
-                colors[i] = 1; colors[i + 1] = 1; colors[i + 2] = 0;
-            }
-        }
+        // Positions are animated on the GPU (gpu-particles.js); the CPU only builds layouts
+        this.particleField = new GPUParticles(this.renderer);
+        this.particles = this.particleField.build({
+            mode: this.particleMode,
+            count: this.activeParticleCount(),
+            layout: (count) => buildParticles(this.sceneName, count, random)
+        });
+        this.particleField.setSize(this.particleSize);
+        this.particleField.setScale(this.renderer.getPixelRatio(), outputManager.getViewport().fullHeight);
+        this.scene.add(this.particles);
+        this.emitParticleState();
+    }
 
-        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-        geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+    activeParticleCount() {
+        return this.particleMode === 'waves' ? this.particleCount : this.gpuParticleCount;
+    }
 
-        const material = new THREE.PointsMaterial({
-            size: 0.5,
-            vertexColors: true,
-            blending: THREE.AdditiveBlending,
-            transparent: true,
-            opacity: 0.6
-        });
+    /**
+     * 'waves' (vertex shader) or a GPGPU simulation: 'flock' | 'attractor'
+     */
+    setParticleMode(mode) {
+        if (!PARTICLE_MODES.includes(mode)) {
+            console.warn(`⚠️ Unknown particle mode: ${mode}`);
+            return false;
+        }
+        this.particleMode = mode;
+        if (this.particleField) {
+            const rotation = this.particles.rotation.clone();
+            const opacity = this.particles.material.opacity;
+            this.particleField.dispose();
+            this.createParticles();
+            this.particles.rotation.copy(rotation);
+            this.particles.material.opacity = opacity;
+        }
+        console.log(`✨ Particle mode: ${this.particleField?.mode || mode}`);
+        return true;
+    }
 
-        this.particles = new THREE.Points(geometry, material);
-        this.scene.add(this.particles);
+    getParticleState() {
+        return {
+            mode: this.particleMode,
+            active: this.particleField?.mode || this.particleMode,
+            gpgpu: !!this.particleField?.isGPGPU,
+            count: this.particleField?.count || this.activeParticleCount(),
+            modes: PARTICLE_MODES
+        };
+    }
+
+    emitParticleState() {
+        window.dispatchEvent(new CustomEvent('particleField', { detail: this.getParticleState() }));
     }
 
     setupPostProcessing() {
         this.composer = new EffectComposer(this.renderer);
+        const pipeline = this.pipeline;
+        pipeline.attach(this.composer);
 
         // Render pass
-        const renderPass = new RenderPass(this.scene, this.camera);
-        this.composer.addPass(renderPass);
+        pipeline.add('render', new RenderPass(this.scene, this.camera), { locked: true });
 
-        // Bloom pass
-        const bloomPass = new UnrealBloomPass(
+        // Bloom pass (strength is modulated by audio each frame around base.strength)
+        this.bloomPass = pipeline.add('bloom', new UnrealBloomPass(
             new THREE.Vector2(window.innerWidth, window.innerHeight),
             1.5, // strength
             0.4, // radius
             0.85  // threshold
-        );
-        this.composer.addPass(bloomPass);
+        ), {
+            base: this.bloomBase,
+            params: { strength: [0, 4], radius: [0, 1], threshold: [0, 1] }
+        });
 
-        // Glitch pass
+        // Glitch pass - fired periodically by glitchTimeline; disabling pauses the timeline
         this.glitchPass = new GlitchPass();
-        this.glitchPass.enabled = false; // Will be triggered periodically
-        this.composer.addPass(this.glitchPass);
+        this.glitchPass.enabled = false;
+        pipeline.add('glitch', this.glitchPass, {
+            heavy: true,
+            params: {},
+            setEnabled: (on) => {
+                if (on) {
+                    this.glitchTimeline?.resume();
+                } else {
+                    this.glitchTimeline?.pause();
+                    this.glitchPass.enabled = false;
+                }
+            }
+        });
 
         // Film grain pass
-        const filmPass = new FilmPass(
-            0.35,   // noise intensity
-            0.025,  // scanline intensity
-            648,    // scanline count
-            false   // grayscale
-        );
-        this.composer.addPass(filmPass);
+        pipeline.add('film', new FilmPass(0.35, false), { params: { intensity: [0, 1] } });
 
         // Chromatic Aberration shader
-        this.chromaticAberrationPass = new ShaderPass({
+        this.chromaticAberrationPass = pipeline.add('chromaticAberration', new ShaderPass({
             uniforms: {
                 tDiffuse: { value: null },
                 amount: { value: 0.002 }
@@ -266,8 +364,16 @@ class ChaosEngine {
                     gl_FragColor = vec4(cr.r, cga.g, cb.b, cga.a);
                 }
             `
-        });
-        this.composer.addPass(this.chromaticAberrationPass);
+        }), { params: { amount: [0, 0.03] }, onReset: (duration) => this.startChromaticPulse(duration) });
+
+        // AAA shader passes - off by default, switched on by scenes, presets or the panel
+        aaaShaders.init();
+        const aaa = aaaShaders.createPasses();
+        pipeline.add('enhancedChromatic', aaa.chromaticAberration, { enabled: false, heavy: true, params: { amount: [0, 0.02] } });
+        pipeline.add('digitalGlitch', aaa.digitalGlitch, { enabled: false, heavy: true });
+        pipeline.add('holographic', aaa.holographic, { enabled: false, heavy: true });
+        pipeline.add('energyField', aaa.energyField, { enabled: false, heavy: true });
+        pipeline.add('neonGlow', aaa.neonGlow, { enabled: false, heavy: true, params: { intensity: [0, 2] } });
     }
 
     setupAnimations() {
@@ -302,15 +408,16 @@ class ChaosEngine {
             });
 
         // Periodic glitch triggers
-        gsap.timeline({ repeat: -1 })
+        this.glitchTimeline = gsap.timeline({ repeat: -1 })
             .to(this.glitchPass, {
                 duration: 0.1,
                 enabled: true,
                 delay: 3,
                 onComplete: () => {
-                    setTimeout(() => {
+                    // Ambient: an emergency stop must not leave the glitch pass on
+                    scheduler.timeout(() => {
                         this.glitchPass.enabled = false;
-                    }, Math.random() * 200 + 100);
+                    }, random() * 200 + 100, { name: 'glitch-pulse-off', category: 'ambient' });
                 }
             })
             .to(this.glitchPass, {
@@ -318,16 +425,21 @@ class ChaosEngine {
                 enabled: true,
                 delay: 5,
                 onComplete: () => {
-                    setTimeout(() => {
+                    scheduler.timeout(() => {
                         this.glitchPass.enabled = false;
-                    }, Math.random() * 300 + 100);
+                    }, random() * 300 + 100, { name: 'glitch-pulse-off', category: 'ambient' });
                 }
             });
 
-        // Chromatic aberration pulsing
+        this.startChromaticPulse();
+    }
+
+    // Chromatic aberration pulsing; a post-FX reset restarts it once the defaults are back
+    startChromaticPulse(delay = 0) {
         gsap.to(this.chromaticAberrationPass.uniforms.amount, {
             value: 0.01,
             duration: 2,
+            delay,
             yoyo: true,
             repeat: -1,
             ease: "sine.inOut"
@@ -338,10 +450,10 @@ class ChaosEngine {
         // Update intensity based on animation phase
         const intensity = this.animationPhase / 3;
 
-        // Update mesh materials
+        // Update mesh materials (fade is the scene crossfade)
         this.meshes.forEach(mesh => {
             mesh.material.emissiveIntensity = 0.5 + intensity * 0.5;
-            mesh.material.opacity = 0.3 + intensity * 0.4;
+            mesh.material.opacity = (0.3 + intensity * 0.4) * mesh.userData.fade;
         });
 
         // Update particle opacity
@@ -353,8 +465,13 @@ class ChaosEngine {
     animate() {
         requestAnimationFrame(() => this.animate());
 
-        const time = this.clock.getElapsedTime();
+        // getDelta() first: getElapsedTime() also advances the clock's delta
         const delta = this.clock.getDelta();
+        const time = this.clock.elapsedTime;
+
+        const { bass, mid, volume } = this.audioLevels;
+        this.onsetPulse *= 0.9;
+        const audioKick = Math.max(bass, this.onsetPulse);
 
         // Animate meshes
         this.meshes.forEach((mesh, i) => {
@@ -377,48 +494,19 @@ class ChaosEngine {
             mesh.position.z = userData.originalPosition.z + noiseValue * 5 * this.animationPhase;
 
             // Scale pulsing
-            const scale = 1 + Math.sin(time * 2 + i) * 0.1 * (1 + this.animationPhase);
+            const scale = (1 + Math.sin(time * 2 + i) * 0.1 * (1 + this.animationPhase)) * (1 + audioKick * 0.15);
             mesh.scale.set(scale, scale, scale);
         });
 
-        // Animate particles - optimized with frame skipping
+        // Animate particles
         if (this.particles) {
             // Continuous rotation
             this.particles.rotation.x += 0.001;
             this.particles.rotation.y += 0.0015;
             this.particles.rotation.z += 0.0005;
 
-            // Update particles only every N frames for performance
-            this.frameCounter++;
-            if (this.frameCounter % this.updateFrequency === 0) {
-                // Dynamic particle wave effect
-                const positions = this.particles.geometry.attributes.position.array;
-                const originalPositions = this.originalPositions;
-
-                // Optimized loop with caching
-                const timeHalf = time * 0.5;
-                const timeThird = time * 0.3;
-                const phaseFactor = 1 + this.animationPhase;
-
-                for (let i = 0; i < positions.length; i += 3) {
-                    const origX = originalPositions[i];
-                    const origY = originalPositions[i + 1];
-                    const origZ = originalPositions[i + 2];
-
-                    // Cache calculations
-                    const factor1 = origY * 0.1;
-                    const factor2 = origX * 0.1;
-
-                    // Multiple wave effects for continuous motion
-                    positions[i] = origX + Math.sin(timeHalf + factor1) * 2;
-                    positions[i + 1] = origY + Math.cos(timeThird + factor2) * 2;
-                    positions[i + 2] = origZ + Math.sin(time + factor2 + factor1) * 3 * phaseFactor;
-                }
-                this.particles.geometry.attributes.position.needsUpdate = true;
-            }
-
-            // Pulse particle size
-            this.particles.material.size = 0.5 + Math.sin(time * 2) * 0.2;
+            // Waves, noise, size pulse and morphs run in the shaders
+            this.particleField.update(delta, time, { phase: this.animationPhase, audio: audioKick });
         }
 
         // Animate lights
@@ -427,80 +515,179 @@ class ChaosEngine {
             light.position.x = Math.sin(angle) * 20;
             light.position.y = Math.cos(angle) * 20;
             light.position.z = Math.sin(angle * 2) * 10;
-            light.intensity = 2 + Math.sin(time * 3 + i) * 0.5 * (1 + this.animationPhase);
+            light.intensity = 2 + Math.sin(time * 3 + i) * 0.5 * (1 + this.animationPhase) + mid * 2;
         });
 
-        // Camera movement
-        this.camera.position.x = Math.sin(time * 0.1) * 5;
-        this.camera.position.y = Math.cos(time * 0.1) * 3;
+        if (this.bloomPass) {
+            this.bloomPass.strength = this.bloomBase.strength + volume * 0.8 + this.onsetPulse * 0.7;
+        }
+        aaaShaders.update(delta);
+
+        // Camera movement along the scene's path
+        const path = this.cameraPath;
+        this.camera.position.x = Math.sin(time * path.speed) * path.swayX;
+        this.camera.position.y = path.height + Math.cos(time * path.speed) * path.swayY;
+        this.camera.position.z = path.distance;
         this.camera.lookAt(0, 0, 0);
 
         // Render
         this.composer.render(delta);
+        // A failing listener must not stop the render loop
+        this.frameListeners.forEach((listener) => {
+            try {
+                listener(time);
+            } catch (error) {
+                console.error('Frame listener failed:', error);
+            }
+        });
+    }
+
+    /**
+     * Call back after every rendered frame, while the canvas still holds it
+     * (output-capture.js reads it there)
+     * @returns {Function} unsubscribe
+     */
+    onFrame(listener) {
+        this.frameListeners.add(listener);
+        return () => this.frameListeners.delete(listener);
+    }
+
+    /**
+     * Morph to a scene's 3D content: particles move to the new layout and
+     * palette, geometry crossfades, lights and camera path tween over duration (s).
+     */
+    setSceneContent(scene, duration = 3) {
+        const name = SCENE_CONTENT[scene] ? scene : DEFAULT_SCENE;
+        if (name === this.sceneName) return;
+        this.sceneName = name;
+        const content = getSceneContent(name);
+
+        // Before init the setup methods build this scene directly
+        if (!this.isInitialized) {
+            this.cameraPath = { ...content.camera };
+            return;
+        }
+
+        // Particles: blend from where they are now to the new layout
+        this.particleField?.morphTo((count) => buildParticles(name, count, random), duration);
+
+        // Geometry: fade the current set out, the new one in
+        this.meshes.forEach((mesh) => {
+            if (mesh.userData.leaving) return;
+            mesh.userData.leaving = true;
+            gsap.to(mesh.userData, {
+                fade: 0,
+                duration: duration / 2,
+                overwrite: true,
+                onUpdate: () => this.updatePhase(),
+                onComplete: () => this.removeMesh(mesh)
+            });
+        });
+        const firstNew = this.meshes.length;
+        this.addSceneMeshes(content, 0);
+        this.meshes.slice(firstNew).forEach((mesh) => {
+            gsap.to(mesh.userData, {
+                fade: 1,
+                duration,
+                delay: duration / 4,
+                onUpdate: () => this.updatePhase()
+            });
+        });
+
+        // Lights and camera path
+        this.lightColors(content).forEach((hex, i) => {
+            const light = this.lights?.[i];
+            if (!light) return;
+            const target = new THREE.Color(hex);
+            gsap.to(light.color, { r: target.r, g: target.g, b: target.b, duration, overwrite: true });
+        });
+        gsap.to(this.cameraPath, { ...content.camera, duration, ease: 'sine.inOut', overwrite: true });
+
+        console.log(`🧊 Scene content: ${name}`);
+    }
+
+    /**
+     * Scene change: 3D content and post-processing mix together
+     */
+    applyScene(scene) {
+        this.setSceneContent(scene);
+        this.pipeline.applyScene(scene);
+    }
+
+    removeMesh(mesh) {
+        this.scene?.remove(mesh);
+        mesh.geometry.dispose();
+        mesh.material.dispose();
+        this.meshes = this.meshes.filter((m) => m !== mesh);
     }
 
     handleResize() {
         const width = window.innerWidth;
         const height = window.innerHeight;
 
-        this.camera.aspect = width / height;
-        this.camera.updateProjectionMatrix();
+        // Point sizes follow the spanned canvas so particles match across outputs
+        const view = this.applyViewport();
 
         this.renderer.setSize(width, height);
         this.composer.setSize(width, height);
+        aaaShaders.passes.neonGlow?.uniforms.resolution.value.set(width, height);
+        this.particleField?.setScale(this.renderer.getPixelRatio(), view.fullHeight);
     }
 
     // Performance adjustment methods
-    adjustParticleCount(count) {
-        if (!this.particles || count === this.particleCount) return;
-
-        // Remove old particles
-        this.scene.remove(this.particles);
-        this.particles.geometry.dispose();
-        this.particles.material.dispose();
+    applyQuality({ particles, gpuParticles, particleSize, postProcessing, pixelRatio }) {
+        this.particleSize = particleSize;
+        this.pixelRatio = pixelRatio;
+        // Before init these only seed the values setup uses
+        if (!this.isInitialized) {
+            this.particleCount = particles;
+            this.gpuParticleCount = gpuParticles;
+            this.performanceMode = postProcessing;
+            return;
+        }
+        this.adjustParticleCount(particles, gpuParticles);
+        this.particleField?.setSize(particleSize);
+        this.adjustPostProcessing(postProcessing);
+        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, pixelRatio));
+        this.composer.setPixelRatio?.(Math.min(window.devicePixelRatio, pixelRatio));
+        this.particleField?.setScale(this.renderer.getPixelRatio(), outputManager.getViewport().fullHeight);
+    }
 
-        // Create new particles with adjusted count
+    adjustParticleCount(count, gpuCount = this.gpuParticleCount) {
         this.particleCount = count;
-        this.createParticles();
-        // console.log(`⚡ Adjusted particle count to: ${count}`);
+        this.gpuParticleCount = gpuCount;
+        if (!this.particleField || this.particleField.count === this.activeParticleCount()) return;
+
+        // Waves mode only narrows the draw range; GPGPU resizes its textures
+        const rotation = this.particles.rotation.clone();
+        this.particleField.setCount(this.activeParticleCount());
+        this.particles = this.particleField.points;
+        this.particles.rotation.copy(rotation);
+        this.emitParticleState();
     }
 
     adjustPostProcessing(quality) {
         if (!this.composer) return;
 
-        switch (quality) {
-            case 'low':
-                this.glitchPass.enabled = false;
-                this.chromaticAberrationPass.uniforms.amount.value = 0.001;
-                break;
-            case 'medium':
-                this.glitchPass.enabled = true;
-                this.chromaticAberrationPass.uniforms.amount.value = 0.002;
-                break;
-            case 'high':
-                this.glitchPass.enabled = true;
-                this.chromaticAberrationPass.uniforms.amount.value = 0.005;
-                break;
-        }
+        // Low quality holds off the heavy passes (glitch, AAA shaders)
+        this.pipeline.setQuality(quality);
         this.performanceMode = quality;
     }
 
     destroy() {
-        // Remove event listeners
-        window.removeEventListener('adjustParticles', this.adjustParticleCount);
-        window.removeEventListener('adjustPostProcessing', this.adjustPostProcessing);
-
         // Clean up resources
         this.meshes.forEach(mesh => {
+            gsap.killTweensOf(mesh.userData);
             mesh.geometry.dispose();
             mesh.material.dispose();
         });
+        this.meshes = [];
 
-        if (this.particles) {
-            this.particles.geometry.dispose();
-            this.particles.material.dispose();
-        }
+        this.particleField?.dispose();
+        this.particleField = null;
+        this.particles = null;
 
+        aaaShaders.destroy();
         this.renderer.dispose();
         this.isInitialized = false;
     }
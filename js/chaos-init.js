@@ -2,7 +2,7 @@ import chaosEngine from './chaos-engine.js';
 import textEffects from './text-effects.js';
 import backgroundAnimator from './background-animator.js';
 import matrixMessages from './matrix-messages.js';
-import matrixConfig from './matrix-config.js';
+import messageLibrary from './message-library.js';
 import subtleEffects from './subtle-effects.js';
 import randomAnimations from './random-animations.js';
 import extendedAnimations from './extended-animations.js';
@@ -20,6 +20,8 @@ import beehiveBackground from './beehive-background.js';
 import directLogoAnimation from './direct-logo-animation.js';
 import vjReceiver from './vj-receiver.js';
 import gsap from 'gsap';
+import scheduler from './scheduler.js';
+import projectionMapper from './projection-mapper.js';
 
 // Ensure GSAP is globally available
 if (typeof window !== 'undefined' && !window.gsap) {
@@ -31,6 +33,11 @@ import performanceElementManager from './performance-element-manager.js';
 import intervalManager from './interval-manager.js';
 import gsapAnimationRegistry from './gsap-animation-registry.js';
 import performanceMonitor from './performance-monitor.js';
+import performanceModeManager from './performance-mode-manager.js';
+import seededRandom from './seeded-random.js';
+import pluginRegistry from './plugin-registry.js';
+import outputManager from './output-manager.js';
+const random = seededRandom.stream('chaos-init');
 
 class ChaosInitializer {
     constructor() {
@@ -56,6 +63,9 @@ class ChaosInitializer {
         // Filter management to prevent grey screens
         this.currentBodyFilter = 'none';
         this.filterTransitionInProgress = false;
+
+        // True while a setlist (setlist-sequencer.js) picks the phases
+        this.phaseHold = false;
         
         console.log('🚀 ChaosInitializer created with performance management');
 
@@ -190,7 +200,8 @@ class ChaosInitializer {
             this.currentBodyFilter = safeFilter;
             // Apply instantly - no GSAP animation
             document.body.style.filter = safeFilter;
-            document.documentElement.style.filter = safeFilter;
+            // The root also carries the projection mesh warp
+            document.documentElement.style.filter = projectionMapper.composeRootFilter(safeFilter);
             this.filterTransitionInProgress = false;
         } else if (target && target.style) {
             // Non-body targets also apply instantly
@@ -240,7 +251,7 @@ class ChaosInitializer {
      */
     startGreyFlashPrevention() {
         // Monitor document.body filter changes in real-time
-        const greyFlashPreventionId = setInterval(() => {
+        const greyFlashPrevention = scheduler.interval(() => {
             const bodyStyle = window.getComputedStyle(document.body);
             const currentFilter = bodyStyle.filter;
             
@@ -284,7 +295,7 @@ class ChaosInitializer {
                     gsap.killTweensOf(document.body, 'filter');
                     
                     // Brief pause then apply corrected filter
-                    setTimeout(() => {
+                    scheduler.timeout(() => {
                         const correctedFilter = this.validateFilter(currentFilter);
                         if (correctedFilter !== 'none') {
                             gsap.to(document.body, { 
@@ -293,13 +304,13 @@ class ChaosInitializer {
                                 ease: 'power2.inOut' 
                             });
                         }
-                    }, 100);
+                    }, 100, { name: 'grey-flash-correct', category: 'system', scaled: false });
                 }
             }
-        }, 100); // Check every 100ms for real-time protection
+        }, 100, { name: 'grey-flash-prevention', category: 'system', scaled: false }); // Check every 100ms for real-time protection
         
-        // Store interval ID for cleanup
-        this.greyFlashPreventionId = greyFlashPreventionId;
+        // Store handle for cleanup
+        this.greyFlashPrevention = greyFlashPrevention;
         
         console.log('🛡️ Grey flash prevention system started');
     }
@@ -356,10 +367,10 @@ class ChaosInitializer {
         this.ensureBlackoutOverlay();
 
         // Start animation phases directly
-        setTimeout(() => {
+        scheduler.timeout(() => {
             console.log('🚀 Starting animation phases...');
             this.startAnimationPhases();
-        }, 2000);
+        }, 2000, { name: 'phase-start', category: 'phase' });
 
         // Start animation watchdog to ensure animations never stop
         this.startAnimationWatchdog();
@@ -388,7 +399,8 @@ class ChaosInitializer {
     }
 
     initPerformanceMonitor() {
-        let frameCount = 0;
+        // Quality tiers are governed centrally; this loop only tracks FPS for diagnostics
+        performanceModeManager.init();
         const monitorFPS = () => {
             const now = performance.now();
             const delta = now - this.lastFrameTime;
@@ -401,16 +413,6 @@ class ChaosInitializer {
 
             this.fps = this.fpsHistory.reduce((a, b) => a + b, 0) / this.fpsHistory.length;
 
-            // Auto-adjust quality based on performance - less aggressive
-            frameCount++;
-            if (frameCount % 300 === 0 && this.performanceMode === 'auto') {  // Check every 5 seconds
-                if (this.fps < 25 && chaosEngine.isInitialized) {
-                    this.setPerformanceMode('low');
-                } else if (this.fps > 55 && this.performanceMode !== 'high') {
-                    this.setPerformanceMode('high');
-                }
-            }
-
             this.lastFrameTime = now;
             requestAnimationFrame(monitorFPS);
         };
@@ -420,28 +422,7 @@ class ChaosInitializer {
 
     setPerformanceMode(mode) {
         this.performanceMode = mode;
-
-        if (!chaosEngine.isInitialized) return;
-
-        switch (mode) {
-            case 'low':
-                // Reduce particle count
-                if (chaosEngine.particles) {
-                    chaosEngine.particles.material.size = 0.3;
-                }
-                // Disable some post-processing
-                if (chaosEngine.glitchPass) {
-                    chaosEngine.glitchPass.enabled = false;
-                }
-                break;
-
-            case 'high':
-                // Enable all effects
-                if (chaosEngine.particles) {
-                    chaosEngine.particles.material.size = 0.5;
-                }
-                break;
-        }
+        performanceModeManager.applyMode(mode);
     }
 
     initBackgroundAnimator() {
@@ -791,13 +772,13 @@ class ChaosInitializer {
     }
 
     runStartupSequence() {
-        // Cyberpunk-style startup sequence - load from config
-        const messages = matrixConfig.startupMessages;
+        // Cyberpunk-style startup sequence - load from the message library
+        const messages = messageLibrary.getMessages('startup');
 
         // Start phase-based animations after startup
-        setTimeout(() => {
+        scheduler.timeout(() => {
             this.startAnimationPhases();
-        }, 8000);
+        }, 8000, { name: 'startup-phases', category: 'phase' });
 
         const consoleDiv = document.createElement('div');
         consoleDiv.style.cssText = `
@@ -827,7 +808,7 @@ class ChaosInitializer {
                 consoleDiv.innerText = '> ' + message;
 
                 messageIndex++;
-                setTimeout(typeMessage, 800);
+                scheduler.timeout(typeMessage, 800, { name: 'startup-console', category: 'intro' });
             } else {
                 // Fade out after completion
                 gsap.to(consoleDiv, {
@@ -839,7 +820,7 @@ class ChaosInitializer {
             }
         };
 
-        setTimeout(typeMessage, 500);
+        scheduler.timeout(typeMessage, 500, { name: 'startup-console', category: 'intro' });
     }
 
     enableFallbackMode() {
@@ -930,6 +911,7 @@ class ChaosInitializer {
             // Check if canvas still exists (safety check)
             if (!document.getElementById('static-noise')) {
                 console.warn('⚠️ Static noise canvas was removed, recreating...');
+                this.staticNoise?.cancel();
                 // Recreate if somehow removed
                 if (window.chaosInitializer && typeof window.chaosInitializer.addStaticNoise === 'function') {
                     window.chaosInitializer.addStaticNoise();
@@ -941,7 +923,7 @@ class ChaosInitializer {
             const data = imageData.data;
 
             for (let i = 0; i < data.length; i += 4) {
-                const value = Math.random() * 255;
+                const value = random() * 255;
                 data[i] = value;
                 data[i + 1] = value;
                 data[i + 2] = value;
@@ -949,10 +931,12 @@ class ChaosInitializer {
             }
 
             ctx.putImageData(imageData, 0, 0);
-            setTimeout(animateStatic, 50);
         };
 
         animateStatic();
+        // Ambient: survives emergency stops like the canvas itself
+        this.staticNoise?.cancel();
+        this.staticNoise = scheduler.interval(animateStatic, 50, { name: 'static-noise', category: 'ambient', scaled: false });
         console.log('✅ Static noise canvas created (outside performance manager to prevent cleanup)');
     }
 
@@ -973,21 +957,21 @@ class ChaosInitializer {
         for (let i = 0; i < 3; i++) { // Reduced from 5 to 3
             const stream = this.performanceElementManager.createElement('div', 'stream', {
                 position: 'absolute',
-                left: `${Math.random() * 100}%`,
+                left: `${random() * 100}%`,
                 top: '-100px',
                 width: '2px',
-                height: `${Math.random() * 200 + 100}px`,
+                height: `${random() * 200 + 100}px`,
                 background: 'linear-gradient(transparent, #00ff85, transparent)',
-                opacity: `${Math.random() * 0.3 + 0.1}`
+                opacity: `${random() * 0.3 + 0.1}`
             }, { autoAppend: false });
             container.appendChild(stream);
 
             this.gsapRegistry.createAnimation('to', stream, {
                 y: window.innerHeight + 200,
-                duration: Math.random() * 10 + 5,
+                duration: random() * 10 + 5,
                 repeat: -1,
                 ease: 'linear',
-                delay: Math.random() * 5
+                delay: random() * 5
             }, `data-stream-${i}`, 'stream');
         }
     }
@@ -1020,36 +1004,12 @@ class ChaosInitializer {
     }
 
     startAnimationPhases() {
-        // Prevent duplicate phase runners
-        if (this.phaseRunning) {
+        // Prevent duplicate phase runners (the runner timer is gone after an emergency stop)
+        if (this.phaseRunner && scheduler.has(this.phaseRunner.id)) {
             console.log('⚠️ Phase animations already running');
             return;
         }
 
-        // Create a more dynamic, randomized animation sequence
-        const phases = [
-            () => this.phaseIntense(),
-            () => this.phaseCalm(),
-            () => this.phaseGlitch(),
-            () => this.phaseTechno(),
-            () => this.phaseMatrix(),
-            () => this.phaseMinimal(),
-            () => this.phaseChaotic(),
-            () => this.phaseRetro(),
-            // Color-themed phases
-            () => this.phaseVaporwave(),
-            () => this.phaseCyberpunk(),
-            () => this.phaseNeon(),
-            () => this.phaseAurora(),
-            // New additional color phases
-            () => this.phaseSunset(),
-            () => this.phaseOcean(),
-            () => this.phaseForest(),
-            () => this.phaseFire(),
-            () => this.phaseIce(),
-            () => this.phaseGalaxy()
-        ];
-
         let lastPhase = null;
         this.phaseRunning = true;
         this.currentPhase = null;
@@ -1060,31 +1020,85 @@ class ChaosInitializer {
                 this.phaseRunning = true;
             }
 
+            // Random mode is the fallback: sit out while a setlist is playing, or
+            // while this output mirrors the leader output's phases (output-manager.js)
+            if (this.phaseHold || outputManager.followsLeader) {
+                this.phaseRunner = scheduler.timeout(runRandomPhase, 5000, { name: 'phase-runner', category: 'phase' });
+                return;
+            }
+
             // Pick a random phase that isn't the last one
-            let availablePhases = phases.filter(p => p !== lastPhase);
-            const randomPhase = availablePhases[Math.floor(Math.random() * availablePhases.length)];
+            let availablePhases = this.getPhases().filter(p => p.scene !== lastPhase?.scene);
+            const randomPhase = availablePhases[Math.floor(random() * availablePhases.length)];
             lastPhase = randomPhase;
-
-            // Smooth transition with overlap
-            if (this.currentPhase) {
-                this.transitionOut();
-                // Delay new phase slightly for overlap
-                setTimeout(() => {
-                    randomPhase();
-                }, 500);
-            } else {
-                randomPhase();
-            }
-            this.currentPhase = randomPhase.name;
+            this.playPhase(randomPhase);
 
             // Random duration between 30-60 seconds (increased from 15-40)
-            const nextDelay = Math.random() * 30000 + 30000;
-            setTimeout(runRandomPhase, nextDelay);
+            const nextDelay = random() * 30000 + 30000;
+            this.phaseRunner = scheduler.timeout(runRandomPhase, nextDelay, { name: 'phase-runner', category: 'phase' });
         };
 
         runRandomPhase();
     }
 
+    // Create a more dynamic, randomized animation sequence (plugin scenes join the pool)
+    getPhases() {
+        const phases = [
+            { scene: 'intense', run: () => this.phaseIntense() },
+            { scene: 'calm', run: () => this.phaseCalm() },
+            { scene: 'glitch', run: () => this.phaseGlitch() },
+            { scene: 'techno', run: () => this.phaseTechno() },
+            { scene: 'matrix', run: () => this.phaseMatrix() },
+            { scene: 'minimal', run: () => this.phaseMinimal() },
+            { scene: 'chaotic', run: () => this.phaseChaotic() },
+            { scene: 'retro', run: () => this.phaseRetro() },
+            // Color-themed phases
+            { scene: 'vaporwave', run: () => this.phaseVaporwave() },
+            { scene: 'cyberpunk', run: () => this.phaseCyberpunk() },
+            { scene: 'neon', run: () => this.phaseNeon() },
+            { scene: 'aurora', run: () => this.phaseAurora() },
+            // New additional color phases
+            { scene: 'sunset', run: () => this.phaseSunset() },
+            { scene: 'ocean', run: () => this.phaseOcean() },
+            { scene: 'forest', run: () => this.phaseForest() },
+            { scene: 'fire', run: () => this.phaseFire() },
+            { scene: 'ice', run: () => this.phaseIce() },
+            { scene: 'galaxy', run: () => this.phaseGalaxy() }
+        ];
+        return [...phases, ...pluginRegistry.getScenes({ auto: true }).map(scene => ({ scene }))];
+    }
+
+    playPhase(phase) {
+        // Smooth transition with overlap
+        if (this.currentPhase) {
+            this.transitionOut();
+            // Delay new phase slightly for overlap
+            scheduler.timeout(() => {
+                phase.run?.();
+            }, 500, { name: 'phase-overlap', category: 'phase' });
+        } else {
+            phase.run?.();
+        }
+        // Plugin scenes are entered (and left) by the registry
+        pluginRegistry.setScene(phase.scene);
+        this.currentPhase = phase.scene;
+        chaosEngine.applyScene(phase.scene);
+
+        // The leader output relays this to mirrored outputs (vj-receiver.js)
+        window.dispatchEvent(new CustomEvent('phaseStarted', { detail: { scene: phase.scene } }));
+    }
+
+    /**
+     * Play a phase by scene name (mirrored outputs following the leader)
+     * @returns {boolean} false for an unknown scene
+     */
+    playScene(scene) {
+        const phase = this.getPhases().find(p => p.scene === scene);
+        if (!phase) return false;
+        this.playPhase(phase);
+        return true;
+    }
+
     transitionOut() {
         // SIMPLIFIED: No filter reset during transitions to prevent grey flashes
         // Let new phase handle its own filter without resetting first
@@ -1126,8 +1140,8 @@ class ChaosInitializer {
         // Simple watchdog without performance system dependencies
         let checkCount = 0;
 
-        // Use regular setInterval with proper cleanup tracking
-        const watchdogIntervalId = setInterval(() => {
+        // Real-time (unscaled) so the global speed doesn't change how often it checks
+        const watchdog = scheduler.interval(() => {
             checkCount++;
             const verbose = checkCount % 30 === 0; // Log every 5 minutes
             
@@ -1199,9 +1213,8 @@ class ChaosInitializer {
             }
 
             // Check if phase animations are completely stopped
-            if (!this.phaseRunning) {
+            if (!this.phaseRunner || !scheduler.has(this.phaseRunner.id)) {
                 console.log('🔧 Restarting phase animations...');
-                this.phaseRunning = true;
                 this.startAnimationPhases();
             }
 
@@ -1222,10 +1235,10 @@ class ChaosInitializer {
             if (verbose) {
                 console.log('🔍 Watchdog check completed - performance preserved');
             }
-        }, 30000); // Simple 30-second interval
+        }, 30000, { name: 'animation-watchdog', category: 'system', scaled: false }); // Simple 30-second interval
 
-        // Store interval ID for cleanup
-        this.watchdogIntervalId = watchdogIntervalId;
+        // Store handle for cleanup
+        this.watchdog = watchdog;
     }
 
     phaseIntense() {
@@ -1297,27 +1310,27 @@ class ChaosInitializer {
             // RGB split via safe filter application to avoid flashes
             this.safeApplyFilter(
                 document.body,
-                `hue-rotate(${Math.random() * 360}deg) saturate(${Math.random() * 2 + 0.5})`,
+                `hue-rotate(${random() * 360}deg) saturate(${random() * 2 + 0.5})`,
                 0.2
             );
 
             // Position glitch
             const elements = document.querySelectorAll('.logo-text-wrapper, .image-wrapper, .text-3886');
             elements.forEach(el => {
-                el.style.transform = `translate(${Math.random() * 20 - 10}px, ${Math.random() * 20 - 10}px) skew(${Math.random() * 10 - 5}deg)`;
+                el.style.transform = `translate(${random() * 20 - 10}px, ${random() * 20 - 10}px) skew(${random() * 10 - 5}deg)`;
             });
 
-            setTimeout(() => {
+            scheduler.timeout(() => {
                 this.safeApplyFilter(document.body, 'none', 0.2);
                 elements.forEach(el => {
                     el.style.transform = 'none';
                 });
-            }, 100);
+            }, 100, { name: 'glitch-burst-reset', category: 'phase' });
         };
 
         // Reduced glitch bursts (was 10, now 3)
         for (let i = 0; i < 3; i++) {
-            setTimeout(glitchBurst, i * 800);  // Slower interval (was 300ms)
+            scheduler.timeout(glitchBurst, i * 800, { name: 'glitch-burst', category: 'phase' });  // Slower interval (was 300ms)
         }
     }
 
@@ -1374,16 +1387,16 @@ class ChaosInitializer {
         for (let i = 0; i < 20; i++) {
             const codeStream = document.createElement('div');
             codeStream.textContent = Array.from({ length: 30 }, () =>
-                String.fromCharCode(33 + Math.random() * 94)
+                String.fromCharCode(33 + random() * 94)
             ).join('');
             codeStream.style.cssText = `
                 position: fixed;
-                left: ${Math.random() * 100}%;
+                left: ${random() * 100}%;
                 top: -100%;
                 color: #00ff85;
                 font-family: monospace;
                 font-size: 10px;
-                opacity: ${Math.random() * 0.5 + 0.1};
+                opacity: ${random() * 0.5 + 0.1};
                 writing-mode: vertical-rl;
                 pointer-events: none;
                 z-index: 9991;
@@ -1392,7 +1405,7 @@ class ChaosInitializer {
 
             gsap.to(codeStream, {
                 y: window.innerHeight * 2,
-                duration: Math.random() * 5 + 3,
+                duration: random() * 5 + 3,
                 ease: 'linear',  // Smoother than none
                 onComplete: () => codeStream.remove()
             });
@@ -1416,9 +1429,9 @@ class ChaosInitializer {
         const createGlitchLine = () => {
             // REPLACED: Circular glitch burst instead of ugly full-width line
             const glitchBurst = this.performanceElementManager.createElement('div', 'effect');
-            const size = Math.random() * 80 + 20;
-            const x = Math.random() * window.innerWidth;
-            const y = Math.random() * window.innerHeight;
+            const size = random() * 80 + 20;
+            const x = random() * window.innerWidth;
+            const y = random() * window.innerHeight;
 
             glitchBurst.style.cssText = `
                 position: absolute;
@@ -1455,10 +1468,10 @@ class ChaosInitializer {
                 return; // Skip this cycle if performance is poor
             }
             
-            if (Math.random() > 0.85) { // Reduced frequency from 0.8 to 0.85
+            if (random() > 0.85) { // Reduced frequency from 0.8 to 0.85
                 createGlitchLine();
-                if (Math.random() > 0.7) { // Reduced from 0.5 to 0.7
-                    setTimeout(createGlitchLine, 75); // Increased delay from 50 to 75ms
+                if (random() > 0.7) { // Reduced from 0.5 to 0.7
+                    scheduler.timeout(createGlitchLine, 75, { name: 'glitch-line', category: 'effect' }); // Increased delay from 50 to 75ms
                 }
             }
         }, 4500, 'glitch-lines', { // Increased interval from 3000 to 4500ms
@@ -1552,22 +1565,22 @@ class ChaosInitializer {
         const createArtifact = () => {
             const artifact = this.performanceElementManager.createElement('div', 'artifact');
             const types = ['horizontal', 'vertical', 'diagonal'];
-            const type = types[Math.floor(Math.random() * types.length)];
+            const type = types[Math.floor(random() * types.length)];
 
             artifact.style.cssText = `
                 position: fixed;
                 pointer-events: none;
                 z-index: 3;
-                opacity: ${Math.random() * 0.2 + 0.05};
+                opacity: ${random() * 0.2 + 0.05};
             `;
 
             if (type === 'horizontal') {
                 // REPLACED: Circular glitch burst instead of ugly full-width line
-                artifact.style.width = Math.random() * 60 + 20 + 'px'; // Small circular size
+                artifact.style.width = random() * 60 + 20 + 'px'; // Small circular size
                 artifact.style.height = artifact.style.width; // Make it circular
                 artifact.style.borderRadius = '50%'; // Perfect circle
-                artifact.style.left = Math.random() * window.innerWidth + 'px';
-                artifact.style.top = Math.random() * window.innerHeight + 'px';
+                artifact.style.left = random() * window.innerWidth + 'px';
+                artifact.style.top = random() * window.innerHeight + 'px';
                 artifact.style.background = `radial-gradient(circle,
                     rgba(0,255,133,0.6) 0%,
                     rgba(0,255,133,0.3) 50%,
@@ -1576,17 +1589,17 @@ class ChaosInitializer {
                 this.gsapRegistry.createAnimation('fromTo', artifact, {
                     scale: 3,
                     opacity: 0,
-                    duration: Math.random() * 2 + 1,
+                    duration: random() * 2 + 1,
                     ease: 'power2.out',
                     onComplete: () => this.performanceElementManager.removeElement(artifact)
                 }, 'artifact-circular', 'artifact', { fromVars: { scale: 0, opacity: 1 } });
             } else if (type === 'vertical') {
                 // REPLACED: Circular pulse instead of ugly full-height line
-                artifact.style.width = Math.random() * 40 + 15 + 'px'; // Small circular size
+                artifact.style.width = random() * 40 + 15 + 'px'; // Small circular size
                 artifact.style.height = artifact.style.width; // Make it circular
                 artifact.style.borderRadius = '50%'; // Perfect circle
-                artifact.style.left = Math.random() * window.innerWidth + 'px';
-                artifact.style.top = Math.random() * window.innerHeight + 'px';
+                artifact.style.left = random() * window.innerWidth + 'px';
+                artifact.style.top = random() * window.innerHeight + 'px';
                 artifact.style.background = `radial-gradient(circle,
                     rgba(255,0,255,0.6) 0%,
                     rgba(255,0,255,0.2) 70%,
@@ -1596,27 +1609,27 @@ class ChaosInitializer {
                     scale: 2.5,
                     opacity: 0,
                     rotation: 180,
-                    duration: Math.random() * 2 + 1,
+                    duration: random() * 2 + 1,
                     ease: 'power2.out',
                     onComplete: () => this.performanceElementManager.removeElement(artifact)
                 }, 'artifact-pulse', 'artifact', { fromVars: { scale: 0, opacity: 0.8, rotation: 0 } });
             } else {
                 // REPLACED: Small rotating circle instead of line
-                artifact.style.width = Math.random() * 30 + 10 + 'px';
+                artifact.style.width = random() * 30 + 10 + 'px';
                 artifact.style.height = artifact.style.width; // Make it circular
                 artifact.style.borderRadius = '50%'; // Perfect circle
                 artifact.style.background = `radial-gradient(circle,
                     rgba(0,255,255,0.8) 0%,
                     rgba(0,255,255,0.4) 60%,
                     transparent 100%)`;
-                artifact.style.left = Math.random() * window.innerWidth + 'px';
-                artifact.style.top = Math.random() * window.innerHeight + 'px';
+                artifact.style.left = random() * window.innerWidth + 'px';
+                artifact.style.top = random() * window.innerHeight + 'px';
 
                 this.gsapRegistry.createAnimation('to', artifact, {
                     rotation: '+=720',
                     scale: 0,
                     opacity: 0,
-                    duration: Math.random() * 3 + 1.5,
+                    duration: random() * 3 + 1.5,
                     ease: 'power2.in',
                     onComplete: () => this.performanceElementManager.removeElement(artifact)
                 }, 'artifact-rotating', 'artifact');
@@ -1633,7 +1646,7 @@ class ChaosInitializer {
                 return; // Skip this cycle if performance is poor
             }
             
-            if (Math.random() > 0.8) { // Reduced frequency from 0.7 to 0.8
+            if (random() > 0.8) { // Reduced frequency from 0.7 to 0.8
                 createArtifact();
             }
         }, 5000, 'digital-artifacts', { // Increased interval from 3000 to 5000ms
@@ -1719,11 +1732,11 @@ class ChaosInitializer {
         const createWave = () => {
             // REPLACED: Circular ripple effect instead of ugly horizontal bars
             const wave = this.performanceElementManager.createElement('div', 'effect');
-            const size = Math.random() * 100 + 50;
+            const size = random() * 100 + 50;
             wave.style.cssText = `
                 position: fixed;
-                left: ${Math.random() * window.innerWidth}px;
-                top: ${Math.random() * window.innerHeight}px;
+                left: ${random() * window.innerWidth}px;
+                top: ${random() * window.innerHeight}px;
                 width: ${size}px;
                 height: ${size}px;
                 border-radius: 50%;
@@ -1757,11 +1770,11 @@ class ChaosInitializer {
                 return; // Skip this cycle if performance is poor
             }
             
-            if (Math.random() > 0.9) { // Reduced frequency from 0.85 to 0.9
+            if (random() > 0.9) { // Reduced frequency from 0.85 to 0.9
                 createWave();
                 // Reduced multiple wave creation
-                if (Math.random() > 0.8) { // Reduced from 0.7 to 0.8
-                    setTimeout(createWave, 150);
+                if (random() > 0.8) { // Reduced from 0.7 to 0.8
+                    scheduler.timeout(createWave, 150, { name: 'corruption-wave', category: 'effect' });
                     // Removed third wave to reduce element creation
                 }
             }
@@ -1793,8 +1806,8 @@ class ChaosInitializer {
 
         const createParticle = () => {
             const particle = this.performanceElementManager.createElement('div', 'particle');
-            const angle = Math.random() * Math.PI * 2;
-            const distance = Math.random() * 100 + 50;
+            const angle = random() * Math.PI * 2;
+            const distance = random() * 100 + 50;
             const startX = Math.cos(angle) * distance;
             const startY = Math.sin(angle) * distance;
 
@@ -1824,7 +1837,7 @@ class ChaosInitializer {
                     y: -startY,
                     scale: 1,
                     opacity: 1,
-                    duration: Math.random() * 3 + 2,
+                    duration: random() * 3 + 2,
                     ease: 'sine.inOut',
                     onComplete: () => {
                         gsap.to(particle, {
@@ -1847,7 +1860,7 @@ class ChaosInitializer {
             }
             
             // Much more conservative particle creation
-            if (Math.random() > 0.75) { // Reduced frequency from 0.5 to 0.75
+            if (random() > 0.75) { // Reduced frequency from 0.5 to 0.75
                 createParticle();
             }
         }, 2000, 'quantum-particles', { // Increased interval from 500ms to 2000ms (4x slower!)
@@ -1889,10 +1902,10 @@ class ChaosInitializer {
 
             elements.forEach(el => {
                 gsap.to(el, {
-                    x: Math.random() * 4 - 2,  // Even smaller movement
-                    y: Math.random() * 4 - 2,  // Even smaller movement
-                    rotation: Math.random() * 2 - 1,  // Smaller rotation
-                    scale: 0.995 + Math.random() * 0.01,  // Minimal scale change
+                    x: random() * 4 - 2,  // Even smaller movement
+                    y: random() * 4 - 2,  // Even smaller movement
+                    rotation: random() * 2 - 1,  // Smaller rotation
+                    scale: 0.995 + random() * 0.01,  // Minimal scale change
                     duration: 0.4,
                     yoyo: true,
                     repeat: 1,
@@ -1903,11 +1916,11 @@ class ChaosInitializer {
 
         // Fewer chaos bursts
         for (let i = 0; i < 8; i++) {  // Reduced from 20
-            setTimeout(chaos, i * 300);  // Slower spacing
+            scheduler.timeout(chaos, i * 300, { name: 'chaos-burst', category: 'phase' });  // Slower spacing
         }
 
         // Reset after chaos
-        setTimeout(() => {
+        scheduler.timeout(() => {
             gsap.to('.logo-text-wrapper, .image-wrapper, .text-3886', {
                 x: 0,
                 y: 0,
@@ -1916,7 +1929,7 @@ class ChaosInitializer {
                 duration: 1.5,
                 ease: 'power2.out'
             });
-        }, 3000);
+        }, 3000, { name: 'chaos-reset', category: 'phase' });
     }
 
     phaseRetro() {
@@ -1978,11 +1991,11 @@ class ChaosInitializer {
         this.safeApplyFilter(document.body, 'contrast(1.1) saturate(1.1)', 1.5);
 
         // Remove after phase
-        setTimeout(() => {
+        scheduler.timeout(() => {
             crt.remove();
             style.remove();
             this.safeApplyFilter(document.body, 'none', 1.5);
-        }, 8000);
+        }, 8000, { name: 'retro-reset', category: 'phase' });
     }
 
     // New color-themed phases
@@ -2016,14 +2029,14 @@ class ChaosInitializer {
             ease: 'power2.inOut'
         });
 
-        setTimeout(() => {
+        scheduler.timeout(() => {
             gsap.to(overlay, {
                 opacity: 0,
                 duration: 1,
                 onComplete: () => overlay.remove()
             });
             this.safeApplyFilter(document.body, 'none', 2);
-        }, 10000);
+        }, 10000, { name: 'vaporwave-reset', category: 'phase' });
     }
 
     phaseCyberpunk() {
@@ -2056,14 +2069,14 @@ class ChaosInitializer {
             duration: 2
         });
 
-        setTimeout(() => {
+        scheduler.timeout(() => {
             gsap.to(grid, {
                 opacity: 0,
                 duration: 1,
                 onComplete: () => grid.remove()
             });
             this.safeApplyFilter(document.body, 'none', 2);
-        }, 10000);
+        }, 10000, { name: 'cyberpunk-reset', category: 'phase' });
     }
 
     phaseNeon() {
@@ -2098,10 +2111,10 @@ class ChaosInitializer {
             ease: 'sine.inOut'
         });
 
-        setTimeout(() => {
+        scheduler.timeout(() => {
             neonPulse.remove();
             this.safeApplyFilter(document.body, 'none', 2);
-        }, 10000);
+        }, 10000, { name: 'neon-reset', category: 'phase' });
     }
 
     phaseAurora() {
@@ -2188,16 +2201,19 @@ class ChaosInitializer {
         this.phaseRunning = false;
 
         // Clear all watchdog and monitoring intervals
-        if (this.watchdogIntervalId) {
-            clearInterval(this.watchdogIntervalId);
-            this.watchdogIntervalId = null;
+        if (this.watchdog) {
+            this.watchdog.cancel();
+            this.watchdog = null;
         }
 
-        if (this.greyFlashPreventionId) {
-            clearInterval(this.greyFlashPreventionId);
-            this.greyFlashPreventionId = null;
+        if (this.greyFlashPrevention) {
+            this.greyFlashPrevention.cancel();
+            this.greyFlashPrevention = null;
         }
 
+        // Phase runner, phase resets and effect timers
+        scheduler.cancelAll({ except: ['ambient', 'system'] });
+
         // Kill all GSAP animations and clear all properties
         gsap.killTweensOf('*');
         gsap.globalTimeline.clear();
@@ -2231,14 +2247,14 @@ class ChaosInitializer {
         }
         
         // Clear watchdog interval
-        if (this.watchdogIntervalId) {
-            clearInterval(this.watchdogIntervalId);
+        if (this.watchdog) {
+            this.watchdog.cancel();
             console.log('🗑️ Watchdog interval cleared');
         }
         
         // Clear grey flash prevention interval
-        if (this.greyFlashPreventionId) {
-            clearInterval(this.greyFlashPreventionId);
+        if (this.greyFlashPrevention) {
+            this.greyFlashPrevention.cancel();
             console.log('🗑️ Grey flash prevention cleared');
         }
         
@@ -2323,13 +2339,13 @@ class ChaosInitializer {
         this.safeApplyFilter(document.body, 'hue-rotate(15deg) saturate(1.4) brightness(1.1) contrast(1.05)', 2.5);
 
         // Reset after duration
-        setTimeout(() => {
+        scheduler.timeout(() => {
             gsap.to(document.body, {
                 filter: 'none',
                 duration: 2,
                 ease: 'power2.inOut'
             });
-        }, 8000);
+        }, 8000, { name: 'sunset-reset', category: 'phase' });
     }
 
     phaseOcean() {
@@ -2339,13 +2355,13 @@ class ChaosInitializer {
         // Deep blue/teal theme safely
         this.safeApplyFilter(document.body, 'hue-rotate(-45deg) saturate(1.2) brightness(0.95)', 2.5);
 
-        setTimeout(() => {
+        scheduler.timeout(() => {
             gsap.to(document.body, {
                 filter: 'none',
                 duration: 2,
                 ease: 'power2.inOut'
             });
-        }, 8000);
+        }, 8000, { name: 'ocean-reset', category: 'phase' });
     }
 
     phaseForest() {
@@ -2355,13 +2371,13 @@ class ChaosInitializer {
         // Deep green nature theme safely
         this.safeApplyFilter(document.body, 'hue-rotate(60deg) saturate(1.1) brightness(0.98)', 2.5);
 
-        setTimeout(() => {
+        scheduler.timeout(() => {
             gsap.to(document.body, {
                 filter: 'none',
                 duration: 2,
                 ease: 'power2.inOut'
             });
-        }, 8000);
+        }, 8000, { name: 'forest-reset', category: 'phase' });
     }
 
     phaseFire() {
@@ -2371,13 +2387,13 @@ class ChaosInitializer {
         // Intense red/orange safely
         this.safeApplyFilter(document.body, 'hue-rotate(25deg) saturate(1.5) brightness(1.05) contrast(1.1)', 2.5);
 
-        setTimeout(() => {
+        scheduler.timeout(() => {
             gsap.to(document.body, {
                 filter: 'none',
                 duration: 2,
                 ease: 'power2.inOut'
             });
-        }, 8000);
+        }, 8000, { name: 'fire-reset', category: 'phase' });
     }
 
     phaseIce() {
@@ -2387,13 +2403,13 @@ class ChaosInitializer {
         // Cool blue/white safely
         this.safeApplyFilter(document.body, 'hue-rotate(-30deg) saturate(1.2) brightness(1.05) contrast(1.02)', 2.5);
 
-        setTimeout(() => {
+        scheduler.timeout(() => {
             gsap.to(document.body, {
                 filter: 'none',
                 duration: 2,
                 ease: 'power2.inOut'
             });
-        }, 8000);
+        }, 8000, { name: 'ice-reset', category: 'phase' });
     }
 
     phaseGalaxy() {
@@ -2403,13 +2419,13 @@ class ChaosInitializer {
         // Deep purple/violet cosmic theme safely
         this.safeApplyFilter(document.body, 'hue-rotate(90deg) saturate(1.3) brightness(0.95) contrast(1.1)', 2.5);
 
-        setTimeout(() => {
+        scheduler.timeout(() => {
             gsap.to(document.body, {
                 filter: 'none',
                 duration: 2,
                 ease: 'power2.inOut'
             });
-        }, 8000);
+        }, 8000, { name: 'galaxy-reset', category: 'phase' });
     }
 
     addSubtleColorVariations() {
@@ -2490,7 +2506,7 @@ window.ChaosControl = {
     destroy: () => chaosInit.destroy(),
     restart: () => {
         chaosInit.destroy();
-        setTimeout(() => chaosInit.init(), 100);
+        scheduler.timeout(() => chaosInit.init(), 100, { name: 'chaos-restart', category: 'system', scaled: false, background: true });
     },
     // Add test function for matrix messages
     testMatrix: () => {
@@ -1,8 +1,36 @@
 // Professional VJ Control Panel for ZIKADA 3886
 // Comprehensive control system for all animations and effects
 
-import MATRIX_MESSAGES from './matrix-message-pool.js';
+import messageLibrary, { CONFIG_CATEGORIES } from './message-library.js';
 import intervalManager from './interval-manager.js';
+import { CHANNEL_NAME, SOURCES, createMessage, RequestTracker } from './vj-protocol.js';
+import VJTransport from './vj-transport.js';
+import { CUE_TYPES, normalizeSetlist } from './setlist-sequencer.js';
+import { PRESET_VERSION, normalizePreset } from './preset-state.js';
+import { normalizeSession } from './show-recorder.js';
+import seededRandom, { generateSeed } from './seeded-random.js';
+import { BLEND_MODES } from './layer-manager.js';
+import { VIDEO_MASKS } from './video-layer.js';
+const random = seededRandom.stream('dice');
+
+const SETLIST_STORAGE_KEY = '3886_setlist';
+const PRESET_STORAGE_KEY = '3886_preset_slots';
+const PRESET_SLOT_COUNT = 8;
+
+// Outputs: a row goes grey without a status heartbeat, then disappears
+const OUTPUT_OFFLINE_MS = 6000;
+const OUTPUT_FORGET_MS = 60000;
+// Connection handshakes always reach every output
+const UNTARGETED_TYPES = new Set(['ping', 'control_connect']);
+
+// Setlist cue type -> field holding the cue's value
+const CUE_VALUE_FIELDS = { matrix: 'message', trigger: 'effect', macro: 'macro', preset: 'preset' };
+
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, (ch) => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[ch]);
+}
 
 class ProfessionalVJControlPanel {
     constructor() {
@@ -12,12 +40,14 @@ class ProfessionalVJControlPanel {
         this.currentScene = 'auto';
         this.currentBPM = 120;
         this.lastMessageId = null;
+        // Pending requests sent with ack: true (see request())
+        this.requests = new RequestTracker();
 
         // Dice roll system for matrix messages
         this.diceRollInterval = null;
         this.diceCountdown = 15;
         this.lastDiceRoll = 0;
-        this.matrixMessages = MATRIX_MESSAGES;
+        this.matrixMessages = null; // pool recalled from a preset; null draws from the message library
 
         // Effect states
         this.effects = {
@@ -134,6 +164,25 @@ class ProfessionalVJControlPanel {
         // Don't replace the original HTML - just enhance it
         // this.createProfessionalUI();
         this.initEventListeners();
+        this.initAudioControls();
+        this.initBeatClockControls();
+        this.initRelayControls();
+        this.initOutputControls();
+        this.initCalibrationControls();
+        this.initLayerControls();
+        this.initVideoControls();
+        this.initLottieControls();
+        this.initCaptureControls();
+        this.initParticleControls();
+        this.initPostFXControls();
+        this.initPluginControls();
+        this.initPresetControls();
+        this.initMessageComposer();
+        this.initMessageLibrary();
+        this.initSetlistControls();
+        this.initSeedControls();
+        this.initPersistenceControls();
+        this.initShowRecorderControls();
         this.startConnectionMonitoring();
         this.startSystemMonitoring();
         this.startDiceRollCountdown();
@@ -146,7 +195,7 @@ class ProfessionalVJControlPanel {
 
     initBroadcastChannel() {
         try {
-            this.channel = new BroadcastChannel('3886_vj_control');
+            this.channel = VJTransport.shared(CHANNEL_NAME, { role: 'control' });
             // Disable LS bridge when BroadcastChannel is available
             this._useLocalStorageBridge = false;
             this.channel.onmessage = (event) => {
@@ -189,7 +238,7 @@ class ProfessionalVJControlPanel {
             } catch (e) {
                 console.warn('LocalStorage polling error:', e);
             }
-        }, 10000); // Further reduced to 10 seconds to prevent issues
+        }, 10000, { background: true }); // Further reduced to 10 seconds to prevent issues
     }
 
     createProfessionalUI() {
@@ -1079,30 +1128,7 @@ class ProfessionalVJControlPanel {
 
     initEventListeners() {
         // Scene buttons - with smooth phase transitions
-        document.querySelectorAll('.scene-btn').forEach(btn => {
-            btn.addEventListener('click', async () => {
-                const newScene = btn.dataset.scene;
-                if (newScene === this.currentScene) return; // Skip if already active
-                
-                // Use phase transition orchestrator for smooth cross-fade
-                await this.transitionPhase(newScene);
-                
-                // Update UI state
-                document.querySelectorAll('.scene-btn').forEach(b => b.classList.remove('active'));
-                btn.classList.add('active');
-                this.currentScene = newScene;
-                
-                // Send control message
-                this.sendMessage({
-                    type: 'scene_change',
-                    scene: this.currentScene,
-                    timestamp: Date.now()
-                });
-                
-                // Auto-scroll the scenes container to center the selected scene
-                this.scrollScenesTo(this.currentScene);
-            });
-        });
+        document.querySelectorAll('.scene-btn').forEach(btn => this.bindSceneButton(btn));
 
         // Anime.js system controls
         document.getElementById('animeEnable')?.addEventListener('click', () => {
@@ -1250,7 +1276,7 @@ class ProfessionalVJControlPanel {
                     this.effects[effectName].intensity = parseInt(value);
 
                     this.sendMessage({
-                        type: 'effect_intensity',
+                        type: 'fx_intensity',
                         effect: effectName,
                         intensity: parseInt(value),
                         timestamp: Date.now()
@@ -1292,10 +1318,9 @@ class ProfessionalVJControlPanel {
 
         // Emergency controls
         document.getElementById('emergencyStop')?.addEventListener('click', () => {
-            this.sendMessage({
-                type: 'emergency_stop',
-                timestamp: Date.now()
-            });
+            this.request({ type: 'emergency_stop' })
+                .then(() => console.log('🛑 Emergency stop acknowledged by main page'))
+                .catch((error) => console.warn('⚠️ Emergency stop not confirmed:', error.message));
         });
 
         document.getElementById('systemReset')?.addEventListener('click', () => {
@@ -1366,23 +1391,9 @@ class ProfessionalVJControlPanel {
         const bpmDisplay = document.getElementById('bpmValue');
         
         if (tapBPMBtn) {
+            // Tempo is averaged and phase-locked by the display's beat clock
             tapBPMBtn.addEventListener('click', () => {
-                const now = Date.now();
-                if (this.lastTap && (now - this.lastTap) < 3000) {
-                    const bpm = Math.round(60000 / (now - this.lastTap));
-                    this.currentBPM = bpm;
-                    
-                    // Update all displays
-                    if (bpmDisplay) bpmDisplay.textContent = bpm;
-                    if (bpmInput) bpmInput.value = bpm;
-
-                    this.sendMessage({
-                        type: 'bpm_change',
-                        bpm: bpm,
-                        timestamp: now
-                    });
-                }
-                this.lastTap = now;
+                this.sendMessage({ type: 'beat_tap', timestamp: Date.now() });
             });
         }
         
@@ -1441,26 +1452,7 @@ class ProfessionalVJControlPanel {
         });
 
         // Trigger FX buttons (with short cooldown to prevent spam)
-        document.querySelectorAll('.trigger-btn').forEach(btn => {
-            btn.addEventListener('click', () => {
-                const effect = btn.dataset.effect;
-                if (btn.disabled) return;
-                this.sendMessage({
-                    type: 'trigger_effect',
-                    effect: effect,
-                    timestamp: Date.now()
-                });
-
-                // Visual feedback
-                btn.classList.add('active');
-                setTimeout(() => btn.classList.remove('active'), 500);
-
-                // Cooldown
-                btn.disabled = true;
-                btn.classList.add('cooldown');
-                setTimeout(() => { btn.disabled = false; btn.classList.remove('cooldown'); }, 600);
-            });
-        });
+        document.querySelectorAll('.trigger-btn').forEach(btn => this.bindTriggerButton(btn));
 
         // Trigger theme + sliders - REMOVED
         // Feature removed from control panel
@@ -1520,13 +1512,13 @@ class ProfessionalVJControlPanel {
             });
         });
 
-        // Performance mode buttons (new header .mode-btn)
-        const modeBtns = document.querySelectorAll('.mode-btn');
+        // Performance mode buttons (new header .mode-btn; module sections reuse the class)
+        const modeBtns = document.querySelectorAll('.performance-modes .mode-btn');
         if (modeBtns && modeBtns.length) {
             modeBtns.forEach(btn => {
                 btn.addEventListener('click', () => {
                     const mode = btn.dataset.mode;
-                    document.querySelectorAll('.mode-btn').forEach(b => b.classList.remove('active'));
+                    modeBtns.forEach(b => b.classList.remove('active'));
                     btn.classList.add('active');
                     this.performance.mode = mode;
                     this.sendMessage({ type: 'performance_mode', mode, timestamp: Date.now() });
@@ -1549,7 +1541,7 @@ class ProfessionalVJControlPanel {
             this.animeSystem.enabled = false;
             this.updateAnimeSystemStatus();
             this.sendMessage({
-                type: 'anime_kill_all',
+                type: 'anime_kill',
                 timestamp: Date.now()
             });
         });
@@ -1727,162 +1719,2396 @@ class ProfessionalVJControlPanel {
         });
     }
 
-    updateAnimeSystemStatus() {
-        // Update the status text in the original HTML
-        const statusElement = document.getElementById('animeStatus');
-        if (statusElement) {
-            statusElement.textContent = this.animeSystem.enabled ? 'ENABLED' : 'DISABLED';
-            statusElement.className = this.animeSystem.enabled ? 'status-display enabled' : 'status-display';
-        }
+    // Audio input section: source selection, analyzer settings, live meters
+    bindSceneButton(btn) {
+        btn.addEventListener('click', async () => {
+            const newScene = btn.dataset.scene;
+            if (newScene === this.currentScene) return; // Skip if already active
+            
+            // Use phase transition orchestrator for smooth cross-fade
+            await this.transitionPhase(newScene);
+            
+            // Update UI state
+            document.querySelectorAll('.scene-btn').forEach(b => b.classList.remove('active'));
+            btn.classList.add('active');
+            this.currentScene = newScene;
+            
+            // Send control message
+            this.sendMessage({
+                type: 'scene_change',
+                scene: this.currentScene,
+                timestamp: Date.now()
+            });
+            
+            // Auto-scroll the scenes container to center the selected scene
+            this.scrollScenesTo(this.currentScene);
+        });
     }
 
-    updateLogoControlStatus() {
-        const logoToggle = document.getElementById('logoOutlineToggle');
-        if (logoToggle) {
-            const statusSpan = logoToggle.querySelector('.btn-status');
-            if (statusSpan) {
-                statusSpan.textContent = this.animeSystem.logoOutlines ? 'ON' : 'OFF';
-            }
+    bindTriggerButton(btn) {
+        btn.addEventListener('click', () => {
+            const effect = btn.dataset.effect;
+            if (btn.disabled) return;
+            this.sendMessage({
+                type: 'trigger_effect',
+                effect: effect,
+                timestamp: Date.now()
+            });
+
+            // Visual feedback
+            btn.classList.add('active');
+            setTimeout(() => btn.classList.remove('active'), 500);
+
+            // Cooldown
+            btn.disabled = true;
+            btn.classList.add('cooldown');
+            setTimeout(() => { btn.disabled = false; btn.classList.remove('cooldown'); }, 600);
+        });
+    }
+
+    initAudioControls() {
+        const fileInput = document.getElementById('audioTestFile');
+
+        document.querySelectorAll('.audio-source-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const source = btn.dataset.source;
+                if (source === 'file') {
+                    // Test mode: the file is posted to the display and looped there
+                    fileInput?.click();
+                    return;
+                }
+                this.sendMessage({ type: 'audio_input', source, timestamp: Date.now() });
+            });
+        });
+
+        fileInput?.addEventListener('change', () => {
+            const file = fileInput.files && fileInput.files[0];
+            if (!file) return;
+            this.sendMessage({ type: 'audio_input', source: 'file', file, name: file.name, timestamp: Date.now() });
+            fileInput.value = '';
+        });
+
+        const sliders = [
+            { id: 'audioGainSlider', key: 'gain', toValue: v => v / 100, label: v => `${v}%` },
+            { id: 'audioSmoothingSlider', key: 'smoothing', toValue: v => v / 100, label: v => `${v}%` },
+            { id: 'audioSensitivitySlider', key: 'sensitivity', toValue: v => v / 100, label: v => `${(v / 100).toFixed(1)}x` }
+        ];
+        sliders.forEach(({ id, key, toValue, label }) => {
+            const slider = document.getElementById(id);
+            if (!slider) return;
+            const valueEl = document.getElementById(id.replace('Slider', 'Value'));
+            const send = () => {
+                const raw = parseInt(slider.value);
+                if (valueEl) valueEl.textContent = label(raw);
+                this.sendMessage({ type: 'audio_settings', settings: { [key]: toValue(raw) }, timestamp: Date.now() });
+            };
+            slider.addEventListener('input', this._debounce(send, 50));
+            slider.addEventListener('change', send);
+        });
+    }
+
+    updateAudioStatus(data) {
+        document.querySelectorAll('.audio-source-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.source === (data.active ? data.source : 'off'));
+        });
+
+        const statusEl = document.getElementById('audioStatusText');
+        if (statusEl) {
+            statusEl.textContent = data.error
+                ? `ERROR: ${String(data.error).toUpperCase()}`
+                : (data.active ? `LIVE.${String(data.source).toUpperCase()}` : 'AUDIO.OFF');
+            statusEl.classList.toggle('error', !!data.error);
         }
+
+        // Reflect the display's persisted settings in the sliders
+        const settings = data.settings;
+        if (settings) {
+            const apply = (id, raw, label) => {
+                const slider = document.getElementById(id);
+                const valueEl = document.getElementById(id.replace('Slider', 'Value'));
+                if (slider) slider.value = String(raw);
+                if (valueEl) valueEl.textContent = label;
+            };
+            apply('audioGainSlider', Math.round(settings.gain * 100), `${Math.round(settings.gain * 100)}%`);
+            apply('audioSmoothingSlider', Math.round(settings.smoothing * 100), `${Math.round(settings.smoothing * 100)}%`);
+            apply('audioSensitivitySlider', Math.round(settings.sensitivity * 100), `${settings.sensitivity.toFixed(1)}x`);
+        }
+
+        if (!data.active) this.updateAudioLevels({ bass: 0, mid: 0, treble: 0, volume: 0 });
     }
 
-    updateAutoSceneHighlight(scene) {
-        // Remove auto-active from all and clear stale 'active' from non-auto buttons
-        const buttons = document.querySelectorAll('.scene-btn');
-        buttons.forEach(btn => {
-            btn.classList.remove('auto-active');
-            if (btn.dataset.scene !== 'auto') {
-                btn.classList.remove('active');
-            }
+    updateAudioLevels(levels = {}) {
+        document.querySelectorAll('.audio-meter').forEach(meter => {
+            const fill = meter.querySelector('.audio-meter__fill');
+            const value = Math.max(0, Math.min(1, Number(levels[meter.dataset.band]) || 0));
+            if (fill) fill.style.transform = `scaleX(${value.toFixed(3)})`;
         });
-        // Highlight current scene for AUTO mode
-        const currentBtn = document.querySelector(`.scene-btn[data-scene="${scene}"]`);
-        if (currentBtn) currentBtn.classList.add('auto-active');
-        // Ensure AUTO button shows active state to indicate auto mode
-        const autoBtn = document.querySelector('.scene-btn[data-scene="auto"], .scene-auto');
-        if (autoBtn) autoBtn.classList.add('active');
     }
 
-    // Smoothly center the given scene button or the currently active one
-    scrollScenesTo(scene) {
-        try {
-            const grid = document.querySelector('.scene-section .scene-grid');
-            if (!grid) return;
-            const target = scene
-                ? grid.querySelector(`.scene-btn[data-scene="${scene}"]`)
-                : (grid.querySelector('.scene-btn.active') || grid.querySelector('.scene-btn[data-scene="auto"]'));
-            if (target && typeof target.scrollIntoView === 'function') {
-                target.scrollIntoView({ behavior: 'smooth', block: 'center', inline: 'nearest' });
-            } else {
-                grid.scrollIntoView({ behavior: 'smooth', block: 'start', inline: 'nearest' });
-            }
-        } catch (_) {}
+    flashAudioOnset() {
+        const dot = document.getElementById('audioOnsetDot');
+        if (!dot) return;
+        dot.classList.add('hit');
+        clearTimeout(this._onsetDotTimeout);
+        this._onsetDotTimeout = setTimeout(() => dot.classList.remove('hit'), 80);
     }
 
-    // Schedule initial scroll after layout is ready
-    scheduleInitialSceneScroll() {
-        // Two RAFs to ensure layout calculations are settled
-        requestAnimationFrame(() => requestAnimationFrame(() => this.scrollScenesTo()));
+    initBeatClockControls() {
+        document.querySelectorAll('.beat-mode-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.sendMessage({ type: 'beat_mode', mode: btn.dataset.mode, timestamp: Date.now() });
+            });
+        });
+
+        document.querySelectorAll('.beat-quantize-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const quantize = btn.dataset.quantize;
+                document.querySelectorAll('.beat-quantize-btn').forEach(b => b.classList.toggle('active', b === btn));
+                this.sendMessage({ type: 'trigger_settings', settings: { quantize }, timestamp: Date.now() });
+            });
+        });
+
+        document.getElementById('beatResync')?.addEventListener('click', () => {
+            this.sendMessage({ type: 'beat_resync', timestamp: Date.now() });
+        });
     }
 
-    resetAllControls() {
-        // Reset all controls to default values
-        this.effects = {
-            holographic: { enabled: true, intensity: 50 },
-            dataStreams: { enabled: true, intensity: 75 },
-            strobeCircles: { enabled: false, intensity: 30 },
-            plasma: { enabled: true, intensity: 15 },
-            particles: { enabled: true, intensity: 50 },
-            noise: { enabled: true, intensity: 25 },
-            cyberGrid: { enabled: true, intensity: 80 }
-        };
+    updateBeatClock(data) {
+        if (typeof data.bpm === 'number') {
+            const rounded = Math.round(data.bpm);
+            this.currentBPM = rounded;
+            const bpmInput = document.getElementById('bpmInput');
+            // Don't fight the user while they are typing a value
+            if (bpmInput && document.activeElement !== bpmInput) bpmInput.value = String(rounded);
+            const bpmDisplay = document.getElementById('bpmValue');
+            if (bpmDisplay) bpmDisplay.textContent = rounded;
+            const clockBpm = document.getElementById('beatClockBpm');
+            if (clockBpm) clockBpm.textContent = data.bpm.toFixed(1);
+        }
 
-        this.colorMatrix = {
-            hue: 0,
-            saturation: 100,
-            brightness: 100,
-            contrast: 100
-        };
+        if (data.mode) {
+            document.querySelectorAll('.beat-mode-btn').forEach(btn => {
+                btn.classList.toggle('active', btn.dataset.mode === data.mode);
+            });
+        }
 
-        this.animeSystem.enabled = false;
-        this.animeSystem.logoOutlines = false;
+        const sourceEl = document.getElementById('beatClockSource');
+        if (sourceEl && data.source) {
+            const confidence = data.source === 'auto' ? ` ${Math.round((data.confidence || 0) * 100)}%` : '';
+            sourceEl.textContent = `${String(data.source).toUpperCase()}${confidence}`;
+        }
 
-        // Update UI
-        this.updateAllControlStates();
+        if (typeof data.beatInBar === 'number') {
+            document.querySelectorAll('.beat-dot').forEach(dot => {
+                dot.classList.toggle('active', Number(dot.dataset.beat) === data.beatInBar);
+            });
+            clearTimeout(this._beatDotTimeout);
+            this._beatDotTimeout = setTimeout(() => {
+                document.querySelectorAll('.beat-dot.active').forEach(dot => dot.classList.remove('active'));
+            }, 120);
+        }
     }
 
-    updateAllControlStates() {
-        // Update effect toggles and sliders
-        Object.entries(this.effects).forEach(([effect, state]) => {
-            const toggle = document.querySelector(`[data-effect="${effect}"]`);
-            if (toggle) {
-                toggle.textContent = state.enabled ? 'ON' : 'OFF';
-                toggle.setAttribute('data-state', state.enabled ? 'on' : 'off');
-            }
+    initRelayControls() {
+        const urlInput = document.getElementById('relayUrl');
+        const roomInput = document.getElementById('relayRoom');
+        const codeInput = document.getElementById('relayCode');
+        if (!urlInput) return;
+
+        // Prefill from the transport's active config (URL params or saved)
+        const status = this.channel?.getRelayStatus?.();
+        const saved = this.channel?.relayConfig;
+        if (saved) {
+            urlInput.value = saved.url || '';
+            if (roomInput) roomInput.value = saved.room || 'main';
+            if (codeInput) codeInput.value = saved.code || '';
+        }
 
-            const slider = document.getElementById(effect + 'Intensity');
-            if (slider) {
-                slider.value = state.intensity;
-                const valueSpan = slider.parentElement.querySelector('.slider-value');
-                if (valueSpan) {
-                    valueSpan.textContent = state.intensity + '%';
-                }
-            }
+        window.addEventListener('relayStatus', (e) => this.updateRelayStatus(e.detail));
+        if (status) this.updateRelayStatus(status);
+
+        document.getElementById('relayConnect')?.addEventListener('click', () => {
+            const url = urlInput.value.trim();
+            if (!url || !this.channel?.setRelay) return;
+            this.channel.setRelay({
+                url,
+                room: (roomInput?.value || 'main').trim(),
+                code: (codeInput?.value || '').trim()
+            });
         });
 
-        // Update color sliders
-        Object.entries(this.colorMatrix).forEach(([property, value]) => {
-            const slider = document.getElementById(property + 'Slider');
-            if (slider) {
-                slider.value = value;
-                const valueSpan = slider.parentElement.querySelector('.slider-value');
-                if (valueSpan) {
-                    const unit = property === 'hue' ? '°' : '%';
-                    valueSpan.textContent = value + unit;
-                }
+        document.getElementById('relayDisconnect')?.addEventListener('click', () => {
+            this.channel?.setRelay?.(null);
+        });
+    }
+
+    // Outputs: every display window reports output_status (output-manager.js). Picking
+    // a row sends everything that follows to that output only.
+    initOutputControls() {
+        this.outputs = new Map(); // id -> { status, lastSeen }
+        this.outputTarget = 'all';
+
+        document.getElementById('outputList')?.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-action]');
+            const row = btn?.closest('[data-output]');
+            if (!row) return;
+            const id = row.dataset.output;
+            if (btn.dataset.action === 'target') {
+                this.setOutputTarget(this.outputTarget === id ? 'all' : id);
+            } else if (btn.dataset.action === 'scenes') {
+                const current = this.outputs.get(id)?.status.scenes;
+                this.sendMessage({
+                    type: 'output_config',
+                    target: id,
+                    scenes: current === 'independent' ? 'mirror' : 'independent',
+                    timestamp: Date.now()
+                });
             }
         });
+        document.getElementById('outputTargetAll')?.addEventListener('click', () => this.setOutputTarget('all'));
 
-        this.updateAnimeSystemStatus();
-        this.updateLogoControlStatus();
+        intervalManager.set('prof-panel-output-monitor', () => this.renderOutputs(), 2000);
     }
 
-    sendMessage(data) {
-        data._id = Date.now().toString(36) + Math.random().toString(36).substr(2);
+    setOutputTarget(id) {
+        this.outputTarget = id;
+        this.renderOutputs();
+        this.renderCalibration();
+        this.renderLayers();
+    }
 
-        if (this.channel) {
-            this.channel.postMessage(data);
+    updateOutputStatus(data) {
+        this.outputs.set(data.output, { status: data, lastSeen: Date.now() });
+        this.renderOutputs();
+    }
+
+    renderOutputs() {
+        const list = document.getElementById('outputList');
+        if (!list) return;
+        const now = Date.now();
+        this.outputs.forEach((entry, id) => {
+            if (now - entry.lastSeen > OUTPUT_FORGET_MS) this.outputs.delete(id);
+        });
+        // A forgotten target falls back to every output
+        if (this.outputTarget !== 'all' && !this.outputs.has(this.outputTarget)) this.outputTarget = 'all';
+
+        const rows = [...this.outputs.entries()].sort(([a], [b]) => a.localeCompare(b));
+        list.innerHTML = rows.map(([id, { status, lastSeen }]) => {
+            const offline = now - lastSeen > OUTPUT_OFFLINE_MS;
+            const state = offline ? 'OFFLINE' : String(status.status || 'ok').toUpperCase();
+            const dot = offline || status.status === 'low-fps' ? 'error' : 'locked';
+            return `
+                <div class="output-row${offline ? ' offline' : ''}" data-output="${escapeHtml(id)}">
+                    <button class="mode-btn${this.outputTarget === id ? ' active' : ''}" data-action="target"
+                            title="Send controls to this output only">${escapeHtml(id.toUpperCase())}${status.leader ? ' ★' : ''}</button>
+                    <span class="clock-dot ${dot}" title="${escapeHtml(state)}"></span>
+                    <span class="output-row__fps">${offline ? '--' : Number(status.fps) || 0} FPS</span>
+                    <span class="output-row__scene">${escapeHtml(String(status.scene || '').toUpperCase())}</span>
+                    <button class="mode-btn" data-action="scenes" title="Mirror the leader or run independent scenes">${status.scenes === 'independent' ? 'INDEP' : 'MIRROR'}</button>
+                </div>`;
+        }).join('');
+
+        document.getElementById('outputTargetAll')?.classList.toggle('active', this.outputTarget === 'all');
+        const online = rows.filter(([, entry]) => now - entry.lastSeen <= OUTPUT_OFFLINE_MS).length;
+        const text = document.getElementById('outputStatusText');
+        if (text) {
+            text.textContent = rows.length
+                ? `${online}/${rows.length} ONLINE · SENDING TO ${this.outputTarget === 'all' ? 'ALL OUTPUTS' : this.outputTarget.toUpperCase()}`
+                : 'WAITING FOR DISPLAY';
+        }
+        const dot = document.getElementById('outputStatusDot');
+        if (dot) {
+            dot.classList.toggle('locked', rows.length > 0 && online === rows.length);
+            dot.classList.toggle('error', online < rows.length);
         }
+    }
 
-        // Use localStorage bridge only when BroadcastChannel is unavailable
-        if (this._useLocalStorageBridge) {
-            try { localStorage.setItem('3886_vj_message', JSON.stringify(data)); } catch {}
+    // Projection mapping: corner pin, mesh warp and edge blend of the targeted output
+    // (projection-mapper.js). Handles can also be dragged on the display itself.
+    initCalibrationControls() {
+        this.calibrations = new Map(); // output id -> calibration_state
+        this.calibrationCorner = 0;
+        this.calibrationStep = 1;
+
+        const send = (fields) => this.sendMessage({ type: 'calibration', ...fields, timestamp: Date.now() });
+        const current = () => this.calibrations.get(this.outputTarget) || this.calibrations.values().next().value;
+
+        document.getElementById('calibrationMode')?.addEventListener('click', () => send({ mode: !current()?.mode }));
+        document.getElementById('calibrationPattern')?.addEventListener('click', () => send({ testPattern: !current()?.testPattern }));
+        document.getElementById('calibrationReset')?.addEventListener('click', () => send({ reset: true }));
+        document.querySelectorAll('.calibration-corner-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.calibrationCorner = Number(btn.dataset.corner);
+                this.renderCalibration();
+            });
+        });
+        document.querySelectorAll('.calibration-nudge-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const [dx, dy] = btn.dataset.nudge.split(',').map(Number);
+                send({ nudge: { corner: this.calibrationCorner, dx: dx * this.calibrationStep, dy: dy * this.calibrationStep } });
+            });
+        });
+        document.getElementById('calibrationStep')?.addEventListener('click', (e) => {
+            this.calibrationStep = this.calibrationStep === 1 ? 10 : 1;
+            e.currentTarget.textContent = `${this.calibrationStep} PX`;
+        });
+        document.querySelectorAll('.calibration-mesh-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const size = Number(btn.dataset.mesh);
+                send({ mesh: { cols: size, rows: size } });
+            });
+        });
+        document.querySelectorAll('[data-blend]').forEach(slider => {
+            slider.addEventListener('input', () => {
+                const value = Number(slider.value);
+                const label = slider.nextElementSibling;
+                if (label) label.textContent = slider.dataset.blend === 'gamma' ? value.toFixed(2) : `${Math.round(value * 100)}%`;
+                send({ blend: { [slider.dataset.blend]: value } });
+            });
+        });
+    }
+
+    updateCalibrationState(data) {
+        this.calibrations.set(data.output, data);
+        this.renderCalibration();
+    }
+
+    renderCalibration() {
+        if (!this.calibrations) return;
+        const known = [...this.calibrations.keys()].filter(id => !this.outputs?.size || this.outputs.has(id));
+        const state = this.calibrations.get(this.outputTarget) || (known.length === 1 ? this.calibrations.get(known[0]) : null);
+
+        document.getElementById('calibrationMode')?.classList.toggle('active', !!state?.mode);
+        document.getElementById('calibrationPattern')?.classList.toggle('active', !!state?.testPattern);
+        document.querySelectorAll('.calibration-corner-btn').forEach(btn => {
+            btn.classList.toggle('active', Number(btn.dataset.corner) === this.calibrationCorner);
+        });
+        document.querySelectorAll('.calibration-mesh-btn').forEach(btn => {
+            btn.classList.toggle('active', Number(btn.dataset.mesh) === (state?.mesh.cols || 0));
+        });
+        if (state) {
+            document.querySelectorAll('[data-blend]').forEach(slider => {
+                if (document.activeElement === slider) return;
+                const value = Number(state.blend[slider.dataset.blend]) || 0;
+                slider.value = value;
+                const label = slider.nextElementSibling;
+                if (label) label.textContent = slider.dataset.blend === 'gamma' ? value.toFixed(2) : `${Math.round(value * 100)}%`;
+            });
+        }
+
+        const text = document.getElementById('calibrationStatusText');
+        if (text) {
+            if (!state) {
+                text.textContent = known.length ? `${known.length} OUTPUTS · PICK ONE IN OUTPUTS TO CALIBRATE` : 'WAITING FOR DISPLAY';
+            } else {
+                const [x, y] = state.corners[this.calibrationCorner];
+                const parts = [
+                    String(state.output).toUpperCase(),
+                    state.warped ? 'WARPED' : 'FLAT',
+                    `${['TL', 'TR', 'BR', 'BL'][this.calibrationCorner]} ${(x * 100).toFixed(1)}%, ${(y * 100).toFixed(1)}%`
+                ];
+                if (state.mesh.cols) parts.push(`MESH ${state.mesh.cols}×${state.mesh.rows}`);
+                if (state.mode) parts.push('CALIBRATING');
+                text.textContent = parts.join(' · ');
+            }
+        }
+        const dot = document.getElementById('calibrationStatusDot');
+        if (dot) {
+            dot.classList.toggle('locked', !!state?.warped);
+            dot.classList.toggle('error', !!state?.mode);
         }
     }
 
-    handleMainPageMessage(data) {
-        // Handle responses from main page
-        switch (data.type) {
-            case 'performance_update': {
-                if (typeof data.fps === 'number' && window.performanceBus && typeof window.performanceBus.ingestRemote === 'function') {
-                    window.performanceBus.ingestRemote(data.fps);
-                }
-                this.updatePerformanceDisplay(data);
-                break;
+    // Layer compositor of the targeted output (layer-manager.js): stack shown top first
+    initLayerControls() {
+        this.layerStates = new Map(); // output id -> layer_state
+
+        const send = (type, fields) => this.sendMessage({ type, ...fields, timestamp: Date.now() });
+        const sendOpacity = this._debounce((layer, opacity) => send('layer_update', { layer, opacity }), 50);
+        const stack = document.getElementById('layerStack');
+
+        stack?.addEventListener('click', (e) => {
+            const btn = e.target.closest('button[data-action]');
+            const row = btn?.closest('[data-layer-name]');
+            if (!row) return;
+            const layer = row.dataset.layerName;
+            const current = this._currentLayers()?.layers.find(entry => entry.name === layer);
+            switch (btn.dataset.action) {
+                case 'up':
+                case 'down':
+                    send('layer_order', { layer, move: btn.dataset.action === 'up' ? 1 : -1 });
+                    break;
+                case 'solo':
+                    send('layer_update', { layer, solo: !current?.solo });
+                    break;
+                case 'mute':
+                    send('layer_update', { layer, muted: !current?.muted });
+                    break;
             }
-            case 'matrix_message_displayed': {
-                // Update LAST MSG strictly on ACK from animation page
-                const lastMsgElement = document.getElementById('lastMatrixMessage');
-                if (lastMsgElement) {
-                    lastMsgElement.textContent = data.message || '—';
-                    lastMsgElement.style.color = '#00ff85';
-                    lastMsgElement.classList.add('triggered');
-                    setTimeout(() => {
-                        lastMsgElement.style.color = '#ff00ff';
-                        lastMsgElement.classList.remove('triggered');
-                    }, 3000);
-                }
-                break;
+        });
+        stack?.addEventListener('input', (e) => {
+            const row = e.target.closest('[data-layer-name]');
+            if (!row || e.target.dataset.action !== 'opacity') return;
+            const value = Number(e.target.value);
+            const label = e.target.nextElementSibling;
+            if (label) label.textContent = `${Math.round(value * 100)}%`;
+            sendOpacity(row.dataset.layerName, value);
+        });
+        stack?.addEventListener('change', (e) => {
+            const row = e.target.closest('[data-layer-name]');
+            if (!row || e.target.dataset.action !== 'blend') return;
+            send('layer_update', { layer: row.dataset.layerName, blend: e.target.value });
+        });
+        document.getElementById('layerReset')?.addEventListener('click', () => send('layer_reset', {}));
+    }
+
+    updateLayerState(data) {
+        this.layerStates.set(data.output, data);
+        this.renderLayers();
+
+        // Keep the visibility toggles in step with mutes made here or on the display
+        if (data.output === this.outputTarget || this.outputTarget === 'all') {
+            data.layers.forEach(layer => {
+                const btn = document.querySelector(`.layer-toggle-btn[data-layer="${layer.name}"]`);
+                if (!btn) return;
+                btn.dataset.state = layer.muted ? 'off' : 'on';
+                btn.textContent = layer.muted ? 'OFF' : 'ON';
+                btn.classList.toggle('active', !layer.muted);
+            });
+        }
+    }
+
+    _currentLayers() {
+        if (!this.layerStates) return null;
+        const known = [...this.layerStates.keys()].filter(id => !this.outputs?.size || this.outputs.has(id));
+        return this.layerStates.get(this.outputTarget) || (known.length === 1 ? this.layerStates.get(known[0]) : null);
+    }
+
+    renderLayers() {
+        const stack = document.getElementById('layerStack');
+        if (!stack || !this.layerStates) return;
+        const state = this._currentLayers();
+        const layers = state ? [...state.layers].reverse() : [];
+
+        // Rebuild only when the stack changes so a dragged slider keeps focus
+        const key = `${state?.output}|${layers.map(layer => layer.name).join(',')}`;
+        if (stack.dataset.key !== key) {
+            stack.dataset.key = key;
+            stack.innerHTML = layers.map((layer, i) => `
+                <div class="layer-row" data-layer-name="${escapeHtml(layer.name)}">
+                    <span class="layer-row__name">${escapeHtml(layer.label.toUpperCase())}</span>
+                    <span class="setlist-number layer-row__count"></span>
+                    <button class="setlist-icon-btn" data-action="up" title="Move up"${i === 0 ? ' disabled' : ''}>▲</button>
+                    <button class="setlist-icon-btn" data-action="down" title="Move down"${i === layers.length - 1 ? ' disabled' : ''}>▼</button>
+                    <input type="range" class="tempo-slider" data-action="opacity" min="0" max="1" step="0.05" aria-label="Opacity">
+                    <span class="tempo-value"></span>
+                    <select class="setlist-select" data-action="blend" aria-label="Blend mode">
+                        ${BLEND_MODES.map(mode => `<option value="${mode}">${mode.toUpperCase()}</option>`).join('')}
+                    </select>
+                    <button class="setlist-icon-btn" data-action="solo" title="Solo">S</button>
+                    <button class="setlist-icon-btn" data-action="mute" title="Mute">M</button>
+                </div>`).join('');
+        }
+
+        layers.forEach(layer => {
+            const row = stack.querySelector(`[data-layer-name="${CSS.escape(layer.name)}"]`);
+            if (!row) return;
+            row.classList.toggle('muted', layer.muted);
+            row.querySelector('.layer-row__count').textContent = layer.count;
+            row.querySelector('[data-action="solo"]').classList.toggle('active', layer.solo);
+            row.querySelector('[data-action="mute"]').classList.toggle('active', layer.muted);
+            const slider = row.querySelector('[data-action="opacity"]');
+            if (document.activeElement !== slider) {
+                slider.value = layer.opacity;
+                slider.nextElementSibling.textContent = `${Math.round(layer.opacity * 100)}%`;
+            }
+            const blend = row.querySelector('[data-action="blend"]');
+            if (document.activeElement !== blend) blend.value = layer.blend;
+        });
+
+        const text = document.getElementById('layerStatusText');
+        const known = [...this.layerStates.keys()].filter(id => !this.outputs?.size || this.outputs.has(id));
+        const changed = layers.filter(layer => layer.opacity < 1 || layer.blend !== 'normal' || layer.solo || layer.muted);
+        if (text) {
+            if (!state) {
+                text.textContent = known.length ? `${known.length} OUTPUTS · PICK ONE IN OUTPUTS TO COMPOSITE` : 'WAITING FOR DISPLAY';
+            } else {
+                const solo = layers.filter(layer => layer.solo).map(layer => layer.label.toUpperCase());
+                text.textContent = [
+                    String(state.output).toUpperCase(),
+                    `${layers.length} LAYERS`,
+                    solo.length ? `SOLO ${solo.join(', ')}` : `${changed.length} ADJUSTED`
+                ].join(' · ');
+            }
+        }
+        const dot = document.getElementById('layerStatusDot');
+        if (dot) {
+            dot.classList.toggle('locked', !!state);
+            dot.classList.toggle('error', layers.some(layer => layer.solo));
+        }
+    }
+
+    // Video layer: clip library, playlists and transition settings (video-layer.js).
+    // The playlist editor works on a draft until SAVE PLAYLIST.
+    initVideoControls() {
+        this.videoState = null;
+        this.videoDraft = { id: null, name: '', clips: [] };
+
+        const send = (type, fields = {}) => this.sendMessage({ type, ...fields, timestamp: Date.now() });
+        const sendSetting = this._debounce((key, value) => send('video_settings', { [key]: value }), 80);
+        const select = document.getElementById('videoPlaylistSelect');
+
+        select?.addEventListener('change', () => this.loadVideoDraft(select.value));
+        document.getElementById('videoPlay')?.addEventListener('click', () => {
+            if (select?.value) send('video_play', { playlist: select.value });
+        });
+        document.getElementById('videoNext')?.addEventListener('click', () => send('video_next'));
+        document.getElementById('videoStop')?.addEventListener('click', () => send('video_stop'));
+        document.querySelectorAll('.video-transition-btn').forEach(btn => {
+            btn.addEventListener('click', () => send('video_settings', { transition: btn.dataset.transition }));
+        });
+        document.querySelectorAll('.video-sync-btn').forEach(btn => {
+            btn.addEventListener('click', () => send('video_settings', { sync: btn.dataset.sync }));
+        });
+        document.querySelectorAll('[data-video-setting]').forEach(slider => {
+            slider.addEventListener('input', () => {
+                const value = Number(slider.value);
+                slider.nextElementSibling.textContent = this._videoSettingLabel(slider.dataset.videoSetting, value);
+                sendSetting(slider.dataset.videoSetting, value);
+            });
+        });
+        document.getElementById('videoShuffle')?.addEventListener('click', () => {
+            send('video_settings', { shuffle: !this.videoState?.settings.shuffle });
+        });
+        document.getElementById('videoLoop')?.addEventListener('click', () => {
+            send('video_settings', { loop: !this.videoState?.settings.loop });
+        });
+
+        const clipList = document.getElementById('videoClipList');
+        clipList?.addEventListener('click', (e) => {
+            const btn = e.target.closest('button[data-action]');
+            const clip = btn?.closest('[data-clip]')?.dataset.clip;
+            if (!clip) return;
+            if (btn.dataset.action === 'play') {
+                send('video_play', { clip });
+            } else if (btn.dataset.action === 'add') {
+                this.videoDraft.clips.push(clip);
+                this.renderVideoDraft();
+            }
+        });
+        clipList?.addEventListener('change', (e) => {
+            const clip = e.target.closest('[data-clip]')?.dataset.clip;
+            const field = e.target.dataset.action;
+            if (clip && (field === 'blend' || field === 'mask')) send('video_clip', { clip, [field]: e.target.value });
+        });
+
+        document.getElementById('videoPlaylistDraft')?.addEventListener('click', (e) => {
+            const btn = e.target.closest('button[data-action="remove"]');
+            if (!btn) return;
+            this.videoDraft.clips.splice(Number(btn.dataset.index), 1);
+            this.renderVideoDraft();
+        });
+        document.getElementById('videoPlaylistName')?.addEventListener('input', (e) => {
+            this.videoDraft.name = e.target.value;
+        });
+        document.getElementById('videoPlaylistSave')?.addEventListener('click', () => {
+            const name = this.videoDraft.name.trim();
+            if (!name || !this.videoDraft.clips.length) {
+                this.showVideoStatus('NAME THE PLAYLIST AND ADD CLIPS FIRST', true);
+                return;
+            }
+            // Renaming saves a new playlist; the same name replaces the loaded one
+            const loaded = this.videoState?.playlists.find(playlist => playlist.id === this.videoDraft.id);
+            send('video_playlist', {
+                playlist: { id: loaded?.name === name ? loaded.id : undefined, name, clips: [...this.videoDraft.clips] }
+            });
+        });
+        document.getElementById('videoPlaylistDelete')?.addEventListener('click', () => {
+            if (select?.value) send('video_playlist_delete', { playlist: select.value });
+        });
+    }
+
+    loadVideoDraft(id) {
+        const playlist = this.videoState?.playlists.find(entry => entry.id === id);
+        this.videoDraft = { id: playlist?.id || null, name: playlist?.name || '', clips: [...(playlist?.clips || [])] };
+        const input = document.getElementById('videoPlaylistName');
+        if (input) input.value = this.videoDraft.name;
+        this.renderVideoDraft();
+        const remove = document.getElementById('videoPlaylistDelete');
+        if (remove) remove.disabled = !playlist || playlist.builtIn;
+    }
+
+    updateVideoState(data) {
+        const firstState = !this.videoState;
+        this.videoState = data;
+        this.renderVideo();
+        if (firstState) this.loadVideoDraft(document.getElementById('videoPlaylistSelect')?.value);
+    }
+
+    _videoSettingLabel(key, value) {
+        if (key === 'rate') return `${value.toFixed(2)}×`;
+        return key === 'fade' ? `${value.toFixed(1)}s` : `${Math.round(value)}s`;
+    }
+
+    renderVideo() {
+        const state = this.videoState;
+        if (!state) return;
+        const { settings, playing } = state;
+
+        const select = document.getElementById('videoPlaylistSelect');
+        if (select) {
+            const selected = select.value || playing?.playlist;
+            select.innerHTML = state.playlists.map(playlist =>
+                `<option value="${escapeHtml(playlist.id)}">${escapeHtml(playlist.name)} (${playlist.clips.length})</option>`
+            ).join('');
+            if (state.playlists.some(playlist => playlist.id === selected)) select.value = selected;
+        }
+
+        // Rebuild the clip rows only when the library changes so open selects stay put
+        const clipList = document.getElementById('videoClipList');
+        if (clipList) {
+            const key = state.clips.map(clip => clip.id).join(',');
+            if (clipList.dataset.key !== key) {
+                clipList.dataset.key = key;
+                clipList.innerHTML = state.clips.map(clip => `
+                    <div class="video-clip" data-clip="${escapeHtml(clip.id)}">
+                        <span class="video-clip__label">${escapeHtml(clip.label)}</span>
+                        <button class="setlist-icon-btn" data-action="play" title="Play now">▶</button>
+                        <button class="setlist-icon-btn" data-action="add" title="Add to playlist">+</button>
+                        <select class="setlist-select" data-action="blend" aria-label="Blend mode">
+                            ${BLEND_MODES.map(mode => `<option value="${mode}">${mode.toUpperCase()}</option>`).join('')}
+                        </select>
+                        <select class="setlist-select" data-action="mask" aria-label="Mask">
+                            ${VIDEO_MASKS.map(mask => `<option value="${mask}">${mask === 'none' ? 'NO MASK' : mask.toUpperCase()}</option>`).join('')}
+                        </select>
+                    </div>`).join('');
+            }
+            state.clips.forEach(clip => {
+                const row = clipList.querySelector(`[data-clip="${CSS.escape(clip.id)}"]`);
+                if (!row) return;
+                row.classList.toggle('active', playing?.clip === clip.id);
+                ['blend', 'mask'].forEach(field => {
+                    const input = row.querySelector(`[data-action="${field}"]`);
+                    if (document.activeElement !== input) input.value = clip[field];
+                });
+            });
+        }
+
+        document.querySelectorAll('.video-transition-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.transition === settings.transition);
+        });
+        document.querySelectorAll('.video-sync-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.sync === settings.sync);
+        });
+        document.querySelectorAll('[data-video-setting]').forEach(slider => {
+            if (document.activeElement === slider) return;
+            const value = Number(settings[slider.dataset.videoSetting]);
+            slider.value = value;
+            slider.nextElementSibling.textContent = this._videoSettingLabel(slider.dataset.videoSetting, value);
+        });
+        document.getElementById('videoShuffle')?.classList.toggle('active', settings.shuffle);
+        document.getElementById('videoLoop')?.classList.toggle('active', settings.loop);
+        this.renderVideoDraft();
+
+        if (!state.ready) {
+            this.showVideoStatus('LOADING MANIFEST');
+        } else if (playing) {
+            const clip = state.clips.find(entry => entry.id === playing.clip);
+            const playlist = state.playlists.find(entry => entry.id === playing.playlist);
+            const parts = [`PLAYING ${String(clip?.label || playing.clip).toUpperCase()}`];
+            if (playlist) parts.push(`${playlist.name.toUpperCase()} ${playing.index + 1}/${playlist.clips.length}`);
+            this.showVideoStatus(parts.join(' · '));
+        } else {
+            this.showVideoStatus(`STOPPED · ${state.clips.length} CLIPS`);
+        }
+        document.getElementById('videoStatusDot')?.classList.toggle('locked', !!playing);
+    }
+
+    renderVideoDraft() {
+        const list = document.getElementById('videoPlaylistDraft');
+        if (!list) return;
+        const labels = new Map((this.videoState?.clips || []).map(clip => [clip.id, clip.label]));
+        list.innerHTML = this.videoDraft.clips.length
+            ? this.videoDraft.clips.map((id, index) => `
+                <div class="video-clip">
+                    <span class="setlist-number">${index + 1}</span>
+                    <span class="video-clip__label">${escapeHtml(labels.get(id) || id)}</span>
+                    <button class="setlist-icon-btn" data-action="remove" data-index="${index}" title="Remove">✕</button>
+                </div>`).join('')
+            : '<div class="video-clip video-clip--empty">ADD CLIPS WITH +</div>';
+    }
+
+    showVideoStatus(message, isError = false) {
+        const text = document.getElementById('videoStatusText');
+        if (text) text.textContent = message;
+        document.getElementById('videoStatusDot')?.classList.toggle('error', isError);
+    }
+
+    // Lottie: schedule switch, per-animation play/stop (held until stopped) and
+    // opacity, and which animations the display is showing
+    initLottieControls() {
+        this.lottieState = null;
+
+        const send = (type, fields = {}) => this.sendMessage({ type, ...fields, timestamp: Date.now() });
+        const sendOpacity = this._debounce((animation, opacity) => send('lottie_opacity', { animation, opacity }), 80);
+        const sendMax = this._debounce((maxConcurrent) => send('lottie_settings', { maxConcurrent }), 80);
+
+        document.getElementById('lottieAuto')?.addEventListener('click', () => {
+            send('lottie_settings', { auto: !(this.lottieState?.auto ?? true) });
+        });
+        document.getElementById('lottieStopAll')?.addEventListener('click', () => send('lottie_stop'));
+        const max = document.getElementById('lottieMaxConcurrent');
+        max?.addEventListener('input', () => {
+            max.nextElementSibling.textContent = max.value;
+            sendMax(Number(max.value));
+        });
+
+        const list = document.getElementById('lottieList');
+        list?.addEventListener('click', (e) => {
+            const btn = e.target.closest('button[data-action]');
+            const animation = btn?.closest('[data-lottie]')?.dataset.lottie;
+            if (!animation) return;
+            if (btn.dataset.action === 'toggle') {
+                const shown = this.lottieState?.visible.includes(animation);
+                send(shown ? 'lottie_stop' : 'lottie_play', { animation });
+            } else if (btn.dataset.action === 'reset') {
+                send('lottie_opacity', { animation, opacity: null });
+            }
+        });
+        list?.addEventListener('input', (e) => {
+            if (e.target.dataset.action !== 'opacity') return;
+            const animation = e.target.closest('[data-lottie]')?.dataset.lottie;
+            const value = Number(e.target.value);
+            e.target.nextElementSibling.textContent = `${Math.round(value * 100)}%`;
+            sendOpacity(animation, value);
+        });
+    }
+
+    updateLottieState(data) {
+        this.lottieState = data;
+        this.renderLottie();
+    }
+
+    renderLottie() {
+        const state = this.lottieState;
+        if (!state) return;
+
+        // Rebuild only when the manifest changes so a dragged slider keeps focus
+        const list = document.getElementById('lottieList');
+        if (list) {
+            const key = state.animations.map(animation => animation.id).join(',');
+            if (list.dataset.key !== key) {
+                list.dataset.key = key;
+                list.innerHTML = state.animations.map(animation => `
+                    <div class="lottie-row" data-lottie="${escapeHtml(animation.id)}">
+                        <span class="lottie-row__label">${escapeHtml(animation.label)}</span>
+                        <button class="setlist-icon-btn" data-action="toggle"></button>
+                        <input type="range" class="tempo-slider" data-action="opacity" min="0" max="1" step="0.01" aria-label="Opacity">
+                        <span class="tempo-value"></span>
+                        <button class="setlist-icon-btn" data-action="reset" title="Manifest opacity">↺</button>
+                    </div>`).join('');
+            }
+            state.animations.forEach(animation => {
+                const row = list.querySelector(`[data-lottie="${CSS.escape(animation.id)}"]`);
+                if (!row) return;
+                row.classList.toggle('visible', animation.visible);
+                row.classList.toggle('disabled', !animation.enabled);
+                const toggle = row.querySelector('[data-action="toggle"]');
+                toggle.disabled = !animation.enabled;
+                toggle.textContent = animation.visible ? '■' : '▶';
+                toggle.title = animation.visible ? 'Stop' : 'Play until stopped';
+                const slider = row.querySelector('[data-action="opacity"]');
+                if (document.activeElement !== slider) {
+                    slider.value = animation.opacity;
+                    slider.nextElementSibling.textContent = `${Math.round(animation.opacity * 100)}%`;
+                }
+            });
+        }
+
+        document.getElementById('lottieAuto')?.classList.toggle('active', state.auto);
+        const max = document.getElementById('lottieMaxConcurrent');
+        if (max && document.activeElement !== max) {
+            max.value = state.maxConcurrent;
+            max.nextElementSibling.textContent = state.maxConcurrent;
+        }
+
+        const text = document.getElementById('lottieStatusText');
+        if (text) {
+            const labels = new Map(state.animations.map(animation => [animation.id, animation.label]));
+            const showing = state.visible.map(id => String(labels.get(id) || id).toUpperCase());
+            text.textContent = [
+                !state.ready ? 'LOADING MANIFEST' : (showing.length ? `SHOWING ${showing.join(', ')}` : 'NOTHING SHOWN'),
+                state.auto ? null : 'SCHEDULE OFF',
+                state.scene ? `SCENE ${String(state.scene).toUpperCase()}` : null
+            ].filter(Boolean).join(' · ');
+        }
+        document.getElementById('lottieStatusDot')?.classList.toggle('locked', state.visible.length > 0);
+    }
+
+    // Output capture: WebM recordings (live, or rendered offline frame by frame) and
+    // PNG stills. The download links are the display's blob URLs, so they open from a
+    // panel in the same browser; SAVE downloads the file on the display instead.
+    initCaptureControls() {
+        this.captureState = null;
+
+        const send = (type, fields = {}) => this.sendMessage({ type, ...fields, timestamp: Date.now() });
+        const sendSetting = this._debounce((key, value) => send('capture_settings', { [key]: value }), 80);
+
+        document.querySelectorAll('.capture-mode-btn').forEach(btn => {
+            btn.addEventListener('click', () => send('capture_settings', { mode: btn.dataset.mode }));
+        });
+        document.querySelectorAll('.capture-fps-btn').forEach(btn => {
+            btn.addEventListener('click', () => send('capture_settings', { fps: Number(btn.dataset.fps) }));
+        });
+        document.getElementById('captureResolution')?.addEventListener('change', (e) => {
+            send('capture_settings', { resolution: e.target.value });
+        });
+        document.querySelectorAll('[data-capture-setting]').forEach(slider => {
+            slider.addEventListener('input', () => {
+                const value = Number(slider.value);
+                slider.nextElementSibling.textContent = this._captureSettingLabel(slider.dataset.captureSetting, value);
+                sendSetting(slider.dataset.captureSetting, value);
+            });
+        });
+        document.getElementById('captureStart')?.addEventListener('click', () => send('capture_start'));
+        document.getElementById('captureStop')?.addEventListener('click', () => send('capture_stop'));
+        document.getElementById('captureSnapshot')?.addEventListener('click', () => send('capture_snapshot'));
+        document.getElementById('captureFiles')?.addEventListener('click', (e) => {
+            const btn = e.target.closest('button[data-action="save"]');
+            const file = btn?.closest('[data-file]')?.dataset.file;
+            if (file) send('capture_save', { file });
+        });
+    }
+
+    updateCaptureState(data) {
+        this.captureState = data;
+        this.renderCapture();
+    }
+
+    _captureSettingLabel(key, value) {
+        return key === 'bitrate' ? `${Math.round(value)} Mbit/s` : `${Math.round(value)}s`;
+    }
+
+    renderCapture() {
+        const state = this.captureState;
+        if (!state) return;
+        const { settings, recording } = state;
+
+        document.querySelectorAll('.capture-mode-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.mode === settings.mode);
+        });
+        document.querySelectorAll('.capture-fps-btn').forEach(btn => {
+            btn.classList.toggle('active', Number(btn.dataset.fps) === settings.fps);
+        });
+        const resolution = document.getElementById('captureResolution');
+        if (resolution && document.activeElement !== resolution) resolution.value = settings.resolution;
+        document.querySelectorAll('[data-capture-setting]').forEach(slider => {
+            if (document.activeElement === slider) return;
+            const value = Number(settings[slider.dataset.captureSetting]);
+            slider.value = value;
+            slider.nextElementSibling.textContent = this._captureSettingLabel(slider.dataset.captureSetting, value);
+        });
+
+        const start = document.getElementById('captureStart');
+        if (start) start.disabled = !state.supported || !!recording;
+        const stop = document.getElementById('captureStop');
+        if (stop) stop.disabled = !recording;
+        const counter = document.getElementById('captureCounter');
+        if (counter) counter.textContent = this._formatClock(recording ? recording.elapsed : 0);
+
+        const list = document.getElementById('captureFiles');
+        if (list) {
+            const key = state.files.map(file => file.id).join(',');
+            if (list.dataset.key !== key) {
+                list.dataset.key = key;
+                list.innerHTML = state.files.length
+                    ? state.files.map(file => `
+                        <div class="capture-file" data-file="${escapeHtml(file.id)}">
+                            <a class="capture-file__link" href="${escapeHtml(file.url)}" download="${escapeHtml(file.name)}" title="Download">${escapeHtml(file.name)}</a>
+                            <span class="setlist-number">${file.kind === 'png' ? `${file.width}×${file.height}` : this._formatClock(file.duration)}</span>
+                            <span class="setlist-number">${(file.size / 1e6).toFixed(1)} MB</span>
+                            <button class="setlist-icon-btn" data-action="save" title="Save on the display">⤓</button>
+                        </div>`).join('')
+                    : '<div class="capture-file capture-file--empty">NO RECORDINGS YET</div>';
+            }
+        }
+
+        const text = document.getElementById('captureStatusText');
+        if (text) {
+            if (!state.supported) {
+                text.textContent = 'THE DISPLAY BROWSER CANNOT RECORD';
+            } else if (recording?.mode === 'offline') {
+                text.textContent = `RENDERING FRAME ${recording.frames}/${recording.totalFrames} · ${recording.width}×${recording.height}`;
+            } else if (recording) {
+                text.textContent = `REC · ${recording.width}×${recording.height} · ${recording.fps} FPS`;
+            } else if (state.error) {
+                text.textContent = String(state.error).toUpperCase();
+            } else {
+                text.textContent = `READY · ${state.files.length} FILES`;
+            }
+        }
+        const dot = document.getElementById('captureStatusDot');
+        dot?.classList.toggle('locked', !!recording);
+        dot?.classList.toggle('error', !state.supported || (!recording && !!state.error));
+    }
+
+    // Show state the display keeps across reloads and crashes. START CLEAN drops it
+    // and reloads the display; turning restore off keeps it but boots fresh.
+    initPersistenceControls() {
+        this.persistenceState = null;
+
+        document.getElementById('persistenceRestore')?.addEventListener('click', () => {
+            this.sendMessage({ type: 'persistence_settings', restore: !(this.persistenceState?.restore ?? true), timestamp: Date.now() });
+        });
+        document.getElementById('persistenceClean')?.addEventListener('click', () => {
+            const text = document.getElementById('persistenceStatusText');
+            if (text) text.textContent = 'CLEARING · RELOADING DISPLAY…';
+            this.sendMessage({ type: 'persistence_clean', timestamp: Date.now() });
+        });
+    }
+
+    updatePersistenceState(data) {
+        this.persistenceState = data;
+        const time = (ms) => new Date(ms).toLocaleTimeString();
+
+        document.getElementById('persistenceRestore')?.classList.toggle('active', data.restore);
+        const saved = document.getElementById('persistenceSaved');
+        if (saved) {
+            saved.textContent = data.savedAt
+                ? `${time(data.savedAt)} · ${String(data.scene || 'auto').toUpperCase()}`
+                : '—';
+        }
+
+        const text = document.getElementById('persistenceStatusText');
+        if (text) {
+            if (data.error) {
+                text.textContent = String(data.error).toUpperCase();
+            } else if (data.pending) {
+                text.textContent = 'RESTORING ONCE THE SHOW STARTS…';
+            } else if (data.restored) {
+                text.textContent = `${data.restored.crashed ? 'RECOVERED AFTER CRASH' : 'RESTORED'} · STATE FROM ${time(data.restored.savedAt)}`;
+            } else if (data.skipped) {
+                text.textContent = `STARTED CLEAN · ${String(data.skipped).toUpperCase()}`;
+            } else {
+                text.textContent = data.savedAt ? 'SAVING' : 'NOTHING SAVED YET';
+            }
+        }
+        const dot = document.getElementById('persistenceStatusDot');
+        dot?.classList.toggle('locked', !data.error && !!data.savedAt);
+        dot?.classList.toggle('error', !!data.error || !!data.restored?.crashed);
+    }
+
+    updateRelayStatus(status = {}) {
+        const dot = document.getElementById('relayStatusDot');
+        const text = document.getElementById('relayStatusText');
+        const link = document.getElementById('relayDisplayLink');
+
+        if (dot) {
+            dot.classList.toggle('locked', status.state === 'connected');
+            dot.classList.toggle('error', status.state === 'error');
+        }
+        if (text) {
+            let label = `RELAY.${String(status.state || 'off').toUpperCase()}`;
+            if (status.state === 'connected' && status.peers) {
+                label += ` · ${status.peers.display || 0} DISPLAY / ${status.peers.control || 0} PANEL`;
+            }
+            if (status.error) label += ` · ${String(status.error).toUpperCase()}`;
+            text.textContent = label;
+            text.classList.toggle('error', status.state === 'error');
+        }
+
+        // URL to open on the projector PC so the display joins the same room
+        if (link) {
+            const config = this.channel?.relayConfig;
+            if (config && config.url) {
+                const params = new URLSearchParams({ relay: config.url, room: config.room || 'main', code: config.code || '' });
+                link.textContent = `DISPLAY: ${new URL(`index.html?${params}`, window.location.href)}`;
+            } else {
+                link.textContent = '';
+            }
+        }
+    }
+
+    // Preset slots: SAVE captures the display's full state into a slot, clicking a
+    // filled slot recalls it (crossfading over FADE seconds), A→B fades between two slots.
+    initPresetControls() {
+        const slotsEl = document.getElementById('presetSlots');
+        if (!slotsEl) return;
+
+        this.presetSlots = this.loadPresetSlots();
+        this.presetSlotMode = 'recall'; // recall | save | clear
+
+        slotsEl.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-slot]');
+            if (btn) this.handlePresetSlot(Number(btn.dataset.slot));
+        });
+
+        ['save', 'clear'].forEach(mode => {
+            document.getElementById(`preset${mode === 'save' ? 'Save' : 'Clear'}Mode`)?.addEventListener('click', () => {
+                this.setPresetSlotMode(this.presetSlotMode === mode ? 'recall' : mode);
+            });
+        });
+
+        const fadeSlider = document.getElementById('presetFadeSlider');
+        const fadeValue = document.getElementById('presetFadeValue');
+        fadeSlider?.addEventListener('input', () => {
+            const seconds = Number(fadeSlider.value) / 10;
+            if (fadeValue) fadeValue.textContent = seconds === 0 ? 'CUT' : `${seconds.toFixed(1)}s`;
+        });
+
+        document.getElementById('presetCrossfade')?.addEventListener('click', () => {
+            const from = this.presetSlots[Number(document.getElementById('presetA')?.value)];
+            const to = this.presetSlots[Number(document.getElementById('presetB')?.value)];
+            if (!from || !to) {
+                this.showPresetStatus('PICK TWO FILLED SLOTS', true);
+                return;
+            }
+            // A→B always fades, 4s when the fader is at CUT
+            this.sendMessage({ type: 'preset_load', preset: to, from, duration: this.presetFadeSeconds() || 4, timestamp: Date.now() });
+        });
+
+        // JSON import / export of the whole bank
+        const fileInput = document.getElementById('presetFile');
+        document.getElementById('presetImport')?.addEventListener('click', () => fileInput?.click());
+        fileInput?.addEventListener('change', async () => {
+            const file = fileInput.files && fileInput.files[0];
+            fileInput.value = '';
+            if (!file) return;
+            try {
+                this.importPresets(JSON.parse(await file.text()));
+            } catch (error) {
+                console.warn('⚠️ Preset import failed:', error.message);
+                this.showPresetStatus(`IMPORT: ${error.message}`, true);
+            }
+        });
+        document.getElementById('presetExport')?.addEventListener('click', () => {
+            const bank = { version: PRESET_VERSION, presets: this.presetSlots };
+            const blob = new Blob([JSON.stringify(bank, null, 2)], { type: 'application/json' });
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = '3886-presets.json';
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+        });
+
+        this.renderPresetSlots();
+    }
+
+    loadPresetSlots() {
+        const slots = new Array(PRESET_SLOT_COUNT).fill(null);
+        try {
+            const stored = JSON.parse(localStorage.getItem(PRESET_STORAGE_KEY) || '[]');
+            stored.slice(0, PRESET_SLOT_COUNT).forEach((preset, i) => {
+                if (preset) slots[i] = normalizePreset(preset);
+            });
+        } catch (error) {
+            console.warn('⚠️ Stored presets unreadable:', error.message);
+        }
+        return slots;
+    }
+
+    storePresetSlots() {
+        try { localStorage.setItem(PRESET_STORAGE_KEY, JSON.stringify(this.presetSlots)); } catch (_) {}
+        this.renderPresetSlots();
+    }
+
+    findPresetSlot(name) {
+        const wanted = String(name).trim().toLowerCase();
+        return this.presetSlots?.find(preset => preset && preset.name.toLowerCase() === wanted) || null;
+    }
+
+    presetFadeSeconds() {
+        return Number(document.getElementById('presetFadeSlider')?.value || 0) / 10;
+    }
+
+    setPresetSlotMode(mode) {
+        this.presetSlotMode = mode;
+        document.getElementById('presetSaveMode')?.classList.toggle('active', mode === 'save');
+        document.getElementById('presetClearMode')?.classList.toggle('active', mode === 'clear');
+        document.getElementById('presetSlots')?.classList.toggle('preset-slots--armed', mode !== 'recall');
+    }
+
+    async handlePresetSlot(index) {
+        const mode = this.presetSlotMode;
+        this.setPresetSlotMode('recall');
+
+        if (mode === 'clear') {
+            this.presetSlots[index] = null;
+            this.storePresetSlots();
+            return;
+        }
+
+        if (mode === 'save') {
+            const nameInput = document.getElementById('presetName');
+            const name = nameInput?.value.trim() || `PRESET ${index + 1}`;
+            try {
+                const reply = await this.request({ type: 'preset_capture', name });
+                this.presetSlots[index] = normalizePreset(reply.preset);
+                this.storePresetSlots();
+                if (nameInput) nameInput.value = '';
+                this.showPresetStatus(`SAVED ${name} → SLOT ${index + 1}`);
+            } catch (error) {
+                this.showPresetStatus(`SAVE FAILED: ${error.message}`, true);
+            }
+            return;
+        }
+
+        const preset = this.presetSlots[index];
+        if (!preset) return;
+        // Panel-side dice rolls draw from the recalled pool too
+        if (preset.matrixPool?.length) this.matrixMessages = [...preset.matrixPool];
+        this.sendMessage({ type: 'preset_load', preset, duration: this.presetFadeSeconds(), timestamp: Date.now() });
+    }
+
+    // Accepts an exported bank ({ presets: [...] }) or a single preset
+    importPresets(data) {
+        if (Array.isArray(data?.presets)) {
+            this.presetSlots = new Array(PRESET_SLOT_COUNT).fill(null);
+            data.presets.slice(0, PRESET_SLOT_COUNT).forEach((preset, i) => {
+                this.presetSlots[i] = preset ? normalizePreset(preset) : null;
+            });
+            this.storePresetSlots();
+            this.showPresetStatus(`IMPORTED ${this.presetSlots.filter(Boolean).length} PRESETS`);
+            return;
+        }
+        const preset = normalizePreset(data);
+        const free = this.presetSlots.findIndex(slot => !slot);
+        if (free === -1) throw new Error('All slots are full');
+        this.presetSlots[free] = preset;
+        this.storePresetSlots();
+        this.showPresetStatus(`IMPORTED ${preset.name} → SLOT ${free + 1}`);
+    }
+
+    renderPresetSlots() {
+        document.querySelectorAll('#presetSlots [data-slot]').forEach(btn => {
+            const preset = this.presetSlots[Number(btn.dataset.slot)];
+            btn.textContent = preset ? preset.name.toUpperCase() : `${Number(btn.dataset.slot) + 1} · EMPTY`;
+            btn.classList.toggle('filled', !!preset);
+        });
+
+        const options = this.presetSlots.map((preset, i) =>
+            `<option value="${i}">${i + 1} · ${escapeHtml(preset ? preset.name.toUpperCase() : 'EMPTY')}</option>`
+        ).join('');
+        ['presetA', 'presetB'].forEach((id, n) => {
+            const select = document.getElementById(id);
+            if (!select) return;
+            const current = select.value || String(n);
+            select.innerHTML = options;
+            select.value = current;
+        });
+    }
+
+    updatePresetStatus(data) {
+        const name = String(data.name || '').toUpperCase();
+        if (data.state === 'fading') {
+            this.showPresetStatus(`FADING → ${name} ${Math.round((data.progress || 0) * 100)}%`);
+        } else {
+            this.showPresetStatus(`ACTIVE: ${name}`);
+        }
+        document.querySelectorAll('#presetSlots [data-slot]').forEach(btn => {
+            const preset = this.presetSlots[Number(btn.dataset.slot)];
+            btn.classList.toggle('active', !!preset && preset.name.toUpperCase() === name);
+        });
+    }
+
+    showPresetStatus(message, isError = false) {
+        const text = document.getElementById('presetStatusText');
+        if (text) {
+            text.textContent = String(message).toUpperCase();
+            text.classList.toggle('error', isError);
+        }
+        const dot = document.getElementById('presetStatusDot');
+        if (dot) {
+            dot.classList.toggle('error', isError);
+            dot.classList.toggle('locked', !isError);
+        }
+    }
+
+    // Particles: waves run in the vertex shader; flock and attractor are GPGPU
+    // simulations (gpu-particles.js) with a larger particle budget.
+    initParticleControls() {
+        document.querySelectorAll('.particle-mode-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.sendMessage({ type: 'particle_mode', mode: btn.dataset.particleMode, timestamp: Date.now() });
+            });
+        });
+    }
+
+    updateParticleState(data) {
+        document.querySelectorAll('.particle-mode-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.particleMode === data.mode);
+        });
+        const fallback = data.active !== data.mode;
+        const text = document.getElementById('particleStatusText');
+        if (text) {
+            text.textContent = `${data.active.toUpperCase()} · ${Number(data.count).toLocaleString()} PARTICLES`
+                + (data.gpgpu ? ' · GPGPU' : '')
+                + (fallback ? ' · GPGPU UNSUPPORTED' : '');
+        }
+        const dot = document.getElementById('particleStatusDot');
+        if (dot) {
+            dot.classList.toggle('error', fallback);
+            dot.classList.toggle('locked', !fallback);
+        }
+    }
+
+    // Post FX: the display's ChaosEngine pass pipeline (postfx-pipeline.js). Rows are
+    // built from postfx_state, so new passes show up without panel changes.
+    initPostFXControls() {
+        const list = document.getElementById('postfxPasses');
+        if (!list) return;
+        this.postfxState = null;
+
+        list.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-action]');
+            const row = btn?.closest('[data-pass]');
+            if (!row || !this.postfxState) return;
+            const name = row.dataset.pass;
+            if (btn.dataset.action === 'toggle') {
+                const pass = this.postfxState.passes.find(p => p.name === name);
+                this.sendMessage({ type: 'postfx_pass', pass: name, enabled: !pass?.enabled, timestamp: Date.now() });
+                return;
+            }
+            const order = [...this.postfxState.order];
+            const from = order.indexOf(name);
+            const to = from + (btn.dataset.action === 'up' ? -1 : 1);
+            if (from < 0 || to < 0 || to >= order.length) return;
+            [order[from], order[to]] = [order[to], order[from]];
+            this.sendMessage({ type: 'postfx_order', order, timestamp: Date.now() });
+        });
+
+        list.addEventListener('input', (e) => {
+            const slider = e.target.closest('[data-param]');
+            const row = slider?.closest('[data-pass]');
+            if (!row) return;
+            const value = Number(slider.value);
+            const label = slider.nextElementSibling;
+            if (label) label.textContent = this._formatParam(value);
+            this.sendMessage({
+                type: 'postfx_pass',
+                pass: row.dataset.pass,
+                params: { [slider.dataset.param]: value },
+                timestamp: Date.now()
+            });
+        });
+
+        document.getElementById('postfxReset')?.addEventListener('click', () => {
+            this.sendMessage({ type: 'postfx_reset', duration: 1, timestamp: Date.now() });
+        });
+    }
+
+    _formatParam(value) {
+        return Math.abs(value) < 0.1 ? value.toFixed(4) : value.toFixed(2);
+    }
+
+    updatePostFXState(data) {
+        this.postfxState = data;
+        const list = document.getElementById('postfxPasses');
+        if (!list) return;
+
+        // Don't rebuild under a slider that is being dragged
+        if (!list.contains(document.activeElement) || document.activeElement.tagName !== 'INPUT') {
+            list.innerHTML = data.passes.map((pass, i) => {
+                const label = pass.name.replace(/([A-Z])/g, ' $1').toUpperCase();
+                const params = Object.entries(pass.params).map(([key, param]) => `
+                    <div class="tempo-control">
+                        <span class="tempo-label">${escapeHtml(key.toUpperCase())}</span>
+                        <input type="range" class="tempo-slider" data-param="${escapeHtml(key)}"
+                               min="${param.min}" max="${param.max}" step="${(param.max - param.min) / 200}" value="${param.value}">
+                        <span class="tempo-value">${this._formatParam(Number(param.value) || 0)}</span>
+                    </div>`).join('');
+                const controls = pass.locked ? '' : `
+                        <button class="mode-btn" data-action="up" aria-label="Move earlier"${i <= 1 ? ' disabled' : ''}>▲</button>
+                        <button class="mode-btn" data-action="down" aria-label="Move later"${i === data.passes.length - 1 ? ' disabled' : ''}>▼</button>`;
+                return `
+                <div class="postfx-pass" data-pass="${escapeHtml(pass.name)}">
+                    <div class="postfx-pass__head">
+                        <button class="mode-btn" data-action="toggle"${pass.locked ? ' disabled' : ''}>${escapeHtml(label)}</button>${controls}
+                    </div>${params}
+                </div>`;
+            }).join('');
+        }
+
+        data.passes.forEach(pass => {
+            const row = list.querySelector(`[data-pass="${CSS.escape(pass.name)}"]`);
+            if (!row) return;
+            row.classList.toggle('active', pass.active);
+            row.classList.toggle('held', pass.enabled && !pass.active);
+            row.querySelector('[data-action="toggle"]')?.classList.toggle('active', pass.enabled);
+        });
+
+        const active = data.passes.filter(p => p.active).length;
+        const text = document.getElementById('postfxStatusText');
+        if (text) {
+            text.textContent = `${active}/${data.passes.length} PASSES ACTIVE`
+                + (data.lowQuality ? ' · LOW QUALITY: HEAVY PASSES HELD' : '');
+        }
+        document.getElementById('postfxStatusDot')?.classList.add('locked');
+    }
+
+    // Plugins: effect packs registered on the display (plugin-registry.js). Their
+    // scenes, toggles and triggers join the built-in grids; parameters get sliders here.
+    initPluginControls() {
+        document.getElementById('pluginParams')?.addEventListener('input', (e) => {
+            const slider = e.target.closest('[data-param]');
+            if (!slider) return;
+            const value = Number(slider.value);
+            const label = slider.nextElementSibling;
+            if (label) label.textContent = this._formatParam(value);
+            this.sendMessage({
+                type: 'plugin_param',
+                plugin: slider.dataset.plugin,
+                param: slider.dataset.param,
+                value,
+                timestamp: Date.now()
+            });
+        });
+    }
+
+    updatePluginManifest(data) {
+        const plugins = data.plugins || [];
+        const list = document.getElementById('pluginParams');
+        const dragging = list?.contains(document.activeElement) && document.activeElement.tagName === 'INPUT';
+
+        document.querySelectorAll('[data-plugin-item]').forEach(el => el.remove());
+
+        const sceneGrid = document.querySelector('.scene-grid');
+        const autoBtn = sceneGrid?.querySelector('.scene-auto');
+        const triggerGrid = document.querySelector('.trigger-effects-container');
+        const toggleGrid = document.querySelector('.effect-toggles .toggle-grid');
+
+        plugins.forEach(plugin => {
+            plugin.scenes.forEach(scene => {
+                if (!sceneGrid) return;
+                const btn = document.createElement('button');
+                btn.className = 'scene-btn';
+                btn.dataset.scene = scene.name;
+                btn.dataset.pluginItem = plugin.id;
+                btn.textContent = scene.label.toUpperCase();
+                btn.classList.toggle('active', scene.name === this.currentScene);
+                sceneGrid.insertBefore(btn, autoBtn);
+                this.bindSceneButton(btn);
+            });
+            plugin.triggers.forEach(trigger => {
+                if (!triggerGrid) return;
+                const btn = document.createElement('button');
+                btn.className = 'trigger-btn';
+                btn.dataset.effect = trigger.name;
+                btn.dataset.pluginItem = plugin.id;
+                btn.title = `${plugin.name}: ${trigger.label}`;
+                btn.textContent = trigger.label.toUpperCase();
+                triggerGrid.appendChild(btn);
+                this.bindTriggerButton(btn);
+            });
+            // Toggle clicks are delegated (initEventListeners)
+            plugin.toggles.forEach(toggle => {
+                if (!toggleGrid) return;
+                const item = document.createElement('div');
+                item.className = 'toggle-item';
+                item.dataset.pluginItem = plugin.id;
+                item.innerHTML = `
+                    <label>${escapeHtml(toggle.label)}</label>
+                    <button class="effect-toggle-btn${toggle.enabled ? ' active' : ''}" data-effect="${escapeHtml(toggle.name)}"
+                            data-state="${toggle.enabled ? 'on' : 'off'}">${toggle.enabled ? 'ON' : 'OFF'}</button>`;
+                toggleGrid.appendChild(item);
+                this.effects[toggle.name] = { enabled: toggle.enabled, intensity: 50 };
+            });
+        });
+
+        if (list && !dragging) {
+            list.innerHTML = plugins.filter(plugin => plugin.params.length).map(plugin => `
+                <div class="plugin-block">
+                    <span class="plugin-block__name">${escapeHtml(plugin.name.toUpperCase())}</span>${plugin.params.map(param => `
+                    <div class="tempo-control">
+                        <span class="tempo-label">${escapeHtml(param.label.toUpperCase())}</span>
+                        <input type="range" class="tempo-slider" data-plugin="${escapeHtml(plugin.id)}" data-param="${escapeHtml(param.name)}"
+                               min="${param.min}" max="${param.max}" step="${param.step}" value="${param.value}">
+                        <span class="tempo-value">${this._formatParam(Number(param.value) || 0)}</span>
+                    </div>`).join('')}
+                </div>`).join('');
+        }
+
+        const count = (kind) => plugins.reduce((sum, plugin) => sum + plugin[kind].length, 0);
+        const text = document.getElementById('pluginStatusText');
+        if (text) {
+            text.textContent = plugins.length
+                ? `${plugins.length} PLUGIN${plugins.length === 1 ? '' : 'S'} · ${count('scenes')} SCENES · ${count('toggles')} TOGGLES · ${count('triggers')} TRIGGERS`
+                : 'NO PLUGINS LOADED';
+        }
+        document.getElementById('pluginStatusDot')?.classList.toggle('locked', plugins.length > 0);
+        this.updateActiveEffectsCount();
+    }
+
+    // Show recorder: the display records what it receives and replays sessions
+    // through its own message handler (show-recorder.js); the panel drives it
+    // and keeps the last recording for download.
+    initShowRecorderControls() {
+        this.showState = null;
+        this.showSession = null;
+
+        document.getElementById('showRecord')?.addEventListener('click', async () => {
+            if (!this.showState?.recording.active) {
+                const name = document.getElementById('showRecordName')?.value.trim();
+                this.sendMessage({ type: 'show_record_start', name: name || undefined, timestamp: Date.now() });
+                return;
+            }
+            try {
+                const reply = await this.request({ type: 'show_record_stop' });
+                if (!reply.session) throw new Error('display was not recording');
+                this.showSession = reply.session;
+                const download = document.getElementById('showDownload');
+                if (download) download.disabled = false;
+                this.showRecorderStatus(`RECORDED ${reply.session.events.length} EVENTS · ${this._formatClock(reply.session.duration / 1000)}`);
+            } catch (error) {
+                this.showRecorderStatus(`STOP FAILED: ${error.message}`, true);
+            }
+        });
+
+        document.getElementById('showDownload')?.addEventListener('click', () => {
+            if (!this.showSession) return;
+            const blob = new Blob([JSON.stringify(this.showSession, null, 2)], { type: 'application/json' });
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = `${this.showSession.name.replace(/[^\w-]+/g, '_') || 'session'}.json`;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+        });
+
+        const fileInput = document.getElementById('showFile');
+        document.getElementById('showLoad')?.addEventListener('click', () => fileInput?.click());
+        fileInput?.addEventListener('change', async () => {
+            const file = fileInput.files && fileInput.files[0];
+            fileInput.value = '';
+            if (!file) return;
+            try {
+                const session = normalizeSession(JSON.parse(await file.text()));
+                await this.request({ type: 'show_replay_load', session });
+                this.showSession = session;
+                const download = document.getElementById('showDownload');
+                if (download) download.disabled = false;
+            } catch (error) {
+                console.warn('⚠️ Session load failed:', error.message);
+                this.showRecorderStatus(`LOAD: ${error.message}`, true);
+            }
+        });
+
+        document.getElementById('showPlay')?.addEventListener('click', () => {
+            const playing = this.showState?.replay.state === 'playing';
+            this.sendMessage({
+                type: playing ? 'show_replay_pause' : 'show_replay_play',
+                speed: playing ? undefined : this.showReplaySpeed(),
+                timestamp: Date.now()
+            });
+        });
+        document.getElementById('showStop')?.addEventListener('click', () => {
+            this.sendMessage({ type: 'show_replay_stop', timestamp: Date.now() });
+        });
+
+        const speedSlider = document.getElementById('showSpeedSlider');
+        const sendSpeed = this._debounce(() => {
+            this.sendMessage({ type: 'show_replay_speed', speed: this.showReplaySpeed(), timestamp: Date.now() });
+        }, 150);
+        speedSlider?.addEventListener('input', () => {
+            const speedValue = document.getElementById('showSpeedValue');
+            if (speedValue) speedValue.textContent = `${this.showReplaySpeed().toFixed(2)}x`;
+            sendSpeed();
+        });
+
+        const seek = document.getElementById('showSeek');
+        seek?.addEventListener('input', () => { this._showSeeking = true; });
+        seek?.addEventListener('change', () => {
+            this._showSeeking = false;
+            const duration = this.showState?.replay.duration || 0;
+            if (!duration) return;
+            this.sendMessage({ type: 'show_replay_seek', time: (Number(seek.value) / 1000) * duration / 1000, timestamp: Date.now() });
+        });
+    }
+
+    showReplaySpeed() {
+        return Number(document.getElementById('showSpeedSlider')?.value || 100) / 100;
+    }
+
+    _formatClock(seconds) {
+        const total = Math.max(0, Math.floor(seconds));
+        return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+    }
+
+    updateShowState(data) {
+        this.showState = data;
+        const { recording, replay } = data;
+
+        const recordBtn = document.getElementById('showRecord');
+        if (recordBtn) {
+            recordBtn.textContent = recording.active ? '■ STOP REC' : '● REC';
+            recordBtn.classList.toggle('active', recording.active);
+        }
+        const playBtn = document.getElementById('showPlay');
+        if (playBtn) {
+            playBtn.textContent = replay.state === 'playing' ? 'PAUSE' : 'PLAY';
+            playBtn.classList.toggle('active', replay.state === 'playing');
+        }
+
+        const seek = document.getElementById('showSeek');
+        if (seek && !this._showSeeking) {
+            seek.value = replay.duration ? Math.round((replay.position / replay.duration) * 1000) : 0;
+        }
+        const position = document.getElementById('showPosition');
+        if (position) position.textContent = this._formatClock(replay.position / 1000);
+
+        if (recording.active) {
+            this.showRecorderStatus(`● REC ${(recording.name || '').toUpperCase()} · ${recording.events} EVENTS · ${this._formatClock(recording.duration / 1000)}`);
+        } else if (replay.name) {
+            this.showRecorderStatus(`${replay.state.toUpperCase()} · ${replay.name.toUpperCase()} · `
+                + `${replay.index}/${replay.events} · ${this._formatClock(replay.duration / 1000)} · ${replay.speed.toFixed(2)}x`);
+        } else if (!this.showSession) {
+            this.showRecorderStatus('RECORDER.IDLE');
+        }
+        document.getElementById('showStatusDot')?.classList.toggle('locked', recording.active || replay.state === 'playing');
+    }
+
+    showRecorderStatus(message, isError = false) {
+        const text = document.getElementById('showStatusText');
+        if (text) {
+            text.textContent = String(message).toUpperCase();
+            text.classList.toggle('error', isError);
+        }
+        document.getElementById('showStatusDot')?.classList.toggle('error', isError);
+    }
+
+    // Random seed: the display owns the seed; the panel mirrors it so its dice
+    // stream (rollDice) replays along with the display's phases and effects.
+    initSeedControls() {
+        const input = document.getElementById('seedInput');
+        const send = (seed, replay = false) => {
+            const value = String(seed || '').trim();
+            if (!value) return;
+            if (input) input.value = value;
+            this.sendMessage({ type: 'random_seed', seed: value, replay });
+        };
+
+        document.getElementById('seedApply')?.addEventListener('click', () => send(input?.value));
+        document.getElementById('seedNew')?.addEventListener('click', () => send(generateSeed()));
+        document.getElementById('seedReplay')?.addEventListener('click', () => {
+            send(input?.value || seededRandom.seed, true);
+            // The display reloads and reports back; restart the dice stream now
+            seededRandom.setSeed(input?.value || seededRandom.seed, 'replay');
+            this.showSeedStatus(`REPLAY · SEED ${seededRandom.seed} · RELOADING`);
+        });
+        input?.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') send(input.value);
+        });
+    }
+
+    updateSeedState(data) {
+        if (!data.seed) return;
+        if (data.seed !== seededRandom.seed) seededRandom.setSeed(data.seed, data.mode);
+        const input = document.getElementById('seedInput');
+        if (input && document.activeElement !== input) input.value = data.seed;
+        this.showSeedStatus(`${data.mode === 'replay' ? 'REPLAY' : 'LIVE'} · SEED ${data.seed}`);
+    }
+
+    showSeedStatus(message) {
+        const text = document.getElementById('seedStatusText');
+        if (text) text.textContent = String(message).toUpperCase();
+        document.getElementById('seedStatusDot')?.classList.add('locked');
+    }
+
+    // Message composer: shout-outs and announcements queued on the display
+    // (message-queue.js) with style, hold time, position, priority and clock time
+    initMessageComposer() {
+        const textInput = document.getElementById('composerText');
+        if (!textInput) return;
+
+        this.messageQueueState = { paused: false, gap: 4, current: null, queue: [], history: [] };
+
+        const queue = (now) => {
+            const text = textInput.value.trim();
+            if (!text) return;
+            const id = this.composeMessage({
+                text,
+                style: document.getElementById('composerStyle')?.value,
+                position: document.getElementById('composerPosition')?.value,
+                priority: now ? 'high' : document.getElementById('composerPriority')?.value,
+                duration: Number(document.getElementById('composerDuration')?.value) || 2.5,
+                at: now ? null : this._composerTime(document.getElementById('composerAt')?.value)
+            });
+            if (now) this.sendMessage({ type: 'message_queue_play', id, timestamp: Date.now() });
+            textInput.value = '';
+        };
+
+        textInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') queue(false);
+        });
+        document.getElementById('composerSend')?.addEventListener('click', () => queue(true));
+        document.getElementById('composerQueue')?.addEventListener('click', () => queue(false));
+        document.getElementById('composerPause')?.addEventListener('click', () => {
+            this.sendMessage({ type: 'message_queue_settings', paused: !this.messageQueueState.paused, timestamp: Date.now() });
+        });
+        document.getElementById('composerClear')?.addEventListener('click', () => {
+            this.sendMessage({ type: 'message_queue_clear', timestamp: Date.now() });
+        });
+        document.getElementById('composerGap')?.addEventListener('change', (e) => {
+            this.sendMessage({ type: 'message_queue_settings', gap: Number(e.target.value) || 0, timestamp: Date.now() });
+        });
+
+        document.getElementById('composerQueueList')?.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-action]');
+            const id = btn?.closest('[data-id]')?.dataset.id;
+            if (!id) return;
+            const type = btn.dataset.action === 'play' ? 'message_queue_play' : 'message_queue_remove';
+            this.sendMessage({ type, id, timestamp: Date.now() });
+        });
+        // History items go back into the queue as they were shown
+        document.getElementById('composerHistory')?.addEventListener('click', (e) => {
+            const row = e.target.closest('[data-index]');
+            const item = row && this.messageQueueState.history[Number(row.dataset.index)];
+            if (item) this.composeMessage({ ...item, at: null });
+        });
+    }
+
+    /**
+     * Queue a message on the display; the id is shared by every output
+     * @returns {string} message id
+     */
+    composeMessage({ text, style, position, priority, duration, at }) {
+        const id = `msg-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+        this.sendMessage({ type: 'message_queue_add', id, text, style, position, priority, duration, at: at || undefined, timestamp: Date.now() });
+        return id;
+    }
+
+    // 'HH:MM' -> next time the clock shows it
+    _composerTime(value) {
+        if (!value) return null;
+        const [hours, minutes] = value.split(':').map(Number);
+        const at = new Date();
+        at.setHours(hours, minutes, 0, 0);
+        if (at.getTime() <= Date.now()) at.setDate(at.getDate() + 1);
+        return at.getTime();
+    }
+
+    updateMessageQueueState(data) {
+        if (this.outputTarget !== 'all' && data.output !== this.outputTarget) return;
+        this.messageQueueState = data;
+
+        const clock = (time) => new Date(time).toTimeString().slice(0, 5);
+        const list = document.getElementById('composerQueueList');
+        if (list) {
+            list.innerHTML = data.queue.length ? data.queue.map(item => `
+                <div class="setlist-entry composer-item composer-item--${escapeHtml(item.priority)}" data-id="${escapeHtml(item.id)}">
+                    <span class="composer-item__when">${item.at ? clock(item.at) : 'NEXT'}</span>
+                    <span class="composer-item__text" title="${escapeHtml(`${item.style} · ${item.position} · ${item.duration}s`)}">${escapeHtml(item.text)}</span>
+                    <button class="setlist-icon-btn" data-action="play" title="Show next">▶</button>
+                    <button class="setlist-icon-btn" data-action="remove" title="Remove">×</button>
+                </div>`).join('') : '<div class="composer-empty">QUEUE EMPTY</div>';
+        }
+        const history = document.getElementById('composerHistory');
+        if (history) {
+            history.innerHTML = data.history.map((item, i) => `
+                <div class="setlist-entry composer-item" data-index="${i}" title="Queue again">
+                    <span class="composer-item__when">${clock(item.shownAt)}</span>
+                    <span class="composer-item__text">${escapeHtml(item.text)}</span>
+                </div>`).join('');
+        }
+
+        document.getElementById('composerPause')?.classList.toggle('active', data.paused);
+        const gapInput = document.getElementById('composerGap');
+        if (gapInput && document.activeElement !== gapInput) gapInput.value = data.gap;
+
+        const text = document.getElementById('composerStatusText');
+        if (text) {
+            const parts = [data.current ? `SHOWING "${data.current.text}"` : (data.paused ? 'QUEUE.PAUSED' : 'QUEUE.READY')];
+            parts.push(`${data.queue.length} QUEUED`);
+            text.textContent = parts.join(' · ').toUpperCase();
+        }
+        const dot = document.getElementById('composerStatusDot');
+        if (dot) {
+            dot.classList.toggle('locked', !!data.current);
+            dot.classList.toggle('error', data.paused);
+        }
+    }
+
+    // Message library: categories of messages with weight, scene tags and on/off
+    // (message-library.js). Panel and display keep the newest copy of the library.
+    initMessageLibrary() {
+        const list = document.getElementById('libraryMessages');
+        if (!list) return;
+
+        this.library = messageLibrary.getLibrary();
+        this.libraryCategory = 'matrix';
+        this._sendLibraryDebounced = this._debounce(() => this.sendLibrary(), 300);
+
+        // Same-browser edits (another panel) arrive through localStorage
+        window.addEventListener('messageLibrary', (e) => {
+            if (this._libraryCommitting) return;
+            this.library = e.detail.library;
+            this.renderLibrary();
+        });
+
+        document.getElementById('libraryCategory')?.addEventListener('change', (e) => {
+            this.libraryCategory = e.target.value;
+            this.renderLibrary();
+        });
+        document.getElementById('libraryAddCategory')?.addEventListener('click', () => {
+            const input = document.getElementById('libraryNewCategory');
+            const name = (input?.value || '').trim().toLowerCase().replace(/\s+/g, '-');
+            if (!name) return;
+            if (!this.library.categories[name]) this.library.categories[name] = { label: input.value.trim(), messages: [] };
+            this.libraryCategory = name;
+            input.value = '';
+            this.libraryChanged(true);
+        });
+        document.getElementById('libraryRemoveCategory')?.addEventListener('click', () => {
+            if (Object.values(CONFIG_CATEGORIES).includes(this.libraryCategory)) {
+                this.showLibraryStatus(`${this.libraryCategory} is built in`, true);
+                return;
+            }
+            delete this.library.categories[this.libraryCategory];
+            this.libraryCategory = 'matrix';
+            this.libraryChanged(true);
+        });
+        document.getElementById('libraryAddMessage')?.addEventListener('click', () => {
+            this.library.categories[this.libraryCategory]?.messages.push({ text: 'NEW MESSAGE', weight: 1, scenes: [], enabled: true });
+            this.libraryChanged(true);
+        });
+
+        list.addEventListener('input', (e) => this.handleLibraryInput(e.target));
+        list.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-action]');
+            const row = btn?.closest('[data-index]');
+            if (!row) return;
+            const messages = this.library.categories[this.libraryCategory].messages;
+            const index = Number(row.dataset.index);
+            if (btn.dataset.action === 'toggle') {
+                messages[index].enabled = !messages[index].enabled;
+            } else if (btn.dataset.action === 'remove') {
+                messages.splice(index, 1);
+            }
+            this.libraryChanged(true);
+        });
+
+        const fileInput = document.getElementById('libraryFile');
+        document.getElementById('libraryImport')?.addEventListener('click', () => fileInput?.click());
+        fileInput?.addEventListener('change', async () => {
+            const file = fileInput.files && fileInput.files[0];
+            fileInput.value = '';
+            if (!file) return;
+            try {
+                this.library = JSON.parse(await file.text());
+            } catch (error) {
+                this.showLibraryStatus(`IMPORT: ${error.message}`, true);
+                return;
+            }
+            this.libraryChanged(true);
+        });
+        document.getElementById('libraryExport')?.addEventListener('click', () => {
+            const blob = new Blob([JSON.stringify(messageLibrary.getLibrary(), null, 2)], { type: 'application/json' });
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = 'message-library.json';
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+        });
+        document.getElementById('libraryReset')?.addEventListener('click', () => {
+            this._libraryCommitting = true;
+            messageLibrary.reset();
+            this._libraryCommitting = false;
+            this.library = messageLibrary.getLibrary();
+            this.renderLibrary();
+            this.sendLibrary();
+        });
+
+        this.renderLibrary();
+    }
+
+    handleLibraryInput(input) {
+        const row = input.closest('[data-index]');
+        const message = row && this.library.categories[this.libraryCategory]?.messages[Number(row.dataset.index)];
+        if (!message) return;
+        if (input.dataset.field === 'text') {
+            message.text = input.value;
+            if (!input.value.trim()) return; // wait for text before saving
+        } else if (input.dataset.field === 'weight') {
+            message.weight = Number(input.value) || 0;
+        } else if (input.dataset.field === 'scenes') {
+            message.scenes = input.value.split(',').map(scene => scene.trim()).filter(Boolean);
+        }
+        this.libraryChanged(false);
+    }
+
+    /**
+     * Validate and store the edited library, then send it to the display
+     */
+    libraryChanged(rerender) {
+        this._libraryCommitting = true;
+        const error = messageLibrary.load(this.library);
+        this._libraryCommitting = false;
+        if (error) {
+            this.showLibraryStatus(error, true);
+            this.library = messageLibrary.getLibrary();
+            this.renderLibrary();
+            return;
+        }
+        this.library = messageLibrary.getLibrary();
+        if (!this.library.categories[this.libraryCategory]) this.libraryCategory = 'matrix';
+        if (rerender) this.renderLibrary();
+        else this.showLibraryStatus();
+        this._sendLibraryDebounced();
+    }
+
+    sendLibrary() {
+        this.sendMessage({ type: 'message_library_load', library: messageLibrary.getLibrary(), timestamp: Date.now() });
+    }
+
+    // The display reports its library on connect and after every change
+    updateLibraryState(data) {
+        if (!data.library) return;
+        const theirs = Number(data.library.updatedAt) || 0;
+        if (theirs > messageLibrary.updatedAt) {
+            this._libraryCommitting = true;
+            messageLibrary.load(data.library, { keepTimestamp: true });
+            this._libraryCommitting = false;
+            this.library = messageLibrary.getLibrary();
+            this.renderLibrary();
+        } else if (theirs < messageLibrary.updatedAt) {
+            this.sendLibrary();
+        }
+    }
+
+    renderLibrary() {
+        const list = document.getElementById('libraryMessages');
+        if (!list) return;
+        if (!this.library.categories[this.libraryCategory]) this.libraryCategory = Object.keys(this.library.categories)[0];
+
+        const select = document.getElementById('libraryCategory');
+        if (select) {
+            select.innerHTML = Object.entries(this.library.categories).map(([name, category]) =>
+                `<option value="${escapeHtml(name)}"${name === this.libraryCategory ? ' selected' : ''}>${escapeHtml(category.label.toUpperCase())} (${category.messages.length})</option>`
+            ).join('');
+        }
+
+        const messages = this.library.categories[this.libraryCategory]?.messages || [];
+        list.innerHTML = messages.map((message, i) => `
+            <div class="setlist-entry library-message${message.enabled ? '' : ' disabled'}" data-index="${i}">
+                <button class="setlist-icon-btn${message.enabled ? ' active' : ''}" data-action="toggle" title="Enable / disable">${message.enabled ? 'ON' : 'OFF'}</button>
+                <input type="text" class="relay-input" data-field="text" maxlength="120" spellcheck="false" value="${escapeHtml(message.text)}">
+                <input type="number" class="relay-input setlist-number" data-field="weight" min="0" max="100" step="0.5"
+                       value="${message.weight}" title="Weight">
+                <input type="text" class="relay-input library-scenes" data-field="scenes" spellcheck="false"
+                       placeholder="ALL SCENES" title="Scene tags, comma separated" value="${escapeHtml(message.scenes.join(', '))}">
+                <button class="setlist-icon-btn" data-action="remove" title="Remove">×</button>
+            </div>`).join('');
+
+        this.showLibraryStatus();
+    }
+
+    showLibraryStatus(error = null, isError = false) {
+        const text = document.getElementById('libraryStatusText');
+        const dot = document.getElementById('libraryStatusDot');
+        if (text) {
+            if (isError) {
+                text.textContent = String(error).toUpperCase();
+            } else {
+                const categories = Object.values(this.library.categories);
+                const total = categories.reduce((sum, category) => sum + category.messages.length, 0);
+                const enabled = categories.reduce((sum, category) => sum + category.messages.filter(m => m.enabled).length, 0);
+                text.textContent = `${categories.length} CATEGORIES · ${total} MESSAGES · ${enabled} ON`;
+            }
+            text.classList.toggle('error', isError);
+        }
+        if (dot) {
+            dot.classList.toggle('error', isError);
+            dot.classList.toggle('locked', !isError);
+        }
+    }
+
+    // Setlist editor: entries of scene + length (bars/seconds) with cue points.
+    // The display runs the timeline (setlist-sequencer.js); this only edits and drives it.
+    initSetlistControls() {
+        const list = document.getElementById('setlistEntries');
+        if (!list) return;
+
+        this.setlistState = { state: 'stopped', index: -1, name: null };
+        this.setlist = this.loadStoredSetlist();
+        this._sendSetlistDebounced = this._debounce(() => this.sendSetlist(), 300);
+
+        const nameInput = document.getElementById('setlistName');
+        if (nameInput) {
+            nameInput.value = this.setlist.name;
+            nameInput.addEventListener('input', () => {
+                this.setlist.name = nameInput.value.trim() || 'Untitled setlist';
+                this.setlistChanged();
+            });
+        }
+
+        list.addEventListener('input', (e) => this.handleSetlistInput(e.target));
+        list.addEventListener('change', (e) => this.handleSetlistInput(e.target));
+        list.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-action]');
+            if (btn) this.handleSetlistAction(btn);
+        });
+
+        document.getElementById('setlistAddEntry')?.addEventListener('click', () => {
+            const last = this.setlist.entries[this.setlist.entries.length - 1];
+            this.setlist.entries.push({ scene: last ? last.scene : 'calm', bars: 32, cues: [] });
+            this.setlistChanged(true);
+        });
+
+        document.querySelectorAll('[data-setlist]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                let command = btn.dataset.setlist;
+                if (command === 'play') {
+                    if (this.setlistState.state === 'playing') {
+                        command = 'pause';
+                    } else if (!this.setlistState.name) {
+                        // Display has nothing loaded yet (fresh page or reload)
+                        this.sendSetlist();
+                    }
+                }
+                this.sendMessage({ type: `setlist_${command}`, timestamp: Date.now() });
+            });
+        });
+
+        document.getElementById('setlistLoop')?.addEventListener('click', () => {
+            this.setlist.loop = !this.setlist.loop;
+            this.storeSetlist();
+            this.sendMessage({ type: 'setlist_loop', loop: this.setlist.loop, timestamp: Date.now() });
+            this.renderSetlist();
+        });
+
+        // JSON import / export
+        const fileInput = document.getElementById('setlistFile');
+        document.getElementById('setlistImport')?.addEventListener('click', () => fileInput?.click());
+        fileInput?.addEventListener('change', async () => {
+            const file = fileInput.files && fileInput.files[0];
+            fileInput.value = '';
+            if (!file) return;
+            try {
+                const imported = JSON.parse(await file.text());
+                normalizeSetlist(imported);
+                this.setlist = { name: imported.name || file.name.replace(/\.json$/i, ''), loop: imported.loop === true, entries: imported.entries };
+                if (nameInput) nameInput.value = this.setlist.name;
+                this.setlistChanged(true);
+            } catch (error) {
+                console.warn('⚠️ Setlist import failed:', error.message);
+                this.showSetlistError(`IMPORT: ${error.message}`);
+            }
+        });
+        document.getElementById('setlistExport')?.addEventListener('click', () => {
+            const blob = new Blob([JSON.stringify(this.setlist, null, 2)], { type: 'application/json' });
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = `${this.setlist.name.replace(/[^\w-]+/g, '_') || 'setlist'}.json`;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+        });
+
+        this.renderSetlist();
+    }
+
+    loadStoredSetlist() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(SETLIST_STORAGE_KEY) || 'null');
+            if (stored && Array.isArray(stored.entries)) return stored;
+        } catch (_) {}
+        return { name: 'Untitled setlist', loop: false, entries: [] };
+    }
+
+    storeSetlist() {
+        try { localStorage.setItem(SETLIST_STORAGE_KEY, JSON.stringify(this.setlist)); } catch (_) {}
+    }
+
+    setlistChanged(rerender = false) {
+        this.storeSetlist();
+        this._sendSetlistDebounced();
+        if (rerender) this.renderSetlist();
+    }
+
+    sendSetlist() {
+        if (this.setlist.entries.length === 0) return;
+        let setlist;
+        try {
+            // The display has no preset slots: send the named slot's snapshot with the cue
+            setlist = {
+                ...this.setlist,
+                entries: this.setlist.entries.map(entry => ({
+                    ...entry,
+                    cues: (entry.cues || []).map(cue => {
+                        if (cue.type !== 'preset' || typeof cue.preset !== 'string') return cue;
+                        const slot = this.findPresetSlot(cue.preset);
+                        if (!slot) throw new Error(`Unknown preset "${cue.preset}"`);
+                        return { ...cue, preset: slot };
+                    })
+                }))
+            };
+            normalizeSetlist(setlist);
+        } catch (error) {
+            // Keep editing; the display only gets valid setlists
+            this.showSetlistError(error.message);
+            return;
+        }
+        this.sendMessage({ type: 'setlist_load', setlist, timestamp: Date.now() });
+    }
+
+    handleSetlistInput(target) {
+        const row = target.closest('[data-index]');
+        if (!row) return;
+        const entry = this.setlist.entries[Number(row.dataset.index)];
+        if (!entry) return;
+
+        if (row.dataset.cue !== undefined) {
+            const cue = entry.cues[Number(row.dataset.cue)];
+            const field = target.dataset.cueField;
+            if (!cue || !field) return;
+            if (field === 'at') {
+                cue.at = Number(target.value) || 0;
+            } else if (field === 'type') {
+                const value = cue[CUE_VALUE_FIELDS[cue.type]];
+                delete cue[CUE_VALUE_FIELDS[cue.type]];
+                cue.type = target.value;
+                cue[CUE_VALUE_FIELDS[cue.type]] = typeof value === 'object' ? JSON.stringify(value) : value;
+            } else if (field === 'value') {
+                let value = target.value;
+                // Preset cues take a slot name or a preset object as JSON
+                if (cue.type === 'preset') {
+                    try { value = JSON.parse(value); } catch (_) {}
+                }
+                cue[CUE_VALUE_FIELDS[cue.type]] = value;
+            }
+            this.setlistChanged();
+            return;
+        }
+
+        const field = target.dataset.field;
+        if (field === 'scene') {
+            entry.scene = target.value;
+        } else if (field === 'length') {
+            const unit = entry.seconds !== undefined ? 'seconds' : 'bars';
+            entry[unit] = Number(target.value) || 0;
+        } else if (field === 'unit') {
+            const length = entry.seconds ?? entry.bars ?? 32;
+            delete entry.bars;
+            delete entry.seconds;
+            entry[target.value] = length;
+        } else {
+            return;
+        }
+        this.setlistChanged();
+    }
+
+    handleSetlistAction(btn) {
+        const row = btn.closest('[data-index]');
+        const index = Number(row?.dataset.index);
+        const entries = this.setlist.entries;
+        if (!entries[index]) return;
+
+        switch (btn.dataset.action) {
+            case 'goto':
+                if (!this.setlistState.name) this.sendSetlist();
+                this.sendMessage({ type: 'setlist_goto', index, timestamp: Date.now() });
+                return;
+            case 'up':
+            case 'down': {
+                const target = btn.dataset.action === 'up' ? index - 1 : index + 1;
+                if (target < 0 || target >= entries.length) return;
+                [entries[index], entries[target]] = [entries[target], entries[index]];
+                break;
+            }
+            case 'remove':
+                entries.splice(index, 1);
+                break;
+            case 'cue':
+                entries[index].cues = entries[index].cues || [];
+                entries[index].cues.push({ at: 0, type: 'matrix', message: '' });
+                break;
+            case 'remove-cue':
+                entries[index].cues.splice(Number(row.dataset.cue), 1);
+                break;
+            default:
+                return;
+        }
+        this.setlistChanged(true);
+    }
+
+    renderSetlist() {
+        const list = document.getElementById('setlistEntries');
+        if (!list) return;
+
+        const scenes = [...new Set([...document.querySelectorAll('.scene-btn')]
+            .map(btn => btn.dataset.scene)
+            .filter(scene => scene && scene !== 'auto'))];
+
+        list.innerHTML = this.setlist.entries.map((entry, i) => {
+            const unit = entry.seconds !== undefined ? 'seconds' : 'bars';
+            const options = scenes.map(scene =>
+                `<option value="${scene}"${scene === entry.scene ? ' selected' : ''}>${scene.toUpperCase()}</option>`
+            ).join('');
+            const cues = (entry.cues || []).map((cue, j) => {
+                const value = cue[CUE_VALUE_FIELDS[cue.type]];
+                const typeOptions = CUE_TYPES.map(type =>
+                    `<option value="${type}"${type === cue.type ? ' selected' : ''}>${type.toUpperCase()}</option>`
+                ).join('');
+                return `
+                    <div class="setlist-cue" data-index="${i}" data-cue="${j}">
+                        <span class="tempo-label">AT</span>
+                        <input type="number" class="relay-input setlist-number" data-cue-field="at" min="0" step="0.25" value="${cue.at || 0}">
+                        <select class="setlist-select" data-cue-field="type">${typeOptions}</select>
+                        <input type="text" class="relay-input" data-cue-field="value" spellcheck="false"
+                               value="${escapeHtml(typeof value === 'object' ? JSON.stringify(value) : value)}">
+                        <button class="setlist-icon-btn" data-action="remove-cue" title="Remove cue">×</button>
+                    </div>`;
+            }).join('');
+            return `
+                <div class="setlist-entry${i === this.setlistState.index ? ' current' : ''}" data-index="${i}">
+                    <button class="setlist-icon-btn" data-action="goto" title="Jump here">${String(i + 1).padStart(2, '0')}</button>
+                    <select class="setlist-select" data-field="scene">${options}</select>
+                    <input type="number" class="relay-input setlist-number" data-field="length" min="1" value="${entry[unit]}">
+                    <select class="setlist-select" data-field="unit">
+                        <option value="bars"${unit === 'bars' ? ' selected' : ''}>BARS</option>
+                        <option value="seconds"${unit === 'seconds' ? ' selected' : ''}>SEC</option>
+                    </select>
+                    <button class="setlist-icon-btn" data-action="up" title="Move up">↑</button>
+                    <button class="setlist-icon-btn" data-action="down" title="Move down">↓</button>
+                    <button class="setlist-icon-btn" data-action="cue" title="Add cue">+CUE</button>
+                    <button class="setlist-icon-btn" data-action="remove" title="Remove">×</button>
+                </div>${cues}`;
+        }).join('');
+
+        document.getElementById('setlistLoop')?.classList.toggle('active', !!this.setlist.loop);
+    }
+
+    updateSetlistState(data) {
+        const previousIndex = this.setlistState?.index;
+        this.setlistState = data;
+
+        // Display was reloaded or never got our setlist
+        if (!data.name && this.setlist?.entries.length && this.isConnected) this.sendSetlist();
+
+        if (data.index !== previousIndex) {
+            document.querySelectorAll('.setlist-entry').forEach(row => {
+                row.classList.toggle('current', Number(row.dataset.index) === data.index);
+            });
+        }
+
+        const playBtn = document.getElementById('setlistPlay');
+        if (playBtn) {
+            playBtn.textContent = data.state === 'playing' ? 'PAUSE' : 'PLAY';
+            playBtn.classList.toggle('active', data.state === 'playing');
+        }
+        document.getElementById('setlistLoop')?.classList.toggle('active', !!data.loop);
+
+        const fill = document.getElementById('setlistProgressFill');
+        if (fill) fill.style.transform = `scaleX(${(data.progress || 0).toFixed(3)})`;
+
+        const dot = document.getElementById('setlistStatusDot');
+        if (dot) {
+            dot.classList.toggle('locked', data.state === 'playing');
+            dot.classList.remove('error');
+        }
+
+        const text = document.getElementById('setlistStatusText');
+        if (text) {
+            text.classList.remove('error');
+            if (data.state === 'stopped' || !data.entry) {
+                text.textContent = 'SETLIST.STOPPED · RANDOM SCENES';
+            } else {
+                const unit = data.entry.unit === 'seconds' ? 'S' : ' BARS';
+                const remaining = Math.round(data.remaining);
+                const clock = `${Math.floor(remaining / 60)}:${String(remaining % 60).padStart(2, '0')}`;
+                text.textContent = `${data.state.toUpperCase()} ${data.index + 1}/${data.count} · `
+                    + `${(data.entry.label || data.entry.scene).toUpperCase()} · `
+                    + `${Math.floor(data.position)}/${data.entry.length}${unit} · ${clock} LEFT`;
+            }
+        }
+    }
+
+    showSetlistError(message) {
+        const text = document.getElementById('setlistStatusText');
+        if (text) {
+            text.textContent = `ERROR: ${String(message).toUpperCase()}`;
+            text.classList.add('error');
+        }
+        document.getElementById('setlistStatusDot')?.classList.add('error');
+    }
+
+    updateAnimeSystemStatus() {
+        // Update the status text in the original HTML
+        const statusElement = document.getElementById('animeStatus');
+        if (statusElement) {
+            statusElement.textContent = this.animeSystem.enabled ? 'ENABLED' : 'DISABLED';
+            statusElement.className = this.animeSystem.enabled ? 'status-display enabled' : 'status-display';
+        }
+    }
+
+    updateLogoControlStatus() {
+        const logoToggle = document.getElementById('logoOutlineToggle');
+        if (logoToggle) {
+            const statusSpan = logoToggle.querySelector('.btn-status');
+            if (statusSpan) {
+                statusSpan.textContent = this.animeSystem.logoOutlines ? 'ON' : 'OFF';
+            }
+        }
+    }
+
+    updateAutoSceneHighlight(scene) {
+        // Remove auto-active from all and clear stale 'active' from non-auto buttons
+        const buttons = document.querySelectorAll('.scene-btn');
+        buttons.forEach(btn => {
+            btn.classList.remove('auto-active');
+            if (btn.dataset.scene !== 'auto') {
+                btn.classList.remove('active');
+            }
+        });
+        // Highlight current scene for AUTO mode
+        const currentBtn = document.querySelector(`.scene-btn[data-scene="${scene}"]`);
+        if (currentBtn) currentBtn.classList.add('auto-active');
+        // Ensure AUTO button shows active state to indicate auto mode
+        const autoBtn = document.querySelector('.scene-btn[data-scene="auto"], .scene-auto');
+        if (autoBtn) autoBtn.classList.add('active');
+    }
+
+    // Smoothly center the given scene button or the currently active one
+    scrollScenesTo(scene) {
+        try {
+            const grid = document.querySelector('.scene-section .scene-grid');
+            if (!grid) return;
+            const target = scene
+                ? grid.querySelector(`.scene-btn[data-scene="${scene}"]`)
+                : (grid.querySelector('.scene-btn.active') || grid.querySelector('.scene-btn[data-scene="auto"]'));
+            if (target && typeof target.scrollIntoView === 'function') {
+                target.scrollIntoView({ behavior: 'smooth', block: 'center', inline: 'nearest' });
+            } else {
+                grid.scrollIntoView({ behavior: 'smooth', block: 'start', inline: 'nearest' });
+            }
+        } catch (_) {}
+    }
+
+    // Schedule initial scroll after layout is ready
+    scheduleInitialSceneScroll() {
+        // Two RAFs to ensure layout calculations are settled
+        requestAnimationFrame(() => requestAnimationFrame(() => this.scrollScenesTo()));
+    }
+
+    resetAllControls() {
+        // Reset all controls to default values
+        this.effects = {
+            holographic: { enabled: true, intensity: 50 },
+            dataStreams: { enabled: true, intensity: 75 },
+            strobeCircles: { enabled: false, intensity: 30 },
+            plasma: { enabled: true, intensity: 15 },
+            particles: { enabled: true, intensity: 50 },
+            noise: { enabled: true, intensity: 25 },
+            cyberGrid: { enabled: true, intensity: 80 }
+        };
+
+        this.colorMatrix = {
+            hue: 0,
+            saturation: 100,
+            brightness: 100,
+            contrast: 100
+        };
+
+        this.animeSystem.enabled = false;
+        this.animeSystem.logoOutlines = false;
+
+        // Update UI
+        this.updateAllControlStates();
+    }
+
+    updateAllControlStates() {
+        // Update effect toggles and sliders
+        Object.entries(this.effects).forEach(([effect, state]) => {
+            const toggle = document.querySelector(`[data-effect="${effect}"]`);
+            if (toggle) {
+                toggle.textContent = state.enabled ? 'ON' : 'OFF';
+                toggle.setAttribute('data-state', state.enabled ? 'on' : 'off');
+            }
+
+            const slider = document.getElementById(effect + 'Intensity');
+            if (slider) {
+                slider.value = state.intensity;
+                const valueSpan = slider.parentElement.querySelector('.slider-value');
+                if (valueSpan) {
+                    valueSpan.textContent = state.intensity + '%';
+                }
+            }
+        });
+
+        // Update color sliders
+        Object.entries(this.colorMatrix).forEach(([property, value]) => {
+            const slider = document.getElementById(property + 'Slider');
+            if (slider) {
+                slider.value = value;
+                const valueSpan = slider.parentElement.querySelector('.slider-value');
+                if (valueSpan) {
+                    const unit = property === 'hue' ? '°' : '%';
+                    valueSpan.textContent = value + unit;
+                }
+            }
+        });
+
+        this.updateAnimeSystemStatus();
+        this.updateLogoControlStatus();
+    }
+
+    sendMessage(data) {
+        // Addressed to the output picked in the Outputs section (every output by default)
+        const target = data.target ?? (UNTARGETED_TYPES.has(data.type) ? null : this.outputTarget);
+        const message = createMessage(data.type, target && target !== 'all' ? { ...data, target } : data, SOURCES.CONTROL);
+
+        if (this.channel) {
+            this.channel.postMessage(message);
+        }
+
+        // Use localStorage bridge only when BroadcastChannel is unavailable
+        if (this._useLocalStorageBridge) {
+            try { localStorage.setItem('3886_vj_message', JSON.stringify(message)); } catch {}
+        }
+        return message;
+    }
+
+    /**
+     * Send a message and resolve when the main page acknowledges it
+     * (rejects on an error reply or after the tracker timeout)
+     */
+    request(data) {
+        const message = this.sendMessage({ ...data, ack: true });
+        return this.requests.track(message);
+    }
+
+    handleMainPageMessage(data) {
+        // Other control panels share the channel
+        if (!data || data.source === SOURCES.CONTROL) return;
+
+        // Handle responses from main page
+        switch (data.type) {
+            case 'ack':
+                this.requests.settle(data);
+                break;
+            case 'error':
+                if (!this.requests.settle(data)) {
+                    console.warn(`⚠️ Main page rejected ${data.requestType || 'message'} (${data.code}):`, data.error);
+                }
+                break;
+            case 'performance_update': {
+                if (typeof data.fps === 'number' && window.performanceBus && typeof window.performanceBus.ingestRemote === 'function') {
+                    window.performanceBus.ingestRemote(data.fps);
+                }
+                this.updatePerformanceDisplay(data);
+                break;
+            }
+            case 'matrix_message_displayed': {
+                // Update LAST MSG strictly on ACK from animation page
+                const lastMsgElement = document.getElementById('lastMatrixMessage');
+                if (lastMsgElement) {
+                    lastMsgElement.textContent = data.message || '—';
+                    lastMsgElement.style.color = '#00ff85';
+                    lastMsgElement.classList.add('triggered');
+                    setTimeout(() => {
+                        lastMsgElement.style.color = '#ff00ff';
+                        lastMsgElement.classList.remove('triggered');
+                    }, 3000);
+                }
+                break;
             }
             case 'detailed_performance_update': {
                 if (typeof data.fps === 'number' && window.performanceBus && typeof window.performanceBus.ingestRemote === 'function') {
@@ -1925,9 +4151,15 @@ class ProfessionalVJControlPanel {
                 // Reflect active mode in UI buttons
                 try {
                     const mode = data.mode;
-                    document.querySelectorAll('.mode-btn').forEach(btn => {
+                    document.querySelectorAll('.performance-modes .mode-btn').forEach(btn => {
                         btn.classList.toggle('active', btn.dataset.mode === mode);
                     });
+                    // Auto mode: show which tier the governor picked
+                    const autoBtn = document.getElementById('perfAuto');
+                    if (autoBtn && data.tier) {
+                        autoBtn.textContent = mode === 'auto' ? `[A:${data.tier[0].toUpperCase()}]` : '[A]';
+                        autoBtn.title = `Auto Performance (quality: ${data.tier})`;
+                    }
                 } catch (_) {}
                 break;
             }
@@ -1941,6 +4173,66 @@ class ProfessionalVJControlPanel {
                 console.log('Diagnostics report:', data);
                 break;
             }
+            case 'audio_status':
+                this.updateAudioStatus(data);
+                break;
+            case 'audio_levels':
+                this.updateAudioLevels(data.levels);
+                break;
+            case 'audio_onset':
+                this.flashAudioOnset();
+                break;
+            case 'beat_clock':
+                this.updateBeatClock(data);
+                break;
+            case 'setlist_state':
+                this.updateSetlistState(data);
+                break;
+            case 'preset_status':
+                this.updatePresetStatus(data);
+                break;
+            case 'postfx_state':
+                this.updatePostFXState(data);
+                break;
+            case 'particle_mode_state':
+                this.updateParticleState(data);
+                break;
+            case 'plugin_manifest':
+                this.updatePluginManifest(data);
+                break;
+            case 'output_status':
+                this.updateOutputStatus(data);
+                break;
+            case 'message_library_state':
+                this.updateLibraryState(data);
+                break;
+            case 'message_queue_state':
+                this.updateMessageQueueState(data);
+                break;
+            case 'calibration_state':
+                this.updateCalibrationState(data);
+                break;
+            case 'layer_state':
+                this.updateLayerState(data);
+                break;
+            case 'video_state':
+                this.updateVideoState(data);
+                break;
+            case 'lottie_state':
+                this.updateLottieState(data);
+                break;
+            case 'capture_state':
+                this.updateCaptureState(data);
+                break;
+            case 'persistence_state':
+                this.updatePersistenceState(data);
+                break;
+            case 'show_state':
+                this.updateShowState(data);
+                break;
+            case 'random_seed_state':
+                this.updateSeedState(data);
+                break;
             case 'system_reset_complete': {
                 // Light UI acknowledgment
                 const el = document.querySelector('#connectionStatus .status-text');
@@ -2070,7 +4362,7 @@ class ProfessionalVJControlPanel {
             const k = e.key?.toLowerCase?.();
             if (k === 'l' || k === 'a' || k === 'h') {
                 const mode = k === 'l' ? 'low' : (k === 'a' ? 'auto' : 'high');
-                document.querySelectorAll('.mode-btn').forEach(btn => btn.classList.toggle('active', btn.dataset.mode === mode));
+                document.querySelectorAll('.performance-modes .mode-btn').forEach(btn => btn.classList.toggle('active', btn.dataset.mode === mode));
                 this.performance.mode = mode;
                 this.sendMessage({ type: 'performance_mode', mode, timestamp: Date.now() });
             }
@@ -2117,6 +4409,12 @@ class ProfessionalVJControlPanel {
         });
     }
 
+    // Weighted library message for the current scene, or the pool a preset recalled
+    pickMatrixMessage() {
+        if (this.matrixMessages?.length) return this.matrixMessages[Math.floor(random() * this.matrixMessages.length)];
+        return messageLibrary.pick('matrix', { scene: this.currentScene, rng: random });
+    }
+
     // Test method to force a high roll (for testing message display)
     testHighRoll() {
         // Force a roll of 95 for testing
@@ -2124,7 +4422,7 @@ class ProfessionalVJControlPanel {
         this.updateLastDiceRollDisplay();
 
         // Trigger message display
-        const randomMessage = this.matrixMessages[Math.floor(Math.random() * this.matrixMessages.length)];
+        const randomMessage = this.pickMatrixMessage();
         const lastMsgElement = document.getElementById('lastMatrixMessage');
         if (lastMsgElement) {
             lastMsgElement.textContent = randomMessage;
@@ -2141,7 +4439,7 @@ class ProfessionalVJControlPanel {
 
     rollDice() {
         // Roll a single dice 1-100
-        const roll = Math.floor(Math.random() * 100) + 1;
+        const roll = Math.floor(random() * 100) + 1;
         this.lastDiceRoll = roll;
 
         // Update the display
@@ -2150,7 +4448,11 @@ class ProfessionalVJControlPanel {
         // Check if we should trigger a matrix message (>=90)
         if (roll >= 90) {
             // Pick a random matrix message
-            const randomMessage = this.matrixMessages[Math.floor(Math.random() * this.matrixMessages.length)];
+            const randomMessage = this.pickMatrixMessage();
+            if (!randomMessage) {
+                console.log(`🎲 Matrix roll ${roll}/100 - no enabled messages for this scene`);
+                return;
+            }
             // Mark as pending until animation page acknowledges
             const lastMsgElement = document.getElementById('lastMatrixMessage');
             if (lastMsgElement) {
@@ -390,6 +390,11 @@ class ControlPanelV3 {
             console.log('🎹 V3 MIDI integration initialized');
             this.setupMIDIEventListeners();
             this.setupMIDIActivityMonitor();
+
+            // Access may have been granted before our listeners were attached
+            if (this.midiController.isReady) {
+                this.updateDeviceList();
+            }
         } else {
             console.log('🎹 MIDI controller not available for V3 integration');
         }
@@ -421,6 +426,7 @@ class ControlPanelV3 {
         window.addEventListener('midierror', (e) => this.onMIDIError(e));
         window.addEventListener('mididevicechange', (e) => this.onMIDIDeviceChange(e));
         window.addEventListener('midimappinglearned', (e) => this.onMIDIMappingLearned(e));
+        window.addEventListener('midiclock', (e) => this.onMIDIClock(e));
         
         // Make V3 controls learnable
         this.makeV3ControlsLearnable();
@@ -436,6 +442,7 @@ class ControlPanelV3 {
                 if (this.midiLearnActive) {
                     this.setMIDILearnTarget({
                         element: btn,
+                        selector: `.scene-btn[data-scene="${btn.dataset.scene}"]`,
                         action: {
                             type: 'scene',
                             params: { scene: btn.dataset.scene }
@@ -457,6 +464,7 @@ class ControlPanelV3 {
                 if (this.midiLearnActive) {
                     this.setMIDILearnTarget({
                         element: btn,
+                        selector: `.trigger-btn[data-effect="${btn.dataset.effect}"]`,
                         action: {
                             type: 'trigger',
                             params: { effect: btn.dataset.effect }
@@ -477,6 +485,7 @@ class ControlPanelV3 {
                 if (this.midiLearnActive) {
                     this.setMIDILearnTarget({
                         element: btn,
+                        selector: `.anim-trigger-btn[data-anime="${btn.dataset.anime}"]`,
                         action: {
                             type: 'animation',
                             params: { anime: btn.dataset.anime }
@@ -497,6 +506,7 @@ class ControlPanelV3 {
                 if (this.midiLearnActive) {
                     this.setMIDILearnTarget({
                         element: btn,
+                        selector: `.effect-toggle-btn[data-effect="${btn.dataset.effect}"]`,
                         action: {
                             type: 'effect_toggle',
                             params: { effect: btn.dataset.effect }
@@ -517,6 +527,7 @@ class ControlPanelV3 {
                 if (this.midiLearnActive) {
                     this.setMIDILearnTarget({
                         element: btn,
+                        selector: `.layer-toggle-btn[data-layer="${btn.dataset.layer}"]`,
                         action: {
                             type: 'layer_toggle',
                             params: { layer: btn.dataset.layer }
@@ -531,11 +542,16 @@ class ControlPanelV3 {
             btn.addEventListener('click', originalClickHandler, { capture: true });
         });
 
-        // Sliders (speed, phase, BPM)
+        // Sliders (speed, phase, plus any other range input with an id)
         const sliders = {
             'speedSlider': { name: 'Global Speed', type: 'speed' },
             'phaseDurationSlider': { name: 'Phase Duration', type: 'phase' }
         };
+        document.querySelectorAll('input[type="range"][id]').forEach(slider => {
+            if (!sliders[slider.id]) {
+                sliders[slider.id] = { name: slider.getAttribute('aria-label') || slider.id, type: slider.id };
+            }
+        });
 
         Object.entries(sliders).forEach(([sliderId, config]) => {
             const slider = document.getElementById(sliderId);
@@ -543,6 +559,7 @@ class ControlPanelV3 {
                 if (this.midiLearnActive) {
                     this.setMIDILearnTarget({
                         element: slider,
+                        selector: `#${sliderId}`,
                         action: {
                             type: 'slider',
                             params: { target: config.type }
@@ -718,6 +735,16 @@ class ControlPanelV3 {
         this.stopMIDILearn();
     }
 
+    onMIDIClock(event) {
+        const { running, bpm } = event.detail || {};
+        const clockDot = document.getElementById('clockStatusDot');
+        const clockText = document.getElementById('clockStatusText');
+        if (!clockText) return;
+
+        clockDot?.classList.toggle('locked', !!running);
+        clockText.textContent = running && bpm ? `EXT.${Math.round(bpm)}` : 'INT.CLK';
+    }
+
     /**
      * Update MIDI status indicators
      */
@@ -762,6 +789,7 @@ class ControlPanelV3 {
                     : device.name.toUpperCase();
                 deviceSelect.appendChild(option);
             });
+            deviceSelect.value = this.midiController.selectedDeviceId || '';
         }
         
         // Update status
@@ -784,7 +812,14 @@ class ControlPanelV3 {
     }
 
     loadMIDIPreset() {
-        this.showToast('Preset loading not implemented in V3', 'warning');
+        if (!this.midiController || !this.midiController.loadPreset) return;
+        if (this.midiController.mappings?.size && !confirm('Replace current MIDI mappings with the default preset?')) return;
+
+        if (this.midiController.loadPreset('default')) {
+            this.showToast(`Preset loaded: ${this.midiController.mappings.size} mappings`, 'success');
+        } else {
+            this.showToast('MIDI preset not found', 'error');
+        }
     }
 
     clearAllMappings() {
@@ -3,6 +3,8 @@
 
 import safePerformanceMonitor from './safe-performance-monitor.js';
 import intervalManager from './interval-manager.js';
+import { CHANNEL_NAME, SOURCES, createMessage } from './vj-protocol.js';
+import VJTransport from './vj-transport.js';
 
 class VJControlPanel {
     constructor() {
@@ -64,7 +66,7 @@ class VJControlPanel {
 
         // Still try BroadcastChannel as backup
         try {
-            this.channel = new BroadcastChannel('3886_vj_control');
+            this.channel = VJTransport.shared(CHANNEL_NAME, { role: 'control' });
             this.channel.addEventListener('message', (event) => {
                 console.log('📨 BC: Control Panel received:', event.data.type);
                 this.handleMessage(event.data);
@@ -107,11 +109,7 @@ class VJControlPanel {
     }
 
     sendMessage(data) {
-        const messageData = {
-            ...data,
-            timestamp: Date.now(),
-            _id: Math.random().toString(36).substr(2, 9)
-        };
+        const messageData = createMessage(data.type, data, SOURCES.CONTROL);
 
         // Always use localStorage for reliability
         console.log('📤 Control Panel sending via LS:', messageData.type);
@@ -128,7 +126,14 @@ class VJControlPanel {
     }
 
     handleMessage(data) {
+        // Ignore other control panels on the shared channel
+        if (!data || data.source === SOURCES.CONTROL) return;
+
         switch(data.type) {
+            case 'error':
+                console.warn(`⚠️ Main page rejected ${data.requestType || 'message'} (${data.code}):`, data.error);
+                break;
+
             case 'pong':
                 this.setConnectionStatus(true);
                 break;
@@ -385,8 +390,8 @@ class VJControlPanel {
 
                 // Send update
                 this.sendMessage({
-                    type: 'color_update',
-                    parameter: key,
+                    type: 'color_change',
+                    property: key,
                     value: value,
                     timestamp: Date.now()
                 });
@@ -429,8 +434,8 @@ class VJControlPanel {
                 valueDisplay.textContent = `${value}%`;
 
                 this.sendMessage({
-                    type: 'speed_update',
-                    value: value / 100,
+                    type: 'speed_change',
+                    speed: value / 100,
                     timestamp: Date.now()
                 });
             });
@@ -444,8 +449,8 @@ class VJControlPanel {
                 valueDisplay.textContent = `${value}s`;
 
                 this.sendMessage({
-                    type: 'phase_duration_update',
-                    value: value * 1000, // Convert to milliseconds
+                    type: 'phase_duration_change',
+                    duration: value * 1000, // Convert to milliseconds
                     timestamp: Date.now()
                 });
             });
@@ -487,7 +492,7 @@ class VJControlPanel {
 
             // Send BPM update
             this.sendMessage({
-                type: 'bpm_update',
+                type: 'bpm_change',
                 bpm: this.currentBPM,
                 timestamp: Date.now()
             });
@@ -517,9 +522,9 @@ class VJControlPanel {
             // Send initial value based on slider position
             const initialValue = slider.value;
             this.sendMessage({
-                type: 'effect_intensity',
+                type: 'fx_intensity',
                 effect: key,
-                value: initialValue / 100,
+                intensity: initialValue / 100,
                 timestamp: Date.now()
             });
             console.log(`🎛️ Initialized ${key} effect to ${initialValue}%`);
@@ -529,9 +534,9 @@ class VJControlPanel {
                 valueDisplay.textContent = `${value}%`;
 
                 this.sendMessage({
-                    type: 'effect_intensity',
+                    type: 'fx_intensity',
                     effect: key,
-                    value: value / 100,
+                    intensity: value / 100,
                     timestamp: Date.now()
                 });
             });
@@ -1497,7 +1502,7 @@ class VJControlPanel {
     getPerformanceReport() {
         // Try to get performance data via cross-tab communication
         this.sendMessage({
-            type: 'request_performance_detailed',
+            type: 'get_performance_stats',
             timestamp: Date.now()
         });
         
@@ -2,6 +2,8 @@
 // Helper commands to test animation systems from browser console
 
 import beehiveLogoBlend from './beehive-logo-blend.js';
+import scheduler from './scheduler.js';
+import videoLayer from './video-layer.js';
 import centerpieceLogo from './centerpiece-logo.js';
 import logoAnimator from './logo-animator.js';
 
@@ -26,16 +28,7 @@ window.zikadaDebug = {
             console.log('  - Initialized:', beehiveLogoBlend.isInitialized);
             console.log('  - Active:', beehiveLogoBlend.isActive);
             console.log('  - Logo element:', beehiveLogoBlend.logo);
-            console.log('  - Video element:', beehiveLogoBlend.videoElement);
-            console.log('  - Container:', beehiveLogoBlend.container);
-            if (beehiveLogoBlend.videoElement) {
-                console.log('  - Video src:', beehiveLogoBlend.videoElement.src);
-                console.log('  - Video readyState:', beehiveLogoBlend.videoElement.readyState);
-                console.log('  - Video paused:', beehiveLogoBlend.videoElement.paused);
-            }
-            if (beehiveLogoBlend.logoPosition) {
-                console.log('  - Logo position:', beehiveLogoBlend.logoPosition);
-            }
+            console.log('  - Video layer:', videoLayer.getState());
         }
     },
 
@@ -136,12 +129,12 @@ window.zikadaDebug = {
         }
 
         // Reinitialize
-        setTimeout(() => {
+        scheduler.timeout(() => {
             beehiveLogoBlend.init();
             centerpieceLogo.init();
             logoAnimator.init();
             console.log('✅ All systems reinitialized!');
-        }, 100);
+        }, 100, { name: 'debug-reinit', category: 'system', scaled: false });
     }
 };
 
@@ -1,5 +1,6 @@
 // Direct Logo Animation - JavaScript-based manipulation
 import gsap from 'gsap';
+import scheduler from './scheduler.js';
 
 class DirectLogoAnimation {
     constructor() {
@@ -16,7 +17,7 @@ class DirectLogoAnimation {
 
         if (!this.logo) {
             console.log('Logo not found, retrying...');
-            setTimeout(() => this.init(), 1000);
+            scheduler.timeout(() => this.init(), 1000, { name: 'direct-logo-retry', category: 'system', scaled: false });
             return;
         }
 
@@ -251,10 +252,11 @@ class DirectLogoAnimation {
     testAll() {
         console.log('🧪 Testing all direct animations...');
         this.wobble();
-        setTimeout(() => this.pump(), 1500);
-        setTimeout(() => this.glitch(), 3000);
-        setTimeout(() => this.pulse(), 4500);
-        setTimeout(() => this.bigBounce(), 6000);
+        const options = { name: 'direct-logo-test', category: 'effect' };
+        scheduler.timeout(() => this.pump(), 1500, options);
+        scheduler.timeout(() => this.glitch(), 3000, options);
+        scheduler.timeout(() => this.pulse(), 4500, options);
+        scheduler.timeout(() => this.bigBounce(), 6000, options);
     }
 }
 
@@ -1,4 +1,7 @@
 import gsap from 'gsap';
+import seededRandom from './seeded-random.js';
+import scheduler from './scheduler.js';
+const random = seededRandom.stream('enhanced-logo-animator');
 
 class EnhancedLogoAnimator {
     constructor() {
@@ -18,6 +21,7 @@ class EnhancedLogoAnimator {
         this.eventListeners = [];
         this.observer = null;
         this.animationFrameId = null;
+        this.timers = {};           // key -> scheduler handle (micro moves, adaptation, energy reset)
         this.isInitialized = false;
 
         // Animation parameters
@@ -313,9 +317,9 @@ class EnhancedLogoAnimator {
         const microMove = () => {
             if (!this.isInitialized) return;
 
-            const microX = (Math.random() - 0.5) * 2;
-            const microY = (Math.random() - 0.5) * 2;
-            const microRotation = (Math.random() - 0.5) * 0.5;
+            const microX = (random() - 0.5) * 2;
+            const microY = (random() - 0.5) * 2;
+            const microRotation = (random() - 0.5) * 0.5;
 
             gsap.to(this.logo, {
                 x: `+=${microX}`,
@@ -325,7 +329,7 @@ class EnhancedLogoAnimator {
                 ease: 'power1.inOut',
                 onComplete: () => {
                     if (this.isInitialized) {
-                        setTimeout(microMove, Math.random() * 3000 + 2000);
+                        this._later('micro', microMove, random() * 3000 + 2000);
                     }
                 }
             });
@@ -507,9 +511,9 @@ class EnhancedLogoAnimator {
         // Rapid digital flicker
         for (let i = 0; i < 3; i++) {
             tl.to(this.logo, {
-                scale: 1 + (Math.random() * 0.05),
-                x: (Math.random() - 0.5) * 10,
-                y: (Math.random() - 0.5) * 10,
+                scale: 1 + (random() * 0.05),
+                x: (random() - 0.5) * 10,
+                y: (random() - 0.5) * 10,
                 duration: 0.05
             });
         }
@@ -801,7 +805,7 @@ class EnhancedLogoAnimator {
             onUpdate: () => this.updateBreathing(),
             onComplete: () => {
                 // Return to normal after duration
-                setTimeout(() => {
+                this._later('energy', () => {
                     gsap.to(this, {
                         energyLevel: originalEnergy,
                         duration: 1,
@@ -843,7 +847,7 @@ class EnhancedLogoAnimator {
                 this.breathIntensity = 0.8;
 
                 // Random special animation
-                if (Math.random() < 0.1) {
+                if (random() < 0.1) {
                     this.triggerRandomSpecial();
                 }
             }
@@ -852,12 +856,18 @@ class EnhancedLogoAnimator {
             this.cleanEventHistory();
 
             // Schedule next analysis
-            setTimeout(analyzeAndAdapt, 5000);
+            this._later('adapt', analyzeAndAdapt, 5000);
         };
 
         analyzeAndAdapt();
     }
 
+    // Ambient: the logo's own loops and resets outlive an emergency stop
+    _later(key, callback, delay) {
+        this.timers[key]?.cancel();
+        this.timers[key] = scheduler.timeout(callback, delay, { name: `logo-animator-${key}`, category: 'ambient' });
+    }
+
     cleanEventHistory() {
         const now = Date.now();
         const maxAge = 60000; // Keep 1 minute of history
@@ -875,7 +885,7 @@ class EnhancedLogoAnimator {
             () => this.energyVortex()
         ];
 
-        const special = specials[Math.floor(Math.random() * specials.length)];
+        const special = specials[Math.floor(random() * specials.length)];
         special();
     }
 
@@ -908,8 +918,8 @@ class EnhancedLogoAnimator {
 
         for (let i = 0; i < 10; i++) {
             tl.to(this.logo, {
-                opacity: Math.random() > 0.5 ? 1 : 0.7,
-                scale: 1 + (Math.random() - 0.5) * 0.1,
+                opacity: random() > 0.5 ? 1 : 0.7,
+                scale: 1 + (random() - 0.5) * 0.1,
                 duration: 0.05
             });
         }
@@ -986,6 +996,8 @@ class EnhancedLogoAnimator {
         // Cancel animations
         if (this.animationFrameId) cancelAnimationFrame(this.animationFrameId);
         if (this.observer) this.observer.disconnect();
+        Object.values(this.timers).forEach((timer) => timer.cancel());
+        this.timers = {};
 
         // Remove event listeners
         this.eventListeners.forEach(({ type, handler }) => {
@@ -1,10 +1,21 @@
 import gsap from 'gsap';
-import matrixConfig from './matrix-config.js';
+import messageLibrary from './message-library.js';
+import seededRandom from './seeded-random.js';
+import scheduler from './scheduler.js';
+const random = seededRandom.stream('extended-animations');
 
 class ExtendedAnimations {
     constructor() {
         this.isRunning = false;
         this.currentEffect = null;
+        // Scheduler loops by name; an emergency stop cancels them (category 'effect')
+        // and restartEssentialAnimations() calls init() again
+        this.timers = {};
+    }
+
+    _loop(key, callback, delay) {
+        this.timers[key]?.cancel();
+        this.timers[key] = scheduler.timeout(callback, delay, { name: `extended-${key}`, category: 'effect' });
     }
 
     init() {
@@ -39,21 +50,21 @@ class ExtendedAnimations {
                 this.isRunning = true;
             }
 
-            if (Math.random() > 0.4) {
-                const effect = effects[Math.floor(Math.random() * effects.length)];
+            if (random() > 0.4) {
+                const effect = effects[Math.floor(random() * effects.length)];
                 effect();
             }
 
             // Keep animations running more frequently
-            setTimeout(() => this.runRandomEffect(), Math.random() * 6000 + 3000);
+            this._loop('sequence', () => this.runRandomEffect(), random() * 6000 + 3000);
         };
 
-        setTimeout(() => this.runRandomEffect(), 3000);
+        this._loop('sequence', () => this.runRandomEffect(), 3000);
     }
 
     vhsScanlineGlitch() {
         // Only 5% chance of executing this effect
-        if (Math.random() > 0.05) return;
+        if (random() > 0.05) return;
 
         // Dispatch event for logo animations to react
         window.dispatchEvent(new CustomEvent('vhsGlitch'));
@@ -75,8 +86,8 @@ class ExtendedAnimations {
         // Multiple scan line tears - minimal count
         for (let i = 0; i < 2; i++) {  // Further reduced to 2
             const scanline = document.createElement('div');
-            const height = Math.random() * 10 + 2;
-            const y = Math.random() * window.innerHeight;
+            const height = random() * 10 + 2;
+            const y = random() * window.innerHeight;
 
             scanline.style.cssText = `
                 position: absolute;
@@ -91,14 +102,14 @@ class ExtendedAnimations {
                     rgba(255,0,255,0.01),     // Barely visible
                     transparent);
                 mix-blend-mode: multiply;
-                transform: translateX(${Math.random() * 20 - 10}px);
+                transform: translateX(${random() * 20 - 10}px);
             `;
             container.appendChild(scanline);
 
             gsap.to(scanline, {
-                x: Math.random() * 100 - 50,
+                x: random() * 100 - 50,
                 opacity: 0,
-                duration: Math.random() * 0.5 + 0.1,
+                duration: random() * 0.5 + 0.1,
                 delay: i * 0.05,
                 ease: 'steps(5)'
             });
@@ -130,7 +141,7 @@ class ExtendedAnimations {
             ease: 'none'
         });
 
-        setTimeout(() => container.remove(), 1000);
+        scheduler.timeout(() => container.remove(), 1000, { name: 'extended-cleanup', category: 'ambient' });
     }
 
     synthwaveGrid() {
@@ -209,41 +220,41 @@ class ExtendedAnimations {
 
     dataCorruption() {
         // Create corrupted data blocks
-        const blocks = Math.floor(Math.random() * 20 + 15);
+        const blocks = Math.floor(random() * 20 + 15);
 
         for (let i = 0; i < blocks; i++) {
             const block = document.createElement('div');
-            const size = Math.random() * 100 + 20;
+            const size = random() * 100 + 20;
             const chars = '01█▓▒░╔╗╚╝║═';
             let text = '';
 
             for (let j = 0; j < 20; j++) {
-                text += chars[Math.floor(Math.random() * chars.length)];
+                text += chars[Math.floor(random() * chars.length)];
             }
 
             block.textContent = text;
             block.style.cssText = `
                 position: fixed;
-                left: ${Math.random() * window.innerWidth}px;
-                top: ${Math.random() * window.innerHeight}px;
-                color: ${Math.random() > 0.5 ? '#00ff85' : '#ff00ff'};
+                left: ${random() * window.innerWidth}px;
+                top: ${random() * window.innerHeight}px;
+                color: ${random() > 0.5 ? '#00ff85' : '#ff00ff'};
                 font-family: monospace;
-                font-size: ${Math.random() * 20 + 10}px;
+                font-size: ${random() * 20 + 10}px;
                 pointer-events: none;
                 z-index: 100;
-                opacity: ${Math.random() * 0.8 + 0.2};
-                transform: skewY(${Math.random() * 20 - 10}deg);
+                opacity: ${random() * 0.8 + 0.2};
+                transform: skewY(${random() * 20 - 10}deg);
                 text-shadow: 0 0 10px currentColor;
                 mix-blend-mode: screen;
             `;
             document.body.appendChild(block);
 
             gsap.to(block, {
-                x: Math.random() * 200 - 100,
-                y: Math.random() * 200 - 100,
+                x: random() * 200 - 100,
+                y: random() * 200 - 100,
                 opacity: 0,
-                rotation: Math.random() * 90 - 45,
-                duration: Math.random() * 2 + 0.5,
+                rotation: random() * 90 - 45,
+                duration: random() * 2 + 0.5,
                 ease: 'power2.out',
                 onComplete: () => block.remove()
             });
@@ -254,18 +265,18 @@ class ExtendedAnimations {
         // Create neon light streaks
         for (let i = 0; i < 15; i++) {
             const light = document.createElement('div');
-            const isVertical = Math.random() > 0.5;
+            const isVertical = random() > 0.5;
 
             if (isVertical) {
                 light.style.cssText = `
                     position: fixed;
-                    left: ${Math.random() * window.innerWidth}px;
+                    left: ${random() * window.innerWidth}px;
                     top: -100px;
                     width: 2px;
-                    height: ${Math.random() * 200 + 100}px;
+                    height: ${random() * 200 + 100}px;
                     background: linear-gradient(180deg,
                         transparent,
-                        ${Math.random() > 0.5 ? '#ff00ff' : '#00ffff'},
+                        ${random() > 0.5 ? '#ff00ff' : '#00ffff'},
                         transparent);
                     box-shadow: 0 0 20px currentColor;
                     pointer-events: none;
@@ -275,7 +286,7 @@ class ExtendedAnimations {
 
                 gsap.to(light, {
                     y: window.innerHeight + 200,
-                    duration: Math.random() * 2 + 1,
+                    duration: random() * 2 + 1,
                     delay: i * 0.1,
                     ease: 'none',
                     onComplete: () => light.remove()
@@ -284,12 +295,12 @@ class ExtendedAnimations {
                 light.style.cssText = `
                     position: fixed;
                     left: -100px;
-                    top: ${Math.random() * window.innerHeight}px;
-                    width: ${Math.random() * 200 + 100}px;
+                    top: ${random() * window.innerHeight}px;
+                    width: ${random() * 200 + 100}px;
                     height: 2px;
                     background: linear-gradient(90deg,
                         transparent,
-                        ${Math.random() > 0.5 ? '#ffff00' : '#00ff85'},
+                        ${random() > 0.5 ? '#ffff00' : '#00ff85'},
                         transparent);
                     box-shadow: 0 0 20px currentColor;
                     pointer-events: none;
@@ -299,7 +310,7 @@ class ExtendedAnimations {
 
                 gsap.to(light, {
                     x: window.innerWidth + 200,
-                    duration: Math.random() * 2 + 1,
+                    duration: random() * 2 + 1,
                     delay: i * 0.1,
                     ease: 'none',
                     onComplete: () => light.remove()
@@ -313,8 +324,8 @@ class ExtendedAnimations {
     retroComputerBoot() {
         // Create old computer boot sequence effect
         const terminal = document.createElement('div');
-        // Load terminal messages from config
-        const messages = matrixConfig.terminalMessages;
+        // Load terminal messages from the message library
+        const messages = messageLibrary.getMessages('terminal');
 
         terminal.style.cssText = `
             position: fixed;
@@ -334,7 +345,7 @@ class ExtendedAnimations {
             if (messageIndex < messages.length) {
                 terminal.textContent += messages[messageIndex] + '\n';
                 messageIndex++;
-                setTimeout(typeMessage, 200);
+                scheduler.timeout(typeMessage, 200, { name: 'extended-terminal', category: 'effect' });
             } else {
                 gsap.to(terminal, {
                     opacity: 0,
@@ -367,12 +378,12 @@ class ExtendedAnimations {
 
         // Draw random glitch rectangles
         for (let i = 0; i < 50; i++) {
-            ctx.fillStyle = `rgba(${Math.random() * 255}, ${Math.random() * 255}, ${Math.random() * 255}, 0.5)`;
+            ctx.fillStyle = `rgba(${random() * 255}, ${random() * 255}, ${random() * 255}, 0.5)`;
             ctx.fillRect(
-                Math.random() * canvas.width,
-                Math.random() * canvas.height,
-                Math.random() * 200,
-                Math.random() * 10
+                random() * canvas.width,
+                random() * canvas.height,
+                random() * 200,
+                random() * 10
             );
         }
 
@@ -437,7 +448,7 @@ class ExtendedAnimations {
         for (let i = 0; i < columns; i++) {
             const drop = document.createElement('div');
             const chars = '日ﾊﾐﾋｰｳｼﾅﾓﾆｻﾜﾂｵﾘｱﾎﾃﾏｹﾒｴｶｷﾑﾕﾗｾﾈｽﾀﾇﾍ';
-            const char = chars[Math.floor(Math.random() * chars.length)];
+            const char = chars[Math.floor(random() * chars.length)];
 
             drop.textContent = char;
             drop.style.cssText = `
@@ -450,14 +461,14 @@ class ExtendedAnimations {
                 text-shadow: 0 0 10px rgba(147, 51, 234, 0.4);
                 pointer-events: none;
                 z-index: 40;
-                opacity: ${Math.random() * 0.3 + 0.3};
+                opacity: ${random() * 0.3 + 0.3};
             `;
             document.body.appendChild(drop);
 
             gsap.to(drop, {
                 y: window.innerHeight + 100,
-                duration: Math.random() * 5 + 3,
-                delay: Math.random() * 2,
+                duration: random() * 5 + 3,
+                delay: random() * 2,
                 ease: 'none',
                 onComplete: () => drop.remove()
             });
@@ -615,7 +626,7 @@ class ExtendedAnimations {
             });
         }
 
-        setTimeout(() => gridContainer.remove(), 2000);
+        scheduler.timeout(() => gridContainer.remove(), 2000, { name: 'extended-cleanup', category: 'ambient' });
     }
 
     digitalMeltdown() {
@@ -624,7 +635,7 @@ class ExtendedAnimations {
 
         elements.forEach((el, index) => {
             gsap.to(el, {
-                skewY: Math.random() * 5 - 2.5,  // Even more reduced
+                skewY: random() * 5 - 2.5,  // Even more reduced
                 // Removed scaleY entirely to prevent distortion
                 filter: 'blur(1px) saturate(2)',  // Reduced blur
                 duration: 0.2,
@@ -717,20 +728,20 @@ class ExtendedAnimations {
         // Reduced flicker intensity and slowed down
         const flickerSequence = [0.8, 0.6, 0.8, 0.7, 0.8];  // Less dramatic changes
         flickerSequence.forEach((opacity, index) => {
-            setTimeout(() => {
+            scheduler.timeout(() => {
                 flicker.style.opacity = String(opacity * 0.05);  // Very subtle
-            }, index * 150);  // Slower timing (was 50ms)
+            }, index * 150, { name: 'extended-flicker', category: 'effect' });  // Slower timing (was 50ms)
         });
 
-        setTimeout(() => flicker.remove(), 1000);  // Longer duration
+        scheduler.timeout(() => flicker.remove(), 1000, { name: 'extended-cleanup', category: 'ambient' });  // Longer duration
     }
 
     pixelSortGlitch() {
         // Pixel sorting effect
         for (let i = 0; i < 10; i++) {
             const strip = document.createElement('div');
-            const y = Math.random() * window.innerHeight;
-            const height = Math.random() * 50 + 10;
+            const y = random() * window.innerHeight;
+            const height = random() * 50 + 10;
 
             strip.style.cssText = `
                 position: fixed;
@@ -740,7 +751,7 @@ class ExtendedAnimations {
                 height: ${height}px;
                 background: linear-gradient(90deg,
                     ${Array.from({ length: 20 }, () =>
-                        `rgba(${Math.random() * 255}, ${Math.random() * 255}, ${Math.random() * 255}, 0.5)`
+                        `rgba(${random() * 255}, ${random() * 255}, ${random() * 255}, 0.5)`
                     ).join(', ')});
                 pointer-events: none;
                 z-index: 75;
@@ -750,9 +761,9 @@ class ExtendedAnimations {
             document.body.appendChild(strip);
 
             gsap.to(strip, {
-                x: Math.random() * 100 - 50,
+                x: random() * 100 - 50,
                 opacity: 0,
-                duration: Math.random() * 0.5 + 0.2,
+                duration: random() * 0.5 + 0.2,
                 ease: 'steps(10)',
                 onComplete: () => strip.remove()
             });
@@ -768,7 +779,7 @@ class ExtendedAnimations {
             const bg = document.querySelector('.bg');
             if (bg) {
                 gsap.to(bg, {
-                    filter: `hue-rotate(${Math.random() * 30}deg) saturate(${1 + Math.random() * 0.5})`,
+                    filter: `hue-rotate(${random() * 30}deg) saturate(${1 + random() * 0.5})`,
                     duration: 2,
                     yoyo: true,
                     repeat: 1,
@@ -776,10 +787,10 @@ class ExtendedAnimations {
                 });
             }
 
-            setTimeout(pulseBackground, Math.random() * 10000 + 5000);
+            this._loop('background-pulse', pulseBackground, random() * 10000 + 5000);
         };
 
-        setTimeout(pulseBackground, 2000);
+        this._loop('background-pulse', pulseBackground, 2000);
     }
 
     add80sRetroEffects() {
@@ -787,7 +798,7 @@ class ExtendedAnimations {
         const retroWave = () => {
             if (!this.isRunning) return;
 
-            if (Math.random() > 0.7) {
+            if (random() > 0.7) {
                 // DISABLED - Retro flash causes bright overlays
                 // Commented out to prevent flashing issues
                 /*
@@ -819,10 +830,10 @@ class ExtendedAnimations {
                 */
             }
 
-            setTimeout(retroWave, Math.random() * 15000 + 10000);
+            this._loop('retro-wave', retroWave, random() * 15000 + 10000);
         };
 
-        setTimeout(retroWave, 5000);
+        this._loop('retro-wave', retroWave, 5000);
     }
 
     chromaticWave() {
@@ -857,10 +868,10 @@ class ExtendedAnimations {
         const mosh = document.createElement('div');
         mosh.style.cssText = `
             position: fixed;
-            top: ${Math.random() * 50}%;
+            top: ${random() * 50}%;
             left: 0;
             width: 100%;
-            height: ${Math.random() * 200 + 100}px;
+            height: ${random() * 200 + 100}px;
             pointer-events: none;
             z-index: 150;
             background: repeating-linear-gradient(
@@ -869,7 +880,7 @@ class ExtendedAnimations {
                 rgba(0,255,255,0.2) 2px,
                 transparent 4px
             );
-            transform: skewY(${Math.random() * 10 - 5}deg);
+            transform: skewY(${random() * 10 - 5}deg);
             opacity: 0;
         `;
         document.body.appendChild(mosh);
@@ -885,7 +896,7 @@ class ExtendedAnimations {
 
     quantumFlicker() {
         // Only 5% chance of executing this effect
-        if (Math.random() > 0.05) return;
+        if (random() > 0.05) return;
 
         const quantum = document.createElement('div');
         quantum.style.cssText = `
@@ -912,6 +923,8 @@ class ExtendedAnimations {
 
     destroy() {
         this.isRunning = false;
+        Object.values(this.timers).forEach((timer) => timer.cancel());
+        this.timers = {};
     }
 }
 
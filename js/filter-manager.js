@@ -2,6 +2,7 @@
 // Ensures no grey/white flashes and coordinates slider vs. scene transitions
 
 import gsap from 'gsap';
+import scheduler from './scheduler.js';
 
 // Ensure GSAP is globally available
 if (typeof window !== 'undefined' && !window.gsap) {
@@ -37,7 +38,7 @@ class FilterManager {
 
   reset() {
     // Clear any pending filter applications
-    clearTimeout(this.applyTimeout);
+    this.applyTimeout?.cancel();
     this.applyTimeout = null;
 
     // Reset state to defaults
@@ -53,11 +54,11 @@ class FilterManager {
   }
 
   scheduleApply(debounceMs = 300) {
-    clearTimeout(this.applyTimeout);
-    this.applyTimeout = setTimeout(() => {
+    this.applyTimeout?.cancel();
+    this.applyTimeout = scheduler.timeout(() => {
       const filter = this.buildFilterFromState();
       this.applyImmediate(filter, 1.2);
-    }, debounceMs);
+    }, debounceMs, { name: 'filter-apply', category: 'system', scaled: false });
   }
 
   // Immediate application for scene transitions or effects
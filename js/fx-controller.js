@@ -1,5 +1,11 @@
 // FX Controller centralizes effect intensities and provides helpers to apply them
 
+import seededRandom from './seeded-random.js';
+import performanceModeManager from './performance-mode-manager.js';
+import layerManager from './layer-manager.js';
+import scheduler from './scheduler.js';
+const random = seededRandom.stream('fx-controller');
+
 class FXController {
   constructor() {
     this.intensities = {
@@ -15,6 +21,37 @@ class FXController {
     this.effectRegistry = {};
     // Track on/off states for toggleable effects
     this.effectStates = this.effectStates || {};
+
+    // Overlays pumped by live audio (see audio-analyzer.js)
+    if (typeof window !== 'undefined') {
+      window.addEventListener('audioUpdate', (e) => this.applyAudioLevels(e.detail));
+    }
+
+    // Lower quality tiers scale every intensity down
+    performanceModeManager.register('fxController', ({ fxMultiplier }) => {
+      if (fxMultiplier !== this.globalMult) this.setGlobalIntensityMultiplier(fxMultiplier);
+    });
+  }
+
+  // Modulate overlay opacity around its intensity-derived base level
+  applyAudioLevels(levels) {
+    if (!levels) return;
+    const plasma = document.getElementById('plasma-overlay');
+    if (plasma && plasma.style.display !== 'none') {
+      const base = Math.min(0.6, this.intensities.plasma * this.globalMult * 0.6);
+      plasma.style.opacity = Math.min(0.8, base * (1 + levels.bass * 0.8)).toFixed(3);
+    }
+    const strobe = document.getElementById('strobe-circles-overlay');
+    if (strobe && strobe.style.display !== 'none') {
+      const base = Math.min(0.8, this.intensities.strobe * this.globalMult * 0.8);
+      strobe.style.opacity = Math.min(1, base * (1 + levels.treble)).toFixed(3);
+    }
+  }
+
+  // Utility: put an overlay into its compositor layer under #fx-root
+  _mount(el, layer) {
+    layerManager.add(layer, el);
+    (document.getElementById('fx-root') || document.body).appendChild(el);
   }
 
   // Utility: create overlay lazily under #fx-root with fade-in
@@ -25,7 +62,7 @@ class FXController {
       el.id = id;
       el.style.cssText = styleText;
       el.style.opacity = '0';
-      (document.getElementById('fx-root') || document.body).appendChild(el);
+      this._mount(el, 'fx');
       // Fade-in
       requestAnimationFrame(() => { el.style.transition = 'opacity 300ms ease'; el.style.opacity = '1'; });
     }
@@ -39,7 +76,7 @@ class FXController {
       try {
         el.style.transition = 'opacity 200ms ease';
         el.style.opacity = '0';
-        setTimeout(() => { try { el.remove(); } catch {} }, 220);
+        scheduler.timeout(() => { try { el.remove(); } catch {} }, 220, { name: 'fx-overlay-remove', category: 'ambient', scaled: false });
       } catch { try { el.remove(); } catch {} }
     }
   }
@@ -172,8 +209,14 @@ class FXController {
     });
   }
 
+  // Scheduler handle still running (an emergency stop cancels effect timers)
+  _timerLive(handle) {
+    return !!handle && scheduler.has(handle.id);
+  }
+
   // Data streams effect implementation
   applyDataStreamsEffect(enabled) {
+    if (!this._timerLive(this.dataStreamsInterval)) this.dataStreamsInterval = null;
     if (!this.dataStreamsInterval) {
       if (enabled) {
         // Create data stream overlay if it doesn't exist
@@ -196,13 +239,13 @@ class FXController {
             letter-spacing: 1px;
             overflow: hidden;
           `;
-          (document.getElementById('fx-root') || document.body).appendChild(overlay);
+          this._mount(overlay, 'matrix-rain');
         }
 
         // Animate data streams
         // Reduce spawn frequency for stability
         const SPAWN_INTERVAL_MS = 400;
-        this.dataStreamsInterval = setInterval(() => {
+        this.dataStreamsInterval = scheduler.interval(() => {
           // Performance-aware guard
           try {
             const fps = (window.performanceBus && window.performanceBus.metrics?.fps) || (window.safePerformanceMonitor && window.safePerformanceMonitor.metrics?.fps) || 60;
@@ -225,17 +268,17 @@ class FXController {
           stream._createdAt = Date.now();
           stream.style.cssText = `
             position: absolute;
-            left: ${Math.random() * 100}%;
+            left: ${random() * 100}%;
             top: -20px;
             writing-mode: vertical-rl;
             text-shadow: 0 0 6px rgba(0,255,133,0.6);
             animation: fall 3.2s linear;
           `;
-          stream.textContent = Math.random().toString(36).substring(2, 15);
+          stream.textContent = random().toString(36).substring(2, 15);
           overlay.appendChild(stream);
 
           // Remove after 3s and opportunistically prune stale nodes
-          setTimeout(() => {
+          scheduler.timeout(() => {
             try { stream.remove(); } catch {}
             try {
               const now = Date.now();
@@ -249,8 +292,8 @@ class FXController {
                 } catch {}
               });
             } catch {}
-          }, 3000);
-        }, SPAWN_INTERVAL_MS);
+          }, 3000, { name: 'data-stream-remove', category: 'effect' });
+        }, SPAWN_INTERVAL_MS, { name: 'data-streams', category: 'effect' });
 
         // Add CSS animation
         if (!document.getElementById('data-streams-style')) {
@@ -265,8 +308,8 @@ class FXController {
         }
 
         // Keep-alive to guard against accidental overlay removal
-        if (!this.dataStreamsKeepAlive) {
-          this.dataStreamsKeepAlive = setInterval(() => {
+        if (!this._timerLive(this.dataStreamsKeepAlive)) {
+          this.dataStreamsKeepAlive = scheduler.interval(() => {
             try {
               const enabled = this.effectStates && this.effectStates.dataStreams;
               if (!enabled) return;
@@ -274,13 +317,14 @@ class FXController {
                 this.applyDataStreamsEffect(true);
               }
             } catch {}
-          }, 2000);
+          }, 2000, { name: 'data-streams-keepalive', category: 'effect', scaled: false });
         }
       }
     } else if (!enabled) {
-      clearInterval(this.dataStreamsInterval);
+      this.dataStreamsInterval.cancel();
       this.dataStreamsInterval = null;
-      if (this.dataStreamsKeepAlive) { try { clearInterval(this.dataStreamsKeepAlive); } catch {} this.dataStreamsKeepAlive = null; }
+      this.dataStreamsKeepAlive?.cancel();
+      this.dataStreamsKeepAlive = null;
       const overlay = document.getElementById('data-streams-overlay');
       if (overlay) overlay.remove();
     }
@@ -306,7 +350,7 @@ class FXController {
         z-index: 9998;
         animation: strobe-pulse 0.5s infinite;
       `;
-      (document.getElementById('fx-root') || document.body).appendChild(strobeOverlay);
+      this._mount(strobeOverlay, 'animations');
 
       // Add strobe animation
       if (!document.getElementById('strobe-style')) {
@@ -385,6 +429,7 @@ class FXController {
         plasmaOverlay.appendChild(plasmaCanvas);
 
         // Insert before main content but after background
+        layerManager.add('background', plasmaOverlay);
         const mainWrapper = document.querySelector('.main-wrapper');
         if (mainWrapper) {
           (document.getElementById('fx-root') || mainWrapper.parentNode || document.body).appendChild(plasmaOverlay);
@@ -411,8 +456,8 @@ class FXController {
         }
       }
       // Keep-alive to guard against accidental cleanup
-      if (!this.plasmaKeepAlive) {
-        this.plasmaKeepAlive = setInterval(() => {
+      if (!this._timerLive(this.plasmaKeepAlive)) {
+        this.plasmaKeepAlive = scheduler.interval(() => {
           try {
             const enabled = this.effectStates && this.effectStates.plasma;
             if (!enabled) return;
@@ -422,7 +467,7 @@ class FXController {
               this.applyPlasmaEffect(true);
             }
           } catch {}
-        }, 2000);
+        }, 2000, { name: 'plasma-keepalive', category: 'effect', scaled: false });
       }
     } else {
       if (plasmaOverlay) {
@@ -432,7 +477,8 @@ class FXController {
       if (plasmaStyle) {
         plasmaStyle.remove();
       }
-      if (this.plasmaKeepAlive) { try { clearInterval(this.plasmaKeepAlive); } catch {} this.plasmaKeepAlive = null; }
+      this.plasmaKeepAlive?.cancel();
+      this.plasmaKeepAlive = null;
     }
   }
 
@@ -457,7 +503,7 @@ class FXController {
         background-size: 50px 50px;
         animation: grid-move 10s linear infinite;
       `;
-      (document.getElementById('fx-root') || document.body).appendChild(gridOverlay);
+      this._mount(gridOverlay, 'background');
 
       // Add grid animation
       if (!document.getElementById('grid-style')) {
@@ -579,7 +625,7 @@ class FXController {
         );
         animation: scanlines-move 8s linear infinite;
       `;
-      (document.getElementById('fx-root') || document.body).appendChild(scanlinesOverlay);
+      this._mount(scanlinesOverlay, 'overlay');
 
       // Add animation
       if (!document.getElementById('scanlines-anim-style')) {
@@ -620,7 +666,7 @@ class FXController {
           rgba(0, 0, 0, 0.6) 100%
         );
       `;
-      (document.getElementById('fx-root') || document.body).appendChild(vignetteOverlay);
+      this._mount(vignetteOverlay, 'overlay');
     } else if (!enabled && vignetteOverlay) {
       vignetteOverlay.remove();
     }
@@ -656,6 +702,7 @@ class FXController {
       const data = imageData.data;
 
       for (let i = 0; i < data.length; i += 4) {
+        // Per-pixel texture noise stays unseeded: it never changes the show
         const noise = Math.random() * 255;
         data[i] = noise;     // R
         data[i+1] = noise;   // G
@@ -666,7 +713,7 @@ class FXController {
       ctx.putImageData(imageData, 0, 0);
       grainOverlay.style.backgroundImage = `url(${canvas.toDataURL()})`;
 
-      (document.getElementById('fx-root') || document.body).appendChild(grainOverlay);
+      this._mount(grainOverlay, 'overlay');
 
       // Add animation
       if (!document.getElementById('grain-anim-style')) {
@@ -0,0 +1,377 @@
+// GPU Particles - ChaosEngine's particle field, animated on the GPU
+// Base positions live in buffer attributes; wave and noise displacement, size
+// pulse and scene morphs happen in the vertex shader from uniforms, so the CPU
+// never touches the position buffer per frame.
+//
+//   const field = new GPUParticles(renderer);
+//   field.build({ mode: 'waves', count: 10000, layout: (n) => buildParticles(scene, n, random) });
+//   scene.add(field.points);
+//   field.morphTo(layout, 3);                         // new scene: GPU lerp over 3 s
+//   field.update(delta, time, { phase, audio });      // every frame
+//
+// Modes:
+//   waves      static layout + vertex shader displacement (default)
+//   flock      GPGPU boids: velocity/position textures, sampled neighbours, home pull
+//   attractor  GPGPU: particles orbit and spring towards the scene layout
+// GPGPU modes need float render targets; build() falls back to 'waves' without them.
+
+import * as THREE from 'three';
+import { GPUComputationRenderer } from 'three/examples/jsm/misc/GPUComputationRenderer.js';
+import gsap from 'gsap';
+
+export const PARTICLE_MODES = ['waves', 'flock', 'attractor'];
+
+const RENDER_VERTEX = `
+    uniform float uTime;
+    uniform float uPhase;
+    uniform float uAudio;
+    uniform float uMorph;
+    uniform float uSize;
+    uniform float uScale;
+    attribute vec3 aTarget;
+    attribute vec3 aTargetColor;
+    attribute vec3 color;
+    #ifdef GPGPU
+    uniform sampler2D texturePosition;
+    attribute vec2 aReference;
+    #endif
+    varying vec3 vColor;
+
+    void main() {
+        vColor = mix(color, aTargetColor, uMorph);
+    #ifdef GPGPU
+        vec3 p = texture2D(texturePosition, aReference).xyz;
+    #else
+        vec3 base = mix(position, aTarget, uMorph);
+        vec3 p = base;
+        // Wave motion (was the CPU loop in ChaosEngine.animate)
+        p.x += sin(uTime * 0.5 + base.y * 0.1) * 2.0;
+        p.y += cos(uTime * 0.3 + base.x * 0.1) * 2.0;
+        p.z += sin(uTime + base.x * 0.1 + base.y * 0.1) * 3.0 * (1.0 + uPhase);
+        // Noise displacement, stronger with audio energy and phase
+        vec3 n = sin(base.yzx * 0.07 + uTime * 0.4) * cos(base.zxy * 0.05 - uTime * 0.3);
+        p += n * (uAudio * 4.0 + uPhase * 0.5);
+    #endif
+        vec4 mvPosition = modelViewMatrix * vec4(p, 1.0);
+        float size = uSize + sin(uTime * 2.0) * 0.2 + uAudio * 0.6;
+        gl_PointSize = max(size, 0.0) * (uScale / -mvPosition.z);
+        gl_Position = projectionMatrix * mvPosition;
+    }
+`;
+
+const RENDER_FRAGMENT = `
+    uniform float uOpacity;
+    varying vec3 vColor;
+
+    void main() {
+        gl_FragColor = vec4(vColor, uOpacity);
+    }
+`;
+
+// Shared by both simulation shaders
+const SIM_UNIFORMS = `
+    uniform float uTime;
+    uniform float uDelta;
+    uniform float uPhase;
+    uniform float uAudio;
+    uniform sampler2D tTarget;
+`;
+
+const VELOCITY_SHADER = `
+    ${SIM_UNIFORMS}
+
+    float hash(vec2 p) {
+        return fract(sin(dot(p, vec2(12.9898, 78.233))) * 43758.5453);
+    }
+
+    void main() {
+        vec2 uv = gl_FragCoord.xy / resolution.xy;
+        vec3 pos = texture2D(texturePosition, uv).xyz;
+        vec3 vel = texture2D(textureVelocity, uv).xyz;
+        vec3 home = texture2D(tTarget, uv).xyz;
+        vec3 acc = vec3(0.0);
+        float maxSpeed = 12.0 + uAudio * 30.0 + uPhase * 4.0;
+
+    #ifdef FLOCK
+        // Boids over a rotating sample of neighbours instead of all N^2 pairs
+        vec3 separation = vec3(0.0);
+        vec3 alignment = vec3(0.0);
+        vec3 cohesion = vec3(0.0);
+        float neighbours = 0.0;
+        for (int i = 0; i < 24; i++) {
+            vec2 offset = vec2(hash(uv + float(i) * 0.131 + floor(uTime * 2.0)), hash(uv.yx + float(i) * 0.717));
+            vec2 other = fract(uv + offset);
+            vec3 otherPos = texture2D(texturePosition, other).xyz;
+            vec3 diff = pos - otherPos;
+            float dist = length(diff);
+            if (dist > 0.0001 && dist < 14.0) {
+                if (dist < 4.0) separation += diff / (dist * dist);
+                alignment += texture2D(textureVelocity, other).xyz;
+                cohesion += otherPos;
+                neighbours += 1.0;
+            }
+        }
+        if (neighbours > 0.0) {
+            acc += separation * 40.0;
+            acc += (alignment / neighbours - vel) * 1.5;
+            acc += (cohesion / neighbours - pos) * 0.8;
+        }
+        acc += (home - pos) * 0.15;
+    #else
+        // Attractor field: spring to the scene layout plus an orbit around the y axis
+        vec3 toHome = home - pos;
+        acc += toHome * (1.2 + uPhase * 0.3);
+        acc += cross(normalize(pos + vec3(0.0001)), vec3(0.0, 1.0, 0.0)) * (6.0 + uPhase * 4.0);
+        acc += normalize(pos + vec3(0.0001)) * uAudio * 60.0;
+        vel *= 0.96;
+    #endif
+
+        vel += acc * uDelta;
+        float speed = length(vel);
+        if (speed > maxSpeed) vel = vel / speed * maxSpeed;
+        gl_FragColor = vec4(vel, 1.0);
+    }
+`;
+
+const POSITION_SHADER = `
+    ${SIM_UNIFORMS}
+
+    void main() {
+        vec2 uv = gl_FragCoord.xy / resolution.xy;
+        vec3 pos = texture2D(texturePosition, uv).xyz;
+        vec3 vel = texture2D(textureVelocity, uv).xyz;
+        gl_FragColor = vec4(pos + vel * uDelta, 1.0);
+    }
+`;
+
+export class GPUParticles {
+    constructor(renderer) {
+        this.renderer = renderer;
+        this.mode = 'waves';
+        this.count = 0;
+        this.capacity = 0;
+        this.points = null;
+        this.gpgpu = null;        // { compute, position, velocity, target, size }
+        this._layout = null;
+        this._morph = { value: 0 };
+    }
+
+    get isGPGPU() {
+        return !!this.gpgpu;
+    }
+
+    /**
+     * (Re)build the field. layout(n) returns { positions, colors } for n particles.
+     */
+    build({ mode = this.mode, count, layout }) {
+        this.dispose();
+        this._layout = layout;
+        this.mode = PARTICLE_MODES.includes(mode) ? mode : 'waves';
+        if (this.mode !== 'waves' && !this._supportsGPGPU()) {
+            console.warn(`⚠️ GPU particles: ${this.mode} needs float render targets, using waves`);
+            this.mode = 'waves';
+        }
+
+        // GPGPU fields are square textures; waves keep spare capacity for setCount()
+        const size = this.mode === 'waves' ? 0 : Math.ceil(Math.sqrt(count));
+        this.capacity = size ? size * size : count;
+        const { positions, colors } = layout(this.capacity);
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('aTarget', new THREE.BufferAttribute(positions.slice(), 3));
+        geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+        geometry.setAttribute('aTargetColor', new THREE.BufferAttribute(colors.slice(), 3));
+
+        const material = new THREE.ShaderMaterial({
+            uniforms: {
+                uTime: { value: 0 },
+                uPhase: { value: 0 },
+                uAudio: { value: 0 },
+                uMorph: this._morph,
+                uSize: { value: 0.5 },
+                uScale: { value: 1 },
+                uOpacity: { value: 0.6 },
+                texturePosition: { value: null }
+            },
+            vertexShader: RENDER_VERTEX,
+            fragmentShader: RENDER_FRAGMENT,
+            blending: THREE.AdditiveBlending,
+            transparent: true
+        });
+        material.opacity = 0.6;
+
+        if (size) this._initCompute(size, positions);
+        if (this.gpgpu) {
+            const reference = new Float32Array(this.capacity * 2);
+            for (let i = 0; i < this.capacity; i++) {
+                reference[i * 2] = (i % size + 0.5) / size;
+                reference[i * 2 + 1] = (Math.floor(i / size) + 0.5) / size;
+            }
+            geometry.setAttribute('aReference', new THREE.BufferAttribute(reference, 2));
+            material.defines.GPGPU = '';
+        } else if (size) {
+            this.mode = 'waves';
+        }
+
+        this.points = new THREE.Points(geometry, material);
+        // Displacement happens on the GPU, the CPU-side bounds would be stale
+        this.points.frustumCulled = false;
+        this.setCount(count);
+        return this.points;
+    }
+
+    /**
+     * Change the visible particle count. Waves mode only rebuilds when the
+     * count grows past the allocated buffers; GPGPU rebuilds its textures.
+     */
+    setCount(count) {
+        if (!this.points) return;
+        if (count > this.capacity || (this.isGPGPU && Math.ceil(Math.sqrt(count)) !== this.gpgpu.size)) {
+            const { material } = this.points;
+            const parent = this.points.parent;
+            parent?.remove(this.points);
+            const uniforms = material.uniforms;
+            const opacity = material.opacity;
+            this.build({ count, layout: this._layout });
+            this.points.material.uniforms.uSize.value = uniforms.uSize.value;
+            this.points.material.uniforms.uScale.value = uniforms.uScale.value;
+            this.points.material.opacity = opacity;
+            parent?.add(this.points);
+            return;
+        }
+        this.count = count;
+        this.points.geometry.setDrawRange(0, count);
+    }
+
+    /**
+     * Morph to a new layout; colours and (in waves mode) positions blend on the GPU
+     */
+    morphTo(layout, duration = 3) {
+        if (!this.points) return;
+        this._layout = layout;
+        const { positions, colors } = layout(this.capacity);
+        const attributes = this.points.geometry.attributes;
+
+        // Bake the current blend into the start buffers, then blend towards the new target
+        const t = this._morph.value;
+        gsap.killTweensOf(this._morph);
+        [['position', 'aTarget'], ['color', 'aTargetColor']].forEach(([from, to]) => {
+            const start = attributes[from].array;
+            const end = attributes[to].array;
+            for (let i = 0; i < start.length; i++) start[i] += (end[i] - start[i]) * t;
+            attributes[from].needsUpdate = true;
+        });
+        attributes.aTarget.array.set(positions);
+        attributes.aTarget.needsUpdate = true;
+        attributes.aTargetColor.array.set(colors);
+        attributes.aTargetColor.needsUpdate = true;
+        this._morph.value = 0;
+
+        // GPGPU particles fly to the new layout by themselves
+        if (this.isGPGPU) this._writeTexture(this.gpgpu.target, positions);
+
+        gsap.to(this._morph, { value: 1, duration, ease: 'power2.inOut' });
+    }
+
+    setSize(size) {
+        if (this.points) this.points.material.uniforms.uSize.value = size;
+    }
+
+    /**
+     * Point size attenuation scale (same as PointsMaterial: pixelRatio * height / 2)
+     */
+    setScale(pixelRatio, height) {
+        if (this.points) this.points.material.uniforms.uScale.value = pixelRatio * height * 0.5;
+    }
+
+    update(delta, time, { phase = 0, audio = 0 } = {}) {
+        if (!this.points) return;
+        const { uniforms } = this.points.material;
+        uniforms.uTime.value = time;
+        uniforms.uPhase.value = phase;
+        uniforms.uAudio.value = audio;
+        // material.opacity stays the public knob (phases, FX controller)
+        uniforms.uOpacity.value = this.points.material.opacity;
+
+        if (this.isGPGPU) {
+            const { compute, position, velocity } = this.gpgpu;
+            const step = Math.min(delta, 1 / 20);
+            [position, velocity].forEach((variable) => {
+                const u = variable.material.uniforms;
+                u.uTime.value = time;
+                u.uDelta.value = step;
+                u.uPhase.value = phase;
+                u.uAudio.value = audio;
+            });
+            compute.compute();
+            uniforms.texturePosition.value = compute.getCurrentRenderTarget(position).texture;
+        }
+    }
+
+    _supportsGPGPU() {
+        if (!this.renderer) return false;
+        return this.renderer.capabilities.maxVertexTextures > 0
+            && this.renderer.extensions.has('EXT_color_buffer_float');
+    }
+
+    _initCompute(size, positions) {
+        const compute = new GPUComputationRenderer(size, size, this.renderer);
+        const positionTexture = compute.createTexture();
+        const velocityTexture = compute.createTexture();
+        const target = compute.createTexture();
+        this._writeTexture(positionTexture, positions);
+        this._writeTexture(target, positions);
+
+        const position = compute.addVariable('texturePosition', POSITION_SHADER, positionTexture);
+        const velocity = compute.addVariable('textureVelocity', VELOCITY_SHADER, velocityTexture);
+        compute.setVariableDependencies(position, [position, velocity]);
+        compute.setVariableDependencies(velocity, [position, velocity]);
+        [position, velocity].forEach((variable) => {
+            Object.assign(variable.material.uniforms, {
+                uTime: { value: 0 },
+                uDelta: { value: 0 },
+                uPhase: { value: 0 },
+                uAudio: { value: 0 },
+                tTarget: { value: target }
+            });
+        });
+        if (this.mode === 'flock') velocity.material.defines.FLOCK = '';
+
+        const error = compute.init();
+        if (error) {
+            console.error('GPU particles: compute init failed, using waves:', error);
+            target.dispose();
+            compute.dispose();
+            return;
+        }
+        this.gpgpu = { compute, position, velocity, target, size };
+    }
+
+    _writeTexture(texture, positions) {
+        const data = texture.image.data;
+        for (let i = 0, j = 0; i < positions.length; i += 3, j += 4) {
+            data[j] = positions[i];
+            data[j + 1] = positions[i + 1];
+            data[j + 2] = positions[i + 2];
+            data[j + 3] = 1;
+        }
+        texture.needsUpdate = true;
+    }
+
+    dispose() {
+        gsap.killTweensOf(this._morph);
+        this._morph.value = 0;
+        if (this.points) {
+            this.points.parent?.remove(this.points);
+            this.points.geometry.dispose();
+            this.points.material.dispose();
+            this.points = null;
+        }
+        if (this.gpgpu) {
+            this.gpgpu.target.dispose();
+            this.gpgpu.compute.dispose();
+            this.gpgpu = null;
+        }
+    }
+}
@@ -1,6 +1,8 @@
 // GSAP Animation Registry - Tracks and manages all GSAP animations to prevent accumulation
 
 import gsap from 'gsap';
+import performanceModeManager from './performance-mode-manager.js';
+import scheduler from './scheduler.js';
 
 // Ensure GSAP is globally available
 if (typeof window !== 'undefined' && !window.gsap) {
@@ -277,7 +279,9 @@ class GSAPAnimationRegistry {
 
             // Auto-cleanup on complete if enabled
             if (animationData && animationData.autoCleanup && animationData.progress >= 1) {
-                setTimeout(() => this.killAnimation(animationId), 100);
+                scheduler.timeout(() => this.killAnimation(animationId), 100, {
+                    name: 'gsap-registry-cleanup', category: 'ambient'
+                });
             }
         };
     }
@@ -643,12 +647,12 @@ class GSAPAnimationRegistry {
      */
     startPeriodicCleanup(interval = 10000) { // Default: 10 seconds
         if (this.cleanupInterval) {
-            clearInterval(this.cleanupInterval);
+            this.cleanupInterval.cancel();
         }
 
-        this.cleanupInterval = setInterval(() => {
+        this.cleanupInterval = scheduler.interval(() => {
             this.performPeriodicCleanup();
-        }, interval);
+        }, interval, { name: 'gsap-registry-cleanup', category: 'system', scaled: false });
 
         console.log(`🧹 GSAP cleanup started (every ${interval}ms)`);
     }
@@ -660,7 +664,8 @@ class GSAPAnimationRegistry {
         this.emergencyStop();
         
         if (this.cleanupInterval) {
-            clearInterval(this.cleanupInterval);
+            this.cleanupInterval.cancel();
+            this.cleanupInterval = null;
         }
         
         console.log('💀 GSAP Animation Registry destroyed');
@@ -673,6 +678,11 @@ const gsapAnimationRegistry = new GSAPAnimationRegistry();
 // Start periodic cleanup
 gsapAnimationRegistry.startPeriodicCleanup();
 
+// Concurrent animation limit follows the quality tier
+performanceModeManager.register('gsapAnimationRegistry', ({ maxAnimations }) => {
+    gsapAnimationRegistry.maxAnimations = maxAnimations;
+});
+
 // Make it globally available
 window.gsapAnimationRegistry = gsapAnimationRegistry;
 
@@ -1,11 +1,17 @@
-// Interval Manager - Tracks and manages all setInterval calls to prevent memory leaks
+// Interval Manager - named, categorised intervals on top of the scheduler
+// Kept for its API (createInterval / set / clearCategory / stats); the timers
+// themselves are owned by scheduler.js, so they pause with the page, follow the
+// global speed when scaled and show up in scheduler.inspect().
+
+import scheduler from './scheduler.js';
 
 class IntervalManager {
     constructor() {
         this.intervals = new Map(); // Track all managed intervals
         this.intervalCounter = 0;
         this.maxIntervals = 20; // Maximum concurrent intervals
-        
+        this._byName = new Map(); // set() name -> interval id
+
         console.log('⏰ Interval Manager initialized');
     }
 
@@ -14,7 +20,7 @@ class IntervalManager {
      * @param {Function} callback - Function to execute
      * @param {number} delay - Delay in milliseconds
      * @param {string} name - Optional name for debugging
-     * @param {Object} options - Additional options
+     * @param {Object} options - Additional options (category, maxExecutions, maxAge, stopOnError, scaled, background)
      * @returns {Object} Interval control object
      */
     createInterval(callback, delay, name = 'unnamed', options = {}) {
@@ -26,18 +32,15 @@ class IntervalManager {
 
         const intervalId = ++this.intervalCounter;
         const intervalName = `${name}-${intervalId}`;
-        
-        // Create the actual interval
-        const nativeIntervalId = setInterval(() => {
+        const category = options.category || 'general';
+
+        const handle = scheduler.interval(() => {
+            const intervalData = this.intervals.get(intervalId);
+            if (intervalData) {
+                intervalData.lastExecuted = Date.now();
+                intervalData.executionCount++;
+            }
             try {
-                // Update last execution time
-                const intervalData = this.intervals.get(intervalId);
-                if (intervalData) {
-                    intervalData.lastExecuted = Date.now();
-                    intervalData.executionCount++;
-                }
-                
-                // Execute callback
                 callback();
             } catch (error) {
                 console.error(`❌ Error in interval ${intervalName}:`, error);
@@ -46,26 +49,26 @@ class IntervalManager {
                     this.clearInterval(intervalId);
                 }
             }
-        }, delay);
+        }, delay, { name: intervalName, category, scaled: options.scaled === true, background: options.background === true });
 
         // Store interval data
         const intervalData = {
             id: intervalId,
-            nativeId: nativeIntervalId,
+            handle,
             name: intervalName,
             delay: delay,
             callback: callback,
             createdAt: Date.now(),
             lastExecuted: Date.now(),
             executionCount: 0,
-            category: options.category || 'general',
+            category,
             maxExecutions: options.maxExecutions || null,
             maxAge: options.maxAge || null,
             isActive: true
         };
 
         this.intervals.set(intervalId, intervalData);
-        
+
         console.log(`⏰ Created interval: ${intervalName} (${delay}ms) - Total: ${this.intervals.size}`);
 
         // Return control object
@@ -82,6 +85,25 @@ class IntervalManager {
         };
     }
 
+    /**
+     * Named interval: replaces a running interval with the same name.
+     * @returns {number} id for clear()
+     */
+    set(name, callback, delay, options = {}) {
+        if (this._byName.has(name)) this.clearInterval(this._byName.get(name));
+        const { id } = this.createInterval(callback, delay, name, options);
+        this._byName.set(name, id);
+        return id;
+    }
+
+    /**
+     * Clear by id (from set()/createInterval) or by set() name
+     */
+    clear(idOrName) {
+        const id = this._byName.has(idOrName) ? this._byName.get(idOrName) : idOrName;
+        return this.clearInterval(id);
+    }
+
     /**
      * Clear a specific interval
      */
@@ -89,26 +111,28 @@ class IntervalManager {
         const intervalData = this.intervals.get(intervalId);
         if (!intervalData) return false;
 
-        // Clear the native interval
-        clearInterval(intervalData.nativeId);
-        
+        intervalData.handle.cancel();
+
         // Remove from tracking
         this.intervals.delete(intervalId);
-        
+        this._byName.forEach((id, name) => {
+            if (id === intervalId) this._byName.delete(name);
+        });
+
         console.log(`🗑️ Cleared interval: ${intervalData.name} (Remaining: ${this.intervals.size})`);
         return true;
     }
 
     /**
-     * Pause an interval (clear but keep tracking data)
+     * Pause an interval (keeps tracking data)
      */
     pauseInterval(intervalId) {
         const intervalData = this.intervals.get(intervalId);
         if (!intervalData || !intervalData.isActive) return false;
 
-        clearInterval(intervalData.nativeId);
+        intervalData.handle.pause();
         intervalData.isActive = false;
-        
+
         console.log(`⏸️ Paused interval: ${intervalData.name}`);
         return true;
     }
@@ -120,19 +144,9 @@ class IntervalManager {
         const intervalData = this.intervals.get(intervalId);
         if (!intervalData || intervalData.isActive) return false;
 
-        // Recreate the interval
-        intervalData.nativeId = setInterval(() => {
-            try {
-                intervalData.lastExecuted = Date.now();
-                intervalData.executionCount++;
-                intervalData.callback();
-            } catch (error) {
-                console.error(`❌ Error in resumed interval ${intervalData.name}:`, error);
-            }
-        }, intervalData.delay);
-
+        intervalData.handle.resume();
         intervalData.isActive = true;
-        
+
         console.log(`▶️ Resumed interval: ${intervalData.name}`);
         return true;
     }
@@ -142,18 +156,18 @@ class IntervalManager {
      */
     clearCategory(category) {
         const cleared = [];
-        
+
         this.intervals.forEach((data, id) => {
             if (data.category === category) {
                 this.clearInterval(id);
                 cleared.push(data.name);
             }
         });
-        
+
         if (cleared.length > 0) {
             console.log(`🗑️ Cleared ${cleared.length} intervals in category '${category}':`, cleared);
         }
-        
+
         return cleared.length;
     }
 
@@ -162,6 +176,7 @@ class IntervalManager {
      */
     cleanupOldestIntervals(count = 5) {
         const sortedIntervals = Array.from(this.intervals.values())
+            .filter(data => data.category !== 'system')
             .sort((a, b) => a.createdAt - b.createdAt)
             .slice(0, count);
 
@@ -174,13 +189,15 @@ class IntervalManager {
 
     /**
      * Perform automatic cleanup based on age and execution limits
+     * (no stale check: scheduler timers can't die silently, they only pause with the page)
      */
     performAutoCleanup() {
         const now = Date.now();
         const toRemove = [];
 
         this.intervals.forEach((data, id) => {
-            let shouldRemove = false;
+            // Cancelled behind our back (scheduler.cancelAll on emergency stop)
+            let shouldRemove = !scheduler.has(data.handle.id);
 
             // Check age limit
             if (data.maxAge && (now - data.createdAt) > data.maxAge) {
@@ -194,12 +211,6 @@ class IntervalManager {
                 console.log(`🔢 Interval ${data.name} exceeded max executions (${data.maxExecutions})`);
             }
 
-            // Check if stale (no execution in last 2 minutes)
-            if ((now - data.lastExecuted) > 120000) {
-                shouldRemove = true;
-                console.log(`💀 Interval ${data.name} appears stale (no execution in 2 minutes)`);
-            }
-
             if (shouldRemove) {
                 toRemove.push(id);
             }
@@ -248,12 +259,12 @@ class IntervalManager {
 
             // Calculate averages and extremes
             totalDelay += data.delay;
-            
+
             if (data.createdAt < oldestTime) {
                 oldestTime = data.createdAt;
                 stats.oldestInterval = data.name;
             }
-            
+
             if (data.createdAt > newestTime) {
                 newestTime = data.createdAt;
                 stats.newestInterval = data.name;
@@ -272,11 +283,11 @@ class IntervalManager {
      */
     listIntervals() {
         console.log(`📋 Active Intervals (${this.intervals.size}):`);
-        
+
         this.intervals.forEach(data => {
             const age = Date.now() - data.createdAt;
             const lastExecAge = Date.now() - data.lastExecuted;
-            
+
             console.log(`  ${data.name}:`);
             console.log(`    - Delay: ${data.delay}ms`);
             console.log(`    - Category: ${data.category}`);
@@ -292,10 +303,10 @@ class IntervalManager {
      */
     emergencyStop() {
         console.log('🚨 EMERGENCY STOP: Clearing all intervals');
-        
+
         const intervalIds = Array.from(this.intervals.keys());
         intervalIds.forEach(id => this.clearInterval(id));
-        
+
         console.log(`🛑 Emergency stop completed: ${intervalIds.length} intervals cleared`);
     }
 
@@ -309,7 +320,7 @@ class IntervalManager {
             'auto-cleanup',
             { category: 'system' }
         );
-        
+
         console.log(`🧹 Auto-cleanup started (every ${cleanupInterval}ms)`);
     }
 
@@ -318,11 +329,11 @@ class IntervalManager {
      */
     destroy() {
         this.emergencyStop();
-        
+
         if (this.autoCleanupInterval) {
             this.autoCleanupInterval.clear();
         }
-        
+
         console.log('💀 Interval Manager destroyed');
     }
 }
@@ -336,4 +347,4 @@ intervalManager.startAutoCleanup();
 // Make it globally available
 window.intervalManager = intervalManager;
 
-export default intervalManager;
\ No newline at end of file
+export default intervalManager;
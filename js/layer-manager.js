@@ -0,0 +1,277 @@
+// Layer Manager - named compositing layers for the display output
+// Modules put their elements into a layer with layerManager.add('lottie', el) (sets
+// data-layer), older markup is matched by each layer's legacy selectors. One
+// stylesheet applies the layer settings, so elements created later join their layer
+// without anyone re-querying the DOM:
+//
+//   order     bottom -> top. Each layer keeps its home z-index; reordering hands the
+//             home values out again in the new order (only between elements that
+//             share a stacking context, i.e. the body-level overlays)
+//   opacity   0-1, multiplied with the elements' own opacity (uniform mask, so module
+//             fades keep working underneath)
+//   blend     mix-blend-mode of the layer's elements
+//   muted     hidden (layer_toggle / per-output layers, see VJReceiver.toggleLayer)
+//   solo      only soloed layers are shown while any layer is soloed
+//
+// Only settings that differ from the default are written. Order, opacity and blend
+// are stored per output id (output-manager.js). Emits window event:
+//   layerState  { output, layers: [{ name, label, opacity, blend, muted, solo, count }] }
+
+import outputManager from './output-manager.js';
+
+const STORAGE_PREFIX = '3886_layers_';
+
+export const BLEND_MODES = [
+    'normal', 'screen', 'multiply', 'overlay', 'lighten', 'darken',
+    'color-dodge', 'color-burn', 'hard-light', 'soft-light', 'difference', 'exclusion'
+];
+
+// Bottom -> top. `z` is the layer's usual z-index, `selectors` the markup that
+// predates data-layer.
+const DEFAULT_LAYERS = [
+    { name: 'scene', label: '3D Scene', z: -2, selectors: '#chaos-canvas' },
+    { name: 'background', label: 'Background', z: -1, selectors: '.background-video, .cyber-grid-effect, #cyber-grid-effect, .plasma-field, #plasma-field-canvas, .anime-plasma-field' },
+    { name: 'video', label: 'Video', z: 0 },
+    { name: 'lottie', label: 'Lottie', z: 1 },
+    { name: 'sonar', label: 'Sonar', z: 2 },
+    { name: 'particles', label: 'Particles', z: 3, selectors: '#particles-effect, .anime-particles, .chaos-particles' },
+    { name: 'animations', label: 'Animations', z: 4, selectors: '.anime-holographic-container, .anime-strobe-circles, .anime-mandala, .anime-psychedelic-waves' },
+    { name: 'matrix-rain', label: 'Matrix Rain', z: 5, selectors: '.matrix-rain, .chaos-matrix, .data-streams-overlay, #data-streams-overlay, .anime-data-streams' },
+    { name: 'logo', label: 'Logo', z: 25, selectors: '.image-wrapper, .image-2, .image-3, .logo-container, .anime-logo-container, .glow' },
+    { name: 'text', label: 'Text', z: 50, selectors: '.text-3886, .logo-text, .scramble-text, .heading-20, .enter-button-wrapper, h1, h2, h3, p' },
+    { name: 'fx', label: 'FX Overlays', z: 9993 },
+    { name: 'overlay', label: 'Overlay', z: 9997, selectors: '#vignette-effect, #vignette-overlay, #scanlines-effect, #scanlines-overlay, #digital-noise-effect, #grain-overlay, #film-grain-effect, #chromatic-aberration, .chaos-overlay' },
+    { name: 'messages', label: 'Messages', z: 9999 },
+    { name: 'debug', label: 'Debug', z: 99999, selectors: '.debug-overlay, .debug-info, .performance-monitor, #performanceMonitor' }
+];
+
+function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
+
+class LayerManager {
+    constructor() {
+        this.layers = new Map();    // name -> { name, label, z, selectors, opacity, blend, muted, solo }
+        this.order = [];            // bottom -> top
+        this.style = null;
+        this.initialized = false;
+        DEFAULT_LAYERS.forEach((layer) => this.define(layer.name, layer));
+    }
+
+    get storageKey() {
+        return `${STORAGE_PREFIX}${outputManager.id}`;
+    }
+
+    init() {
+        if (this.initialized) return;
+        this.initialized = true;
+        this._load();
+        this.render();
+        this._emitState();
+    }
+
+    /**
+     * Add a layer on top (plugins, modules with their own layer). Existing layers
+     * only take a new label.
+     */
+    define(name, { label = name, z, selectors = '' } = {}) {
+        const existing = this.layers.get(name);
+        if (existing) {
+            existing.label = label;
+            return existing;
+        }
+        const top = this.order.length ? this.layers.get(this.order[this.order.length - 1]).z : 0;
+        const layer = {
+            name,
+            label,
+            z: Number.isFinite(z) ? z : top + 1,
+            selectors,
+            opacity: 1,
+            blend: 'normal',
+            muted: false,
+            solo: false
+        };
+        this.layers.set(name, layer);
+        this.order.push(name);
+        if (this.initialized) this._changed();
+        return layer;
+    }
+
+    /**
+     * Put an element into a layer (defined on the fly when unknown)
+     * @returns {Element} the element
+     */
+    add(name, element) {
+        if (!element) return element;
+        if (!this.layers.has(name)) this.define(name);
+        element.dataset.layer = name;
+        return element;
+    }
+
+    /**
+     * Apply a partial update { opacity, blend, muted, solo } to one layer
+     * @returns {string|null} error message, null when applied
+     */
+    setLayer(name, { opacity, blend, muted, solo } = {}) {
+        const layer = this.layers.get(name);
+        if (!layer) return `unknown layer "${name}"`;
+        if (opacity !== undefined) {
+            const value = Number(opacity);
+            if (!Number.isFinite(value)) return 'opacity must be 0-1';
+            layer.opacity = clamp(value, 0, 1);
+        }
+        if (blend !== undefined) {
+            if (!BLEND_MODES.includes(blend)) return `blend must be one of ${BLEND_MODES.join(', ')}`;
+            layer.blend = blend;
+        }
+        if (muted !== undefined) layer.muted = !!muted;
+        if (solo !== undefined) layer.solo = !!solo;
+        this._changed();
+        return null;
+    }
+
+    /**
+     * Reorder layers, bottom -> top. A partial list reorders just those layers
+     * within the slots they already take.
+     * @returns {string|null} error message, null when applied
+     */
+    setOrder(names) {
+        if (!Array.isArray(names) || !names.length) return 'order must be a list of layer names';
+        const unknown = names.find((name) => !this.layers.has(name));
+        if (unknown !== undefined) return `unknown layer "${unknown}"`;
+        if (new Set(names).size !== names.length) return 'order lists a layer twice';
+
+        const listed = new Set(names);
+        const slots = this.order.map((name, i) => (listed.has(name) ? i : -1)).filter((i) => i >= 0);
+        slots.forEach((slot, i) => { this.order[slot] = names[i]; });
+        this._changed();
+        return null;
+    }
+
+    /**
+     * Move one layer up (+1) or down (-1) the stack
+     */
+    move(name, delta) {
+        const from = this.order.indexOf(name);
+        if (from < 0) return `unknown layer "${name}"`;
+        const order = [...this.order];
+        const to = clamp(from + delta, 0, order.length - 1);
+        order.splice(to, 0, order.splice(from, 1)[0]);
+        return this.setOrder(order);
+    }
+
+    /**
+     * Default order, opacity, blend and no solo. Mutes belong to the layer toggles.
+     */
+    reset() {
+        const defaults = DEFAULT_LAYERS.map((layer) => layer.name);
+        this.order = [...defaults, ...this.order.filter((name) => !defaults.includes(name))];
+        this.layers.forEach((layer) => {
+            layer.opacity = 1;
+            layer.blend = 'normal';
+            layer.solo = false;
+        });
+        this._changed();
+    }
+
+    getState() {
+        return {
+            output: outputManager.id,
+            layers: this.order.map((name) => {
+                const layer = this.layers.get(name);
+                return {
+                    name,
+                    label: layer.label,
+                    opacity: layer.opacity,
+                    blend: layer.blend,
+                    muted: layer.muted,
+                    solo: layer.solo,
+                    count: typeof document === 'undefined' ? 0 : document.querySelectorAll(this._selector(layer)).length
+                };
+            })
+        };
+    }
+
+    // ============================================
+    // RENDERING
+    // ============================================
+
+    render() {
+        if (typeof document === 'undefined') return;
+        if (!this.style) {
+            this.style = document.createElement('style');
+            this.style.id = 'layer-manager';
+            document.head.appendChild(this.style);
+        }
+
+        // Home z-indexes handed out in the current order
+        const ladder = this.order.map((name) => this.layers.get(name).z).sort((a, b) => a - b);
+        const soloing = this.order.some((name) => this.layers.get(name).solo);
+
+        this.style.textContent = this.order.map((name, i) => {
+            const layer = this.layers.get(name);
+            const rules = [];
+            if (layer.muted || (soloing && !layer.solo)) rules.push('display: none !important');
+            if (ladder[i] !== layer.z) rules.push(`z-index: ${ladder[i]} !important`);
+            if (layer.opacity < 1) {
+                const mask = `linear-gradient(rgba(0, 0, 0, ${layer.opacity}), rgba(0, 0, 0, ${layer.opacity}))`;
+                rules.push(`-webkit-mask-image: ${mask} !important`, `mask-image: ${mask} !important`);
+            }
+            if (layer.blend !== 'normal') rules.push(`mix-blend-mode: ${layer.blend} !important`);
+            // html body: outranks the modules' own !important z-index rules
+            return rules.length ? `html body :is(${this._selector(layer)}) { ${rules.join('; ')}; }` : '';
+        }).filter(Boolean).join('\n');
+    }
+
+    // Registered elements belong to their data-layer only
+    _selector(layer) {
+        const own = `[data-layer="${layer.name}"]`;
+        return layer.selectors ? `${own}, :is(${layer.selectors}):not([data-layer])` : own;
+    }
+
+    _changed() {
+        this.render();
+        this._save();
+        this._emitState();
+    }
+
+    _save() {
+        if (!this.initialized) return;
+        const layers = {};
+        this.layers.forEach((layer, name) => { layers[name] = { opacity: layer.opacity, blend: layer.blend }; });
+        try { localStorage.setItem(this.storageKey, JSON.stringify({ order: this.order, layers })); } catch {}
+    }
+
+    _load() {
+        let saved = null;
+        try {
+            saved = JSON.parse(localStorage.getItem(this.storageKey));
+        } catch {}
+        if (!saved) return;
+
+        if (Array.isArray(saved.order)) {
+            // Layers defined since the save keep their place on top
+            const known = saved.order.filter((name) => this.layers.has(name));
+            this.order = [...new Set([...known, ...this.order])];
+        }
+        Object.entries(saved.layers || {}).forEach(([name, settings]) => {
+            const layer = this.layers.get(name);
+            if (!layer || !settings) return;
+            const opacity = Number(settings.opacity);
+            if (Number.isFinite(opacity)) layer.opacity = clamp(opacity, 0, 1);
+            if (BLEND_MODES.includes(settings.blend)) layer.blend = settings.blend;
+        });
+        console.log(`🎚️ Layer settings restored for output ${outputManager.id}`);
+    }
+
+    _emitState() {
+        if (typeof window === 'undefined' || !this.initialized) return;
+        window.dispatchEvent(new CustomEvent('layerState', { detail: this.getState() }));
+    }
+}
+
+const layerManager = new LayerManager();
+if (typeof window !== 'undefined') {
+    window.layerManager = layerManager;
+}
+export default layerManager;
@@ -1,4 +1,7 @@
 import gsap from 'gsap';
+import seededRandom from './seeded-random.js';
+import scheduler from './scheduler.js';
+const random = seededRandom.stream('logo-animator');
 
 class LogoAnimator {
     constructor() {
@@ -57,10 +60,10 @@ class LogoAnimator {
         window.addEventListener('webflowOverridden', (event) => {
             console.log('🎉 Webflow has been overridden! Re-initializing animations...');
             // Re-trigger test animations
-            setTimeout(() => {
+            scheduler.timeout(() => {
                 this.triggerWobble();
-                setTimeout(() => this.triggerPump(), 500);
-            }, 500);
+                scheduler.timeout(() => this.triggerPump(), 500, { name: 'logo-test', category: 'effect' });
+            }, 500, { name: 'logo-test', category: 'effect' });
         });
 
         // Remove any existing glow elements first (in case of restart)
@@ -99,7 +102,7 @@ class LogoAnimator {
 
         // DEBUGGING: Trigger a test animation after 3 seconds
         console.log('⏱️ Setting up test animation in 3 seconds...');
-        setTimeout(() => {
+        scheduler.timeout(() => {
             console.log('🧪 RUNNING TEST ANIMATIONS NOW!');
 
             // Test 1: Direct GSAP animation
@@ -116,25 +119,25 @@ class LogoAnimator {
             });
 
             // Test 2: Trigger wobble after 2 seconds
-            setTimeout(() => {
+            scheduler.timeout(() => {
                 console.log('Test 2: Triggering wobble');
                 this.triggerWobble();
-            }, 2000);
+            }, 2000, { name: 'logo-test', category: 'effect' });
 
             // Test 3: Trigger pump after 4 seconds
-            setTimeout(() => {
+            scheduler.timeout(() => {
                 console.log('Test 3: Triggering pump');
                 this.triggerPump();
-            }, 4000);
+            }, 4000, { name: 'logo-test', category: 'effect' });
 
-        }, 3000);
+        }, 3000, { name: 'logo-test', category: 'effect' });
 
         // Also expose to window for manual testing
         window.testLogoAnimation = () => {
             console.log('Manual test triggered!');
             this.triggerWobble();
-            setTimeout(() => this.triggerPump(), 1000);
-            setTimeout(() => this.triggerSquish(), 2000);
+            scheduler.timeout(() => this.triggerPump(), 1000, { name: 'logo-test', category: 'effect' });
+            scheduler.timeout(() => this.triggerSquish(), 2000, { name: 'logo-test', category: 'effect' });
         };
         console.log('💡 You can also run: window.testLogoAnimation()');
     }
@@ -324,13 +327,13 @@ class LogoAnimator {
         const tl = gsap.timeline();
 
         tl.to(this.logo, {
-            x: () => Math.random() * 10 - 5,
-            y: () => Math.random() * 10 - 5,
+            x: () => random() * 10 - 5,
+            y: () => random() * 10 - 5,
             duration: 0.05
         })
         .to(this.logo, {
-            x: () => Math.random() * 10 - 5,
-            y: () => Math.random() * 10 - 5,
+            x: () => random() * 10 - 5,
+            y: () => random() * 10 - 5,
             // Removed filter to prevent color changes
             duration: 0.05
         })
@@ -735,7 +738,7 @@ class LogoAnimator {
             () => this.energyBurst()
         ];
 
-        const randomAnim = animations[Math.floor(Math.random() * animations.length)];
+        const randomAnim = animations[Math.floor(random() * animations.length)];
         randomAnim();
     }
 
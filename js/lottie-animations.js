@@ -1,217 +1,149 @@
 // Lottie Animations Module - Cosmic visual effects system
+// Animations come from animations/lottie/manifest.json; a new .lottie file only
+// needs an entry there:
+//
+//   { id, file, label, size: % of the short screen side, opacity: 0-1, blend,
+//     zIndex, filter: CSS filter, duration: seconds on screen, weight,
+//     cooldown: seconds off screen before it may return,
+//     scenes: [] (any) | ['intense', ...], enabled, interaction }
+//
+// The schedule ({ maxConcurrent, startDelay, gap: [min, max] seconds } at the top of
+// the manifest) shows a weighted pick of the animations whose cooldown is over and
+// whose scenes include the current phase, one every `gap`, at most maxConcurrent
+// at once. A new phase or scene change hides what its scene doesn't allow. weight 0 keeps an
+// animation off the schedule (scroll or panel only). Animations played from the
+// panel stay until stopped. Opacity overrides and the schedule switch are stored.
+// Emits window events:
+//   lottieAnimationStart  { name }
+//   lottieState  { ready, auto, maxConcurrent, scene, visible: [id],
+//                  animations: [{ id, label, opacity, weight, cooldown, scenes, enabled, visible, held }] }
+
+import seededRandom from './seeded-random.js';
+import performanceModeManager from './performance-mode-manager.js';
+import scheduler from './scheduler.js';
+import layerManager, { BLEND_MODES } from './layer-manager.js';
+const random = seededRandom.stream('lottie-animations');
+
+export const LOTTIE_INTERACTIONS = ['none', 'hoverBrighten', 'burst', 'sparkle', 'rotateHover', 'proximity', 'pulse', 'scroll'];
+
+const LOTTIE_DIR = './animations/lottie/';
+const MANIFEST_URL = `${LOTTIE_DIR}manifest.json`;
+const STORAGE_KEY = '3886_lottie';
+const TICK_MS = 1000;
+const FADE_MS = 2000;
+const CENTER = 'translate(-50%, -50%)';
+
+const DEFAULT_SCHEDULE = { maxConcurrent: 2, startDelay: 15, gap: [8, 20] };
+
+const FALLBACK_MANIFEST = {
+    animations: [{ id: 'planetLogo', file: 'Planet-Logo.lottie', label: 'Planet Logo', size: 95, opacity: 0.2, blend: 'screen', zIndex: 3, duration: 8, cooldown: 60 }]
+};
+
+/**
+ * Validate a manifest entry and fill defaults. Throws with a readable message.
+ */
+export function normalizeLottie(raw) {
+    const id = String(raw?.id || '').trim();
+    if (!/^[\w-]+$/.test(id)) throw new Error(`Lottie "${id}": id needs letters, digits, - and _`);
+    const file = String(raw.file || '').trim();
+    if (!/\.(lottie|json)$/i.test(file)) throw new Error(`Lottie ${id}: file must be a .lottie or .json file`);
+    const blend = raw.blend ?? 'normal';
+    if (!BLEND_MODES.includes(blend)) throw new Error(`Lottie ${id}: blend must be one of ${BLEND_MODES.join(', ')}`);
+    const interaction = raw.interaction ?? 'none';
+    if (!LOTTIE_INTERACTIONS.includes(interaction)) throw new Error(`Lottie ${id}: interaction must be one of ${LOTTIE_INTERACTIONS.join(', ')}`);
+    const scenes = raw.scenes ?? [];
+    if (!Array.isArray(scenes) || scenes.some((scene) => typeof scene !== 'string')) throw new Error(`Lottie ${id}: scenes must be a list of scene names`);
+
+    const number = (field, fallback, min, max) => {
+        const value = raw[field] === undefined ? fallback : Number(raw[field]);
+        if (!Number.isFinite(value) || value < min || value > max) throw new Error(`Lottie ${id}: ${field} must be ${min}-${max}`);
+        return value;
+    };
+
+    return {
+        id,
+        file,
+        label: String(raw.label || id),
+        size: number('size', 100, 10, 300),
+        opacity: number('opacity', 0.2, 0, 1),
+        blend,
+        zIndex: Math.round(number('zIndex', 2, -100, 100)),
+        filter: typeof raw.filter === 'string' ? raw.filter : '',
+        duration: number('duration', 6, 1, 600),
+        weight: number('weight', 1, 0, 100),
+        cooldown: number('cooldown', 60, 0, 3600),
+        scenes: [...scenes],
+        enabled: raw.enabled !== false,
+        interaction
+    };
+}
+
+/**
+ * Validate the manifest's schedule settings. Throws with a readable message.
+ */
+export function normalizeSchedule(raw = {}) {
+    const maxConcurrent = raw.maxConcurrent === undefined ? DEFAULT_SCHEDULE.maxConcurrent : Number(raw.maxConcurrent);
+    if (!Number.isInteger(maxConcurrent) || maxConcurrent < 1 || maxConcurrent > 10) throw new Error('maxConcurrent must be 1-10');
+    const startDelay = raw.startDelay === undefined ? DEFAULT_SCHEDULE.startDelay : Number(raw.startDelay);
+    if (!Number.isFinite(startDelay) || startDelay < 0 || startDelay > 600) throw new Error('startDelay must be 0-600 seconds');
+    const gap = (raw.gap ?? DEFAULT_SCHEDULE.gap).map?.(Number);
+    if (!gap || gap.length !== 2 || gap.some((value) => !Number.isFinite(value) || value < 0 || value > 600) || gap[0] > gap[1]) {
+        throw new Error('gap must be [min, max] seconds, 0-600');
+    }
+    return { maxConcurrent, startDelay, gap };
+}
+
 class LottieAnimations {
     constructor() {
-        this.animations = {
-            planetRing: null,
-            planetLogo: null,
-            abstraction: null,
-            hexagon: null,
-            morphingParticle: null,
-            sacredGeometry: null,
-            transparentDiamond: null,
-            circuitRound: null,
-            geometricalLines: null,
-            circularDots: null
-        };
-
-        this.containers = {};
+        this.animations = {};       // id -> dotlottie-player
+        this.containers = {};       // id -> dotlottie-player (its parent is the wrapper)
+        this.config = {};           // id -> manifest entry
+        this.schedule = { ...DEFAULT_SCHEDULE };
+        this.opacity = {};          // id -> opacity set in the panel
+        this.auto = true;           // scheduler on
+        this.maxConcurrent = null;  // panel override of the manifest's
+        this.visible = new Map();   // id -> { held, hideTimer }
+        this.stopTimers = {};       // id -> player stop after the fade out
+        this.hiddenAt = {};         // id -> performance.now() of the last fade out
+        this.scene = null;
+        this.startAt = 0;
+        this.nextPickAt = 0;
+        this.tickTimer = null;
+        this.rotationTimer = null;
+        this.effectTimers = new Set(); // pending interaction resets and cleanups
+        this.qualityPaused = false;
+        this.scrollTriggered = {};
         this.isInitialized = false;
-
-        // Animation configurations - centered and full-width circular animations
-        this.config = {
-            planetRing: {
-                path: '/animations/lottie/planet-ring.lottie',
-                loop: true,
-                autoplay: false,
-                renderer: 'svg',
-                size: 'calc(min(90vw, 90vh))',  // Scaled up
-                position: { top: '50%', left: '50%', transform: 'translate(-50%, -50%)' },
-                opacity: 0.08,  // Further reduced opacity (was 0.15)
-                triggerOnScroll: false,
-                blendMode: 'screen',
-                zIndex: 2,  // Lower z-index
-                displayDuration: 6000,  // Show for 6 seconds
-                displayInterval: 75000  // Every 75 seconds
-            },
-            planetLogo: {
-                path: '/animations/lottie/Planet-Logo.lottie',
-                loop: true,
-                autoplay: false,  // Don't autoplay initially
-                renderer: 'svg',
-                size: 'calc(min(95vw, 95vh))',  // Scaled up
-                position: { top: '50%', left: '50%', transform: 'translate(-50%, -50%)' },
-                opacity: 0.2,  // Reduced opacity
-                triggerOnScroll: false,
-                blendMode: 'screen',  // Better color blending
-                zIndex: 3,  // Lower z-index
-                displayDuration: 8000,  // Show for 8 seconds
-                displayInterval: 60000  // Every 60 seconds
-            },
-            abstraction: {
-                path: '/animations/lottie/Abstraction.lottie',
-                loop: true,
-                autoplay: false,
-                renderer: 'svg',
-                size: 'calc(min(150vw, 150vh))',
-                position: { top: '50%', left: '50%', transform: 'translate(-50%, -50%)' },
-                opacity: 0.02,  // DRASTICALLY reduced opacity (was 0.06)
-                triggerOnScroll: false,
-                blendMode: 'multiply',
-                zIndex: 1,
-                displayDuration: 7000,
-                displayInterval: 85000
-            },
-            // REMOVED - hexagon animation disabled per request
-            /*
-            hexagon: {
-                path: '/animations/lottie/Impossible-Hexagon-black.lottie',
-                loop: true,
-                autoplay: false,
-                renderer: 'svg',
-                size: 'calc(min(106vw, 106vh))',
-                position: { top: '50%', left: '50%', transform: 'translate(-50%, -50%)' },
-                opacity: 0.15,
-                triggerOnScroll: false,
-                blendMode: 'screen',
-                zIndex: 2,
-                displayDuration: 5000,
-                displayInterval: 65000
-            },
-            */
-            morphingParticle: {
-                path: '/animations/lottie/Morphing-Particle-Loader.lottie',
-                loop: true,
-                autoplay: false,
-                renderer: 'canvas',
-                size: 'calc(min(80vw, 80vh))',  // Scaled up
-                position: { top: '50%', left: '50%', transform: 'translate(-50%, -50%)' },
-                opacity: 0.22,  // Reduced opacity
-                triggerOnScroll: false,
-                blendMode: 'add',
-                zIndex: 2,  // Lower z-index
-                displayDuration: 4000,
-                displayInterval: 55000
-            },
-            sacredGeometry: {
-                path: '/animations/lottie/Sacred-Geometry.lottie',
-                loop: true,
-                autoplay: false,
-                renderer: 'svg',
-                size: 'calc(min(110vw, 110vh))',  // Scaled up more for dramatic effect
-                position: { top: '50%', left: '50%', transform: 'translate(-50%, -50%)' },
-                opacity: 0.1,  // Very subtle
-                triggerOnScroll: true,
-                blendMode: 'overlay',
-                zIndex: 1,  // Lowest z-index
-                displayDuration: 9000,
-                displayInterval: 95000
-            },
-            transparentDiamond: {
-                path: '/animations/lottie/transparent-diamond-dark.lottie',
-                loop: true,
-                autoplay: false,
-                renderer: 'svg',
-                size: 'calc(min(70vw, 70vh))',  // Scaled up significantly
-                position: { top: '50%', left: '50%', transform: 'translate(-50%, -50%)' },
-                opacity: 0.25,  // Reduced opacity
-                triggerOnScroll: false,
-                blendMode: 'screen',
-                zIndex: 3,  // Lower z-index
-                displayDuration: 3500,
-                displayInterval: 45000
-            },
-            circuitRound: {
-                path: '/animations/lottie/circuit-round-ani.lottie',
-                loop: true,
-                autoplay: false,
-                renderer: 'svg',
-                size: 'calc(min(100vw, 100vh))',  // Full coverage
-                position: { top: '50%', left: '50%', transform: 'translate(-50%, -50%)' },
-                opacity: 0.15,  // Subtle opacity
-                triggerOnScroll: false,
-                blendMode: 'overlay',
-                zIndex: 2,
-                displayDuration: 6000,
-                displayInterval: 70000  // Every 70 seconds
-            },
-            geometricalLines: {
-                path: '/animations/lottie/geometrical-lines.lottie',
-                loop: true,
-                autoplay: false,
-                renderer: 'svg',
-                size: 'calc(min(120vw, 120vh))',  // Larger for dramatic effect
-                position: { top: '50%', left: '50%', transform: 'translate(-50%, -50%)' },
-                opacity: 0.08,  // Very subtle
-                triggerOnScroll: false,
-                blendMode: 'add',
-                zIndex: 1,
-                displayDuration: 8000,
-                displayInterval: 80000  // Every 80 seconds
-            },
-            circularDots: {
-                path: '/animations/lottie/circular-dots.lottie',
-                loop: true,
-                autoplay: false,
-                renderer: 'canvas',  // Canvas for better performance with dots
-                size: 'calc(min(85vw, 85vh))',
-                position: { top: '50%', left: '50%', transform: 'translate(-50%, -50%)' },
-                opacity: 0.18,  // Medium opacity
-                triggerOnScroll: false,
-                blendMode: 'screen',
-                zIndex: 2,
-                displayDuration: 5000,
-                displayInterval: 65000  // Every 65 seconds
-            }
-        };
-
-        // Store JSON data locally for better performance
-        this.animationData = {
-            planetRing: null,
-            planetLogo: null,
-            abstraction: null,  // Re-enabled with low opacity
-            // hexagon: null,  // REMOVED
-            morphingParticle: null,
-            sacredGeometry: null,
-            transparentDiamond: null,
-            circuitRound: null,
-            geometricalLines: null,
-            circularDots: null
-        };
+        this._onPhase = (e) => this.setScene(e.detail?.scene);
     }
 
     async init() {
         console.log('🌟 Initializing Lottie animations...');
 
         try {
+            const manifest = await this._loadManifest();
+            this.schedule = manifest.schedule;
+            this.config = Object.fromEntries(manifest.animations.map((entry) => [entry.id, entry]));
+            this._loadStored();
+
             // Create containers for each animation
             this.createContainers();
-
-            // Load animation data
-            await this.loadAnimationData();
-
-            // Initialize all animations
-            this.initPlanetRing();
-            this.initPlanetLogo();
-            this.initAbstraction();  // Re-enabled with low opacity
-            // this.initHexagon();  // REMOVED
-            this.initMorphingParticle();
-            this.initSacredGeometry();
-            this.initTransparentDiamond();
-            this.initCircuitRound();
-            this.initGeometricalLines();
-            this.initCircularDots();
+            Object.keys(this.containers).forEach((id) => this.setupInteraction(id));
 
             // Set up interaction handlers
             this.setupInteractions();
 
-            // Start animation cycles
-            this.startAnimationCycles();
+            this.scene = window.chaosInit?.currentPhase || null;
+            window.addEventListener('phaseStarted', this._onPhase);
+            window.addEventListener('sceneChanged', this._onPhase);
+            this.startScheduler();
 
             // Add to window for debugging
             window.lottieAnimations = this;
 
             this.isInitialized = true;
-            console.log('✨ Lottie animations initialized');
+            console.log(`✨ Lottie animations initialized (${Object.keys(this.config).length} in manifest)`);
+            this._emitState();
         } catch (error) {
             console.error('Failed to initialize Lottie animations:', error);
         }
@@ -230,38 +162,39 @@ class LottieAnimations {
             pointer-events: none;
             z-index: 1 !important;  /* Ensure animations stay behind everything */
         `;
+        layerManager.add('lottie', mainContainer);
         document.body.appendChild(mainContainer);
 
         // Create individual animation containers with dotlottie-player elements
-        ['planetRing', 'planetLogo', 'abstraction', 'morphingParticle', 'sacredGeometry', 'transparentDiamond', 'circuitRound', 'geometricalLines', 'circularDots'].forEach(name => {
+        Object.values(this.config).filter((config) => config.enabled).forEach((config) => {
+            const name = config.id;
             const container = document.createElement('dotlottie-player');
             container.className = `lottie-${name}`;
             container.id = `lottie-${name}`;
 
             // Set attributes for dotlottie-player
-            container.setAttribute('src', this.config[name].path);
+            container.setAttribute('src', `${LOTTIE_DIR}${encodeURI(config.file)}`);
             container.setAttribute('background', 'transparent');
             container.setAttribute('speed', '1');
             container.setAttribute('style', `width: 100%; height: 100%;`);
+            container.setAttribute('loop', '');
+            // Don't autoplay - the scheduler shows them
 
-            if (this.config[name].loop) {
-                container.setAttribute('loop', '');
-            }
-            // Don't autoplay - we'll control this with chaos engine
-
-            const config = this.config[name];
+            const size = `calc(min(${config.size}vw, ${config.size}vh))`;
             const wrapperDiv = document.createElement('div');
             wrapperDiv.className = `lottie-wrapper-${name}`;
             wrapperDiv.style.cssText = `
                 position: absolute;
-                ${Object.entries(config.position).map(([key, value]) => `${key}: ${value}`).join('; ')};
+                top: 50%;
+                left: 50%;
+                transform: ${CENTER};
                 opacity: 0;
                 transition: opacity 1.5s ease-in-out;  /* Smoother, slower transitions */
-                mix-blend-mode: ${config.blendMode};
+                mix-blend-mode: ${config.blend};
                 pointer-events: none;
-                z-index: ${config.zIndex || 5};  /* Default to 5 if not specified */
-                width: ${config.size};
-                height: ${config.size};
+                z-index: ${config.zIndex};
+                width: ${size};
+                height: ${size};
                 border-radius: 50%;
                 overflow: hidden;
             `;
@@ -269,336 +202,318 @@ class LottieAnimations {
             wrapperDiv.appendChild(container);
             mainContainer.appendChild(wrapperDiv);
             this.containers[name] = container;
+            this.animations[name] = container;
         });
     }
 
-    async loadAnimationData() {
-        // No need to load animation data anymore - we'll use file paths directly
-        // The Lottie library will handle loading the .lottie files
-        console.log('🎯 Using .lottie files directly from disk');
+    // Extras picked by the manifest entry's `interaction`
+    setupInteraction(name) {
+        const wrapper = this.containers[name].parentElement;
+
+        switch (this.config[name].interaction) {
+            case 'hoverBrighten':
+                wrapper.addEventListener('mousemove', (e) => {
+                    const player = this.containers[name];
+                    if (!player || !this.visible.has(name)) return;
+
+                    const rect = wrapper.getBoundingClientRect();
+                    const distance = Math.sqrt(
+                        Math.pow(e.clientX - (rect.left + rect.width / 2), 2) +
+                        Math.pow(e.clientY - (rect.top + rect.height / 2), 2)
+                    );
+
+                    if (distance < 300) {
+                        player.setAttribute('speed', '1.2');  // Less dramatic speed change
+                        wrapper.style.opacity = String(Math.min(1, this._opacity(name) + 0.07));  // Subtle brighten on hover
+                        wrapper.style.filter = 'brightness(1.05)';  // Gentler brightness
+                    } else {
+                        player.setAttribute('speed', '1');
+                        wrapper.style.opacity = String(this._opacity(name));
+                        wrapper.style.filter = 'brightness(1)';
+                    }
+                });
+                break;
+
+            case 'burst':
+                wrapper.style.cursor = 'pointer';
+                wrapper.addEventListener('click', () => this.triggerCosmicBurst());
+                break;
+
+            case 'sparkle':
+                wrapper.style.cursor = 'pointer';
+                wrapper.addEventListener('click', () => this.createSparkleEffect(wrapper));
+                break;
+
+            case 'rotateHover':
+                wrapper.addEventListener('mouseenter', () => {
+                    wrapper.style.transition = 'transform 1s ease-in-out';
+                    wrapper.style.transform = `${CENTER} rotate(5deg)`;
+                });
+                wrapper.addEventListener('mouseleave', () => {
+                    wrapper.style.transform = CENTER;
+                });
+                break;
+
+            case 'proximity':
+                // Subtle brightness effect on proximity
+                document.addEventListener('mousemove', (e) => {
+                    const rect = wrapper.getBoundingClientRect();
+                    const distance = Math.sqrt(
+                        Math.pow(e.clientX - (rect.left + rect.width / 2), 2) +
+                        Math.pow(e.clientY - (rect.top + rect.height / 2), 2)
+                    );
+                    wrapper.style.filter = distance < 400 ? `brightness(${1 + (1 - distance / 400) * 0.1})` : 'brightness(1)';
+                });
+                break;
+
+            case 'pulse':
+                wrapper.style.cursor = 'pointer';
+                wrapper.addEventListener('click', () => {
+                    wrapper.style.animation = 'dotsPulse 1s ease-out';
+                    this._later(() => {
+                        wrapper.style.animation = '';
+                    }, 1000, 'lottie-pulse-reset');
+                });
+
+                // Add the pulse animation if it doesn't exist
+                if (!document.querySelector('#dots-pulse-style')) {
+                    const style = document.createElement('style');
+                    style.id = 'dots-pulse-style';
+                    style.textContent = `
+                        @keyframes dotsPulse {
+                            0%, 100% {
+                                transform: ${CENTER} scale(1);
+                            }
+                            50% {
+                                transform: ${CENTER} scale(1.1);
+                            }
+                        }
+                    `;
+                    document.head.appendChild(style);
+                }
+                break;
+
+            case 'scroll':
+                // Once per page, when the visitor scrolls far enough
+                window.addEventListener('scroll', () => {
+                    if (window.scrollY > 800 && !this.scrollTriggered[name]) {
+                        this.scrollTriggered[name] = true;
+                        this.showAnimation(name);
+                    }
+                });
+                break;
+        }
     }
 
-    initPlanetRing() {
-        if (!this.containers.planetRing) return;
-
-        const wrapper = this.containers.planetRing.parentElement;
-        this.animations.planetRing = this.containers.planetRing;
-
-        // Start hidden - will be shown by chaos engine
-        wrapper.style.opacity = '0';
+    // ============================================
+    // SCHEDULE
+    // ============================================
 
-        // Add hover effect
-        wrapper.addEventListener('mousemove', (e) => {
-            const player = this.containers.planetRing;
-            if (!player) return;
-
-            const rect = wrapper.getBoundingClientRect();
-            const distance = Math.sqrt(
-                Math.pow(e.clientX - (rect.left + rect.width / 2), 2) +
-                Math.pow(e.clientY - (rect.top + rect.height / 2), 2)
-            );
-
-            if (distance < 300) {
-                player.setAttribute('speed', '1.2');  // Less dramatic speed change
-                wrapper.style.opacity = '0.15';  // More subtle brighten on hover
-                wrapper.style.filter = 'brightness(1.05)';  // Gentler brightness
-            } else {
-                player.setAttribute('speed', '1');
-                wrapper.style.opacity = this.config.planetRing.opacity.toString();
-                wrapper.style.filter = 'brightness(1)';
-            }
-        });
+    startScheduler() {
+        this.stopScheduler();
+        this.startAt = performance.now() + this.schedule.startDelay * 1000;
+        this.nextPickAt = this.startAt;
+        this.tickTimer = scheduler.interval(() => this._tick(), TICK_MS, { name: 'lottie-schedule', category: 'ambient', scaled: false });
     }
 
-    initAbstraction() {
-        if (!this.containers.abstraction) return;
-
-        const wrapper = this.containers.abstraction.parentElement;
-        this.animations.abstraction = this.containers.abstraction;
-
-        // Start hidden - will be shown by chaos engine
-        wrapper.style.opacity = '0';
+    stopScheduler() {
+        this.tickTimer?.cancel();
+        this.tickTimer = null;
     }
 
-    // REMOVED - hexagon animation disabled
-    /*
-    initHexagon() {
-        if (!this.containers.hexagon) return;
-
-        const wrapper = this.containers.hexagon.parentElement;
-        this.animations.hexagon = this.containers.hexagon;
-
-        // Start hidden
-        wrapper.style.opacity = '0';
-
-        // Subtle pulsing effect on hover
-        wrapper.addEventListener('mouseenter', () => {
-            wrapper.style.filter = 'brightness(1.15) saturate(1.2)';
-        });
-        wrapper.addEventListener('mouseleave', () => {
-            wrapper.style.filter = 'brightness(1)';
+    /**
+     * Follow a new phase or scene: hide scheduled animations its scene doesn't allow and
+     * pick again right away
+     */
+    setScene(scene) {
+        this.scene = scene || null;
+        [...this.visible].forEach(([id, entry]) => {
+            if (!entry.held && !this._sceneAllows(this.config[id])) this.stopAnimation(id);
         });
+        this.nextPickAt = Math.max(this.startAt, Math.min(this.nextPickAt, performance.now()));
+        this._emitState();
     }
-    */
-
-    initMorphingParticle() {
-        if (!this.containers.morphingParticle) return;
 
-        const wrapper = this.containers.morphingParticle.parentElement;
-        this.animations.morphingParticle = this.containers.morphingParticle;
+    _tick() {
+        const now = performance.now();
+        if (!this.auto || this.qualityPaused || now < this.nextPickAt) return;
+        if (this.visible.size >= this._maxConcurrent()) return;
 
-        // Start hidden
-        wrapper.style.opacity = '0';
+        const id = this._pick(now);
+        if (!id) return;
+        this.showAnimation(id);
+        const [min, max] = this.schedule.gap;
+        this.nextPickAt = now + (min + random() * (max - min)) * 1000;
     }
 
-    initSacredGeometry() {
-        if (!this.containers.sacredGeometry) return;
-
-        const wrapper = this.containers.sacredGeometry.parentElement;
-        this.animations.sacredGeometry = this.containers.sacredGeometry;
-
-        // Start hidden
-        wrapper.style.opacity = '0';
-
-        // Trigger on scroll
-        window.addEventListener('scroll', () => {
-            if (window.scrollY > 800 && !this.sacredGeometryTriggered) {
-                this.showAnimation('sacredGeometry');
-                this.sacredGeometryTriggered = true;
-            }
-        });
+    // Weighted draw over the animations allowed right now
+    _pick(now) {
+        const candidates = Object.values(this.config).filter((config) =>
+            this.animations[config.id] &&
+            config.weight > 0 &&
+            !this.visible.has(config.id) &&
+            now - (this.hiddenAt[config.id] ?? -Infinity) >= config.cooldown * 1000 &&
+            this._sceneAllows(config)
+        );
+        const total = candidates.reduce((sum, config) => sum + config.weight, 0);
+        if (!total) return null;
+
+        let roll = random() * total;
+        const picked = candidates.find((config) => (roll -= config.weight) < 0) || candidates[candidates.length - 1];
+        return picked.id;
     }
 
-    initTransparentDiamond() {
-        if (!this.containers.transparentDiamond) return;
-
-        const wrapper = this.containers.transparentDiamond.parentElement;
-        this.animations.transparentDiamond = this.containers.transparentDiamond;
-
-        // Start hidden
-        wrapper.style.opacity = '0';
-
-        // Sparkle effect on click
-        wrapper.style.cursor = 'pointer';
-        wrapper.addEventListener('click', () => {
-            this.createSparkleEffect(wrapper);
-        });
+    _sceneAllows(config) {
+        return !config.scenes.length || config.scenes.includes(this.scene);
     }
 
-    initCircuitRound() {
-        if (!this.containers.circuitRound) return;
-
-        const wrapper = this.containers.circuitRound.parentElement;
-        this.animations.circuitRound = this.containers.circuitRound;
-
-        // Start hidden - will be shown by animation cycles
-        wrapper.style.opacity = '0';
-
-        // Add subtle rotation on hover
-        wrapper.addEventListener('mouseenter', () => {
-            wrapper.style.transition = 'transform 1s ease-in-out';
-            wrapper.style.transform = `${this.config.circuitRound.position.transform || ''} rotate(5deg)`;
-        });
-        wrapper.addEventListener('mouseleave', () => {
-            wrapper.style.transform = this.config.circuitRound.position.transform || '';
-        });
+    _maxConcurrent() {
+        return this.maxConcurrent ?? this.schedule.maxConcurrent;
     }
 
-    initGeometricalLines() {
-        if (!this.containers.geometricalLines) return;
-
-        const wrapper = this.containers.geometricalLines.parentElement;
-        this.animations.geometricalLines = this.containers.geometricalLines;
-
-        // Start hidden
-        wrapper.style.opacity = '0';
-
-        // Subtle brightness effect on proximity
-        document.addEventListener('mousemove', (e) => {
-            const rect = wrapper.getBoundingClientRect();
-            const centerX = rect.left + rect.width / 2;
-            const centerY = rect.top + rect.height / 2;
-            const distance = Math.sqrt(
-                Math.pow(e.clientX - centerX, 2) +
-                Math.pow(e.clientY - centerY, 2)
-            );
-
-            if (distance < 400) {
-                const proximity = 1 - (distance / 400);
-                wrapper.style.filter = `brightness(${1 + proximity * 0.1})`;
-            } else {
-                wrapper.style.filter = 'brightness(1)';
-            }
-        });
+    _opacity(id) {
+        return this.opacity[id] ?? this.config[id].opacity;
     }
 
-    initCircularDots() {
-        if (!this.containers.circularDots) return;
-
-        const wrapper = this.containers.circularDots.parentElement;
-        this.animations.circularDots = this.containers.circularDots;
+    // ============================================
+    // PLAYBACK
+    // ============================================
+
+    /**
+     * Fade an animation in. With `hold` it stays until stopAnimation, otherwise it
+     * leaves after `duration` seconds (the manifest's by default).
+     * @returns {string|null} error message, null when shown
+     */
+    playAnimation(id, { hold = true, duration } = {}) {
+        const animation = this.animations[id];
+        if (!animation) return this.config[id] ? `animation "${id}" is disabled in the manifest` : `unknown animation "${id}"`;
+        const config = this.config[id];
+        const seconds = duration === undefined ? config.duration : Number(duration);
+        if (!hold && (!Number.isFinite(seconds) || seconds <= 0)) return 'duration must be a positive number of seconds';
 
-        // Start hidden
-        wrapper.style.opacity = '0';
-
-        // Pulsing effect on click
-        wrapper.style.cursor = 'pointer';
-        wrapper.addEventListener('click', () => {
-            wrapper.style.animation = 'dotsPulse 1s ease-out';
-            setTimeout(() => {
-                wrapper.style.animation = '';
-            }, 1000);
-        });
+        const wrapper = animation.parentElement;
+        const shown = this.visible.get(id);
+        shown?.hideTimer?.cancel();
+        this.stopTimers[id]?.cancel();
+        delete this.stopTimers[id];
 
-        // Add the pulse animation if it doesn't exist
-        if (!document.querySelector('#dots-pulse-style')) {
-            const style = document.createElement('style');
-            style.id = 'dots-pulse-style';
-            style.textContent = `
-                @keyframes dotsPulse {
-                    0%, 100% {
-                        transform: translate(-50%, -50%) scale(1);
-                    }
-                    50% {
-                        transform: translate(-50%, -50%) scale(1.1);
-                    }
-                }
-            `;
-            document.head.appendChild(style);
+        // Dispatch event for logo animations to react
+        if (!shown) {
+            window.dispatchEvent(new CustomEvent('lottieAnimationStart', {
+                detail: { name: id }
+            }));
         }
-    }
 
-    initPlanetLogo() {
-        if (!this.containers.planetLogo) return;
-
-        const wrapper = this.containers.planetLogo.parentElement;
-        this.animations.planetLogo = this.containers.planetLogo;
-
-        // Start hidden - will be shown by chaos engine
-        wrapper.style.opacity = '0';
+        // Fade in with smoother transitions
+        wrapper.style.transition = `opacity ${FADE_MS}ms ease-in-out, filter ${FADE_MS}ms ease-in-out`;
+        wrapper.style.opacity = String(this._opacity(id));
+        if (config.filter) wrapper.style.filter = config.filter;
+        animation.play?.();
 
-        // Click interaction
-        wrapper.style.cursor = 'pointer';
-        wrapper.addEventListener('click', () => {
-            this.triggerCosmicBurst();
+        const hideTimer = hold ? null : scheduler.timeout(() => this.stopAnimation(id), seconds * 1000, {
+            name: `lottie-hide-${id}`, category: 'ambient', scaled: false
         });
+        this.visible.set(id, { held: hold, hideTimer });
+        this._emitState();
+        return null;
     }
 
-    startAnimationCycles() {
-        console.log('🎬 Starting Lottie animation cycles');
-
-        // Limit to 2-3 animations maximum at once
-        // Stagger them more to reduce overlap
-
-        // Planet Logo - main animation
-        setTimeout(() => {
-            this.showAnimation('planetLogo');
-            setInterval(() => {
-                this.showAnimation('planetLogo');
-            }, this.config.planetLogo.displayInterval);
-        }, 15000); // Start after 15 seconds
-
-        // Planet Ring - secondary animation
-        setTimeout(() => {
-            this.showAnimation('planetRing');
-            setInterval(() => {
-                this.showAnimation('planetRing');
-            }, this.config.planetRing.displayInterval);
-        }, 45000); // Start after 45 seconds (increased gap)
-
-        // Abstraction - with very low opacity
-        setTimeout(() => {
-            this.showAnimation('abstraction');
-            setInterval(() => {
-                this.showAnimation('abstraction');
-            }, this.config.abstraction.displayInterval);
-        }, 75000); // Start after 75 seconds
-
-        // REMOVED - hexagon animation disabled
-        /*
-        setTimeout(() => {
-            this.showAnimation('hexagon');
-            setInterval(() => {
-                this.showAnimation('hexagon');
-            }, this.config.hexagon.displayInterval * 1.5);
-        }, 105000);
-        */
-
-        // Morphing Particle - reduced frequency
-        setTimeout(() => {
-            this.showAnimation('morphingParticle');
-            setInterval(() => {
-                this.showAnimation('morphingParticle');
-            }, this.config.morphingParticle.displayInterval * 1.5); // Increase interval
-        }, 135000); // Start after 135 seconds
-
-        // Sacred Geometry is triggered by scroll
-
-        // Transparent Diamond - reduced frequency
-        setTimeout(() => {
-            this.showAnimation('transparentDiamond');
-            setInterval(() => {
-                this.showAnimation('transparentDiamond');
-            }, this.config.transparentDiamond.displayInterval * 2); // Double interval
-        }, 165000); // Start after 165 seconds
-
-        // Circuit Round animation
-        setTimeout(() => {
-            this.showAnimation('circuitRound');
-            setInterval(() => {
-                this.showAnimation('circuitRound');
-            }, this.config.circuitRound.displayInterval);
-        }, 30000); // Start after 30 seconds
-
-        // Geometrical Lines animation
-        setTimeout(() => {
-            this.showAnimation('geometricalLines');
-            setInterval(() => {
-                this.showAnimation('geometricalLines');
-            }, this.config.geometricalLines.displayInterval);
-        }, 90000); // Start after 90 seconds
-
-        // Circular Dots animation
-        setTimeout(() => {
-            this.showAnimation('circularDots');
-            setInterval(() => {
-                this.showAnimation('circularDots');
-            }, this.config.circularDots.displayInterval);
-        }, 120000); // Start after 120 seconds
+    // Scheduled show: leaves after its manifest duration
+    showAnimation(name) {
+        return this.playAnimation(name, { hold: false });
     }
 
-    showAnimation(name) {
-        const animation = this.animations[name];
-        const config = this.config[name];
-        if (!animation || !animation.parentElement) return;
+    /**
+     * Fade an animation out; the player stops once it's gone
+     * @returns {string|null} error message, null when stopped (or already hidden)
+     */
+    stopAnimation(id) {
+        const animation = this.animations[id];
+        if (!animation) return `unknown animation "${id}"`;
+        const shown = this.visible.get(id);
+        if (!shown) return null;
 
-        const wrapper = animation.parentElement;
+        shown.hideTimer?.cancel();
+        this.visible.delete(id);
+        this.hiddenAt[id] = performance.now();
 
-        // Dispatch event for logo animations to react
-        window.dispatchEvent(new CustomEvent('lottieAnimationStart', {
-            detail: { name: name }
-        }));
+        const wrapper = animation.parentElement;
+        wrapper.style.opacity = '0';
+        wrapper.style.filter = 'none';
+        this.stopTimers[id] = scheduler.timeout(() => {
+            delete this.stopTimers[id];
+            animation.stop?.();
+        }, FADE_MS, { name: `lottie-stop-${id}`, category: 'ambient', scaled: false });
+        this._emitState();
+        return null;
+    }
 
-        // Fade in with smoother transitions
-        wrapper.style.transition = 'opacity 2s ease-in-out, filter 2s ease-in-out';
-        wrapper.style.opacity = config.opacity.toString();
+    stopAll() {
+        [...this.visible.keys()].forEach((id) => this.stopAnimation(id));
+    }
 
-        // Special enhancement for planet-logo
-        if (name === 'planetLogo') {
-            // Very subtle enhancement with minimal glow
-            wrapper.style.filter = 'saturate(1.2) brightness(1.05) contrast(1.05) drop-shadow(0 0 15px rgba(0, 255, 200, 0.15))';
+    /**
+     * Opacity of one animation while shown; null goes back to the manifest's
+     * @returns {string|null} error message, null when applied
+     */
+    setOpacity(id, opacity) {
+        if (!this.config[id]) return `unknown animation "${id}"`;
+        if (opacity === null) {
+            delete this.opacity[id];
+        } else {
+            const value = Number(opacity);
+            if (!Number.isFinite(value) || value < 0 || value > 1) return 'opacity must be 0-1';
+            this.opacity[id] = value;
         }
+        const wrapper = this.animations[id]?.parentElement;
+        if (wrapper && this.visible.has(id)) wrapper.style.opacity = String(this._opacity(id));
+        this._changed();
+        return null;
+    }
 
-        animation.play();
+    /**
+     * Apply a partial update { auto, maxConcurrent }; maxConcurrent null goes back
+     * to the manifest's
+     * @returns {string|null} error message, null when applied
+     */
+    setSettings({ auto, maxConcurrent } = {}) {
+        if (maxConcurrent === null) {
+            this.maxConcurrent = null;
+        } else if (maxConcurrent !== undefined) {
+            const value = Number(maxConcurrent);
+            if (!Number.isInteger(value) || value < 1 || value > 10) return 'maxConcurrent must be 1-10';
+            this.maxConcurrent = value;
+        }
+        if (auto !== undefined) {
+            this.auto = !!auto;
+            // Switching the schedule off clears what it put up; panel holds stay
+            if (!this.auto) {
+                [...this.visible].forEach(([id, entry]) => { if (!entry.held) this.stopAnimation(id); });
+            }
+        }
+        this._changed();
+        return null;
+    }
 
-        // Fade out after display duration
-        setTimeout(() => {
-            wrapper.style.opacity = '0';
-            wrapper.style.filter = 'none';
-            setTimeout(() => {
-                animation.stop();
-            }, 500);
-        }, config.displayDuration);
+    getState() {
+        return {
+            ready: this.isInitialized,
+            auto: this.auto,
+            maxConcurrent: this._maxConcurrent(),
+            scene: this.scene,
+            visible: [...this.visible.keys()],
+            animations: Object.values(this.config).map((config) => ({
+                id: config.id,
+                label: config.label,
+                opacity: this._opacity(config.id),
+                weight: config.weight,
+                cooldown: config.cooldown,
+                scenes: config.scenes,
+                enabled: !!this.animations[config.id],
+                visible: this.visible.has(config.id),
+                held: !!this.visible.get(config.id)?.held
+            }))
+        };
     }
 
     setupInteractions() {
@@ -616,25 +531,26 @@ class LottieAnimations {
         // Create reverse rotation scenes
         const createRotationReversal = () => {
             // Every 10-20 seconds, randomly reverse some animations
-            setInterval(() => {
+            this.rotationTimer?.cancel();
+            this.rotationTimer = scheduler.interval(() => {
                 // Randomly select 2-3 animations to reverse
                 const animations = Object.keys(this.containers);
-                const numToReverse = Math.floor(Math.random() * 2) + 2;
+                const numToReverse = Math.floor(random() * 2) + 2;
 
                 for (let i = 0; i < numToReverse; i++) {
-                    const randomAnim = animations[Math.floor(Math.random() * animations.length)];
+                    const randomAnim = animations[Math.floor(random() * animations.length)];
                     rotationDirections[randomAnim] *= -1;  // Reverse direction
 
                     // Smooth transition when reversing
                     const wrapper = this.containers[randomAnim]?.parentElement;
                     if (wrapper) {
                         wrapper.style.transition = 'transform 2s cubic-bezier(0.4, 0, 0.2, 1)';
-                        setTimeout(() => {
+                        this._later(() => {
                             wrapper.style.transition = '';  // Remove transition after
-                        }, 2000);
+                        }, 2000, 'lottie-rotation-reset');
                     }
                 }
-            }, Math.random() * 10000 + 10000);  // 10-20 seconds
+            }, random() * 10000 + 10000, { name: 'lottie-rotation-reversal', category: 'ambient' });  // 10-20 seconds
         };
 
         createRotationReversal();
@@ -664,8 +580,7 @@ class LottieAnimations {
                     const speed = rotationSpeeds[name] || 0.1;
                     rotationValues[name] += scrollDelta * speed * rotationDirections[name] * 0.1;
 
-                    wrapper.style.transform =
-                        `${this.config[name].position.transform || ''} rotate(${rotationValues[name]}deg)`;
+                    wrapper.style.transform = `${CENTER} rotate(${rotationValues[name]}deg)`;
                 }
             });
 
@@ -673,40 +588,14 @@ class LottieAnimations {
             lastScrollY = currentScrollY;
         });
 
-        // Performance mode integration
-        window.addEventListener('performanceModeChange', (event) => {
-            const mode = event.detail.mode;
-            if (mode === 'low') {
+        // Quality tier integration: pause everything while the tier turns Lottie off
+        performanceModeManager.register('lottie', ({ lottie }) => {
+            if (!lottie && !this.qualityPaused) {
                 this.pauseAll();
-            } else if (mode === 'high') {
+            } else if (lottie && this.qualityPaused) {
                 this.resumeAll();
             }
-        });
-
-        // Integration with chaos engine phases
-        window.addEventListener('chaosPhase', (event) => {
-            const phase = event.detail.phase;
-            console.log('🌀 Lottie reacting to chaos phase:', phase);
-
-            switch(phase) {
-                case 'intense':
-                    // Show planet ring during intense phase
-                    this.showAnimation('planetRing');
-                    break;
-                case 'glitch':
-                    // Show planet logo during glitch
-                    this.showAnimation('planetLogo');
-                    break;
-                case 'matrix':
-                    // Show multiple animations during matrix phase
-                    if (Math.random() > 0.5) {
-                        this.showAnimation('abstraction');
-                    }
-                    if (Math.random() > 0.6) {
-                        this.showAnimation('transparentDiamond');
-                    }
-                    break;
-            }
+            this.qualityPaused = !lottie;
         });
     }
 
@@ -727,7 +616,7 @@ class LottieAnimations {
         for (let i = 0; i < 12; i++) {
             const particle = document.createElement('div');
             const angle = (i / 12) * Math.PI * 2;
-            const distance = Math.random() * 100 + 50;
+            const distance = random() * 100 + 50;
 
             particle.style.cssText = `
                 position: absolute;
@@ -766,7 +655,7 @@ class LottieAnimations {
         }
 
         container.appendChild(sparkle);
-        setTimeout(() => sparkle.remove(), 800);
+        this._later(() => sparkle.remove(), 800, 'lottie-sparkle-remove');
     }
 
     triggerCosmicBurst() {
@@ -816,13 +705,13 @@ class LottieAnimations {
         }
 
         document.body.appendChild(burst);
-        setTimeout(() => burst.remove(), 1000);
+        this._later(() => burst.remove(), 1000, 'lottie-burst-remove');
 
         // Speed up all animations temporarily
         Object.values(this.animations).forEach(player => {
             if (player) {
                 player.setAttribute('speed', '3');
-                setTimeout(() => player.setAttribute('speed', '1'), 2000);
+                this._later(() => player.setAttribute('speed', '1'), 2000, 'lottie-speed-reset');
             }
         });
     }
@@ -845,7 +734,18 @@ class LottieAnimations {
         `;
 
         container.appendChild(glow);
-        setTimeout(() => glow.remove(), 5000);
+        this._later(() => glow.remove(), 5000, 'lottie-glow-remove');
+    }
+
+    // Resets and DOM cleanup that end an interaction: ambient so an emergency
+    // stop doesn't leave them half-applied, cancelled on destroy
+    _later(fn, ms, name) {
+        const timer = scheduler.timeout(() => {
+            this.effectTimers.delete(timer);
+            fn();
+        }, ms, { name, category: 'ambient' });
+        this.effectTimers.add(timer);
+        return timer;
     }
 
     pauseAll() {
@@ -854,17 +754,14 @@ class LottieAnimations {
         });
     }
 
+    // Hidden animations stay stopped
     resumeAll() {
-        Object.values(this.animations).forEach(player => {
-            if (player && player.play) player.play();
-        });
+        this.visible.forEach((entry, id) => this.animations[id]?.play?.());
     }
 
     // Public methods for integration
     play(name) {
-        if (this.animations[name] && this.animations[name].play) {
-            this.animations[name].play();
-        }
+        return this.playAnimation(name);
     }
 
     pause(name) {
@@ -880,14 +777,103 @@ class LottieAnimations {
     }
 
     destroy() {
+        this.stopScheduler();
+        window.removeEventListener('phaseStarted', this._onPhase);
+        window.removeEventListener('sceneChanged', this._onPhase);
+        this.rotationTimer?.cancel();
+        this.rotationTimer = null;
+        this.effectTimers.forEach((timer) => timer.cancel());
+        this.effectTimers.clear();
+        this.visible.forEach((entry) => entry.hideTimer?.cancel());
+        Object.values(this.stopTimers).forEach((timer) => timer.cancel());
+        this.visible.clear();
+        this.stopTimers = {};
+
         Object.values(this.animations).forEach(player => {
             if (player && player.destroy) player.destroy();
         });
+        this.animations = {};
+        this.containers = {};
 
         // Remove containers
         const mainContainer = document.querySelector('.lottie-container');
         if (mainContainer) mainContainer.remove();
+        this.isInitialized = false;
+    }
+
+    // ============================================
+    // MANIFEST & STORAGE
+    // ============================================
+
+    async _loadManifest() {
+        let raw = FALLBACK_MANIFEST;
+        try {
+            const response = await fetch(MANIFEST_URL, { cache: 'no-cache' });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            raw = await response.json();
+        } catch (error) {
+            console.warn(`⚠️ Lottie manifest unavailable (${error.message}), using the built-in animation`);
+        }
+
+        const animations = [];
+        (Array.isArray(raw.animations) ? raw.animations : []).forEach((entry) => {
+            try {
+                const animation = normalizeLottie(entry);
+                if (!animations.some((known) => known.id === animation.id)) animations.push(animation);
+            } catch (error) {
+                console.warn(`⚠️ Lottie manifest: ${error.message}`);
+            }
+        });
+
+        let schedule = { ...DEFAULT_SCHEDULE };
+        try {
+            schedule = normalizeSchedule(raw);
+        } catch (error) {
+            console.warn(`⚠️ Lottie manifest: ${error.message}, using the default schedule`);
+        }
+        return { animations, schedule };
+    }
+
+    _changed() {
+        this._save();
+        this._emitState();
+    }
+
+    _save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify({
+                auto: this.auto,
+                maxConcurrent: this.maxConcurrent,
+                opacity: this.opacity
+            }));
+        } catch {}
+    }
+
+    // After the manifest: overrides for animations that left it are dropped
+    _loadStored() {
+        let saved = null;
+        try {
+            saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        } catch {}
+        if (!saved) return;
+        if (typeof saved.auto === 'boolean') this.auto = saved.auto;
+        if (Number.isInteger(saved.maxConcurrent) && saved.maxConcurrent >= 1 && saved.maxConcurrent <= 10) {
+            this.maxConcurrent = saved.maxConcurrent;
+        }
+        this.opacity = {};
+        Object.entries(saved.opacity || {}).forEach(([id, value]) => {
+            if (this.config[id] && Number.isFinite(value) && value >= 0 && value <= 1) this.opacity[id] = value;
+        });
+    }
+
+    _emitState() {
+        if (typeof window === 'undefined') return;
+        window.dispatchEvent(new CustomEvent('lottieState', { detail: this.getState() }));
     }
 }
 
-export default new LottieAnimations();
\ No newline at end of file
+const lottieAnimations = new LottieAnimations();
+if (typeof window !== 'undefined') {
+    window.lottieAnimations = lottieAnimations;
+}
+export default lottieAnimations;
@@ -1,6 +1,10 @@
 // MATRIX GLITCH TEXT CONFIGURATION
 // Easy customization of all matrix/glitch text messages throughout the site
 
+import seededRandom from './seeded-random.js';
+import messageLibrary, { CONFIG_CATEGORIES } from './message-library.js';
+const random = seededRandom.stream('matrix-config');
+
 export const matrixConfig = {
     // Main matrix messages that appear with blackout effect
     // These cycle through periodically with scramble animation
@@ -68,6 +72,8 @@ export const matrixConfig = {
         }
     },
 
+    // The arrays above and the pool in matrix-message-pool.js are the defaults of the
+    // message library (message-library.js); edits in the panel's library override them.
     // Add your custom messages here:
     customMessages: {
         // Example custom message sets - uncomment and modify as needed
@@ -88,18 +94,19 @@ export const matrixConfig = {
     }
 };
 
-// Helper function to get random message from a category
-export function getRandomMessage(category = 'matrixMessages') {
-    const messages = matrixConfig[category] || matrixConfig.matrixMessages;
-    return messages[Math.floor(Math.random() * messages.length)];
+// Helper function to get a weighted random message from a library category
+export function getRandomMessage(category = 'matrixMessages', scene = null) {
+    const name = CONFIG_CATEGORIES[category] || category;
+    return messageLibrary.pick(name, { scene, rng: random }) || messageLibrary.pick('matrix', { scene, rng: random });
 }
 
-// Helper function to add custom messages
+// Helper function to add custom messages (saved in the message library)
 export function addCustomMessages(category, messages) {
     if (!matrixConfig.customMessages[category]) {
         matrixConfig.customMessages[category] = [];
     }
     matrixConfig.customMessages[category].push(...messages);
+    return messageLibrary.addMessages(CONFIG_CATEGORIES[category] || category, messages);
 }
 
 // Export for use in other modules
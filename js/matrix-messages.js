@@ -1,16 +1,27 @@
 import gsap from 'gsap';
-import MATRIX_MESSAGES from './matrix-message-pool.js';
+import messageLibrary from './message-library.js';
+import seededRandom from './seeded-random.js';
+import layerManager from './layer-manager.js';
+import scheduler from './scheduler.js';
+const random = seededRandom.stream('matrix-messages');
 const DEBUG_MATRIX = false;
 
+// showMessage(text, { style, duration, position }) options
+export const MESSAGE_STYLES = ['scramble', 'typewriter', 'glitch'];
+export const MESSAGE_POSITIONS = { center: '50%', top: '22%', bottom: '78%' };
+const DEFAULT_HOLD_MS = 2500;
+
 class MatrixMessages {
     constructor() {
-        this.messages = MATRIX_MESSAGES;
+        this.messages = null; // pool recalled from a preset; null draws from the message library
 
         this.scrambleChars = '!<>-_\\/[]{}—=+*^?#1234567890ABCDEFGHIJKLMNOPQRSTUVWXYZ';
         this.currentMessageIndex = 0;
         this.messageElement = null;
         this.isActive = false;
         this.scrambleInterval = null;
+        this.holdTimer = null;
+        this.holdMs = DEFAULT_HOLD_MS; // time the revealed text stays up
         this.diceCountdown = 15;
         this.lastRoll = null;
 
@@ -37,6 +48,7 @@ class MatrixMessages {
             transition: opacity 0.6s cubic-bezier(0.4, 0, 0.2, 1);
             display: none;
         `;
+        layerManager.add('messages', this.blackoutElement);
         document.body.appendChild(this.blackoutElement);
     }
 
@@ -47,6 +59,7 @@ class MatrixMessages {
         // Create message container
         this.messageElement = document.createElement('div');
         this.messageElement.className = 'matrix-messages';
+        layerManager.add('messages', this.messageElement);
         document.body.appendChild(this.messageElement);
 
         // Style the message element
@@ -176,19 +189,19 @@ class MatrixMessages {
         element.textContent = '';
         element.classList.add('active', 'glitching');
 
-        this.scrambleInterval = setInterval(() => {
+        this.scrambleInterval = scheduler.interval(() => {
             element.textContent = chars
                 .map((char, index) => {
                     if (char === ' ') return ' ';
                     if (index < iterations / 3) {
                         return text[index];
                     }
-                    return scrambleChars[Math.floor(Math.random() * scrambleChars.length)];
+                    return scrambleChars[Math.floor(random() * scrambleChars.length)];
                 })
                 .join('');
 
             if (iterations >= maxIterations) {
-                clearInterval(this.scrambleInterval);
+                this.scrambleInterval.cancel();
                 element.textContent = text;
                 element.classList.remove('glitching');
 
@@ -196,12 +209,66 @@ class MatrixMessages {
                 // No more flashing at the end
 
                 // Keep message visible for a moment
-                setTimeout(() => {
-                    this.fadeOutMessage();
-                }, 2500);
+                this.holdThenFade();
             }
             iterations++;
-        }, 25); // Smoother scramble speed
+        }, 25, { name: 'matrix-scramble', category: 'effect' }); // Smoother scramble speed
+    }
+
+    typewriterText(element, text) {
+        let typed = 0;
+
+        element.textContent = '';
+        element.classList.add('active');
+
+        this.scrambleInterval = scheduler.interval(() => {
+            typed++;
+            element.textContent = text.slice(0, typed) + (typed < text.length ? '█' : '');
+            if (typed >= text.length) {
+                this.scrambleInterval.cancel();
+                this.holdThenFade();
+            }
+        }, 60, { name: 'matrix-typewriter', category: 'effect' });
+    }
+
+    // Full text at once, torn by a few short bursts of corrupted characters
+    glitchText(element, text) {
+        const scrambleChars = this.scrambleChars.split('');
+        let tick = 0;
+
+        element.textContent = text;
+        element.classList.add('active', 'glitching');
+
+        this.scrambleInterval = scheduler.interval(() => {
+            tick++;
+            const bursting = tick % 8 < 2;
+            element.textContent = bursting
+                ? text.split('').map(char => (char !== ' ' && random() < 0.3
+                    ? scrambleChars[Math.floor(random() * scrambleChars.length)]
+                    : char)).join('')
+                : text;
+            if (tick >= 40) {
+                this.scrambleInterval.cancel();
+                element.textContent = text;
+                element.classList.remove('glitching');
+                this.holdThenFade();
+            }
+        }, 30, { name: 'matrix-glitch', category: 'effect' });
+    }
+
+    holdThenFade() {
+        this.holdTimer = scheduler.timeout(() => {
+            this.holdTimer = null;
+            this.fadeOutMessage();
+        }, this.holdMs, { name: 'matrix-hold', category: 'effect' });
+    }
+
+    // Stop the text animation and the hold before fade-out
+    _cancelTextTimers() {
+        this.scrambleInterval?.cancel();
+        this.scrambleInterval = null;
+        this.holdTimer?.cancel();
+        this.holdTimer = null;
     }
 
     fadeOutMessage() {
@@ -244,7 +311,7 @@ class MatrixMessages {
                     this.isActive = false;
                     // Clear failsafe since we completed normally
                     if (this.failsafeTimeout) {
-                        clearTimeout(this.failsafeTimeout);
+                        this.failsafeTimeout.cancel();
                         this.failsafeTimeout = null;
                     }
                     this.restoreElements();
@@ -252,25 +319,38 @@ class MatrixMessages {
             });
     }
 
-    showMessage(forcedMessage) {
-        if (this.isActive) return;
+    /**
+     * Show a message (random pool message when none is given).
+     * @param {string} [forcedMessage]
+     * @param {Object} [options] style (MESSAGE_STYLES), duration (seconds on screen
+     *   once revealed), position (key of MESSAGE_POSITIONS)
+     * @returns {boolean} false while another message is still showing
+     */
+    showMessage(forcedMessage, options = {}) {
+        if (this.isActive) return false;
+
+        // Use externally provided message if present; otherwise a weighted one for the current scene
+        const message = typeof forcedMessage === 'string' && forcedMessage.trim().length > 0
+            ? forcedMessage.trim()
+            : this.pickMessage();
+        if (!message) return false;
 
         this.isActive = true;
+        const style = MESSAGE_STYLES.includes(options.style) ? options.style : 'scramble';
+        const duration = Number(options.duration);
+        this.holdMs = Number.isFinite(duration) && duration > 0 ? Math.min(duration, 60) * 1000 : DEFAULT_HOLD_MS;
         // Clear any existing failsafe timeout
         if (this.failsafeTimeout) {
-            clearTimeout(this.failsafeTimeout);
+            this.failsafeTimeout.cancel();
         }
         
-        // Set failsafe cleanup after 10 seconds (message should complete in ~5 seconds)
-        this.failsafeTimeout = setTimeout(() => {
+        // Set failsafe cleanup (message should complete ~2.5 seconds after its hold time;
+        // scaled like the message itself)
+        this.failsafeTimeout = scheduler.timeout(() => {
             console.log('⚠️ Matrix message failsafe cleanup triggered');
             this.forceCleanup();
-        }, 10000);
+        }, this.holdMs + 7500, { name: 'matrix-message-failsafe', category: 'system' });
         
-        // Use externally provided message if present; otherwise fallback to a random one
-        let message = typeof forcedMessage === 'string' && forcedMessage.trim().length > 0
-            ? forcedMessage.trim()
-            : this.messages[Math.floor(Math.random() * this.messages.length)];
         console.log('📢 Showing matrix message:', message);
 
         // Ensure blackout element exists and is properly styled
@@ -299,11 +379,12 @@ class MatrixMessages {
         // this.createAnalogGlitch();  // Disabled for less strobe
 
         // Reset message element
+        this.messageElement.style.top = MESSAGE_POSITIONS[options.position] || MESSAGE_POSITIONS.center;
         this.messageElement.style.opacity = '0';
         this.messageElement.classList.add('active');
 
         // Smooth digital fade in - removed violent effects
-        setTimeout(() => {
+        scheduler.timeout(() => {
             // Minimal entrance effect
             // this.createDataBurst();  // Disabled for less strobe
 
@@ -319,7 +400,7 @@ class MatrixMessages {
             ];
 
             glitchSteps.forEach(step => {
-                setTimeout(() => {
+                scheduler.timeout(() => {
                     this.messageElement.style.opacity = step.opacity;
                     this.messageElement.style.transform = step.transform;
                     this.messageElement.style.filter = step.filter;
@@ -336,14 +417,26 @@ class MatrixMessages {
                     if (step.delay === 90) {
                         // Clean up any layers without effects
                         glitchLayers.forEach(layer => layer && layer.remove());
-                        this.scrambleText(this.messageElement, message);
+                        if (style === 'typewriter') {
+                            this.typewriterText(this.messageElement, message);
+                        } else if (style === 'glitch') {
+                            this.glitchText(this.messageElement, message);
+                        } else {
+                            this.scrambleText(this.messageElement, message);
+                        }
                     }
-                }, step.delay);
+                }, step.delay, { name: 'matrix-message-enter', category: 'effect' });
             });
 
             // Add screen distortion
             this.distortScreen();
-        }, 30);
+        }, 30, { name: 'matrix-message-enter', category: 'effect' });
+        return true;
+    }
+
+    pickMessage() {
+        if (this.messages?.length) return this.messages[Math.floor(random() * this.messages.length)];
+        return messageLibrary.pick('matrix', { scene: window.chaosInit?.currentPhase, rng: random });
     }
 
     createAnalogGlitch() {
@@ -357,7 +450,7 @@ class MatrixMessages {
             opacity: 0.3;  // Reduced opacity
             z-index: 10000;
             pointer-events: none;
-            top: ${Math.random() * window.innerHeight}px;
+            top: ${random() * window.innerHeight}px;
         `;
         document.body.appendChild(scanLine);
 
@@ -386,23 +479,23 @@ class MatrixMessages {
         for (let i = 0; i < 5; i++) {
             const band = this._getDiv();
             // More monochrome, static TV-like
-            const intensity = Math.random() * 0.2 + 0.1;
+            const intensity = random() * 0.2 + 0.1;
             band.style.cssText = `
                 position: absolute;
                 width: 100%;
-                height: ${Math.random() * 30 + 5}px;
+                height: ${random() * 30 + 5}px;
                 background: linear-gradient(90deg,
                     transparent,
                     rgba(255,255,255,${intensity}),
                     transparent);
-                top: ${Math.random() * window.innerHeight}px;
+                top: ${random() * window.innerHeight}px;
                 mix-blend-mode: overlay;
             `;
             rgbSplit.appendChild(band);
 
             gsap.to(band, {
-                x: Math.random() * 10 - 5,  // Much less movement
-                opacity: Math.random(),
+                x: random() * 10 - 5,  // Much less movement
+                opacity: random(),
                 duration: 0.05,
                 repeat: 4,
                 yoyo: true,
@@ -412,7 +505,7 @@ class MatrixMessages {
         }
 
         document.body.appendChild(rgbSplit);
-        setTimeout(() => this._releaseDiv(rgbSplit), 300);
+        scheduler.timeout(() => this._releaseDiv(rgbSplit), 300, { name: 'matrix-release', category: 'ambient' });
 
         // Static noise burst
         const staticNoise = this._getCanvas(window.innerWidth, window.innerHeight);
@@ -433,11 +526,11 @@ class MatrixMessages {
 
         // Generate static noise
         for (let i = 0; i < data.length; i += 4) {
-            const value = Math.random() * 255;
+            const value = random() * 255;
             data[i] = value;     // red
             data[i + 1] = value; // green
             data[i + 2] = value; // blue
-            data[i + 3] = Math.random() * 128; // alpha
+            data[i + 3] = random() * 128; // alpha
         }
 
         ctx.putImageData(imageData, 0, 0);
@@ -653,8 +746,8 @@ class MatrixMessages {
         const shakeDuration = intense ? 0.15 : 0.1;  // Shorter duration
 
         gsap.to(preLoader, {
-            x: Math.random() * shakeIntensity - shakeIntensity/2,
-            y: Math.random() * shakeIntensity - shakeIntensity/2,
+            x: random() * shakeIntensity - shakeIntensity/2,
+            y: random() * shakeIntensity - shakeIntensity/2,
             duration: 0.03,
             repeat: Math.floor(shakeDuration / 0.03),
             yoyo: true,
@@ -674,13 +767,13 @@ class MatrixMessages {
             trackingLine.style.cssText = `
                 position: fixed;
                 left: 0;
-                top: ${Math.random() * window.innerHeight}px;
+                top: ${random() * window.innerHeight}px;
                 width: 100%;
-                height: ${Math.random() * 20 + 5}px;
+                height: ${random() * 20 + 5}px;
                 background: linear-gradient(90deg,
                     transparent,
-                    rgba(255,255,255,${Math.random() * 0.3 + 0.2}),
-                    rgba(255,255,255,${Math.random() * 0.2 + 0.1}),
+                    rgba(255,255,255,${random() * 0.3 + 0.2}),
+                    rgba(255,255,255,${random() * 0.2 + 0.1}),
                     transparent);
                 pointer-events: none;
                 z-index: 10003;
@@ -690,7 +783,7 @@ class MatrixMessages {
             document.body.appendChild(trackingLine);
 
             gsap.to(trackingLine, {
-                y: Math.random() * 200 - 100,
+                y: random() * 200 - 100,
                 scaleY: 0,
                 opacity: 0,
                 duration: 0.5,
@@ -733,29 +826,29 @@ class MatrixMessages {
         // 3. Subtle glitch blocks - less colorful
         for (let i = 0; i < 8; i++) {  // Reduced from 20
             const glitchBlock = this._getDiv();
-            const width = Math.random() * 150 + 30;
-            const height = Math.random() * 20 + 3;
+            const width = random() * 150 + 30;
+            const height = random() * 20 + 3;
 
             glitchBlock.style.cssText = `
                 position: fixed;
-                left: ${Math.random() * window.innerWidth}px;
-                top: ${Math.random() * window.innerHeight}px;
+                left: ${random() * window.innerWidth}px;
+                top: ${random() * window.innerHeight}px;
                 width: ${width}px;
                 height: ${height}px;
-                background: rgba(0,255,133,${Math.random() * 0.2 + 0.1});
+                background: rgba(0,255,133,${random() * 0.2 + 0.1});
                 pointer-events: none;
                 z-index: 10001;
                 mix-blend-mode: screen;
-                transform: skewX(${Math.random() * 15 - 7.5}deg);
+                transform: skewX(${random() * 15 - 7.5}deg);
                 filter: blur(0.5px);
             `;
             document.body.appendChild(glitchBlock);
 
             gsap.to(glitchBlock, {
-                x: Math.random() * 100 - 50,
+                x: random() * 100 - 50,
                 scaleX: 0,
                 opacity: 0,
-                duration: Math.random() * 0.2 + 0.1,
+                duration: random() * 0.2 + 0.1,
                 ease: 'steps(3)',
                 onComplete: () => this._releaseDiv(glitchBlock)
             });
@@ -786,11 +879,11 @@ class MatrixMessages {
 
         // Generate TRUE monochrome static (no color tint)
         for (let i = 0; i < data.length; i += 4) {
-            const value = Math.random() * 255;
+            const value = random() * 255;
             data[i] = value;       // red (equal)
             data[i + 1] = value;   // green (equal)
             data[i + 2] = value;   // blue (equal)
-            data[i + 3] = Math.random() * 100; // alpha (reduced)
+            data[i + 3] = random() * 100; // alpha (reduced)
         }
         ctx.putImageData(imageData, 0, 0);
         document.body.appendChild(staticBurst);
@@ -899,7 +992,7 @@ class MatrixMessages {
         const sub = this._subscribe1Hz(() => {
             this.diceCountdown--;
             if (this.diceCountdown <= 0) {
-                const roll = Math.floor(Math.random() * 100) + 1;
+                const roll = Math.floor(random() * 100) + 1;
                 this.lastRoll = roll;
                 if (roll >= 90) {
                     this.showMessage();
@@ -928,7 +1021,7 @@ class MatrixMessages {
         
         // Clear failsafe timeout
         if (this.failsafeTimeout) {
-            clearTimeout(this.failsafeTimeout);
+            this.failsafeTimeout.cancel();
             this.failsafeTimeout = null;
         }
         
@@ -951,11 +1044,8 @@ class MatrixMessages {
             this.blackoutElement = null;
         }
         
-        // Clear scramble interval
-        if (this.scrambleInterval) {
-            clearInterval(this.scrambleInterval);
-            this.scrambleInterval = null;
-        }
+        // Clear text animation and hold timers
+        this._cancelTextTimers();
         
         this.isActive = false;
         
@@ -981,24 +1071,21 @@ class MatrixMessages {
         
         // Reapply current FX settings after a short delay
         if (window.fxController) {
-            setTimeout(() => {
+            scheduler.timeout(() => {
                 Object.keys(window.fxController.intensities).forEach(key => {
                     window.fxController._applySideEffect(key, window.fxController.intensities[key]);
                 });
-            }, 100);
+            }, 100, { name: 'matrix-fx-restore', category: 'system', scaled: false });
         }
     }
 
     destroy() {
-        // Clean up scramble interval
-        if (this.scrambleInterval) {
-            clearInterval(this.scrambleInterval);
-            this.scrambleInterval = null;
-        }
+        // Clean up text animation and hold timers
+        this._cancelTextTimers();
         
         // Clean up failsafe timeout
         if (this.failsafeTimeout) {
-            clearTimeout(this.failsafeTimeout);
+            this.failsafeTimeout.cancel();
             this.failsafeTimeout = null;
         }
         
@@ -1033,11 +1120,10 @@ export default new MatrixMessages();
             maxAge: Infinity // Keep running indefinitely
         });
     }).catch(err => {
-        console.warn('Failed to load interval-manager, falling back to raw setInterval:', err);
-        // Fallback to raw interval if interval-manager is not available
-        intervalHandle = { nativeId: setInterval(() => {
+        console.warn('Failed to load interval-manager, ticking on the scheduler directly:', err);
+        intervalHandle = scheduler.interval(() => {
             subs.forEach(fn => { try { fn(); } catch(_) {} });
-        }, 1000) };
+        }, 1000, { name: 'matrix-oneHz-ticker', category: 'system', scaled: false });
     });
     
     window.__oneHzTicker = {
@@ -1046,8 +1132,8 @@ export default new MatrixMessages();
             if (intervalHandle) {
                 if (typeof intervalHandle.clear === 'function') {
                     intervalHandle.clear();
-                } else if (intervalHandle.nativeId) {
-                    clearInterval(intervalHandle.nativeId);
+                } else {
+                    intervalHandle.cancel();
                 }
                 intervalHandle = null;
             }
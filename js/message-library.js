@@ -0,0 +1,216 @@
+// Message Library - the editable pool every matrix/terminal/startup message comes from
+// Shared by the display and the control panel: both load the same library from
+// localStorage and keep it in sync over the VJ protocol (the newer copy wins).
+//
+//   {
+//     version: 1, updatedAt,
+//     categories: {
+//       matrix: { label: 'Matrix', messages: [{ id, text, weight: 1, scenes: ['glitch'], enabled: true }] }
+//     }
+//   }
+//
+// Empty `scenes` means every scene. pick() draws by weight from the enabled messages
+// tagged for the current scene. Defaults come from matrix-message-pool.js and
+// matrix-config.js. Emits window event:
+//   messageLibrary  { library }
+
+import MATRIX_MESSAGES from './matrix-message-pool.js';
+import matrixConfig from './matrix-config.js';
+import seededRandom from './seeded-random.js';
+
+const random = seededRandom.stream('message-library');
+
+const STORAGE_KEY = '3886_message_library';
+const MAX_TEXT = 120;
+const MAX_WEIGHT = 100;
+
+// matrixConfig arrays -> library categories
+export const CONFIG_CATEGORIES = {
+    matrixMessages: 'matrix',
+    terminalMessages: 'terminal',
+    startupMessages: 'startup'
+};
+
+let nextId = 1;
+function newId() {
+    return `m-${Date.now().toString(36)}-${nextId++}`;
+}
+
+/**
+ * Validate a library (panel editor or imported JSON) and fill defaults. A category
+ * may also be a bare array of strings. Throws with a readable message.
+ */
+export function normalizeLibrary(raw) {
+    if (!raw || typeof raw !== 'object' || !raw.categories || typeof raw.categories !== 'object') {
+        throw new Error('Library needs a categories object');
+    }
+
+    const ids = new Set();
+    const categories = {};
+    Object.entries(raw.categories).forEach(([name, category]) => {
+        if (!/^[\w-]+$/.test(name)) throw new Error(`Category "${name}": use letters, digits, - and _`);
+        const list = Array.isArray(category) ? category : category?.messages;
+        if (!Array.isArray(list)) throw new Error(`Category ${name}: messages must be an array`);
+
+        categories[name] = {
+            label: String((!Array.isArray(category) && category.label) || name),
+            messages: list.map((message, i) => {
+                const item = typeof message === 'string' ? { text: message } : message;
+                const text = String(item?.text ?? '').trim();
+                if (!text) throw new Error(`Category ${name}, message ${i + 1}: text is required`);
+                if (text.length > MAX_TEXT) throw new Error(`Category ${name}, message ${i + 1}: longer than ${MAX_TEXT} characters`);
+                const weight = item.weight === undefined ? 1 : Number(item.weight);
+                if (!Number.isFinite(weight) || weight < 0 || weight > MAX_WEIGHT) {
+                    throw new Error(`Category ${name}, message ${i + 1}: weight must be 0-${MAX_WEIGHT}`);
+                }
+                if (item.scenes !== undefined && (!Array.isArray(item.scenes) || item.scenes.some((s) => typeof s !== 'string'))) {
+                    throw new Error(`Category ${name}, message ${i + 1}: scenes must be an array of scene names`);
+                }
+                let id = typeof item.id === 'string' && item.id ? item.id : newId();
+                if (ids.has(id)) id = newId();
+                ids.add(id);
+                return {
+                    id,
+                    text,
+                    weight,
+                    scenes: (item.scenes || []).map((scene) => scene.trim().toLowerCase()).filter(Boolean),
+                    enabled: item.enabled !== false
+                };
+            })
+        };
+    });
+
+    return { version: 1, updatedAt: Number(raw.updatedAt) || 0, categories };
+}
+
+/**
+ * Built-in library from the message pool and matrix-config.js
+ */
+export function defaultLibrary() {
+    const categories = {
+        matrix: { label: 'Matrix', messages: MATRIX_MESSAGES.map((text, i) => ({ id: `matrix-${i}`, text })) },
+        terminal: { label: 'Terminal', messages: matrixConfig.terminalMessages.map((text, i) => ({ id: `terminal-${i}`, text })) },
+        startup: { label: 'Startup', messages: matrixConfig.startupMessages.map((text, i) => ({ id: `startup-${i}`, text })) }
+    };
+    Object.entries(matrixConfig.customMessages || {}).forEach(([name, texts]) => {
+        if (Array.isArray(texts) && !categories[name]) categories[name] = { label: name, messages: texts };
+    });
+    return normalizeLibrary({ categories });
+}
+
+class MessageLibrary {
+    constructor() {
+        this.library = null; // loaded on first use (matrix-config.js imports this module)
+        if (typeof window !== 'undefined') {
+            // Panel and display in one browser share the stored copy
+            window.addEventListener('storage', (e) => {
+                if (e.key !== STORAGE_KEY || !e.newValue) return;
+                try {
+                    this.library = normalizeLibrary(JSON.parse(e.newValue));
+                    this._emitState();
+                } catch {}
+            });
+        }
+    }
+
+    get updatedAt() {
+        return this._data().updatedAt;
+    }
+
+    /**
+     * Replace the library. Local edits are stamped now; `keepTimestamp` is for copies
+     * received from the other side.
+     * @returns {string|null} error message, null when loaded
+     */
+    load(raw, { keepTimestamp = false } = {}) {
+        let library;
+        try {
+            library = normalizeLibrary(raw);
+        } catch (error) {
+            return error.message;
+        }
+        if (!keepTimestamp) library.updatedAt = Date.now();
+        this.library = library;
+        this._save();
+        this._emitState();
+        return null;
+    }
+
+    reset() {
+        return this.load(defaultLibrary());
+    }
+
+    getLibrary() {
+        return JSON.parse(JSON.stringify(this._data()));
+    }
+
+    /**
+     * Texts of a category, by default only enabled ones tagged for scene
+     */
+    getMessages(category, { scene = null, all = false } = {}) {
+        return this._eligible(category, scene, all).map((message) => message.text);
+    }
+
+    /**
+     * Weighted random message of a category for the current scene
+     * @returns {string|null}
+     */
+    pick(category = 'matrix', { scene = null, rng = random } = {}) {
+        const pool = this._eligible(category, scene).filter((message) => message.weight > 0);
+        const total = pool.reduce((sum, message) => sum + message.weight, 0);
+        if (!total) return null;
+        let roll = rng() * total;
+        for (const message of pool) {
+            roll -= message.weight;
+            if (roll < 0) return message.text;
+        }
+        return pool[pool.length - 1].text;
+    }
+
+    /**
+     * Append texts to a category (created when missing) and persist
+     */
+    addMessages(category, texts, label = category) {
+        const library = this.getLibrary();
+        if (!library.categories[category]) library.categories[category] = { label, messages: [] };
+        library.categories[category].messages.push(...texts.map((text) => ({ text })));
+        return this.load(library);
+    }
+
+    _eligible(category, scene, all = false) {
+        const messages = this._data().categories[category]?.messages || [];
+        if (all) return messages;
+        const tag = scene ? String(scene).toLowerCase() : null;
+        return messages.filter((message) => message.enabled && (!message.scenes.length || message.scenes.includes(tag)));
+    }
+
+    _data() {
+        if (!this.library) this.library = this._loadStored() || defaultLibrary();
+        return this.library;
+    }
+
+    _loadStored() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            return stored ? normalizeLibrary(stored) : null;
+        } catch (error) {
+            console.warn('⚠️ Stored message library ignored:', error.message);
+            return null;
+        }
+    }
+
+    _save() {
+        try { localStorage.setItem(STORAGE_KEY, JSON.stringify(this.library)); } catch {}
+    }
+
+    _emitState() {
+        if (typeof window === 'undefined') return;
+        window.dispatchEvent(new CustomEvent('messageLibrary', { detail: { library: this.getLibrary() } }));
+    }
+}
+
+const messageLibrary = new MessageLibrary();
+if (typeof window !== 'undefined') {
+    window.messageLibrary = messageLibrary;
+}
+export default messageLibrary;
@@ -0,0 +1,208 @@
+// Message Queue - composed text-to-screen messages for the matrix message overlay
+// Shout-outs and set announcements are queued from the control panel, optionally for
+// a clock time, and shown one after another through MatrixMessages:
+//
+//   { id, text, style: 'scramble'|'typewriter'|'glitch', duration (seconds on screen),
+//     position: 'center'|'top'|'bottom', priority: 'low'|'normal'|'high', at (epoch ms) }
+//
+// Due messages go out by priority, then scheduled time, then queue order, with `gap`
+// seconds of quiet between them. Ids come from the panel when given so every output
+// removes the same message. Queue and history survive a reload (localStorage).
+// Emits window event:
+//   messageQueue  { paused, gap, current, queue: [...], history: [...] }
+
+import matrixMessages, { MESSAGE_STYLES, MESSAGE_POSITIONS } from './matrix-messages.js';
+import scheduler from './scheduler.js';
+
+export const MESSAGE_PRIORITIES = ['low', 'normal', 'high'];
+
+const STORAGE_KEY = '3886_message_queue';
+const TICK_MS = 500;
+const HISTORY_LIMIT = 30;
+const MAX_QUEUE = 100;
+const STALE_MS = 30 * 60 * 1000;   // scheduled messages this far past are dropped on load
+const DEFAULTS = { style: 'scramble', duration: 2.5, position: 'center', priority: 'normal' };
+
+let nextLocalId = 1;
+
+class MessageQueue {
+    constructor() {
+        this.queue = [];
+        this.history = [];
+        this.current = null;
+        this.paused = false;
+        this.gap = 4;              // seconds between messages
+        this.quietUntil = 0;
+        this.ticker = null;
+    }
+
+    init() {
+        if (this.ticker) return;
+        this._load();
+        this.ticker = scheduler.interval(() => this.tick(), TICK_MS, {
+            name: 'message-queue', category: 'system', scaled: false
+        });
+        this._emitState();
+    }
+
+    /**
+     * Queue a message
+     * @returns {string|null} error message, null when queued
+     */
+    add(fields = {}) {
+        const text = String(fields.text || '').trim();
+        if (!text) return 'message text is empty';
+        if (this.queue.length >= MAX_QUEUE) return `queue is full (${MAX_QUEUE} messages)`;
+        if (fields.style !== undefined && !MESSAGE_STYLES.includes(fields.style)) {
+            return `style must be one of ${MESSAGE_STYLES.join(', ')}`;
+        }
+        if (fields.position !== undefined && !MESSAGE_POSITIONS[fields.position]) {
+            return `position must be one of ${Object.keys(MESSAGE_POSITIONS).join(', ')}`;
+        }
+        if (fields.priority !== undefined && !MESSAGE_PRIORITIES.includes(fields.priority)) {
+            return `priority must be one of ${MESSAGE_PRIORITIES.join(', ')}`;
+        }
+        const duration = fields.duration === undefined ? DEFAULTS.duration : Number(fields.duration);
+        if (!Number.isFinite(duration) || duration <= 0 || duration > 60) return 'duration must be 0-60 seconds';
+        if (fields.at !== undefined && fields.at !== null && !Number.isFinite(Number(fields.at))) return 'at must be a timestamp';
+
+        const id = String(fields.id || `local-${Date.now().toString(36)}-${nextLocalId++}`);
+        if (this.queue.some(item => item.id === id)) return null; // same add reached us twice
+
+        this.queue.push({
+            id,
+            text,
+            style: fields.style || DEFAULTS.style,
+            duration,
+            position: fields.position || DEFAULTS.position,
+            priority: fields.priority || DEFAULTS.priority,
+            at: fields.at ? Number(fields.at) : null,
+            added: Date.now()
+        });
+        this._changed();
+        return null;
+    }
+
+    remove(id) {
+        const before = this.queue.length;
+        this.queue = this.queue.filter(item => item.id !== id);
+        if (this.queue.length === before) return false;
+        this._changed();
+        return true;
+    }
+
+    /**
+     * Show a queued message as soon as the overlay is free, ignoring its time and the gap
+     */
+    playNow(id) {
+        const item = this.queue.find(entry => entry.id === id);
+        if (!item) return false;
+        item.at = null;
+        item.priority = 'high';
+        item.added = 0;
+        this.quietUntil = 0;
+        this._changed();
+        this.tick();
+        return true;
+    }
+
+    clear({ history = false } = {}) {
+        this.queue = [];
+        if (history) this.history = [];
+        // Take the queued message on screen down with it
+        if (this.current) {
+            if (matrixMessages.isActive) matrixMessages.forceCleanup();
+            this.current = null;
+        }
+        this._changed();
+    }
+
+    /**
+     * @returns {string|null} error message, null when applied
+     */
+    setSettings({ paused, gap } = {}) {
+        if (gap !== undefined) {
+            const seconds = Number(gap);
+            if (!Number.isFinite(seconds) || seconds < 0 || seconds > 600) return 'gap must be 0-600 seconds';
+            this.gap = seconds;
+        }
+        if (paused !== undefined) this.paused = !!paused;
+        this._changed();
+        return null;
+    }
+
+    tick() {
+        const now = Date.now();
+        if (this.current && !matrixMessages.isActive) {
+            this.current = null;
+            this.quietUntil = now + this.gap * 1000;
+            this._emitState();
+        }
+        if (this.paused || this.current || matrixMessages.isActive || !matrixMessages.messageElement || now < this.quietUntil) return;
+
+        const next = this._nextDue(now);
+        if (!next) return;
+        if (!matrixMessages.showMessage(next.text, next)) return;
+
+        this.queue = this.queue.filter(item => item !== next);
+        this.current = { ...next, shownAt: now };
+        this.history.unshift(this.current);
+        this.history.length = Math.min(this.history.length, HISTORY_LIMIT);
+        console.log(`📢 Queued message shown: "${next.text}" (${next.style}, ${this.queue.length} left)`);
+        this._changed();
+    }
+
+    getState() {
+        return {
+            paused: this.paused,
+            gap: this.gap,
+            current: this.current ? { ...this.current } : null,
+            queue: this.queue.map(item => ({ ...item })),
+            history: this.history.map(item => ({ ...item }))
+        };
+    }
+
+    _nextDue(now) {
+        const rank = (item) => MESSAGE_PRIORITIES.indexOf(item.priority);
+        return this.queue
+            .filter(item => !item.at || item.at <= now)
+            .sort((a, b) => rank(b) - rank(a) || (a.at || a.added) - (b.at || b.added))[0] || null;
+    }
+
+    _changed() {
+        this._save();
+        this._emitState();
+    }
+
+    _save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify({ queue: this.queue, history: this.history, gap: this.gap }));
+        } catch {}
+    }
+
+    _load() {
+        let saved = null;
+        try {
+            saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        } catch {}
+        if (!saved) return;
+
+        const now = Date.now();
+        this.queue = (Array.isArray(saved.queue) ? saved.queue : [])
+            .filter(item => item && item.text && (!item.at || now - item.at < STALE_MS));
+        this.history = (Array.isArray(saved.history) ? saved.history : []).slice(0, HISTORY_LIMIT);
+        if (Number.isFinite(saved.gap)) this.gap = saved.gap;
+        if (this.queue.length) console.log(`📢 Restored ${this.queue.length} queued message(s)`);
+    }
+
+    _emitState() {
+        if (typeof window === 'undefined') return;
+        window.dispatchEvent(new CustomEvent('messageQueue', { detail: this.getState() }));
+    }
+}
+
+const messageQueue = new MessageQueue();
+if (typeof window !== 'undefined') {
+    window.messageQueue = messageQueue;
+}
+export default messageQueue;
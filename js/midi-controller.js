@@ -0,0 +1,414 @@
+/**
+ * ============================================
+ * ZIKADA 3886 - MIDI CONTROLLER
+ * ============================================
+ *
+ * Web MIDI input for the control panel:
+ * - Device enumeration and hot-plug tracking
+ * - MIDI Learn: binds notes / CCs to panel buttons and sliders
+ * - Mappings persisted in localStorage
+ * - External MIDI clock tempo estimation
+ *
+ * Mapped controls are driven through the panel's own DOM elements
+ * (click / input events), so every MIDI action takes the exact same
+ * path to the main page as a mouse action.
+ *
+ * Window events (consumed by ControlPanelV3):
+ *   midiready, midierror, mididevicechange, midimappinglearned,
+ *   midiactivity, midiclock
+ *
+ * A fake MIDIAccess can be injected via `options.access` for testing:
+ * any object exposing `inputs` / `outputs` Maps of ports with an
+ * `onmidimessage` slot and an `onstatechange` slot will do.
+ */
+
+const MAPPINGS_STORAGE_KEY = '3886_midi_mappings';
+const DEVICE_STORAGE_KEY = '3886_midi_device';
+
+// Status bytes (upper nibble for channel messages)
+const NOTE_OFF = 0x80;
+const NOTE_ON = 0x90;
+const CONTROL_CHANGE = 0xB0;
+const CLOCK_TICK = 0xF8;
+const CLOCK_START = 0xFA;
+const CLOCK_CONTINUE = 0xFB;
+const CLOCK_STOP = 0xFC;
+
+const CLOCK_PPQN = 24;
+
+// Built-in mapping presets (generic pad controller + knob bank)
+const MIDI_PRESETS = {
+    default: [
+        ...['auto', 'calm', 'intense', 'glitch', 'techno', 'matrix', 'minimal', 'chaotic']
+            .map((scene, i) => ({
+                type: 'note', channel: 0, number: 36 + i,
+                selector: `.scene-btn[data-scene="${scene}"]`,
+                name: `Scene: ${scene.toUpperCase()}`
+            })),
+        ...['strobe', 'blackout', 'whiteout', 'rgbsplit', 'shake', 'pulse', 'cosmic', 'matrix-rain']
+            .map((effect, i) => ({
+                type: 'note', channel: 0, number: 44 + i,
+                selector: `.trigger-btn[data-effect="${effect}"]`,
+                name: `Trigger: ${effect.toUpperCase()}`
+            })),
+        { type: 'cc', channel: 0, number: 1, selector: '#speedSlider', name: 'Global Speed' },
+        { type: 'cc', channel: 0, number: 2, selector: '#phaseDurationSlider', name: 'Phase Duration' }
+    ]
+};
+
+export class MIDIController {
+    constructor(options = {}) {
+        this.access = null;
+        this.isReady = false;
+        this.debugMode = !!options.debug;
+
+        // '' = listen to all connected inputs
+        this.selectedDeviceId = options.deviceId ?? this._readStorage(DEVICE_STORAGE_KEY) ?? '';
+
+        // key -> mapping, see _mappingKey()
+        this.mappings = new Map();
+        this.learnTarget = null;
+
+        // Last CC value per key, used for button edge detection
+        this._ccValues = new Map();
+
+        // External clock state
+        this._clockTicks = [];
+        this.clockRunning = false;
+        this.clockBPM = null;
+
+        this.loadMappings();
+        this.init(options.access);
+    }
+
+    async init(access) {
+        try {
+            if (access) {
+                this.access = access;
+            } else if (typeof navigator !== 'undefined' && typeof navigator.requestMIDIAccess === 'function') {
+                this.access = await navigator.requestMIDIAccess({ sysex: false });
+            } else {
+                throw new Error('Web MIDI API not supported in this browser');
+            }
+        } catch (error) {
+            console.warn('🎹 MIDI unavailable:', error.message || error);
+            this._dispatch('midierror', { message: error.message || String(error) });
+            return;
+        }
+
+        this.access.onstatechange = (event) => this.onStateChange(event);
+        this.attachInputs();
+
+        this.isReady = true;
+        const devices = this.getDevices();
+        console.log(`🎹 MIDI ready: ${devices.inputs.length} input(s), ${this.mappings.size} mapping(s)`);
+        this._dispatch('midiready', { ...devices, mappings: this.getMappings() });
+    }
+
+    // ============================================
+    // DEVICES
+    // ============================================
+
+    getDevices() {
+        if (!this.access) return { inputs: [], outputs: [] };
+        const describe = (port) => ({
+            id: port.id,
+            name: port.name || 'Unknown',
+            manufacturer: port.manufacturer || '',
+            state: port.state || 'connected'
+        });
+        return {
+            inputs: Array.from(this.access.inputs.values()).map(describe),
+            outputs: Array.from(this.access.outputs?.values?.() || []).map(describe)
+        };
+    }
+
+    selectDevice(deviceId) {
+        this.selectedDeviceId = deviceId || '';
+        this._writeStorage(DEVICE_STORAGE_KEY, this.selectedDeviceId);
+        this.attachInputs();
+        if (this.debugMode) console.log('🎹 Selected MIDI input:', this.selectedDeviceId || 'ALL');
+    }
+
+    attachInputs() {
+        if (!this.access) return;
+        this.access.inputs.forEach((input) => {
+            const listening = !this.selectedDeviceId || input.id === this.selectedDeviceId;
+            input.onmidimessage = listening ? (event) => this.handleMIDIMessage(event.data, input) : null;
+        });
+    }
+
+    onStateChange(event) {
+        const port = event.port;
+        if (!port || port.type !== 'input') return;
+
+        const action = port.state === 'connected' ? 'connected' : 'disconnected';
+        if (action === 'connected') this.attachInputs();
+
+        if (this.debugMode) console.log(`🎹 MIDI device ${action}:`, port.name);
+        this._dispatch('mididevicechange', {
+            action,
+            device: { id: port.id, name: port.name || 'Unknown', manufacturer: port.manufacturer || '' }
+        });
+    }
+
+    // ============================================
+    // MESSAGE HANDLING
+    // ============================================
+
+    handleMIDIMessage(data, input = null) {
+        if (!data || data.length === 0) return;
+        const status = data[0];
+        const device = input ? { id: input.id, name: input.name || 'Unknown' } : { id: '', name: 'Virtual' };
+
+        // System real-time (clock) messages carry no channel
+        if (status >= 0xF8) {
+            this.handleClockMessage(status, device);
+            return;
+        }
+
+        const command = status & 0xF0;
+        const channel = status & 0x0F;
+        let message = null;
+
+        if (command === NOTE_ON || command === NOTE_OFF) {
+            // Note-on with velocity 0 is a note-off by spec
+            const velocity = command === NOTE_ON ? data[2] : 0;
+            message = { type: 'note', channel, number: data[1], value: velocity };
+            this._dispatch('midiactivity', { device, type: 'note', data: { note: data[1], velocity, channel } });
+        } else if (command === CONTROL_CHANGE) {
+            message = { type: 'cc', channel, number: data[1], value: data[2] };
+            this._dispatch('midiactivity', { device, type: 'cc', data: { controller: data[1], value: data[2], channel } });
+        } else {
+            return;
+        }
+
+        if (this.debugMode) console.log('🎹 MIDI in:', message);
+
+        if (this.learnTarget) {
+            // Ignore note-offs so releasing a pad doesn't re-learn
+            if (message.type === 'note' && message.value === 0) return;
+            this.learn(message);
+            return;
+        }
+
+        const mapping = this.mappings.get(this._mappingKey(message));
+        if (mapping) this.executeMapping(mapping, message);
+    }
+
+    handleClockMessage(status, device) {
+        switch (status) {
+            case CLOCK_START:
+            case CLOCK_CONTINUE:
+                this.clockRunning = true;
+                this._clockTicks = [];
+                this._dispatch('midiclock', { running: true, bpm: this.clockBPM });
+                break;
+            case CLOCK_STOP:
+                this.clockRunning = false;
+                this._dispatch('midiclock', { running: false, bpm: this.clockBPM });
+                break;
+            case CLOCK_TICK: {
+                const now = performance.now();
+                this._clockTicks.push(now);
+                if (this._clockTicks.length > CLOCK_PPQN + 1) this._clockTicks.shift();
+                // Report once per quarter note to keep the event rate low
+                if (this._clockTicks.length === CLOCK_PPQN + 1) {
+                    const span = now - this._clockTicks[0];
+                    if (span > 0) {
+                        this.clockBPM = Math.round((60000 / span) * 10) / 10;
+                        this._clockTicks = [now];
+                        this._dispatch('midiclock', { running: true, bpm: this.clockBPM });
+                        this._dispatch('midiactivity', { device, type: 'clock', data: { bpm: this.clockBPM } });
+                    }
+                }
+                break;
+            }
+        }
+    }
+
+    executeMapping(mapping, message) {
+        const element = document.querySelector(mapping.selector);
+        if (!element || element.disabled) {
+            if (this.debugMode) console.warn('🎹 Mapped control not found:', mapping.selector);
+            return;
+        }
+
+        if (element.matches('input[type="range"]')) {
+            const min = mapping.transform?.min ?? Number(element.min || 0);
+            const max = mapping.transform?.max ?? Number(element.max || 100);
+            const value = Math.round(min + (message.value / 127) * (max - min));
+            if (String(value) === element.value) return;
+            element.value = String(value);
+            element.dispatchEvent(new Event('input', { bubbles: true }));
+            return;
+        }
+
+        // Buttons fire on note-on, or when a CC crosses the midpoint upwards
+        if (message.type === 'note') {
+            if (message.value > 0) element.click();
+            return;
+        }
+        const key = this._mappingKey(message);
+        const previous = this._ccValues.get(key) ?? 0;
+        this._ccValues.set(key, message.value);
+        if (previous < 64 && message.value >= 64) element.click();
+    }
+
+    // ============================================
+    // MIDI LEARN
+    // ============================================
+
+    startLearn(target) {
+        this.learnTarget = target;
+        if (this.debugMode) console.log('🎹 Learning:', target?.name);
+    }
+
+    stopLearn() {
+        this.learnTarget = null;
+    }
+
+    learn(message) {
+        const target = this.learnTarget;
+        const selector = target.selector || this._selectorFor(target.element);
+        if (!selector) {
+            console.warn('🎹 Cannot learn a control without a stable selector:', target.name);
+            return;
+        }
+
+        // One control per MIDI source; also drop older bindings of this control
+        for (const [key, existing] of this.mappings) {
+            if (existing.selector === selector) this.mappings.delete(key);
+        }
+
+        const mapping = {
+            type: message.type,
+            channel: message.channel,
+            number: message.number,
+            selector,
+            name: target.name || selector,
+            action: target.action || null,
+            transform: target.transform || null
+        };
+        this.mappings.set(this._mappingKey(mapping), mapping);
+        this.saveMappings();
+
+        this.learnTarget = null;
+        console.log(`🎹 Learned ${mapping.type.toUpperCase()} ${mapping.number} (ch ${mapping.channel + 1}) → ${mapping.name}`);
+        this._dispatch('midimappinglearned', { mapping, target });
+    }
+
+    // ============================================
+    // MAPPINGS
+    // ============================================
+
+    getMappings() {
+        return Array.from(this.mappings.values());
+    }
+
+    setMappings(list = []) {
+        this.mappings.clear();
+        list.forEach((mapping) => {
+            if (!mapping || !mapping.selector || !['note', 'cc'].includes(mapping.type)) return;
+            this.mappings.set(this._mappingKey(mapping), { ...mapping, channel: mapping.channel || 0 });
+        });
+        this._ccValues.clear();
+    }
+
+    removeMapping(mapping) {
+        this.mappings.delete(this._mappingKey(mapping));
+        this.saveMappings();
+    }
+
+    clearMappings() {
+        this.mappings.clear();
+        this._ccValues.clear();
+        this.saveMappings();
+    }
+
+    loadPreset(name = 'default') {
+        const preset = MIDI_PRESETS[name];
+        if (!preset) return false;
+        this.setMappings(preset);
+        this.saveMappings();
+        return true;
+    }
+
+    loadMappings() {
+        const raw = this._readStorage(MAPPINGS_STORAGE_KEY);
+        if (!raw) return;
+        try {
+            this.setMappings(JSON.parse(raw));
+        } catch (error) {
+            console.warn('🎹 Ignoring corrupt MIDI mappings:', error);
+        }
+    }
+
+    saveMappings() {
+        this._writeStorage(MAPPINGS_STORAGE_KEY, JSON.stringify(this.getMappings()));
+    }
+
+    exportMappings() {
+        return JSON.stringify({ version: 1, mappings: this.getMappings() }, null, 2);
+    }
+
+    importMappings(json) {
+        const parsed = typeof json === 'string' ? JSON.parse(json) : json;
+        this.setMappings(Array.isArray(parsed) ? parsed : parsed?.mappings);
+        this.saveMappings();
+        return this.mappings.size;
+    }
+
+    // ============================================
+    // HELPERS
+    // ============================================
+
+    _mappingKey({ type, channel = 0, number }) {
+        return `${type}:${channel}:${number}`;
+    }
+
+    // Build a selector that still resolves after a panel reload
+    _selectorFor(element) {
+        if (!element) return null;
+        if (element.id) return `#${CSS.escape(element.id)}`;
+        const className = element.classList[0];
+        if (!className) return null;
+        const dataAttrs = Array.from(element.attributes)
+            .filter((attr) => attr.name.startsWith('data-') && attr.name !== 'data-state')
+            .map((attr) => `[${attr.name}="${CSS.escape(attr.value)}"]`)
+            .join('');
+        return dataAttrs ? `.${CSS.escape(className)}${dataAttrs}` : null;
+    }
+
+    _dispatch(name, detail) {
+        try {
+            window.dispatchEvent(new CustomEvent(name, { detail }));
+        } catch (error) {
+            console.error(`🎹 Error dispatching ${name}:`, error);
+        }
+    }
+
+    _readStorage(key) {
+        try { return localStorage.getItem(key); } catch { return null; }
+    }
+
+    _writeStorage(key, value) {
+        try { localStorage.setItem(key, value); } catch {}
+    }
+
+    destroy() {
+        if (this.access) {
+            this.access.onstatechange = null;
+            this.access.inputs.forEach((input) => { input.onmidimessage = null; });
+        }
+        this.learnTarget = null;
+        this.isReady = false;
+    }
+}
+
+// The control panel page instantiates the controller on DOMContentLoaded
+if (typeof window !== 'undefined') {
+    window.MIDIController = MIDIController;
+}
+
+export default MIDIController;
@@ -0,0 +1,611 @@
+// Output Capture - WebM recordings and PNG stills of the display
+// A capture canvas redraws the output: the Three canvas plus every visible canvas,
+// video and image overlay, bottom -> top with their opacity, blend mode, filter and
+// layer opacity (layer-manager.js). Overlays drawn purely with CSS (text, gradients)
+// aren't in it. Recordings use MediaRecorder at the chosen resolution (the display
+// is scaled to cover it), frame rate and bitrate:
+//
+//   live      records in real time until stopped
+//   offline   steps show time one frame at a time for `duration` seconds:
+//             requestAnimationFrame, performance.now, Date.now, GSAP, CSS animations
+//             and videos follow the frame clock, so a slow frame can't drop or
+//             stutter. The display runs slower than real time meanwhile; plain
+//             setTimeout timers keep real time.
+//
+// Finished files stay in memory as blob URLs (the last few) for the panel's download
+// links, which work from a panel in the same browser; saveFile() downloads one on
+// the display itself. Settings are stored locally. Emits window event:
+//   captureState  { supported, settings, error,
+//                   recording: { mode, width, height, fps, elapsed, frames, totalFrames } | null,
+//                   files: [{ id, kind, name, url, size, duration, width, height, createdAt }] }
+
+import gsap from 'gsap';
+import scheduler from './scheduler.js';
+import layerManager from './layer-manager.js';
+
+export const CAPTURE_RESOLUTIONS = {
+    native: null,
+    '720p': [1280, 720],
+    '1080p': [1920, 1080],
+    '1440p': [2560, 1440],
+    '4k': [3840, 2160]
+};
+export const CAPTURE_MODES = ['live', 'offline'];
+export const CAPTURE_FPS = [24, 30, 60];
+
+const STORAGE_KEY = '3886_capture';
+const MIME_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+const MAX_FILES = 6;
+const PROGRESS_MS = 1000;
+const SEEK_TIMEOUT_MS = 500;   // offline: draw anyway when a video is slow to seek
+
+const DEFAULT_SETTINGS = {
+    mode: 'live',
+    resolution: '1080p',
+    fps: 30,
+    bitrate: 8,            // Mbit/s
+    duration: 10           // seconds, offline renders
+};
+
+// CSS mix-blend-mode -> canvas composite operation (the rest share their name)
+const BLEND_OPERATIONS = { normal: 'source-over', 'plus-lighter': 'lighter' };
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+class OutputCapture {
+    constructor() {
+        this.settings = { ...DEFAULT_SETTINGS };
+        this.canvas = null;
+        this.ctx = null;
+        this.recording = null;      // { mode, recorder, stream, chunks, frames, ... }
+        this.files = [];            // newest first
+        this.error = null;
+        this.virtual = null;        // offline frame clock while rendering
+        this.progressTimer = null;
+        this._snapshotPending = false;
+        this._nextFile = 1;
+        this._loadStored();
+    }
+
+    get supported() {
+        return typeof MediaRecorder !== 'undefined' &&
+            typeof HTMLCanvasElement !== 'undefined' &&
+            'captureStream' in HTMLCanvasElement.prototype;
+    }
+
+    /**
+     * Apply a partial update { mode, resolution, fps, bitrate, duration }; used by
+     * the next recording or snapshot
+     * @returns {string|null} error message, null when applied
+     */
+    setSettings(fields = {}) {
+        const next = { ...this.settings };
+        if (fields.mode !== undefined) {
+            if (!CAPTURE_MODES.includes(fields.mode)) return `mode must be one of ${CAPTURE_MODES.join(', ')}`;
+            next.mode = fields.mode;
+        }
+        if (fields.resolution !== undefined) {
+            if (!(fields.resolution in CAPTURE_RESOLUTIONS)) return `resolution must be one of ${Object.keys(CAPTURE_RESOLUTIONS).join(', ')}`;
+            next.resolution = fields.resolution;
+        }
+        if (fields.fps !== undefined) {
+            const fps = Number(fields.fps);
+            if (!CAPTURE_FPS.includes(fps)) return `fps must be one of ${CAPTURE_FPS.join(', ')}`;
+            next.fps = fps;
+        }
+        if (fields.bitrate !== undefined) {
+            const bitrate = Number(fields.bitrate);
+            if (!Number.isFinite(bitrate) || bitrate < 1 || bitrate > 50) return 'bitrate must be 1-50 Mbit/s';
+            next.bitrate = bitrate;
+        }
+        if (fields.duration !== undefined) {
+            const duration = Number(fields.duration);
+            if (!Number.isFinite(duration) || duration < 1 || duration > 600) return 'duration must be 1-600 seconds';
+            next.duration = duration;
+        }
+        this.settings = next;
+        this._save();
+        this._emitState();
+        return null;
+    }
+
+    // ============================================
+    // RECORDING
+    // ============================================
+
+    /**
+     * Start recording with the current settings
+     * @returns {string|null} error message, null when started
+     */
+    start() {
+        if (!this.supported) return 'this browser has no MediaRecorder canvas capture';
+        if (this.recording) return 'already recording';
+
+        const { mode, fps, bitrate, resolution, duration } = this.settings;
+        const [width, height] = this._outputSize(resolution);
+        this._ensureCanvas(width, height);
+        const stream = this.canvas.captureStream(mode === 'live' ? fps : 0);
+        const mimeType = MIME_TYPES.find((type) => MediaRecorder.isTypeSupported(type));
+        let recorder;
+        try {
+            recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: bitrate * 1e6 });
+        } catch (error) {
+            stream.getTracks().forEach((track) => track.stop());
+            return `recorder unavailable: ${error.message}`;
+        }
+
+        const recording = {
+            mode,
+            fps,
+            width,
+            height,
+            recorder,
+            stream,
+            chunks: [],
+            startedAt: performance.now(),
+            frames: 0,
+            totalFrames: mode === 'offline' ? Math.round(duration * fps) : 0,
+            stopping: false,
+            unsubscribe: null
+        };
+        recorder.ondataavailable = (e) => {
+            if (e.data.size) recording.chunks.push(e.data);
+        };
+        recorder.onstop = () => this._finish(recording);
+        this.recording = recording;
+        this.error = null;
+
+        if (mode === 'live') {
+            recorder.start(PROGRESS_MS);
+            this._drawLive(recording);
+        } else {
+            this._renderOffline(recording);
+        }
+        this.progressTimer = scheduler.interval(() => this._emitState(), PROGRESS_MS, {
+            name: 'capture-progress', category: 'system', scaled: false
+        });
+        console.log(`🎥 Capture started: ${mode} ${width}×${height} ${fps}fps ${bitrate}Mbit/s`);
+        this._emitState();
+        return null;
+    }
+
+    /**
+     * Stop recording; an offline render stops after its current frame
+     * @returns {string|null} error message, null when stopping
+     */
+    stop() {
+        const recording = this.recording;
+        if (!recording) return 'not recording';
+        if (recording.mode === 'offline') {
+            recording.stopping = true;
+            return null;
+        }
+        recording.unsubscribe?.();
+        recording.recorder.stop();
+        return null;
+    }
+
+    /**
+     * PNG of the next rendered frame at the current resolution
+     * @returns {string|null} error message, null when taking it
+     */
+    snapshot() {
+        if (this._snapshotPending) return 'a snapshot is already being taken';
+        const [width, height] = this._outputSize(this.settings.resolution);
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+
+        const take = () => {
+            this._compose(canvas.getContext('2d'), width, height);
+            const done = (blob) => {
+                this._snapshotPending = false;
+                if (blob) {
+                    this._addFile('png', blob, { width, height, duration: 0 });
+                } else {
+                    this.error = 'snapshot failed';
+                }
+                this._emitState();
+            };
+            try {
+                canvas.toBlob(done, 'image/png');
+            } catch (error) {
+                this.error = `snapshot failed: ${error.message}`;
+                done(null);
+            }
+        };
+
+        this._snapshotPending = true;
+        this._onNextFrame(take);
+        return null;
+    }
+
+    /**
+     * Download a finished file on the display
+     * @returns {string|null} error message, null when started
+     */
+    saveFile(id) {
+        const file = this.files.find((entry) => entry.id === id);
+        if (!file) return `unknown file "${id}"`;
+        const link = document.createElement('a');
+        link.href = file.url;
+        link.download = file.name;
+        link.click();
+        return null;
+    }
+
+    getState() {
+        const recording = this.recording;
+        return {
+            supported: this.supported,
+            settings: { ...this.settings },
+            recording: recording ? {
+                mode: recording.mode,
+                width: recording.width,
+                height: recording.height,
+                fps: recording.fps,
+                elapsed: recording.mode === 'offline'
+                    ? recording.frames / recording.fps
+                    : (performance.now() - recording.startedAt) / 1000,
+                frames: recording.frames,
+                totalFrames: recording.totalFrames
+            } : null,
+            files: this.files.map((file) => ({ ...file })),
+            error: this.error
+        };
+    }
+
+    _drawLive(recording) {
+        const frameMs = 1000 / recording.fps;
+        let last = -Infinity;
+        const draw = () => {
+            const now = performance.now();
+            if (now - last < frameMs - 2) return;
+            last = now;
+            recording.frames++;
+            this._compose(this.ctx, recording.width, recording.height);
+        };
+
+        // Right after the engine renders: the WebGL canvas is cleared once shown
+        const engine = window.chaosEngine;
+        if (engine?.isInitialized && engine.onFrame) {
+            recording.unsubscribe = engine.onFrame(draw);
+        } else {
+            const handle = scheduler.frame(draw, { name: 'capture-draw', category: 'system', scaled: false });
+            recording.unsubscribe = handle.cancel;
+        }
+    }
+
+    _onNextFrame(callback) {
+        const engine = window.chaosEngine;
+        if (!this.virtual && engine?.isInitialized && engine.onFrame) {
+            const unsubscribe = engine.onFrame(() => {
+                unsubscribe();
+                callback();
+            });
+        } else {
+            callback();
+        }
+    }
+
+    _finish(recording) {
+        recording.stream.getTracks().forEach((track) => track.stop());
+        this.progressTimer?.cancel();
+        this.progressTimer = null;
+        if (this.recording === recording) this.recording = null;
+
+        const duration = recording.mode === 'offline'
+            ? recording.frames / recording.fps
+            : (performance.now() - recording.startedAt) / 1000;
+        if (recording.chunks.length) {
+            const blob = new Blob(recording.chunks, { type: recording.recorder.mimeType || 'video/webm' });
+            this._addFile('webm', blob, { width: recording.width, height: recording.height, duration });
+            console.log(`🎥 Capture finished: ${duration.toFixed(1)}s, ${(blob.size / 1e6).toFixed(1)} MB`);
+        } else {
+            this.error = this.error || 'the recording came out empty';
+        }
+        this._emitState();
+    }
+
+    _addFile(kind, blob, { width, height, duration }) {
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+        const file = {
+            id: `capture-${this._nextFile++}`,
+            kind,
+            name: `3886-${stamp}.${kind}`,
+            url: URL.createObjectURL(blob),
+            size: blob.size,
+            duration,
+            width,
+            height,
+            createdAt: Date.now()
+        };
+        this.files.unshift(file);
+        this.files.splice(MAX_FILES).forEach((old) => URL.revokeObjectURL(old.url));
+    }
+
+    // ============================================
+    // COMPOSITING
+    // ============================================
+
+    _outputSize(resolution) {
+        const size = CAPTURE_RESOLUTIONS[resolution];
+        if (size) return size;
+        // Encoders want even sizes
+        const ratio = window.devicePixelRatio || 1;
+        return [
+            Math.round((window.innerWidth * ratio) / 2) * 2,
+            Math.round((window.innerHeight * ratio) / 2) * 2
+        ];
+    }
+
+    _ensureCanvas(width, height) {
+        if (!this.canvas) {
+            this.canvas = document.createElement('canvas');
+            this.ctx = this.canvas.getContext('2d');
+        }
+        this.canvas.width = width;
+        this.canvas.height = height;
+    }
+
+    // Draw the display into ctx, scaled to cover width x height
+    _compose(ctx, width, height) {
+        const viewWidth = window.innerWidth;
+        const viewHeight = window.innerHeight;
+        const scale = Math.max(width / viewWidth, height / viewHeight);
+
+        ctx.save();
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.globalAlpha = 1;
+        ctx.globalCompositeOperation = 'source-over';
+        ctx.filter = 'none';
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, width, height);
+        ctx.setTransform(scale, 0, 0, scale, (width - viewWidth * scale) / 2, (height - viewHeight * scale) / 2);
+
+        this._sources().forEach((source) => {
+            ctx.globalAlpha = source.opacity;
+            ctx.globalCompositeOperation = BLEND_OPERATIONS[source.blend] || source.blend;
+            ctx.filter = source.filter;
+            try {
+                this._drawSource(ctx, source);
+            } catch {
+                // Not drawable this frame (decoding, tainted); the rest still is
+            }
+        });
+        ctx.restore();
+    }
+
+    // object-fit cover/contain for videos and images, stretched otherwise
+    _drawSource(ctx, { element, rect, fit }) {
+        const sourceWidth = element.videoWidth || element.naturalWidth || element.width;
+        const sourceHeight = element.videoHeight || element.naturalHeight || element.height;
+        if (element instanceof HTMLCanvasElement || (fit !== 'cover' && fit !== 'contain')) {
+            ctx.drawImage(element, rect.left, rect.top, rect.width, rect.height);
+            return;
+        }
+        const fitScale = (fit === 'cover' ? Math.max : Math.min)(rect.width / sourceWidth, rect.height / sourceHeight);
+        const drawWidth = sourceWidth * fitScale;
+        const drawHeight = sourceHeight * fitScale;
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(rect.left, rect.top, rect.width, rect.height);
+        ctx.clip();
+        ctx.drawImage(element, rect.left + (rect.width - drawWidth) / 2, rect.top + (rect.height - drawHeight) / 2, drawWidth, drawHeight);
+        ctx.restore();
+    }
+
+    // Visible canvases, videos and images, bottom -> top: the body-level ancestor's
+    // z-index, then document order
+    _sources() {
+        const sources = [];
+        document.querySelectorAll('canvas, video, img').forEach((element, index) => {
+            if (element === this.canvas) return;
+            if (element instanceof HTMLVideoElement && element.readyState < 2) return;
+            if (element instanceof HTMLImageElement && !(element.complete && element.naturalWidth)) return;
+            if (element instanceof HTMLCanvasElement && !element.width) return;
+
+            const rect = element.getBoundingClientRect();
+            if (rect.width < 1 || rect.height < 1 || rect.right < 0 || rect.bottom < 0 ||
+                rect.left > window.innerWidth || rect.top > window.innerHeight) return;
+
+            const style = getComputedStyle(element);
+            if (style.visibility === 'hidden') return;
+            let opacity = 1;
+            let blend = 'normal';
+            let z = 0;
+            for (let node = element; node && node !== document.body; node = node.parentElement) {
+                const nodeStyle = node === element ? style : getComputedStyle(node);
+                opacity *= Number(nodeStyle.opacity);
+                if (blend === 'normal') blend = nodeStyle.mixBlendMode || 'normal';
+                if (node.parentElement === document.body) z = parseInt(nodeStyle.zIndex, 10) || 0;
+            }
+            const layer = element.closest('[data-layer]')?.dataset.layer;
+            opacity *= layerManager.layers.get(layer)?.opacity ?? 1;
+            if (opacity < 0.005) return;
+
+            sources.push({ element, rect, opacity, blend, filter: style.filter || 'none', fit: style.objectFit, z, index });
+        });
+        return sources.sort((a, b) => a.z - b.z || a.index - b.index);
+    }
+
+    // ============================================
+    // OFFLINE RENDER
+    // ============================================
+
+    // One frame of show time, then the frame goes to the recorder for one frame of
+    // real time (paused in between, so render time isn't in the file)
+    async _renderOffline(recording) {
+        const frameMs = 1000 / recording.fps;
+        const { recorder } = recording;
+        const track = recording.stream.getVideoTracks()[0];
+
+        this._enterVirtualTime();
+        recorder.start();
+        recorder.pause();
+        try {
+            while (recording.frames < recording.totalFrames && !recording.stopping) {
+                await this._step(frameMs);
+                this._compose(this.ctx, recording.width, recording.height);
+                recorder.resume();
+                track.requestFrame?.();
+                await wait(frameMs);
+                recorder.pause();
+                recording.frames++;
+            }
+        } catch (error) {
+            this.error = `offline render failed: ${error.message}`;
+            console.error('🎥 Offline render failed:', error);
+        } finally {
+            this._exitVirtualTime();
+            recorder.resume();
+            recorder.stop();
+        }
+    }
+
+    _enterVirtualTime() {
+        const real = {
+            now: performance.now,
+            dateNow: Date.now,
+            requestAnimationFrame: window.requestAnimationFrame,
+            cancelAnimationFrame: window.cancelAnimationFrame
+        };
+        const virtual = {
+            real,
+            time: 0,
+            perfStart: performance.now(),
+            dateStart: Date.now(),
+            gsapStart: gsap.ticker.time,
+            queue: [],
+            nextId: 1,
+            animations: new Set(),   // CSS/Web animations we paused
+            videos: new Set()        // videos we paused
+        };
+        this.virtual = virtual;
+
+        // Frame callbacks already queued with the browser move over on their next request
+        performance.now = () => virtual.perfStart + virtual.time;
+        Date.now = () => virtual.dateStart + Math.round(virtual.time);
+        window.requestAnimationFrame = (callback) => {
+            const id = virtual.nextId++;
+            virtual.queue.push({ id, callback });
+            return id;
+        };
+        window.cancelAnimationFrame = (id) => {
+            virtual.queue = virtual.queue.filter((entry) => entry.id !== id);
+        };
+        gsap.ticker.remove(gsap.updateRoot);
+    }
+
+    _exitVirtualTime() {
+        const virtual = this.virtual;
+        if (!virtual) return;
+        this.virtual = null;
+
+        performance.now = virtual.real.now;
+        Date.now = virtual.real.dateNow;
+        window.requestAnimationFrame = virtual.real.requestAnimationFrame;
+        window.cancelAnimationFrame = virtual.real.cancelAnimationFrame;
+        virtual.queue.forEach(({ callback }) => window.requestAnimationFrame(callback));
+        gsap.ticker.add(gsap.updateRoot);
+
+        virtual.animations.forEach((animation) => {
+            if (animation.playState === 'paused') animation.play();
+        });
+        virtual.videos.forEach((video) => {
+            if (video.isConnected) video.play().catch(() => {});
+        });
+    }
+
+    async _step(ms) {
+        const virtual = this.virtual;
+        virtual.time += ms;
+        await this._seekVideos(ms);
+        this._stepAnimations(ms);
+        gsap.updateRoot(virtual.gsapStart + virtual.time / 1000);
+
+        const queue = virtual.queue;
+        virtual.queue = [];
+        const timestamp = virtual.perfStart + virtual.time;
+        queue.forEach(({ callback }) => {
+            try {
+                callback(timestamp);
+            } catch (error) {
+                console.error('🎥 Frame callback failed during offline render:', error);
+            }
+        });
+    }
+
+    _stepAnimations(ms) {
+        const virtual = this.virtual;
+        document.getAnimations?.().forEach((animation) => {
+            if (!virtual.animations.has(animation)) {
+                if (animation.playState !== 'running') return;
+                animation.pause();
+                virtual.animations.add(animation);
+            }
+            const end = animation.effect?.getComputedTiming().endTime ?? Infinity;
+            const time = (Number(animation.currentTime) || 0) + ms * animation.playbackRate;
+            if (time >= end) {
+                animation.finish();
+                virtual.animations.delete(animation);
+            } else {
+                animation.currentTime = time;
+            }
+        });
+    }
+
+    _seekVideos(ms) {
+        const virtual = this.virtual;
+        document.querySelectorAll('video').forEach((video) => {
+            if (video.paused || virtual.videos.has(video)) return;
+            video.pause();
+            virtual.videos.add(video);
+        });
+
+        const seeks = [...virtual.videos].filter((video) => video.isConnected && video.readyState >= 1).map((video) => {
+            let time = video.currentTime + (ms / 1000) * video.playbackRate;
+            if (video.loop && video.duration) time %= video.duration;
+            return new Promise((resolve) => {
+                const timer = setTimeout(resolve, SEEK_TIMEOUT_MS);
+                video.addEventListener('seeked', () => {
+                    clearTimeout(timer);
+                    resolve();
+                }, { once: true });
+                video.currentTime = time;
+            });
+        });
+        return Promise.all(seeks);
+    }
+
+    // ============================================
+    // STORAGE
+    // ============================================
+
+    _save() {
+        try { localStorage.setItem(STORAGE_KEY, JSON.stringify(this.settings)); } catch {}
+    }
+
+    _loadStored() {
+        let saved = null;
+        try {
+            saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        } catch {}
+        if (!saved) return;
+        // Field by field: one stale value shouldn't drop the rest
+        Object.keys(DEFAULT_SETTINGS).forEach((key) => {
+            if (saved[key] !== undefined) this.setSettings({ [key]: saved[key] });
+        });
+    }
+
+    _emitState() {
+        if (typeof window === 'undefined') return;
+        window.dispatchEvent(new CustomEvent('captureState', { detail: this.getState() }));
+    }
+}
+
+const outputCapture = new OutputCapture();
+if (typeof window !== 'undefined') {
+    window.outputCapture = outputCapture;
+}
+export default outputCapture;
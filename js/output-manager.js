@@ -0,0 +1,168 @@
+// Output Manager - identity and role of this display window at multi-screen events
+// Each projector / LED wall opens the display page with its own output id:
+//
+//   index.html?output=left&crop=0,0,0.5,1&layers=-text,-logo
+//   index.html?output=right&crop=0.5,0,0.5,1&layers=-text,-logo
+//   index.html?output=center&leader&scenes=independent
+//
+//   output   id used to address this window (default 'main')
+//   crop     x,y,w,h of the spanned 3D canvas shown here, as fractions (default 0,0,1,1)
+//   layers   -name hides a layer on this output, +name shows it (receiver layer names)
+//   scenes   'mirror' (default) takes untargeted scene changes and follows the leader's
+//            random phases; 'independent' runs its own phases and only takes scene
+//            messages addressed to it
+//   leader   this output's random phases drive the mirrored outputs (default: output 'main')
+//
+// Control messages may carry `target` (output id, list of ids, or 'all'; see
+// isAddressedTo() in vj-protocol.js). Emits window event:
+//   outputConfig  { id, crop, layers, scenes, leader }
+
+import { isAddressedTo } from './vj-protocol.js';
+
+export const DEFAULT_OUTPUT = 'main';
+export const SCENE_MODES = ['mirror', 'independent'];
+
+const FULL_CROP = [0, 0, 1, 1];
+
+// Messages that pick what an output shows; independent outputs need them addressed
+const SCENE_MESSAGES = new Set([
+    'scene_change', 'preset_load',
+    'setlist_load', 'setlist_play', 'setlist_pause', 'setlist_stop',
+    'setlist_next', 'setlist_prev', 'setlist_goto', 'setlist_loop'
+]);
+
+/**
+ * Validate a crop ([x, y, w, h] or 'x,y,w,h' or { x, y, width, height }).
+ * @returns {number[]|null} null when invalid
+ */
+export function normalizeCrop(crop) {
+    let values = crop;
+    if (typeof crop === 'string') values = crop.split(',');
+    if (crop && !Array.isArray(values) && typeof crop === 'object') values = [crop.x, crop.y, crop.width, crop.height];
+    if (!Array.isArray(values) || values.length !== 4) return null;
+
+    const [x, y, w, h] = values.map(Number);
+    if (![x, y, w, h].every(Number.isFinite)) return null;
+    if (x < 0 || y < 0 || w <= 0 || h <= 0 || x + w > 1.0001 || y + h > 1.0001) return null;
+    return [x, y, w, h];
+}
+
+/**
+ * '-text,+debug' -> { text: false, debug: true }; bare names hide.
+ * An unencoded '+' in a query string arrives as a space.
+ */
+function parseLayers(value) {
+    const layers = {};
+    String(value || '').split(',').forEach((item) => {
+        const trimmed = item.trim();
+        const show = !trimmed.startsWith('-') && (item.startsWith('+') || item.startsWith(' '));
+        const name = trimmed.replace(/^[+-]/, '');
+        if (name) layers[name] = show;
+    });
+    return layers;
+}
+
+class OutputManager {
+    constructor() {
+        const params = new URLSearchParams(typeof window !== 'undefined' ? window.location.search : '');
+        this.id = (params.get('output') || DEFAULT_OUTPUT).trim() || DEFAULT_OUTPUT;
+
+        const crop = params.has('crop') ? normalizeCrop(params.get('crop')) : FULL_CROP;
+        if (!crop) console.warn(`⚠️ Output ${this.id}: invalid crop "${params.get('crop')}", showing the full canvas`);
+        const scenes = params.get('scenes');
+        if (scenes && !SCENE_MODES.includes(scenes)) console.warn(`⚠️ Output ${this.id}: unknown scenes mode "${scenes}"`);
+        const leader = params.get('leader');
+
+        this.config = {
+            crop: crop || FULL_CROP,
+            layers: parseLayers(params.get('layers')),
+            scenes: SCENE_MODES.includes(scenes) ? scenes : 'mirror',
+            leader: leader === null ? this.id === DEFAULT_OUTPUT : leader !== '0' && leader !== 'false'
+        };
+
+        console.log(`🖥️ Output ${this.id} (${this.config.scenes}${this.config.leader ? ', leader' : ''})`);
+    }
+
+    /**
+     * Mirrored outputs that aren't the leader hold their own random phase loop
+     */
+    get followsLeader() {
+        return this.config.scenes === 'mirror' && !this.config.leader;
+    }
+
+    /**
+     * Whether this output should handle a control message
+     */
+    accepts(message) {
+        if (!isAddressedTo(message, this.id)) return false;
+        if (this.config.scenes === 'independent' && SCENE_MESSAGES.has(message.type)) {
+            return message.target !== undefined && message.target !== null;
+        }
+        return true;
+    }
+
+    /**
+     * Apply a partial config { crop, layers, scenes, leader }. Layers merge.
+     * @returns {string|null} error message, null when applied
+     */
+    setConfig({ crop, layers, scenes, leader } = {}) {
+        const next = { ...this.config, layers: { ...this.config.layers } };
+        if (crop !== undefined) {
+            next.crop = normalizeCrop(crop);
+            if (!next.crop) return 'crop must be x,y,w,h fractions inside the canvas';
+        }
+        if (scenes !== undefined) {
+            if (!SCENE_MODES.includes(scenes)) return `scenes must be one of ${SCENE_MODES.join(', ')}`;
+            next.scenes = scenes;
+        }
+        if (leader !== undefined) next.leader = !!leader;
+        if (layers && typeof layers === 'object') {
+            Object.entries(layers).forEach(([name, visible]) => { next.layers[name] = !!visible; });
+        }
+
+        this.config = next;
+        this._emitConfig();
+        return null;
+    }
+
+    setLayer(name, visible) {
+        if (this.config.layers[name] === visible) return;
+        this.config.layers = { ...this.config.layers, [name]: visible };
+        this._emitConfig();
+    }
+
+    /**
+     * Pixel geometry of this output's slice of the spanned canvas
+     */
+    getViewport() {
+        const width = window.innerWidth;
+        const height = window.innerHeight;
+        const [x, y, w, h] = this.config.crop;
+        const fullWidth = width / w;
+        const fullHeight = height / h;
+        return {
+            fullWidth,
+            fullHeight,
+            x: x * fullWidth,
+            y: y * fullHeight,
+            width,
+            height,
+            spanned: w < 1 || h < 1
+        };
+    }
+
+    getState() {
+        return { id: this.id, ...this.config, crop: [...this.config.crop], layers: { ...this.config.layers } };
+    }
+
+    _emitConfig() {
+        if (typeof window === 'undefined') return;
+        window.dispatchEvent(new CustomEvent('outputConfig', { detail: this.getState() }));
+    }
+}
+
+const outputManager = new OutputManager();
+if (typeof window !== 'undefined') {
+    window.outputManager = outputManager;
+}
+export default outputManager;
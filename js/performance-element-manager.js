@@ -1,6 +1,20 @@
 // Performance-Optimized Element Manager
 // Tracks and manages all dynamically created DOM elements with lifecycle management
 
+import performanceModeManager from './performance-mode-manager.js';
+import scheduler from './scheduler.js';
+
+const DEFAULT_CATEGORIES = {
+    'effect': { maxElements: 20, cleanupAge: 15000 },
+    'particle': { maxElements: 50, cleanupAge: 10000 },
+    'overlay': { maxElements: 5, cleanupAge: 20000 },
+    'stream': { maxElements: 30, cleanupAge: 8000 },
+    'artifact': { maxElements: 15, cleanupAge: 5000 }
+};
+
+// Element-count pressure on top of the quality tier's elementScale
+const PRESSURE_SCALE = { aggressive: 0.5, conservative: 0.7, normal: 1, auto: 1 };
+
 class PerformanceElementManager {
     constructor() {
         this.elements = new Map(); // Track all managed elements
@@ -8,15 +22,10 @@ class PerformanceElementManager {
         this.cleanupAge = 30000; // Clean up elements older than 30 seconds
         this.elementCounter = 0;
         this.performanceMode = 'auto';
+        this.qualityScale = 1;
         
         // Categories for different element types
-        this.categories = {
-            'effect': { maxElements: 20, cleanupAge: 15000 },
-            'particle': { maxElements: 50, cleanupAge: 10000 },
-            'overlay': { maxElements: 5, cleanupAge: 20000 },
-            'stream': { maxElements: 30, cleanupAge: 8000 },
-            'artifact': { maxElements: 15, cleanupAge: 5000 }
-        };
+        this.resetCategoryDefaults();
 
         // Start periodic cleanup
         this.startCleanupTimer();
@@ -104,7 +113,7 @@ class PerformanceElementManager {
     }
 
     /**
-     * Register an interval with an element
+     * Register an interval (scheduler handle or setInterval id) with an element
      */
     registerInterval(elementId, intervalId) {
         const elementData = this.elements.get(elementId);
@@ -139,8 +148,12 @@ class PerformanceElementManager {
         });
 
         // Clear all intervals
-        elementData.intervals.forEach(intervalId => {
-            clearInterval(intervalId);
+        elementData.intervals.forEach(interval => {
+            if (typeof interval?.cancel === 'function') {
+                interval.cancel();
+            } else {
+                clearInterval(interval);
+            }
         });
 
         // Remove from DOM
@@ -179,9 +192,10 @@ class PerformanceElementManager {
      * Start periodic cleanup timer
      */
     startCleanupTimer() {
-        this.cleanupInterval = setInterval(() => {
+        this.cleanupInterval?.cancel();
+        this.cleanupInterval = scheduler.interval(() => {
             this.performPeriodicCleanup();
-        }, 5000); // Clean every 5 seconds
+        }, 5000, { name: 'element-cleanup', category: 'system', scaled: false }); // Clean every 5 seconds
     }
 
     /**
@@ -257,45 +271,44 @@ class PerformanceElementManager {
         if (this.performanceMode === mode) return;
         
         this.performanceMode = mode;
+        this.resetCategoryDefaults();
         
         switch (mode) {
             case 'aggressive':
-                // Reduce limits and cleanup age
-                Object.keys(this.categories).forEach(cat => {
-                    this.categories[cat].maxElements = Math.floor(this.categories[cat].maxElements * 0.5);
-                    this.categories[cat].cleanupAge = Math.floor(this.categories[cat].cleanupAge * 0.5);
-                });
                 console.log('🚨 Performance mode: AGGRESSIVE - reducing element limits');
                 break;
                 
             case 'conservative':
-                // Moderate reduction
-                Object.keys(this.categories).forEach(cat => {
-                    this.categories[cat].maxElements = Math.floor(this.categories[cat].maxElements * 0.7);
-                    this.categories[cat].cleanupAge = Math.floor(this.categories[cat].cleanupAge * 0.7);
-                });
                 console.log('⚠️ Performance mode: CONSERVATIVE - moderate reduction');
                 break;
                 
             case 'normal':
-                // Reset to defaults
-                this.resetCategoryDefaults();
                 console.log('✅ Performance mode: NORMAL - default limits restored');
                 break;
         }
     }
 
     /**
-     * Reset category defaults
+     * Scale all limits for the quality tier (performance-mode-manager.js)
+     */
+    setQualityScale(scale) {
+        this.qualityScale = scale;
+        this.resetCategoryDefaults();
+    }
+
+    /**
+     * Rebuild category limits from defaults x quality tier x element pressure.
+     * Always derived from the defaults so repeated mode changes don't compound.
      */
     resetCategoryDefaults() {
-        this.categories = {
-            'effect': { maxElements: 20, cleanupAge: 15000 },
-            'particle': { maxElements: 50, cleanupAge: 10000 },
-            'overlay': { maxElements: 5, cleanupAge: 20000 },
-            'stream': { maxElements: 30, cleanupAge: 8000 },
-            'artifact': { maxElements: 15, cleanupAge: 5000 }
-        };
+        const scale = this.qualityScale * (PRESSURE_SCALE[this.performanceMode] ?? 1);
+        this.categories = {};
+        Object.entries(DEFAULT_CATEGORIES).forEach(([cat, config]) => {
+            this.categories[cat] = {
+                maxElements: Math.max(1, Math.floor(config.maxElements * scale)),
+                cleanupAge: Math.floor(config.cleanupAge * Math.min(1, scale))
+            };
+        });
     }
 
     /**
@@ -352,7 +365,8 @@ class PerformanceElementManager {
     destroy() {
         // Clear cleanup timer
         if (this.cleanupInterval) {
-            clearInterval(this.cleanupInterval);
+            this.cleanupInterval.cancel();
+            this.cleanupInterval = null;
         }
 
         // Remove all elements
@@ -368,4 +382,9 @@ const performanceElementManager = new PerformanceElementManager();
 // Make it globally available
 window.performanceElementManager = performanceElementManager;
 
+// Effect, particle and overlay limits follow the quality tier
+performanceModeManager.register('performanceElementManager', ({ elementScale }) => {
+    performanceElementManager.setQualityScale(elementScale);
+});
+
 export default performanceElementManager;
\ No newline at end of file
@@ -1,5 +1,7 @@
 // Performance Manager for AAA Animation System
 import gsap from 'gsap';
+import performanceModeManager from './performance-mode-manager.js';
+import scheduler from './scheduler.js';
 
 class PerformanceManager {
     constructor() {
@@ -16,8 +18,6 @@ class PerformanceManager {
         // Resource tracking
         this.resources = {
             elements: new Set(),
-            timers: new Set(),
-            intervals: new Set(),
             observers: new Set(),
             animations: new Set()
         };
@@ -25,18 +25,12 @@ class PerformanceManager {
         // Element pooling
         this.elementPools = new Map();
 
-        // Performance thresholds - RELAXED for smoother operation
+        // Resource thresholds (quality tiers are governed by performance-mode-manager.js)
         this.thresholds = {
-            criticalFPS: 20,     // Only go low mode under 20 FPS
-            lowFPS: 35,          // Medium mode under 35 FPS (was 45)
             memoryLimit: 512 * 1024 * 1024, // 512MB
             elementLimit: 1500   // Increased element limit
         };
 
-        // Add debouncing for mode changes
-        this.lastModeChange = 0;
-        this.modeChangeDebounce = 3000; // Don't change modes more than once per 3 seconds
-
         // Optimization flags
         this.optimizations = {
             reduceParticles: false,
@@ -47,6 +41,7 @@ class PerformanceManager {
     }
 
     init() {
+        performanceModeManager.register('performanceManager', (knobs, tier) => this.setPerformanceMode(tier));
         this.startMonitoring();
         // this.setupOptimizations(); // Removed - function doesn't exist yet
         // console.log('🎮 Performance Manager initialized'); // Reduced logging
@@ -86,16 +81,6 @@ class PerformanceManager {
     }
 
     evaluatePerformance() {
-        const avgFPS = this.fpsHistory.reduce((a, b) => a + b, 0) / this.fpsHistory.length;
-
-        if (avgFPS < this.thresholds.criticalFPS) {
-            this.setPerformanceMode('low');
-        } else if (avgFPS < this.thresholds.lowFPS) {
-            this.setPerformanceMode('medium');
-        } else {
-            this.setPerformanceMode('high');
-        }
-
         // Check memory usage if available
         if (performance.memory) {
             const memoryUsed = performance.memory.usedJSHeapSize;
@@ -111,42 +96,19 @@ class PerformanceManager {
         }
     }
 
+    // Called by performance-mode-manager.js whenever the quality tier changes
     setPerformanceMode(mode) {
         if (this.performanceMode === mode) return;
 
-        // Debounce mode changes
-        const now = Date.now();
-        if (now - this.lastModeChange < this.modeChangeDebounce) {
-            return; // Too soon to change modes
-        }
-
         this.performanceMode = mode;
-        this.lastModeChange = now;
         // Reduce logging - only log important changes
         if (mode === 'low') {
             console.log(`⚡ Performance mode: ${mode} (reducing effects)`);
         }
 
-        switch (mode) {
-            case 'low':
-                this.optimizations.reduceParticles = true;
-                this.optimizations.simplifyEffects = true;
-                this.optimizations.throttleAnimations = true;
-                this.applyLowPerformanceSettings();
-                break;
-            case 'medium':
-                this.optimizations.reduceParticles = false;
-                this.optimizations.simplifyEffects = true;
-                this.optimizations.throttleAnimations = false;
-                this.applyMediumPerformanceSettings();
-                break;
-            case 'high':
-                this.optimizations.reduceParticles = false;
-                this.optimizations.simplifyEffects = false;
-                this.optimizations.throttleAnimations = false;
-                this.applyHighPerformanceSettings();
-                break;
-        }
+        this.optimizations.reduceParticles = mode === 'low';
+        this.optimizations.simplifyEffects = mode !== 'high';
+        this.optimizations.throttleAnimations = mode === 'low';
 
         // Dispatch event for other systems to respond
         window.dispatchEvent(new CustomEvent('performanceModeChange', {
@@ -154,48 +116,6 @@ class PerformanceManager {
         }));
     }
 
-    applyLowPerformanceSettings() {
-        // Reduce particle count
-        const event = new CustomEvent('adjustParticles', { detail: { count: 500 } });
-        window.dispatchEvent(event);
-
-        // Simplify animations
-        gsap.globalTimeline.timeScale(0.8);
-
-        // Reduce post-processing
-        window.dispatchEvent(new CustomEvent('adjustPostProcessing', {
-            detail: { quality: 'low' }
-        }));
-    }
-
-    applyMediumPerformanceSettings() {
-        // Moderate particle count
-        const event = new CustomEvent('adjustParticles', { detail: { count: 1000 } });
-        window.dispatchEvent(event);
-
-        // Normal animation speed
-        gsap.globalTimeline.timeScale(1);
-
-        // Medium post-processing
-        window.dispatchEvent(new CustomEvent('adjustPostProcessing', {
-            detail: { quality: 'medium' }
-        }));
-    }
-
-    applyHighPerformanceSettings() {
-        // Full particle count
-        const event = new CustomEvent('adjustParticles', { detail: { count: 2000 } });
-        window.dispatchEvent(event);
-
-        // Normal animation speed
-        gsap.globalTimeline.timeScale(1);
-
-        // Full post-processing
-        window.dispatchEvent(new CustomEvent('adjustPostProcessing', {
-            detail: { quality: 'high' }
-        }));
-    }
-
     // Element Pooling System
     getElementPool(tagName) {
         if (!this.elementPools.has(tagName)) {
@@ -218,16 +138,6 @@ class PerformanceManager {
         }
     }
 
-    trackTimer(timer) {
-        this.resources.timers.add(timer);
-        return timer;
-    }
-
-    trackInterval(interval) {
-        this.resources.intervals.add(interval);
-        return interval;
-    }
-
     trackElement(element) {
         element.setAttribute('data-animation', 'tracked');
         this.resources.elements.add(element);
@@ -335,7 +245,7 @@ class PerformanceManager {
             avgFPS: this.fpsHistory.reduce((a, b) => a + b, 0) / this.fpsHistory.length,
             mode: this.performanceMode,
             elementCount: this.resources.elements.size,
-            timerCount: this.resources.timers.size,
+            timerCount: scheduler.size,
             memoryUsed: performance.memory ?
                 Math.round(performance.memory.usedJSHeapSize / 1024 / 1024) + 'MB' :
                 'N/A'
@@ -348,8 +258,7 @@ class PerformanceManager {
 
         // Clear all tracked resources
         this.resources.elements.forEach(el => el.remove());
-        this.resources.timers.forEach(timer => clearTimeout(timer));
-        this.resources.intervals.forEach(interval => clearInterval(interval));
+        scheduler.cancelCategory('performance');
         this.resources.observers.forEach(observer => observer.disconnect());
 
         // Clear pools
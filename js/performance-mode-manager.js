@@ -0,0 +1,228 @@
+// Performance Mode Manager - one quality model for the whole display
+// Quality is a tier (low | medium | high) that resolves to a set of knobs.
+// Subsystems register an apply function and receive the knobs whenever they
+// change; nobody maps mode strings on their own any more.
+//
+//   performanceModeManager.register('chaosEngine', (knobs, tier) => { ... });
+//   performanceModeManager.applyMode('auto');      // 'auto' | 'low' | 'medium' | 'high'
+//   performanceModeManager.setKnobs({ particles: 800 });   // manual override, null clears
+//
+// In 'auto' mode the governor watches frame time and steps the tier down when
+// frames are slow for a sustained period, and back up only after a longer
+// stretch of headroom (hysteresis), so quality doesn't flap.
+// Emits window event:
+//   performanceQuality  { mode, tier, knobs, frameTime }
+
+export const QUALITY_TIERS = ['low', 'medium', 'high'];
+
+// Knobs per tier. Continuous values are interpolated by subsystems as they see fit.
+export const TIER_KNOBS = {
+    low: {
+        particles: 2000,          // ChaosEngine particle count (waves mode)
+        gpuParticles: 4096,       // ChaosEngine particle count (flock / attractor GPGPU modes)
+        particleSize: 0.3,
+        postProcessing: 'low',    // ChaosEngine pass quality
+        pixelRatio: 1,            // renderer pixel ratio cap
+        fxMultiplier: 0.7,        // FXController global intensity multiplier
+        maxAnimations: 50,        // GSAPAnimationRegistry concurrent limit
+        elementScale: 0.5,        // PerformanceElementManager limits (effects, overlays...)
+        lottie: false             // Lottie overlays running
+    },
+    medium: {
+        particles: 5000,
+        gpuParticles: 16384,
+        particleSize: 0.4,
+        postProcessing: 'medium',
+        pixelRatio: 1.5,
+        fxMultiplier: 0.85,
+        maxAnimations: 100,
+        elementScale: 0.7,
+        lottie: true
+    },
+    high: {
+        particles: 10000,
+        gpuParticles: 65536,
+        particleSize: 0.5,
+        postProcessing: 'high',
+        pixelRatio: 2,
+        fxMultiplier: 1,
+        maxAnimations: 150,
+        elementScale: 1,
+        lottie: true
+    }
+};
+
+// Governor thresholds (average frame time over SAMPLE_WINDOW frames)
+const SAMPLE_WINDOW = 60;
+const DOWNGRADE_FRAME_MS = 1000 / 40;   // slower than 40 fps...
+const DOWNGRADE_AFTER_MS = 3000;        // ...for 3 s steps down
+const UPGRADE_FRAME_MS = 1000 / 55;     // faster than 55 fps...
+const UPGRADE_AFTER_MS = 10000;         // ...for 10 s steps up
+const COOLDOWN_MS = 5000;               // settle time after any tier change
+const MAX_FRAME_MS = 250;               // longer frames are tab switches/GC, not load
+
+class PerformanceModeManager {
+    constructor() {
+        this.mode = 'auto';
+        this.tier = 'high';
+        this.overrides = {};
+        this.frameTime = 0;
+
+        this._subsystems = new Map(); // name -> apply(knobs, tier)
+        this._samples = [];
+        this._lastFrame = 0;
+        this._slowSince = null;
+        this._fastSince = null;
+        this._lastChange = 0;
+        this._rafId = null;
+    }
+
+    /**
+     * Start the frame-time governor (display page only)
+     */
+    init() {
+        if (this._rafId || typeof requestAnimationFrame === 'undefined') return;
+        const frame = (now) => {
+            this._sample(now);
+            this._rafId = requestAnimationFrame(frame);
+        };
+        this._rafId = requestAnimationFrame(frame);
+        console.log(`🎚️ Performance mode manager: ${this.mode} (${this.tier})`);
+    }
+
+    /**
+     * Register a subsystem. It is applied immediately with the current knobs.
+     * @returns {Function} unregister
+     */
+    register(name, apply) {
+        this._subsystems.set(name, apply);
+        this._applyTo(name, apply);
+        return () => this._subsystems.delete(name);
+    }
+
+    get knobs() {
+        return { ...TIER_KNOBS[this.tier], ...this.overrides };
+    }
+
+    /**
+     * 'auto' hands the tier to the governor; a tier name pins it
+     */
+    applyMode(mode) {
+        if (mode !== 'auto' && !QUALITY_TIERS.includes(mode)) {
+            console.warn(`⚠️ Unknown performance mode: ${mode}`);
+            return;
+        }
+        this.mode = mode;
+        this._resetGovernor();
+        if (mode === 'auto') {
+            this._emit();
+        } else {
+            this.setTier(mode);
+        }
+    }
+
+    setTier(tier) {
+        if (!QUALITY_TIERS.includes(tier)) return;
+        const changed = tier !== this.tier;
+        this.tier = tier;
+        this._lastChange = performance.now();
+        if (changed) console.log(`🎚️ Quality tier: ${tier}${this.mode === 'auto' ? ' (auto)' : ''}`);
+        this._applyAll();
+    }
+
+    /**
+     * Override individual knobs on top of the tier; pass null to clear one
+     */
+    setKnobs(partial = {}) {
+        Object.entries(partial).forEach(([key, value]) => {
+            if (value === null || value === undefined) {
+                delete this.overrides[key];
+            } else {
+                this.overrides[key] = value;
+            }
+        });
+        this._applyAll();
+    }
+
+    getState() {
+        return {
+            mode: this.mode,
+            tier: this.tier,
+            knobs: this.knobs,
+            frameTime: Math.round(this.frameTime * 10) / 10,
+            subsystems: [...this._subsystems.keys()]
+        };
+    }
+
+    _sample(now) {
+        const delta = now - this._lastFrame;
+        this._lastFrame = now;
+        if (!(delta > 0) || delta > MAX_FRAME_MS) return;
+
+        this._samples.push(delta);
+        if (this._samples.length > SAMPLE_WINDOW) this._samples.shift();
+        this.frameTime = this._samples.reduce((a, b) => a + b, 0) / this._samples.length;
+
+        if (this.mode !== 'auto' || this._samples.length < SAMPLE_WINDOW) return;
+        if (now - this._lastChange < COOLDOWN_MS) return;
+
+        const index = QUALITY_TIERS.indexOf(this.tier);
+        if (this.frameTime > DOWNGRADE_FRAME_MS) {
+            this._fastSince = null;
+            this._slowSince ??= now;
+            if (index > 0 && now - this._slowSince >= DOWNGRADE_AFTER_MS) {
+                this._resetGovernor();
+                this.setTier(QUALITY_TIERS[index - 1]);
+            }
+        } else if (this.frameTime < UPGRADE_FRAME_MS) {
+            this._slowSince = null;
+            this._fastSince ??= now;
+            if (index < QUALITY_TIERS.length - 1 && now - this._fastSince >= UPGRADE_AFTER_MS) {
+                this._resetGovernor();
+                this.setTier(QUALITY_TIERS[index + 1]);
+            }
+        } else {
+            // Between thresholds: hold the current tier
+            this._slowSince = null;
+            this._fastSince = null;
+        }
+    }
+
+    _resetGovernor() {
+        this._slowSince = null;
+        this._fastSince = null;
+        this._lastChange = performance.now();
+    }
+
+    _applyTo(name, apply) {
+        try {
+            apply(this.knobs, this.tier);
+        } catch (error) {
+            console.error(`Quality update failed for ${name}:`, error);
+        }
+    }
+
+    _applyAll() {
+        this._subsystems.forEach((apply, name) => this._applyTo(name, apply));
+        this._emit();
+    }
+
+    _emit() {
+        if (typeof window === 'undefined') return;
+        window.dispatchEvent(new CustomEvent('performanceQuality', {
+            detail: { mode: this.mode, tier: this.tier, knobs: this.knobs, frameTime: this.frameTime }
+        }));
+    }
+
+    destroy() {
+        // Stops the governor only; registered subsystems stay so init() can resume
+        if (this._rafId) cancelAnimationFrame(this._rafId);
+        this._rafId = null;
+    }
+}
+
+const performanceModeManager = new PerformanceModeManager();
+if (typeof window !== 'undefined') {
+    window.performanceModeManager = performanceModeManager;
+}
+export default performanceModeManager;
@@ -0,0 +1,270 @@
+// Plugin Registry - effect packs declare scenes, toggles, triggers and parameters
+// Packs dropped into js/plugins/ are registered at startup (default export = plugin
+// definition); other scripts can call window.pluginRegistry.register() at runtime.
+// The control panel builds its buttons and sliders from the manifest.
+//
+//   export default {
+//       id: 'crt-pack', name: 'CRT Pack',
+//       scenes:   { crt: { label: 'CRT', auto: true, enter() {}, exit() {}, content, postfx } },
+//       toggles:  { crtMask: { label: 'CRT Mask', enabled: false, enable() {}, disable() {} } },
+//       triggers: { 'crt-roll': { label: 'V-ROLL', run(settings) {} } },
+//       params:   { crtCurvature: { label: 'Curvature', min: 0, max: 1, step: 0.01, value: 0.3, set(v) {} } },
+//       cleanup() {}          // emergency stop and unregister
+//   };
+//
+// Scene content/postfx entries use the scene-content.js and SCENE_POSTFX shapes.
+// Scene, toggle and trigger names share the panel's namespaces with the built-ins,
+// so packs should prefix them. Emits window event:
+//   pluginRegistry  { plugins: [{ id, name, scenes, toggles, triggers, params }] }
+
+import fxController from './fx-controller.js';
+import { SCENE_CONTENT } from './scene-content.js';
+import { SCENE_POSTFX } from './postfx-pipeline.js';
+
+const BUNDLED_PLUGINS = import.meta.glob('./plugins/*.js', { eager: true });
+
+function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
+
+class PluginRegistry {
+    constructor() {
+        this.plugins = new Map(); // id -> normalized plugin
+        this.activeScene = null; // plugin scene currently shown
+    }
+
+    /**
+     * Register every pack in js/plugins/
+     */
+    registerBundled() {
+        Object.entries(BUNDLED_PLUGINS).forEach(([path, module]) => {
+            if (!module.default) {
+                console.warn(`⚠️ Plugin ${path} has no default export`);
+                return;
+            }
+            try {
+                this.register(module.default);
+            } catch (error) {
+                console.error(`❌ Plugin ${path} rejected:`, error.message);
+            }
+        });
+    }
+
+    /**
+     * Register a plugin definition. Throws on a missing id or a name another
+     * plugin already owns; re-registering an id replaces that plugin once the
+     * new definition has passed these checks.
+     */
+    register(definition) {
+        if (!definition || typeof definition.id !== 'string' || !definition.id) {
+            throw new Error('Plugin needs an id');
+        }
+
+        const plugin = {
+            id: definition.id,
+            name: definition.name || definition.id,
+            scenes: definition.scenes || {},
+            toggles: definition.toggles || {},
+            triggers: definition.triggers || {},
+            params: {},
+            cleanup: definition.cleanup
+        };
+        ['scenes', 'toggles', 'triggers'].forEach((kind) => {
+            Object.keys(plugin[kind]).forEach((name) => {
+                const owner = this._find(kind, name);
+                if (owner && owner.id !== plugin.id) throw new Error(`${kind.slice(0, -1)} '${name}' already registered by ${owner.id}`);
+            });
+        });
+        Object.entries(definition.params || {}).forEach(([name, param]) => {
+            const min = Number(param.min) || 0;
+            const max = Number.isFinite(Number(param.max)) ? Number(param.max) : 1;
+            plugin.params[name] = {
+                ...param,
+                min,
+                max,
+                step: Number(param.step) || (max - min) / 100,
+                value: clamp(Number(param.value ?? min) || 0, min, max)
+            };
+        });
+
+        if (this.plugins.has(plugin.id)) this.unregister(plugin.id);
+        this.plugins.set(plugin.id, plugin);
+
+        Object.entries(plugin.scenes).forEach(([name, scene]) => {
+            if (scene.content) SCENE_CONTENT[name] = scene.content;
+            if (scene.postfx) SCENE_POSTFX[name] = scene.postfx;
+        });
+        // Toggles go through FXController so effect_toggle and presets reach them
+        Object.entries(plugin.toggles).forEach(([name, toggle]) => {
+            fxController.registerEffect(name, { enable: toggle.enable, disable: toggle.disable });
+            if (toggle.enabled) fxController.setEffectEnabled(name, true);
+        });
+        Object.entries(plugin.params).forEach(([name, param]) => this._callParam(plugin, name, param.value));
+
+        console.log(`🧩 Plugin registered: ${plugin.name} (${this._summary(plugin)})`);
+        this._emitState();
+        return plugin.id;
+    }
+
+    /**
+     * Switch its toggles off, leave its scene, run cleanup and forget it
+     */
+    unregister(id) {
+        const plugin = this.plugins.get(id);
+        if (!plugin) return false;
+
+        if (this.activeScene && plugin.scenes[this.activeScene]) this.setScene(null);
+        Object.keys(plugin.toggles).forEach((name) => {
+            if (fxController.effectStates[name]) fxController.setEffectEnabled(name, false);
+            delete fxController.effectRegistry[name];
+            delete fxController.effectStates[name];
+        });
+        Object.entries(plugin.scenes).forEach(([name, scene]) => {
+            if (scene.content && SCENE_CONTENT[name] === scene.content) delete SCENE_CONTENT[name];
+            if (scene.postfx && SCENE_POSTFX[name] === scene.postfx) delete SCENE_POSTFX[name];
+        });
+        this._cleanup(plugin);
+        this.plugins.delete(id);
+
+        console.log(`🧩 Plugin unregistered: ${plugin.name}`);
+        this._emitState();
+        return true;
+    }
+
+    /**
+     * Leave the active plugin scene and enter scene if a plugin owns it.
+     * @returns {boolean} true when scene is a plugin scene
+     */
+    setScene(scene) {
+        if (this.activeScene && this.activeScene !== scene) {
+            const previous = this._find('scenes', this.activeScene);
+            this._call(previous, `scene ${this.activeScene} exit`, previous?.scenes[this.activeScene].exit);
+            this.activeScene = null;
+        }
+        const owner = scene ? this._find('scenes', scene) : null;
+        if (!owner) return false;
+        if (this.activeScene !== scene) {
+            this.activeScene = scene;
+            this._call(owner, `scene ${scene} enter`, owner.scenes[scene].enter);
+        }
+        return true;
+    }
+
+    /**
+     * Run a one-shot trigger
+     * @returns {boolean} false when no plugin owns the trigger
+     */
+    trigger(name, settings = {}) {
+        const owner = this._find('triggers', name);
+        if (!owner) return false;
+        this._call(owner, `trigger ${name}`, owner.triggers[name].run, settings);
+        return true;
+    }
+
+    /**
+     * Set a parameter (clamped to its range)
+     * @returns {boolean} false for an unknown plugin/parameter or a non-numeric value
+     */
+    setParam(id, name, value) {
+        const plugin = this.plugins.get(id);
+        const param = plugin?.params[name];
+        const num = Number(value);
+        if (!param || !Number.isFinite(num)) return false;
+        param.value = clamp(num, param.min, param.max);
+        this._callParam(plugin, name, param.value);
+        return true;
+    }
+
+    /**
+     * Plugin scenes, optionally only those that join the random phase loop
+     */
+    getScenes({ auto = false } = {}) {
+        const scenes = [];
+        this.plugins.forEach((plugin) => {
+            Object.entries(plugin.scenes).forEach(([name, scene]) => {
+                if (!auto || scene.auto !== false) scenes.push(name);
+            });
+        });
+        return scenes;
+    }
+
+    /**
+     * Emergency stop: every plugin leaves its scene, switches its toggles off,
+     * tears down what it created and stays registered
+     */
+    cleanupAll() {
+        this.setScene(null);
+        this.plugins.forEach((plugin) => {
+            Object.keys(plugin.toggles).forEach((name) => {
+                if (fxController.effectStates[name]) fxController.setEffectEnabled(name, false);
+            });
+            this._cleanup(plugin);
+        });
+        this._emitState();
+    }
+
+    /**
+     * Serializable description for the control panel
+     */
+    getManifest() {
+        const labels = (entries, extra = () => ({})) => Object.entries(entries).map(([name, item]) => ({
+            name,
+            label: item.label || name,
+            ...extra(name, item)
+        }));
+        return {
+            plugins: [...this.plugins.values()].map((plugin) => ({
+                id: plugin.id,
+                name: plugin.name,
+                scenes: labels(plugin.scenes),
+                toggles: labels(plugin.toggles, (name) => ({ enabled: !!fxController.effectStates[name] })),
+                triggers: labels(plugin.triggers),
+                params: labels(plugin.params, (name, param) => ({
+                    min: param.min, max: param.max, step: param.step, value: param.value
+                }))
+            }))
+        };
+    }
+
+    _find(kind, name) {
+        for (const plugin of this.plugins.values()) {
+            if (Object.prototype.hasOwnProperty.call(plugin[kind], name)) return plugin;
+        }
+        return null;
+    }
+
+    _callParam(plugin, name, value) {
+        this._call(plugin, `param ${name}`, plugin.params[name].set, value);
+    }
+
+    _cleanup(plugin) {
+        this._call(plugin, 'cleanup', plugin.cleanup);
+    }
+
+    // Plugin code never takes the display down
+    _call(plugin, what, fn, ...args) {
+        if (typeof fn !== 'function') return;
+        try {
+            fn(...args);
+        } catch (error) {
+            console.error(`❌ Plugin ${plugin?.id} ${what} failed:`, error);
+        }
+    }
+
+    _summary(plugin) {
+        return ['scenes', 'toggles', 'triggers', 'params']
+            .map((kind) => `${Object.keys(plugin[kind]).length} ${kind}`)
+            .join(', ');
+    }
+
+    _emitState() {
+        if (typeof window === 'undefined') return;
+        window.dispatchEvent(new CustomEvent('pluginRegistry', { detail: this.getManifest() }));
+    }
+}
+
+const pluginRegistry = new PluginRegistry();
+if (typeof window !== 'undefined') {
+    window.pluginRegistry = pluginRegistry;
+}
+export default pluginRegistry;
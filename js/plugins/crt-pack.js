@@ -0,0 +1,107 @@
+// CRT Pack - example effect pack for the plugin registry (see plugin-registry.js)
+// Scanline mask toggle, a vertical-roll trigger, a mask strength slider and a
+// green-phosphor scene that joins the random phase loop.
+
+import gsap from 'gsap';
+import layerManager from '../layer-manager.js';
+
+const MASK_ID = 'crt-pack-mask';
+
+const state = { strength: 0.35 };
+
+function applyStrength(mask) {
+    mask.style.opacity = String(state.strength);
+}
+
+function showMask() {
+    let mask = document.getElementById(MASK_ID);
+    if (!mask) {
+        mask = document.createElement('div');
+        mask.id = MASK_ID;
+        mask.style.cssText = `
+            position: fixed;
+            inset: 0;
+            pointer-events: none;
+            z-index: 9990;
+            background:
+                repeating-linear-gradient(0deg, rgba(0, 0, 0, 0.6) 0 1px, transparent 1px 3px),
+                radial-gradient(ellipse at center, transparent 55%, rgba(0, 0, 0, 0.7) 100%);
+            mix-blend-mode: multiply;
+        `;
+        layerManager.add('overlay', mask);
+        document.body.appendChild(mask);
+    }
+    applyStrength(mask);
+}
+
+function hideMask() {
+    document.getElementById(MASK_ID)?.remove();
+}
+
+export default {
+    id: 'crt-pack',
+    name: 'CRT Pack',
+
+    scenes: {
+        crt: {
+            label: 'CRT',
+            enter() {
+                showMask();
+                gsap.to(document.body, { filter: 'sepia(0.4) hue-rotate(70deg) saturate(1.6)', duration: 2, ease: 'sine.inOut' });
+            },
+            exit() {
+                if (!window.fxController?.effectStates.crtMask) hideMask();
+                gsap.to(document.body, { filter: 'none', duration: 1.5, ease: 'sine.inOut', clearProps: 'filter' });
+            },
+            content: {
+                layout: 'grid',
+                palette: [0x33ff66, 0x00cc44, 0x99ffbb],
+                geometry: [
+                    { type: 'box', args: [14, 10, 2], position: [0, 2, -24] }
+                ],
+                camera: { distance: 30, height: 1, swayX: 2, swayY: 0.5, speed: 0.08 }
+            },
+            postfx: { passes: { film: { params: { intensity: 0.9 } } } }
+        }
+    },
+
+    toggles: {
+        crtMask: { label: 'CRT Mask', enable: showMask, disable: hideMask }
+    },
+
+    triggers: {
+        'crt-roll': {
+            label: 'V-ROLL',
+            run() {
+                gsap.to(document.body, {
+                    y: -24,
+                    duration: 0.08,
+                    repeat: 5,
+                    yoyo: true,
+                    ease: 'steps(2)',
+                    onComplete: () => gsap.set(document.body, { clearProps: 'transform' })
+                });
+            }
+        }
+    },
+
+    params: {
+        crtStrength: {
+            label: 'Mask Strength',
+            min: 0,
+            max: 1,
+            step: 0.05,
+            value: state.strength,
+            set(value) {
+                state.strength = value;
+                const mask = document.getElementById(MASK_ID);
+                if (mask) applyStrength(mask);
+            }
+        }
+    },
+
+    cleanup() {
+        hideMask();
+        gsap.set(document.body, { clearProps: 'transform' });
+    }
+};
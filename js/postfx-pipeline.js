@@ -0,0 +1,294 @@
+// PostFX Pipeline - named, ordered post-processing passes for ChaosEngine
+// Wraps the EffectComposer pass list so scenes, presets and the control panel
+// can switch passes on/off, reorder them and tween their parameters at runtime.
+//
+//   pipeline.setEnabled('neonGlow', true);
+//   pipeline.setParams('bloom', { strength: 2.2 }, 1.5);     // tween over 1.5 s
+//   pipeline.setOrder(['render', 'bloom', 'neonGlow', ...]);
+//   pipeline.configure({ order, passes: { film: { enabled: false } } }, 2);
+//
+// Passes marked heavy are held off while the quality tier is 'low' and come
+// back with the operator's setting when quality recovers.
+// Scenes only apply their SCENE_POSTFX changes on top of the operator's settings
+// and hand the passes they touched back when the next scene starts; an operator
+// change to such a pass takes over from the scene. reset() is the operator's way
+// back to the defaults.
+// Emits window event:
+//   postfxState  { order, passes: [{ name, enabled, active, heavy, params: { key: { value, min, max } } }] }
+
+import gsap from 'gsap';
+import scheduler from './scheduler.js';
+
+// Pass changes per scene, on top of the operator's settings
+export const SCENE_POSTFX = {
+    glitch: { passes: { digitalGlitch: { enabled: true } } },
+    chaotic: { passes: { digitalGlitch: { enabled: true }, energyField: { enabled: true } } },
+    intense: { passes: { energyField: { enabled: true }, bloom: { params: { strength: 2.2 } } } },
+    matrix: { passes: { enhancedChromatic: { enabled: true } } },
+    cyberpunk: { passes: { neonGlow: { enabled: true }, enhancedChromatic: { enabled: true } } },
+    neon: { passes: { neonGlow: { enabled: true } } },
+    vaporwave: { passes: { holographic: { enabled: true } } },
+    retro: { passes: { film: { params: { intensity: 0.8 } } } },
+    galaxy: { passes: { energyField: { enabled: true } } },
+    calm: { passes: { bloom: { params: { strength: 1.1 } } } },
+    minimal: { passes: { glitch: { enabled: false }, film: { enabled: false } } }
+};
+
+const SKIPPED_UNIFORMS = new Set(['tDiffuse', 'time']);
+
+export class PostFXPipeline {
+    constructor() {
+        this.composer = null;
+        this.order = [];
+        this.defaultOrder = [];
+        this.lowQuality = false;
+        this._entries = new Map(); // name -> { pass, enabled, defaults, ... }
+    }
+
+    /**
+     * Start a new pass list on a composer (ChaosEngine setup / forced restart)
+     */
+    attach(composer) {
+        this.composer = composer;
+        this.order = [];
+        this.defaultOrder = [];
+        this._entries.clear();
+    }
+
+    /**
+     * Append a pass.
+     * @param {Object} options
+     * @param {boolean} options.enabled - default state
+     * @param {boolean} options.heavy - held off in the low quality tier
+     * @param {boolean} options.locked - can't be disabled or moved (render pass)
+     * @param {Object} options.params - { key: [min, max] }; default: numeric uniforms
+     * @param {Object} options.base - values read by the render loop instead of the pass
+     * @param {Function} options.setEnabled - custom on/off (e.g. pause a trigger timeline)
+     * @param {Function} options.onReset - (duration) after reset() tweened the defaults back,
+     *                                      e.g. to restart an idle animation on a parameter
+     */
+    add(name, pass, { enabled = true, heavy = false, locked = false, params, base = null, setEnabled = null, onReset = null } = {}) {
+        // enabled/params are the operator's; sceneEnabled and sceneSaved (the operator
+        // values of parameters the scene changed) belong to the current scene
+        const entry = {
+            name, pass, enabled, heavy, locked, base, setEnabled, onReset,
+            params: {}, sceneEnabled: undefined, sceneSaved: {}
+        };
+
+        if (params) {
+            Object.entries(params).forEach(([key, [min, max]]) => { entry.params[key] = { min, max }; });
+        } else {
+            Object.entries(pass.uniforms || {}).forEach(([key, uniform]) => {
+                if (SKIPPED_UNIFORMS.has(key) || typeof uniform.value !== 'number') return;
+                entry.params[key] = { min: 0, max: Math.max(1, uniform.value * 4) };
+            });
+        }
+        entry.defaults = { enabled, params: this._readParams(entry) };
+
+        this._entries.set(name, entry);
+        this.order.push(name);
+        this.defaultOrder.push(name);
+        this.composer?.addPass(pass);
+        this._applyEnabled(entry);
+        return pass;
+    }
+
+    get(name) {
+        return this._entries.get(name)?.pass || null;
+    }
+
+    setEnabled(name, enabled) {
+        const entry = this._entries.get(name);
+        if (!entry || entry.locked) return;
+        entry.enabled = !!enabled;
+        entry.sceneEnabled = undefined;
+        this._applyEnabled(entry);
+        this._emitState();
+    }
+
+    /**
+     * Set or tween numeric parameters (uniforms or pass properties)
+     */
+    setParams(name, params = {}, duration = 0) {
+        const entry = this._entries.get(name);
+        if (!entry) return;
+        Object.keys(params).forEach((key) => { delete entry.sceneSaved[key]; });
+        this._tweenParams(entry, params, duration);
+    }
+
+    /**
+     * Reorder passes. Unlisted passes keep their relative order after the
+     * listed ones; locked passes stay in place.
+     */
+    setOrder(names = []) {
+        const listed = names.filter((name, i) => this._entries.has(name) && names.indexOf(name) === i && !this._entries.get(name).locked);
+        const locked = this.order.filter((name) => this._entries.get(name).locked);
+        const rest = this.order.filter((name) => !locked.includes(name) && !listed.includes(name));
+        this.order = [...locked, ...listed, ...rest];
+        if (this.composer) {
+            this.composer.passes = this.order.map((name) => this._entries.get(name).pass);
+        }
+        this._emitState();
+    }
+
+    /**
+     * Apply a partial pipeline config: { order?, passes: { name: { enabled?, params? } } }
+     */
+    configure(config = {}, duration = 0) {
+        if (Array.isArray(config.order)) this.setOrder(config.order);
+        Object.entries(config.passes || {}).forEach(([name, pass]) => {
+            if (!this._entries.has(name) || !pass) return;
+            if (pass.enabled !== undefined) this.setEnabled(name, pass.enabled);
+            if (pass.params) this.setParams(name, pass.params, duration);
+        });
+    }
+
+    /**
+     * Back to the order and defaults every pass was added with (operator action;
+     * drops the current scene's changes too)
+     */
+    reset(duration = 0) {
+        this.setOrder(this.defaultOrder);
+        this._entries.forEach((entry) => {
+            entry.enabled = entry.defaults.enabled;
+            entry.sceneEnabled = undefined;
+            entry.sceneSaved = {};
+            this._applyEnabled(entry);
+            this._tweenParams(entry, entry.defaults.params, duration);
+            entry.onReset?.(Math.max(0, Number(duration) || 0));
+        });
+        this._emitState();
+    }
+
+    /**
+     * Swap the previous scene's pass changes for this scene's. Passes and
+     * parameters the scene doesn't mention keep the operator's values.
+     */
+    applyScene(scene, duration = 1) {
+        const passes = SCENE_POSTFX[scene]?.passes || {};
+        this._entries.forEach((entry) => {
+            const change = passes[entry.name] || {};
+            const params = change.params || {};
+
+            const restore = {};
+            Object.entries(entry.sceneSaved).forEach(([key, value]) => {
+                if (key in params) return;
+                restore[key] = value;
+                delete entry.sceneSaved[key];
+            });
+            Object.keys(params).forEach((key) => {
+                if (key in entry.sceneSaved) return;
+                const target = this._paramTarget(entry, key);
+                if (target) entry.sceneSaved[key] = target.object[target.key];
+            });
+            this._tweenParams(entry, { ...restore, ...params }, duration);
+
+            const sceneEnabled = change.enabled === undefined || entry.locked ? undefined : !!change.enabled;
+            if (sceneEnabled !== entry.sceneEnabled) {
+                entry.sceneEnabled = sceneEnabled;
+                this._applyEnabled(entry);
+            }
+        });
+        this._emitState();
+    }
+
+    setQuality(quality) {
+        this.lowQuality = quality === 'low';
+        this._entries.forEach((entry) => this._applyEnabled(entry));
+        this._emitState();
+    }
+
+    /**
+     * Serializable operator config (presets, without the scene's changes);
+     * configure() accepts it back
+     */
+    getConfig() {
+        const passes = {};
+        this._entries.forEach((entry) => {
+            passes[entry.name] = { enabled: entry.enabled, params: { ...this._readParams(entry), ...entry.sceneSaved } };
+        });
+        return { order: [...this.order], passes };
+    }
+
+    getState() {
+        return {
+            order: [...this.order],
+            lowQuality: this.lowQuality,
+            passes: this.order.map((name) => {
+                const entry = this._entries.get(name);
+                const values = this._readParams(entry);
+                const params = {};
+                Object.entries(entry.params).forEach(([key, range]) => {
+                    params[key] = { value: values[key], ...range };
+                });
+                return {
+                    name,
+                    enabled: this._isOn(entry),
+                    active: this._isActive(entry),
+                    heavy: entry.heavy,
+                    locked: entry.locked,
+                    params
+                };
+            })
+        };
+    }
+
+    _isOn(entry) {
+        return entry.sceneEnabled ?? entry.enabled;
+    }
+
+    _isActive(entry) {
+        return this._isOn(entry) && !(entry.heavy && this.lowQuality);
+    }
+
+    _tweenParams(entry, params, duration) {
+        const seconds = Math.max(0, Number(duration) || 0);
+        Object.entries(params).forEach(([key, value]) => {
+            const target = this._paramTarget(entry, key);
+            const num = Number(value);
+            if (!target || !Number.isFinite(num)) {
+                console.warn(`⚠️ PostFX: ${entry.name} has no parameter ${key}`);
+                return;
+            }
+            // Takes over from any running tween on the same value (e.g. the CA pulse)
+            gsap.to(target.object, { [target.key]: num, duration: seconds, overwrite: 'auto', ease: 'sine.inOut' });
+        });
+        if (Object.keys(params).length) this._emitState(seconds > 0 ? seconds * 1000 + 50 : 0);
+    }
+
+    _applyEnabled(entry) {
+        const active = this._isActive(entry);
+        if (entry.setEnabled) {
+            entry.setEnabled(active);
+        } else {
+            entry.pass.enabled = active;
+        }
+    }
+
+    _paramTarget(entry, key) {
+        if (!entry.params[key] && !(key in (entry.defaults?.params || {}))) return null;
+        if (entry.base && key in entry.base) return { object: entry.base, key };
+        const uniform = entry.pass.uniforms?.[key];
+        if (uniform && typeof uniform.value === 'number') return { object: uniform, key: 'value' };
+        if (typeof entry.pass[key] === 'number') return { object: entry.pass, key };
+        return null;
+    }
+
+    _readParams(entry) {
+        const values = {};
+        Object.keys(entry.params).forEach((key) => {
+            const target = this._paramTarget(entry, key);
+            if (target) values[key] = target.object[target.key];
+        });
+        return values;
+    }
+
+    _emitState(delay = 0) {
+        if (typeof window === 'undefined') return;
+        this._emitTimer?.cancel();
+        // Coalesce bursts (configure/reset touch many passes); tweens report when done
+        this._emitTimer = scheduler.timeout(() => {
+            window.dispatchEvent(new CustomEvent('postfxState', { detail: this.getState() }));
+        }, Math.max(30, delay), { name: 'postfx-state', category: 'system', scaled: false });
+    }
+}
@@ -0,0 +1,131 @@
+// Preset State - versioned snapshot of the display's complete visual state
+// Shared by the display (VJReceiver capture/apply/crossfade) and the control
+// panel (named slots, JSON import/export).
+//
+//   {
+//     version: 2, name,
+//     colors: { hue, saturation, brightness, contrast },
+//     speed, phaseDuration, scene,                       // speed x1.0, phaseDuration ms
+//     intensities: { glitch, particles, noise, ... },    // FXController, 0..1
+//     effects: { holographic: true, ... },               // FXController toggles
+//     layers: { background: true, logo: false, ... },
+//     logo: { glow, outline },
+//     anime: { enabled },
+//     triggerSettings: { theme, intensity, speed, quantize },
+//     postProcessing: { order, passes: { bloom: { enabled, params } } },   // postfx-pipeline.js
+//     matrixPool: ['WAKE UP NE0', ...]
+//   }
+//
+// Version 1 presets are the old flat slider values ({ hue, speed: 0-100,
+// phaseDuration: s, glitch: 0-100, scene }) and are converted on load.
+
+export const PRESET_VERSION = 2;
+
+const COLOR_KEYS = ['hue', 'saturation', 'brightness', 'contrast'];
+const LEGACY_INTENSITY_KEYS = ['glitch', 'particles', 'distortion', 'noise'];
+const MAP_FIELDS = ['effects', 'layers', 'logo', 'anime', 'triggerSettings', 'postProcessing'];
+
+function finite(value) {
+    const num = Number(value);
+    return Number.isFinite(num) ? num : undefined;
+}
+
+function numberMap(source = {}, field) {
+    if (!source || typeof source !== 'object') throw new Error(`Preset ${field} must be an object`);
+    const out = {};
+    Object.entries(source).forEach(([key, value]) => {
+        const num = finite(value);
+        if (num === undefined) throw new Error(`Preset ${field}.${key} must be a number`);
+        out[key] = num;
+    });
+    return out;
+}
+
+function fromLegacy(raw) {
+    const colors = {};
+    COLOR_KEYS.forEach((key) => {
+        if (finite(raw[key]) !== undefined) colors[key] = finite(raw[key]);
+    });
+    const intensities = {};
+    LEGACY_INTENSITY_KEYS.forEach((key) => {
+        if (finite(raw[key]) !== undefined) intensities[key] = finite(raw[key]) / 100;
+    });
+    return {
+        name: raw.name,
+        colors,
+        speed: finite(raw.speed) !== undefined ? finite(raw.speed) / 100 : undefined,
+        phaseDuration: finite(raw.phaseDuration) !== undefined ? finite(raw.phaseDuration) * 1000 : undefined,
+        scene: raw.scene,
+        intensities
+    };
+}
+
+/**
+ * Validate a preset (any version) and return it in the current format.
+ * Missing sections are left out and keep their current value when applied.
+ */
+export function normalizePreset(raw) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        throw new Error('Preset must be an object');
+    }
+    if (raw.version > PRESET_VERSION) {
+        throw new Error(`Preset version ${raw.version} not supported (max ${PRESET_VERSION})`);
+    }
+
+    const source = raw.version === PRESET_VERSION ? raw : fromLegacy(raw);
+    const preset = {
+        version: PRESET_VERSION,
+        name: source.name ? String(source.name) : 'Untitled preset',
+        colors: numberMap(source.colors, 'colors'),
+        intensities: numberMap(source.intensities, 'intensities')
+    };
+
+    ['speed', 'phaseDuration'].forEach((key) => {
+        if (source[key] === undefined) return;
+        const num = finite(source[key]);
+        if (num === undefined || num <= 0) throw new Error(`Preset ${key} must be a positive number`);
+        preset[key] = num;
+    });
+    if (source.scene !== undefined) preset.scene = String(source.scene);
+
+    MAP_FIELDS.forEach((field) => {
+        if (source[field] === undefined) return;
+        if (!source[field] || typeof source[field] !== 'object') throw new Error(`Preset ${field} must be an object`);
+        preset[field] = { ...source[field] };
+    });
+
+    if (source.matrixPool !== undefined) {
+        if (!Array.isArray(source.matrixPool) || source.matrixPool.some((m) => typeof m !== 'string')) {
+            throw new Error('Preset matrixPool must be an array of strings');
+        }
+        preset.matrixPool = [...source.matrixPool];
+    }
+    return preset;
+}
+
+function lerp(a, b, t) {
+    return a + (b - a) * t;
+}
+
+function lerpMap(from = {}, to = {}, t) {
+    const out = {};
+    Object.keys(to).forEach((key) => {
+        out[key] = from[key] === undefined ? to[key] : lerp(from[key], to[key], t);
+    });
+    return out;
+}
+
+/**
+ * Numeric values between two presets at t (0..1). Only keys present in `to`
+ * are returned; discrete values (scene, toggles, pool) are not interpolated.
+ */
+export function interpolatePreset(from, to, t) {
+    const values = {
+        colors: lerpMap(from.colors, to.colors, t),
+        intensities: lerpMap(from.intensities, to.intensities, t)
+    };
+    if (to.speed !== undefined) {
+        values.speed = from.speed === undefined ? to.speed : lerp(from.speed, to.speed, t);
+    }
+    return values;
+}
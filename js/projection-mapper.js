@@ -0,0 +1,618 @@
+// Projection Mapper - corner pin, mesh warp and edge blending for the display output
+// Everything is applied to the root element, so the Three canvas and all DOM
+// overlays warp together:
+//
+//   corners   four pinned corners (TL, TR, BR, BL) as viewport fractions; the page
+//             is mapped onto them with a CSS matrix3d homography
+//   mesh      cols x rows grid of point offsets (viewport fractions) rendered into a
+//             displacement map (SVG feDisplacementMap). Costs more than the corner
+//             pin, so the filter is only attached while a point is moved.
+//   blend     black ramps on each edge for overlapping projectors: width per edge
+//             as a fraction of the output, gamma of the projector
+//
+// Calibration is stored per output id (output-manager.js) and restored on load.
+// In calibration mode the handles can be dragged on the display itself; arrow keys
+// nudge the selected corner (Shift: 10 px), Tab picks the next corner, Esc leaves.
+// Emits window event:
+//   calibrationState  { output, mode, testPattern, corners, mesh: { cols, rows, points }, blend, warped }
+
+import outputManager from './output-manager.js';
+
+const STORAGE_PREFIX = '3886_calibration_';
+const MESH_FILTER_ID = 'projection-mesh';
+const MAX_MESH_SIZE = 8;
+const MAP_WIDTH = 256;      // displacement map resolution (stretched over the output)
+const HANDLE_PICK_PX = 40;
+const CORNER_LABELS = ['TL', 'TR', 'BR', 'BL'];
+
+const DEFAULT_CORNERS = [[0, 0], [1, 0], [1, 1], [0, 1]];
+const DEFAULT_BLEND = { left: 0, right: 0, top: 0, bottom: 0, gamma: 2.2 };
+const BLEND_EDGES = ['left', 'right', 'top', 'bottom'];
+const BLEND_DIRECTION = { left: 'to right', right: 'to left', top: 'to bottom', bottom: 'to top' };
+
+const STYLE = `
+    .pm-root { position: fixed; left: 0; top: 0; width: 100vw; height: 100vh; pointer-events: none; z-index: 2147483000; }
+    .pm-blend { position: absolute; display: none; }
+    .pm-blend--left { left: 0; top: 0; height: 100%; }
+    .pm-blend--right { right: 0; top: 0; height: 100%; }
+    .pm-blend--top { left: 0; top: 0; width: 100%; }
+    .pm-blend--bottom { left: 0; bottom: 0; width: 100%; }
+    .pm-pattern { position: absolute; left: 0; top: 0; width: 100%; height: 100%; display: none; }
+    .pm-root.pattern .pm-pattern { display: block; }
+    .pm-handle { position: absolute; display: none; width: 28px; height: 28px; margin: -14px 0 0 -14px;
+        border: 2px solid #00ffff; border-radius: 50%; background: rgba(0, 255, 255, 0.2); box-sizing: border-box; }
+    .pm-handle--mesh { width: 14px; height: 14px; margin: -7px 0 0 -7px; border-color: #ff00ff; background: rgba(255, 0, 255, 0.25); }
+    .pm-handle.selected { border-color: #ffff00; background: rgba(255, 255, 0, 0.35); }
+    .pm-hud { position: absolute; left: 50%; top: 50%; display: none; transform: translate(-50%, -50%); padding: 8px 12px;
+        font: 13px/1.5 monospace; color: #00ffff; background: rgba(0, 0, 0, 0.75); border: 1px solid #00ffff; white-space: pre; }
+    .pm-root.calibrating .pm-handle, .pm-root.calibrating .pm-hud { display: block; }
+`;
+
+function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
+
+/**
+ * Projective map of the unit square onto a quad (Heckbert). Corners TL, TR, BR, BL.
+ * @returns {number[]|null} [a, b, c, d, e, f, g, h]: x = (au + bv + c) / (gu + hv + 1)
+ */
+export function squareToQuad(corners) {
+    const [[x0, y0], [x1, y1], [x2, y2], [x3, y3]] = corners;
+    const dx1 = x1 - x2, dx2 = x3 - x2, dx3 = x0 - x1 + x2 - x3;
+    const dy1 = y1 - y2, dy2 = y3 - y2, dy3 = y0 - y1 + y2 - y3;
+    const den = dx1 * dy2 - dx2 * dy1;
+    if (Math.abs(den) < 1e-12) return null;
+    const g = (dx3 * dy2 - dx2 * dy3) / den;
+    const h = (dx1 * dy3 - dx3 * dy1) / den;
+    return [x1 - x0 + g * x1, x3 - x0 + h * x3, x0, y1 - y0 + g * y1, y3 - y0 + h * y3, y0, g, h];
+}
+
+/**
+ * Validate corners: four finite [x, y] pairs forming a convex quad
+ * @returns {number[][]|null}
+ */
+export function normalizeCorners(corners) {
+    if (!Array.isArray(corners) || corners.length !== 4) return null;
+    const points = corners.map((point) => (Array.isArray(point) ? point.map(Number) : []));
+    if (!points.every((p) => p.length === 2 && p.every(Number.isFinite) && p.every((v) => v >= -1 && v <= 2))) return null;
+
+    // Same turn direction at every corner
+    const turns = points.map((p, i) => {
+        const next = points[(i + 1) % 4];
+        const after = points[(i + 2) % 4];
+        return (next[0] - p[0]) * (after[1] - next[1]) - (next[1] - p[1]) * (after[0] - next[0]);
+    });
+    if (!turns.every((t) => t > 0) && !turns.every((t) => t < 0)) return null;
+    return points;
+}
+
+class ProjectionMapper {
+    constructor() {
+        this.corners = DEFAULT_CORNERS.map((p) => [...p]);
+        this.mesh = { cols: 0, rows: 0, points: [] };
+        this.blend = { ...DEFAULT_BLEND };
+        this.mode = false;
+        this.testPattern = false;
+        this.selected = 0;          // corner for keyboard nudges
+        this.drag = null;           // { kind: 'corner'|'mesh', index }
+        this.root = null;
+        this.sceneFilter = '';      // root filter set by scene changes, kept under the mesh filter
+
+        this._onPointerDown = this._onPointerDown.bind(this);
+        this._onPointerMove = this._onPointerMove.bind(this);
+        this._onPointerUp = this._onPointerUp.bind(this);
+        this._onKeyDown = this._onKeyDown.bind(this);
+    }
+
+    get storageKey() {
+        return `${STORAGE_PREFIX}${outputManager.id}`;
+    }
+
+    /**
+     * Build the overlay, restore this output's calibration and follow resizes
+     */
+    init() {
+        if (this.root) return;
+        const style = document.createElement('style');
+        style.id = 'projection-mapper-style';
+        style.textContent = STYLE;
+        document.head.appendChild(style);
+
+        // Sibling of <body>: scene filters and shakes on the body don't reach it,
+        // the root warp does
+        this.root = document.createElement('div');
+        this.root.className = 'pm-root';
+        this.root.dataset.permanent = 'true';
+        this.root.innerHTML = `
+            <svg width="0" height="0" style="position: absolute">
+                <filter id="${MESH_FILTER_ID}" filterUnits="userSpaceOnUse" primitiveUnits="userSpaceOnUse" color-interpolation-filters="sRGB">
+                    <feImage result="map" preserveAspectRatio="none"/>
+                    <feDisplacementMap in="SourceGraphic" in2="map" xChannelSelector="R" yChannelSelector="G"/>
+                </filter>
+            </svg>
+            ${BLEND_EDGES.map((edge) => `<div class="pm-blend pm-blend--${edge}" data-edge="${edge}"></div>`).join('')}
+            <canvas class="pm-pattern"></canvas>
+            <div class="pm-handles"></div>
+            <div class="pm-hud"></div>`;
+        document.documentElement.appendChild(this.root);
+
+        this.mapCanvas = document.createElement('canvas');
+        this._load();
+        window.addEventListener('resize', () => this.render());
+        this.render();
+        this._emitState();
+    }
+
+    /**
+     * Apply a partial update:
+     *   { mode, testPattern, corners, nudge: { corner, dx, dy }, mesh: { cols, rows, points },
+     *     blend: { left, right, top, bottom, gamma }, reset }
+     * nudge moves a corner by pixels; a new mesh size starts from a flat grid.
+     * @returns {string|null} error message, null when applied
+     */
+    apply(update = {}) {
+        const next = {
+            corners: this.corners.map((p) => [...p]),
+            mesh: { ...this.mesh, points: this.mesh.points.map((p) => [...p]) },
+            blend: { ...this.blend }
+        };
+
+        if (update.reset) {
+            next.corners = DEFAULT_CORNERS.map((p) => [...p]);
+            next.mesh = { cols: 0, rows: 0, points: [] };
+            next.blend = { ...DEFAULT_BLEND };
+        }
+        if (update.corners !== undefined) {
+            next.corners = normalizeCorners(update.corners);
+            if (!next.corners) return 'corners must be four [x, y] viewport fractions forming a convex quad';
+        }
+        if (update.nudge) {
+            const { corner, dx = 0, dy = 0 } = update.nudge;
+            if (!Number.isInteger(corner) || corner < 0 || corner > 3 || !Number.isFinite(dx) || !Number.isFinite(dy)) {
+                return 'nudge needs corner 0-3 and dx/dy in pixels';
+            }
+            const moved = next.corners.map((p) => [...p]);
+            moved[corner] = [moved[corner][0] + dx / window.innerWidth, moved[corner][1] + dy / window.innerHeight];
+            next.corners = normalizeCorners(moved);
+            if (!next.corners) return 'nudge would fold the output';
+            this.selected = corner;
+        }
+        if (update.mesh) {
+            const error = this._applyMesh(next.mesh, update.mesh);
+            if (error) return error;
+        }
+        if (update.blend) {
+            BLEND_EDGES.forEach((edge) => {
+                const value = Number(update.blend[edge]);
+                if (update.blend[edge] !== undefined && Number.isFinite(value)) next.blend[edge] = clamp(value, 0, 0.5);
+            });
+            const gamma = Number(update.blend.gamma);
+            if (update.blend.gamma !== undefined && Number.isFinite(gamma)) next.blend.gamma = clamp(gamma, 1, 3);
+        }
+
+        this.corners = next.corners;
+        this.mesh = next.mesh;
+        this.blend = next.blend;
+        if (update.mode !== undefined) this.setMode(!!update.mode);
+        if (update.testPattern !== undefined) this.testPattern = !!update.testPattern;
+
+        this._save();
+        this.render();
+        this._emitState();
+        return null;
+    }
+
+    /**
+     * Calibration mode: handles, HUD and pointer/keyboard editing on the display
+     */
+    setMode(on) {
+        if (this.mode === on) return;
+        this.mode = on;
+        const method = on ? 'addEventListener' : 'removeEventListener';
+        window[method]('pointerdown', this._onPointerDown, true);
+        window[method]('pointermove', this._onPointerMove, true);
+        window[method]('pointerup', this._onPointerUp, true);
+        window[method]('keydown', this._onKeyDown, true);
+        this.drag = null;
+        console.log(`📐 Calibration mode ${on ? 'on' : 'off'} (output ${outputManager.id})`);
+    }
+
+    /**
+     * Root filter for scene changes: the mesh warp stays first in the chain
+     */
+    composeRootFilter(filter) {
+        this.sceneFilter = !filter || filter === 'none' ? '' : filter;
+        return this._rootFilter();
+    }
+
+    isWarped() {
+        return !this._isDefaultCorners() || this._meshActive() || BLEND_EDGES.some((edge) => this.blend[edge] > 0);
+    }
+
+    getState() {
+        return {
+            output: outputManager.id,
+            mode: this.mode,
+            testPattern: this.testPattern,
+            corners: this.corners.map((p) => [...p]),
+            mesh: { cols: this.mesh.cols, rows: this.mesh.rows, points: this.mesh.points.map((p) => [...p]) },
+            blend: { ...this.blend },
+            warped: this.isWarped()
+        };
+    }
+
+    // ============================================
+    // RENDERING
+    // ============================================
+
+    render() {
+        if (!this.root) return;
+        const width = window.innerWidth;
+        const height = window.innerHeight;
+        const html = document.documentElement;
+
+        const m = this._isDefaultCorners() ? null : squareToQuad(this._cornersPx());
+        html.style.transformOrigin = m ? '0 0' : '';
+        html.style.transform = m ? `matrix3d(${[
+            m[0] / width, m[3] / width, 0, m[6] / width,
+            m[1] / height, m[4] / height, 0, m[7] / height,
+            0, 0, 1, 0,
+            m[2], m[5], 0, 1
+        ].join(', ')})` : '';
+
+        if (this._meshActive()) this._renderMeshMap(width, height);
+        html.style.filter = this._rootFilter();
+
+        this._renderBlend();
+        this.root.classList.toggle('pattern', this.testPattern);
+        if (this.testPattern) this._renderTestPattern(width, height);
+        this.root.classList.toggle('calibrating', this.mode);
+        if (this.mode) this._renderHandles(width, height);
+    }
+
+    _rootFilter() {
+        const mesh = this._meshActive() ? `url(#${MESH_FILTER_ID})` : '';
+        return [mesh, this.sceneFilter].filter(Boolean).join(' ');
+    }
+
+    // Output pixel P samples the page at P - offset(P), so a grid point's content
+    // lands on the point plus its offset (exact at the points, smooth in between)
+    _renderMeshMap(width, height) {
+        const mapWidth = MAP_WIDTH;
+        const mapHeight = Math.max(2, Math.round(MAP_WIDTH * height / width));
+        const offsets = this.mesh.points.map(([dx, dy]) => [dx * width, dy * height]);
+        const scale = 2 * Math.max(1, ...offsets.map(([dx, dy]) => Math.max(Math.abs(dx), Math.abs(dy)))) * 1.02;
+
+        this.mapCanvas.width = mapWidth;
+        this.mapCanvas.height = mapHeight;
+        const ctx = this.mapCanvas.getContext('2d');
+        const image = ctx.createImageData(mapWidth, mapHeight);
+        for (let y = 0; y < mapHeight; y++) {
+            for (let x = 0; x < mapWidth; x++) {
+                const [dx, dy] = this._meshOffsetAt(offsets, x / (mapWidth - 1), y / (mapHeight - 1));
+                const i = (y * mapWidth + x) * 4;
+                image.data[i] = Math.round(clamp(0.5 - dx / scale, 0, 1) * 255);
+                image.data[i + 1] = Math.round(clamp(0.5 - dy / scale, 0, 1) * 255);
+                image.data[i + 2] = 128;
+                image.data[i + 3] = 255;
+            }
+        }
+        ctx.putImageData(image, 0, 0);
+
+        const filter = this.root.querySelector('filter');
+        const feImage = filter.querySelector('feImage');
+        [filter, feImage].forEach((el) => {
+            el.setAttribute('x', '0');
+            el.setAttribute('y', '0');
+            el.setAttribute('width', String(width));
+            el.setAttribute('height', String(height));
+        });
+        feImage.setAttribute('href', this.mapCanvas.toDataURL());
+        filter.querySelector('feDisplacementMap').setAttribute('scale', scale.toFixed(2));
+    }
+
+    // Bilinear offset at u, v (0-1) from the grid points
+    _meshOffsetAt(offsets, u, v) {
+        const { cols, rows } = this.mesh;
+        const gx = clamp(u, 0, 1) * (cols - 1);
+        const gy = clamp(v, 0, 1) * (rows - 1);
+        const x0 = Math.min(Math.floor(gx), cols - 2);
+        const y0 = Math.min(Math.floor(gy), rows - 2);
+        const tx = gx - x0;
+        const ty = gy - y0;
+        const at = (x, y) => offsets[y * cols + x];
+        const [a, b, c, d] = [at(x0, y0), at(x0 + 1, y0), at(x0, y0 + 1), at(x0 + 1, y0 + 1)];
+        return [0, 1].map((k) => (a[k] * (1 - tx) + b[k] * tx) * (1 - ty) + (c[k] * (1 - tx) + d[k] * tx) * ty);
+    }
+
+    // Ramp f(t) = t in light, so the overlay alpha is 1 - t^(1/gamma)
+    _renderBlend() {
+        this.root.querySelectorAll('.pm-blend').forEach((el) => {
+            const edge = el.dataset.edge;
+            const size = this.blend[edge];
+            el.style.display = size > 0 ? 'block' : 'none';
+            if (!size) return;
+            el.style[edge === 'left' || edge === 'right' ? 'width' : 'height'] = `${size * 100}%`;
+            const stops = Array.from({ length: 9 }, (_, i) => {
+                const t = i / 8;
+                return `rgba(0, 0, 0, ${(1 - Math.pow(t, 1 / this.blend.gamma)).toFixed(3)}) ${(t * 100).toFixed(1)}%`;
+            });
+            el.style.background = `linear-gradient(${BLEND_DIRECTION[edge]}, ${stops.join(', ')})`;
+        });
+    }
+
+    _renderTestPattern(width, height) {
+        const canvas = this.root.querySelector('.pm-pattern');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, width, height);
+
+        // 16 x 9 grid with a heavier line every quarter
+        ctx.lineWidth = 1;
+        for (let i = 0; i <= 16; i++) {
+            ctx.strokeStyle = i % 4 === 0 ? '#ffffff' : '#555555';
+            const x = Math.min(width - 0.5, Math.round(i * width / 16) + 0.5);
+            ctx.beginPath(); ctx.moveTo(x, 0); ctx.lineTo(x, height); ctx.stroke();
+        }
+        for (let i = 0; i <= 9; i++) {
+            ctx.strokeStyle = i % 3 === 0 ? '#ffffff' : '#555555';
+            const y = Math.min(height - 0.5, Math.round(i * height / 9) + 0.5);
+            ctx.beginPath(); ctx.moveTo(0, y); ctx.lineTo(width, y); ctx.stroke();
+        }
+
+        ctx.strokeStyle = '#00ffff';
+        ctx.lineWidth = 2;
+        ctx.beginPath(); ctx.moveTo(0, 0); ctx.lineTo(width, height); ctx.moveTo(width, 0); ctx.lineTo(0, height); ctx.stroke();
+        const radius = Math.min(width, height) * 0.45;
+        ctx.beginPath(); ctx.arc(width / 2, height / 2, radius, 0, Math.PI * 2); ctx.stroke();
+        [[0, 0], [1, 0], [1, 1], [0, 1]].forEach(([u, v]) => {
+            ctx.beginPath(); ctx.arc(u * width, v * height, radius / 3, 0, Math.PI * 2); ctx.stroke();
+        });
+        ctx.strokeStyle = '#ff0000';
+        ctx.lineWidth = 4;
+        ctx.strokeRect(2, 2, width - 4, height - 4);
+
+        // Colour bars under the centre
+        const bars = ['#ffffff', '#ffff00', '#00ffff', '#00ff00', '#ff00ff', '#ff0000', '#0000ff'];
+        const barWidth = width / 3 / bars.length;
+        bars.forEach((color, i) => {
+            ctx.fillStyle = color;
+            ctx.fillRect(width / 3 + i * barWidth, height * 0.62, barWidth, height * 0.08);
+        });
+
+        ctx.fillStyle = '#ffffff';
+        ctx.font = `${Math.round(height / 18)}px monospace`;
+        ctx.textAlign = 'center';
+        ctx.fillText(`OUTPUT ${outputManager.id.toUpperCase()}`, width / 2, height * 0.4);
+        ctx.font = `${Math.round(height / 36)}px monospace`;
+        ctx.fillText(`${width} x ${height}`, width / 2, height * 0.47);
+        CORNER_LABELS.forEach((label, i) => {
+            const [u, v] = DEFAULT_CORNERS[i];
+            ctx.textAlign = u ? 'right' : 'left';
+            ctx.fillText(label, u ? width - 16 : 16, v ? height - 16 : 40);
+        });
+    }
+
+    // Handles sit at the unwarped positions; the warp carries them onto the pins
+    _renderHandles(width, height) {
+        const points = DEFAULT_CORNERS.map(([u, v], i) => ({ kind: 'corner', index: i, x: u * width, y: v * height }));
+        this._meshGrid(width, height).forEach(({ x, y }, i) => points.push({ kind: 'mesh', index: i, x, y }));
+
+        const container = this.root.querySelector('.pm-handles');
+        container.innerHTML = points.map((p) => {
+            const selected = (p.kind === 'corner' && p.index === this.selected) || (this.drag?.kind === p.kind && this.drag.index === p.index);
+            return `<div class="pm-handle${p.kind === 'mesh' ? ' pm-handle--mesh' : ''}${selected ? ' selected' : ''}" style="left: ${p.x}px; top: ${p.y}px"></div>`;
+        }).join('');
+
+        const px = this._cornersPx()[this.selected];
+        this.root.querySelector('.pm-hud').textContent = [
+            `CALIBRATION · OUTPUT ${outputManager.id.toUpperCase()}`,
+            `CORNER ${CORNER_LABELS[this.selected]}  ${Math.round(px[0])}, ${Math.round(px[1])}`,
+            `MESH ${this.mesh.cols ? `${this.mesh.cols}x${this.mesh.rows}` : 'OFF'} · BLEND ${BLEND_EDGES.map((edge) => Math.round(this.blend[edge] * 100)).join('/')}%`,
+            'DRAG HANDLES · ARROWS NUDGE · TAB NEXT CORNER · ESC DONE'
+        ].join('\n');
+    }
+
+    // ============================================
+    // CALIBRATION INPUT
+    // ============================================
+
+    _onPointerDown(e) {
+        const hit = this._pick(e.clientX, e.clientY);
+        if (!hit) return;
+        e.preventDefault();
+        e.stopPropagation();
+        this.drag = hit;
+        if (hit.kind === 'corner') this.selected = hit.index;
+        this.render();
+    }
+
+    _onPointerMove(e) {
+        if (!this.drag) return;
+        e.preventDefault();
+        e.stopPropagation();
+        const width = window.innerWidth;
+        const height = window.innerHeight;
+
+        if (this.drag.kind === 'corner') {
+            const moved = this.corners.map((p) => [...p]);
+            moved[this.drag.index] = [e.clientX / width, e.clientY / height];
+            const corners = normalizeCorners(moved);
+            if (corners) this.corners = corners;
+        } else {
+            const local = this._unproject(e.clientX, e.clientY);
+            const point = this._meshGrid(width, height)[this.drag.index];
+            if (!local || !point) return;
+            this.mesh.points[this.drag.index] = [(local[0] - point.x) / width, (local[1] - point.y) / height];
+        }
+        this.render();
+    }
+
+    _onPointerUp(e) {
+        if (!this.drag) return;
+        e.stopPropagation();
+        this.drag = null;
+        this._save();
+        this.render();
+        this._emitState();
+    }
+
+    _onKeyDown(e) {
+        const step = e.shiftKey ? 10 : 1;
+        const moves = { ArrowLeft: [-step, 0], ArrowRight: [step, 0], ArrowUp: [0, -step], ArrowDown: [0, step] };
+        if (moves[e.key]) {
+            const [dx, dy] = moves[e.key];
+            this.apply({ nudge: { corner: this.selected, dx, dy } });
+        } else if (e.key === 'Tab') {
+            this.selected = (this.selected + 1) % 4;
+            this.render();
+        } else if (e.key === 'Escape') {
+            this.apply({ mode: false });
+        } else {
+            return;
+        }
+        e.preventDefault();
+        e.stopPropagation();
+    }
+
+    // Nearest handle to a screen point, corners first
+    _pick(x, y) {
+        const width = window.innerWidth;
+        const height = window.innerHeight;
+        const candidates = this._cornersPx().map(([cx, cy], index) => ({ kind: 'corner', index, x: cx, y: cy }));
+        this._meshGrid(width, height).forEach((point, index) => {
+            const [ox, oy] = this.mesh.points[index];
+            const screen = this._project(point.x + ox * width, point.y + oy * height);
+            if (screen) candidates.push({ kind: 'mesh', index, x: screen[0], y: screen[1] });
+        });
+
+        let best = null;
+        let bestDistance = HANDLE_PICK_PX;
+        candidates.forEach((candidate) => {
+            const distance = Math.hypot(candidate.x - x, candidate.y - y);
+            if (distance < bestDistance) {
+                best = candidate;
+                bestDistance = distance;
+            }
+        });
+        return best && { kind: best.kind, index: best.index };
+    }
+
+    // Page pixel -> screen pixel through the corner pin
+    _project(x, y) {
+        const m = squareToQuad(this._cornersPx());
+        if (!m) return null;
+        const u = x / window.innerWidth;
+        const v = y / window.innerHeight;
+        const w = m[6] * u + m[7] * v + 1;
+        return [(m[0] * u + m[1] * v + m[2]) / w, (m[3] * u + m[4] * v + m[5]) / w];
+    }
+
+    // Screen pixel -> page pixel (inverse of the corner pin)
+    _unproject(x, y) {
+        const m = squareToQuad(this._cornersPx());
+        if (!m) return null;
+        const [a, b, c, d, e, f, g, h] = m;
+        // Adjugate of [[a, b, c], [d, e, f], [g, h, 1]]
+        const inv = [
+            e - f * h, c * h - b, b * f - c * e,
+            f * g - d, a - c * g, c * d - a * f,
+            d * h - e * g, b * g - a * h, a * e - b * d
+        ];
+        const w = inv[6] * x + inv[7] * y + inv[8];
+        if (Math.abs(w) < 1e-12) return null;
+        const u = (inv[0] * x + inv[1] * y + inv[2]) / w;
+        const v = (inv[3] * x + inv[4] * y + inv[5]) / w;
+        return [u * window.innerWidth, v * window.innerHeight];
+    }
+
+    // ============================================
+    // INTERNALS
+    // ============================================
+
+    _applyMesh(mesh, update) {
+        if (update.cols !== undefined || update.rows !== undefined) {
+            const cols = Number(update.cols ?? update.rows);
+            const rows = Number(update.rows ?? update.cols);
+            const valid = (n) => Number.isInteger(n) && (n === 0 || (n >= 2 && n <= MAX_MESH_SIZE));
+            if (!valid(cols) || !valid(rows) || (cols === 0) !== (rows === 0)) {
+                return `mesh size must be 0 (off) or 2-${MAX_MESH_SIZE} points per side`;
+            }
+            if (cols !== mesh.cols || rows !== mesh.rows) {
+                mesh.cols = cols;
+                mesh.rows = rows;
+                mesh.points = Array.from({ length: cols * rows }, () => [0, 0]);
+            }
+        }
+        if (update.points !== undefined) {
+            const points = Array.isArray(update.points) ? update.points.map((p) => (Array.isArray(p) ? p.map(Number) : [])) : null;
+            if (!points || points.length !== mesh.cols * mesh.rows ||
+                !points.every((p) => p.length === 2 && p.every((v) => Number.isFinite(v) && Math.abs(v) <= 0.5))) {
+                return 'mesh points must be one [dx, dy] fraction pair per grid point';
+            }
+            mesh.points = points;
+        }
+        return null;
+    }
+
+    _meshGrid(width, height) {
+        const { cols, rows } = this.mesh;
+        const grid = [];
+        for (let y = 0; y < rows; y++) {
+            for (let x = 0; x < cols; x++) {
+                grid.push({ x: x / (cols - 1) * width, y: y / (rows - 1) * height });
+            }
+        }
+        return grid;
+    }
+
+    _meshActive() {
+        return this.mesh.points.some(([dx, dy]) => dx !== 0 || dy !== 0);
+    }
+
+    _cornersPx() {
+        return this.corners.map(([x, y]) => [x * window.innerWidth, y * window.innerHeight]);
+    }
+
+    _isDefaultCorners() {
+        return this.corners.every(([x, y], i) => Math.abs(x - DEFAULT_CORNERS[i][0]) < 1e-6 && Math.abs(y - DEFAULT_CORNERS[i][1]) < 1e-6);
+    }
+
+    _save() {
+        const { corners, mesh, blend } = this.getState();
+        try { localStorage.setItem(this.storageKey, JSON.stringify({ corners, mesh, blend })); } catch {}
+    }
+
+    _load() {
+        let saved = null;
+        try {
+            saved = JSON.parse(localStorage.getItem(this.storageKey));
+        } catch {}
+        if (!saved) return;
+
+        const corners = normalizeCorners(saved.corners);
+        if (corners) this.corners = corners;
+        const mesh = { cols: 0, rows: 0, points: [] };
+        if (saved.mesh && !this._applyMesh(mesh, { cols: saved.mesh.cols, rows: saved.mesh.rows }) && !this._applyMesh(mesh, { points: saved.mesh.points })) {
+            this.mesh = mesh;
+        }
+        if (saved.blend) {
+            BLEND_EDGES.forEach((edge) => { this.blend[edge] = clamp(Number(saved.blend[edge]) || 0, 0, 0.5); });
+            this.blend.gamma = clamp(Number(saved.blend.gamma) || DEFAULT_BLEND.gamma, 1, 3);
+        }
+        console.log(`📐 Calibration restored for output ${outputManager.id}`);
+    }
+
+    _emitState() {
+        if (typeof window === 'undefined') return;
+        window.dispatchEvent(new CustomEvent('calibrationState', { detail: this.getState() }));
+    }
+}
+
+const projectionMapper = new ProjectionMapper();
+if (typeof window !== 'undefined') {
+    window.projectionMapper = projectionMapper;
+}
+export default projectionMapper;
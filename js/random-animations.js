@@ -1,4 +1,7 @@
 import gsap from 'gsap';
+import seededRandom from './seeded-random.js';
+import scheduler from './scheduler.js';
+const random = seededRandom.stream('random-animations');
 
 class RandomAnimations {
     constructor() {
@@ -6,6 +9,14 @@ class RandomAnimations {
         this.animationPool = [];
         this.isRunning = false;
         this.lastAnimation = null;
+        // Scheduler loops by name; an emergency stop cancels them (category 'effect')
+        // and restartEssentialAnimations() calls init() again
+        this.timers = {};
+    }
+
+    _loop(key, callback, delay, type = 'timeout') {
+        this.timers[key]?.cancel();
+        this.timers[key] = scheduler[type](callback, delay, { name: `random-${key}`, category: 'effect' });
     }
 
     init() {
@@ -49,28 +60,28 @@ class RandomAnimations {
         }
 
         // Random chance to trigger an animation (reduced)
-        if (Math.random() > 0.5) { // 50% chance (was 70%)
+        if (random() > 0.5) { // 50% chance (was 70%)
             // Pick a random animation that isn't the last one
             let animations = this.animationPool.filter(a => a !== this.lastAnimation);
-            const randomAnim = animations[Math.floor(Math.random() * animations.length)];
+            const randomAnim = animations[Math.floor(random() * animations.length)];
             this.lastAnimation = randomAnim;
             randomAnim();
         }
 
         // Random delay between 8-20 seconds (increased from 3-15)
-        const nextDelay = Math.random() * 12000 + 8000;
-        setTimeout(() => this.triggerRandomAnimation(), nextDelay);
+        const nextDelay = random() * 12000 + 8000;
+        this._loop('sequence', () => this.triggerRandomAnimation(), nextDelay);
     }
 
     startRandomSequence() {
         // Start after initial delay
-        setTimeout(() => this.triggerRandomAnimation(), 2000);
+        this._loop('sequence', () => this.triggerRandomAnimation(), 2000);
     }
 
     dataGlitchWave() {
         const wave = document.createElement('div');
-        const height = Math.random() * 100 + 50;
-        const startY = Math.random() * (window.innerHeight - height);
+        const height = random() * 100 + 50;
+        const startY = random() * (window.innerHeight - height);
 
         wave.style.cssText = `
             position: fixed;
@@ -86,14 +97,14 @@ class RandomAnimations {
                 transparent);
             pointer-events: none;
             z-index: 5;
-            transform: skewY(${Math.random() * 10 - 5}deg);
+            transform: skewY(${random() * 10 - 5}deg);
             mix-blend-mode: multiply;
         `;
         document.body.appendChild(wave);
 
         gsap.to(wave, {
             x: window.innerWidth * 2,
-            duration: Math.random() * 2 + 1,
+            duration: random() * 2 + 1,
             ease: 'power2.inOut',
             onComplete: () => wave.remove()
         });
@@ -117,33 +128,33 @@ class RandomAnimations {
         document.body.appendChild(pulse);
 
         // Use same value for width and height to keep it circular
-        const targetSize = Math.random() * 500 + 300;
+        const targetSize = random() * 500 + 300;
         gsap.to(pulse, {
             width: targetSize,
             height: targetSize,
             opacity: 0,
             borderWidth: 0,
-            duration: Math.random() + 0.5,
+            duration: random() + 0.5,
             ease: 'power2.out',
             onComplete: () => pulse.remove()
         });
     }
 
     digitalRain() {
-        const drops = Math.floor(Math.random() * 10 + 5);
+        const drops = Math.floor(random() * 10 + 5);
 
         for (let i = 0; i < drops; i++) {
             const drop = document.createElement('div');
-            const char = String.fromCharCode(33 + Math.floor(Math.random() * 94));
+            const char = String.fromCharCode(33 + Math.floor(random() * 94));
 
-            drop.textContent = char.repeat(Math.floor(Math.random() * 20 + 10));
+            drop.textContent = char.repeat(Math.floor(random() * 20 + 10));
             drop.style.cssText = `
                 position: fixed;
-                left: ${Math.random() * window.innerWidth}px;
+                left: ${random() * window.innerWidth}px;
                 top: -100px;
-                color: rgba(147, 51, 234, ${Math.random() * 0.3 + 0.1});
+                color: rgba(147, 51, 234, ${random() * 0.3 + 0.1});
                 font-family: monospace;
-                font-size: ${Math.random() * 10 + 8}px;
+                font-size: ${random() * 10 + 8}px;
                 writing-mode: vertical-rl;
                 pointer-events: none;
                 z-index: 4;
@@ -153,7 +164,7 @@ class RandomAnimations {
 
             gsap.to(drop, {
                 y: window.innerHeight + 200,
-                duration: Math.random() * 3 + 2,
+                duration: random() * 3 + 2,
                 ease: 'none',
                 delay: i * 0.1,
                 onComplete: () => drop.remove()
@@ -162,12 +173,12 @@ class RandomAnimations {
     }
 
     geometricPatterns() {
-        const shapes = Math.floor(Math.random() * 5 + 3);
+        const shapes = Math.floor(random() * 5 + 3);
 
         for (let i = 0; i < shapes; i++) {
             const shape = document.createElement('div');
-            const size = Math.random() * 100 + 20;
-            const isTriangle = Math.random() > 0.5;
+            const size = random() * 100 + 20;
+            const isTriangle = random() > 0.5;
 
             if (isTriangle) {
                 shape.style.cssText = `
@@ -192,15 +203,15 @@ class RandomAnimations {
                 `;
             }
 
-            shape.style.left = Math.random() * window.innerWidth + 'px';
-            shape.style.top = Math.random() * window.innerHeight + 'px';
+            shape.style.left = random() * window.innerWidth + 'px';
+            shape.style.top = random() * window.innerHeight + 'px';
             document.body.appendChild(shape);
 
             gsap.to(shape, {
-                rotation: Math.random() * 720 - 360,
+                rotation: random() * 720 - 360,
                 scale: 0,
                 opacity: 0,
-                duration: Math.random() * 2 + 1,
+                duration: random() * 2 + 1,
                 delay: i * 0.1,
                 ease: 'power2.in',
                 onComplete: () => shape.remove()
@@ -210,7 +221,7 @@ class RandomAnimations {
 
     colorWave() {
         const overlay = document.createElement('div');
-        const hue = Math.random() * 360;
+        const hue = random() * 360;
 
         overlay.style.cssText = `
             position: fixed;
@@ -218,7 +229,7 @@ class RandomAnimations {
             left: 0;
             width: 100%;
             height: 100%;
-            background: linear-gradient(${Math.random() * 360}deg,
+            background: linear-gradient(${random() * 360}deg,
                 transparent,
                 hsla(${hue}, 100%, 50%, 0.05),
                 transparent);
@@ -247,8 +258,8 @@ class RandomAnimations {
 
     matrixCascade() {
         const cascade = document.createElement('div');
-        const width = Math.random() * 100 + 50;
-        const x = Math.random() * window.innerWidth;
+        const width = random() * 100 + 50;
+        const x = random() * window.innerWidth;
 
         cascade.style.cssText = `
             position: fixed;
@@ -274,7 +285,7 @@ class RandomAnimations {
 
         gsap.to(cascade, {
             y: window.innerHeight,
-            duration: Math.random() * 2 + 1,
+            duration: random() * 2 + 1,
             ease: 'none',
             onComplete: () => cascade.remove()
         });
@@ -293,23 +304,23 @@ class RandomAnimations {
         `;
 
         const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-        const startX = Math.random() * window.innerWidth;
-        const startY = Math.random() * window.innerHeight;
-        const endX = Math.random() * window.innerWidth;
-        const endY = Math.random() * window.innerHeight;
+        const startX = random() * window.innerWidth;
+        const startY = random() * window.innerHeight;
+        const endX = random() * window.innerWidth;
+        const endY = random() * window.innerHeight;
 
         // Create jagged path
         let d = `M ${startX} ${startY}`;
         const segments = 10;
         for (let i = 1; i <= segments; i++) {
             const t = i / segments;
-            const x = startX + (endX - startX) * t + (Math.random() - 0.5) * 50;
-            const y = startY + (endY - startY) * t + (Math.random() - 0.5) * 50;
+            const x = startX + (endX - startX) * t + (random() - 0.5) * 50;
+            const y = startY + (endY - startY) * t + (random() - 0.5) * 50;
             d += ` L ${x} ${y}`;
         }
 
         path.setAttribute('d', d);
-        path.setAttribute('stroke', Math.random() > 0.5 ? '#00ffff' : '#ff00ff');
+        path.setAttribute('stroke', random() > 0.5 ? '#00ffff' : '#ff00ff');
         path.setAttribute('stroke-width', '2');
         path.setAttribute('fill', 'none');
         path.setAttribute('filter', 'url(#glow)');
@@ -369,10 +380,10 @@ class RandomAnimations {
         document.body.appendChild(warp);
 
         gsap.to(warp, {
-            scale: Math.random() * 5 + 3,
-            rotation: Math.random() * 360,
+            scale: random() * 5 + 3,
+            rotation: random() * 360,
             opacity: 0,
-            duration: Math.random() * 2 + 1,
+            duration: random() * 2 + 1,
             ease: 'power2.out',
             onComplete: () => warp.remove()
         });
@@ -380,7 +391,7 @@ class RandomAnimations {
 
     cyberGlitch() {
         // Only 10% chance of executing this effect
-        if (Math.random() > 0.1) return;
+        if (random() > 0.1) return;
 
         // Create subtle glitch effects without visible boxes
         const glitchOverlay = document.createElement('div');
@@ -421,7 +432,7 @@ class RandomAnimations {
         document.body.appendChild(shift);
 
         gsap.to(shift, {
-            backdropFilter: `hue-rotate(${Math.random() * 180}deg)`,
+            backdropFilter: `hue-rotate(${random() * 180}deg)`,
             duration: 0.5,
             yoyo: true,
             repeat: 1,
@@ -436,8 +447,8 @@ class RandomAnimations {
         plasma.height = 200;
         plasma.style.cssText = `
             position: fixed;
-            left: ${Math.random() * (window.innerWidth - 200)}px;
-            top: ${Math.random() * (window.innerHeight - 200)}px;
+            left: ${random() * (window.innerWidth - 200)}px;
+            top: ${random() * (window.innerHeight - 200)}px;
             pointer-events: none;
             z-index: 5;
             opacity: 0.15;
@@ -462,7 +473,7 @@ class RandomAnimations {
         gsap.to(plasma, {
             scale: 2,
             opacity: 0,
-            rotation: Math.random() * 360,
+            rotation: random() * 360,
             duration: 2,
             ease: 'power2.out',
             onComplete: () => plasma.remove()
@@ -471,13 +482,13 @@ class RandomAnimations {
 
     circuitTrace() {
         const trace = document.createElement('div');
-        const isHorizontal = Math.random() > 0.5;
+        const isHorizontal = random() > 0.5;
 
         if (isHorizontal) {
             trace.style.cssText = `
                 position: fixed;
                 left: -10px;
-                top: ${Math.random() * window.innerHeight}px;
+                top: ${random() * window.innerHeight}px;
                 width: 10px;
                 height: 2px;
                 background: linear-gradient(90deg, transparent, #00ff85, transparent);
@@ -488,14 +499,14 @@ class RandomAnimations {
 
             gsap.to(trace, {
                 x: window.innerWidth + 20,
-                duration: Math.random() + 0.5,
+                duration: random() + 0.5,
                 ease: 'none',
                 onComplete: () => trace.remove()
             });
         } else {
             trace.style.cssText = `
                 position: fixed;
-                left: ${Math.random() * window.innerWidth}px;
+                left: ${random() * window.innerWidth}px;
                 top: -10px;
                 width: 2px;
                 height: 10px;
@@ -507,7 +518,7 @@ class RandomAnimations {
 
             gsap.to(trace, {
                 y: window.innerHeight + 20,
-                duration: Math.random() + 0.5,
+                duration: random() + 0.5,
                 ease: 'none',
                 onComplete: () => trace.remove()
             });
@@ -517,21 +528,21 @@ class RandomAnimations {
     }
 
     dataFragmentation() {
-        const fragments = Math.floor(Math.random() * 15 + 10);
-        const centerX = Math.random() * window.innerWidth;
-        const centerY = Math.random() * window.innerHeight;
+        const fragments = Math.floor(random() * 15 + 10);
+        const centerX = random() * window.innerWidth;
+        const centerY = random() * window.innerHeight;
 
         for (let i = 0; i < fragments; i++) {
             const fragment = document.createElement('div');
-            const size = Math.random() * 30 + 10;
+            const size = random() * 30 + 10;
 
             fragment.style.cssText = `
                 position: fixed;
                 left: ${centerX}px;
                 top: ${centerY}px;
                 width: ${size}px;
-                height: ${Math.random() * 5 + 1}px;
-                background: ${Math.random() > 0.5 ? 'rgba(0,255,133,0.5)' : 'rgba(255,0,255,0.5)'};
+                height: ${random() * 5 + 1}px;
+                background: ${random() > 0.5 ? 'rgba(0,255,133,0.5)' : 'rgba(255,0,255,0.5)'};
                 pointer-events: none;
                 z-index: 7;
                 transform-origin: center;
@@ -539,14 +550,14 @@ class RandomAnimations {
             document.body.appendChild(fragment);
 
             const angle = (i / fragments) * Math.PI * 2;
-            const distance = Math.random() * 200 + 50;
+            const distance = random() * 200 + 50;
 
             gsap.to(fragment, {
                 x: Math.cos(angle) * distance,
                 y: Math.sin(angle) * distance,
-                rotation: Math.random() * 720 - 360,
+                rotation: random() * 720 - 360,
                 opacity: 0,
-                duration: Math.random() + 0.5,
+                duration: random() + 0.5,
                 ease: 'power2.out',
                 onComplete: () => fragment.remove()
             });
@@ -565,15 +576,15 @@ class RandomAnimations {
             if (!this.isRunning) return;
 
             const particle = document.createElement('div');
-            const size = Math.random() * 3 + 1;
+            const size = random() * 3 + 1;
 
             particle.style.cssText = `
                 position: fixed;
                 width: ${size}px;
                 height: ${size}px;
-                background: rgba(0,255,133,${Math.random() * 0.5 + 0.2});
+                background: rgba(0,255,133,${random() * 0.5 + 0.2});
                 border-radius: 50%;
-                left: ${Math.random() * window.innerWidth}px;
+                left: ${random() * window.innerWidth}px;
                 top: ${window.innerHeight + 10}px;
                 pointer-events: none;
                 z-index: 1;
@@ -583,17 +594,17 @@ class RandomAnimations {
 
             gsap.to(particle, {
                 y: -(window.innerHeight + 20),
-                x: Math.random() * 100 - 50,
-                duration: Math.random() * 10 + 10,
+                x: random() * 100 - 50,
+                duration: random() * 10 + 10,
                 ease: 'none',
                 onComplete: () => particle.remove()
             });
         };
 
         // Create particles periodically
-        setInterval(() => {
-            if (Math.random() > 0.5) createParticle();
-        }, 1000);
+        this._loop('particles', () => {
+            if (random() > 0.5) createParticle();
+        }, 1000, 'interval');
     }
 
     addEnergyPulses() {
@@ -601,7 +612,7 @@ class RandomAnimations {
             if (!this.isRunning) return;
 
             const bg = document.querySelector('.bg');
-            if (bg && Math.random() > 0.7) {
+            if (bg && random() > 0.7) {
                 gsap.to(bg, {
                     filter: 'brightness(1.03) saturate(1.05)',  // REDUCED from 1.3/1.5 to prevent bright flashes
                     duration: 0.3,
@@ -611,22 +622,22 @@ class RandomAnimations {
                 });
             }
 
-            setTimeout(pulse, Math.random() * 10000 + 5000);
+            this._loop('pulse', pulse, random() * 10000 + 5000);
         };
 
-        setTimeout(pulse, 3000);
+        this._loop('pulse', pulse, 3000);
     }
 
     addSubtleDistortions() {
         const distort = () => {
             if (!this.isRunning) return;
 
-            if (Math.random() > 0.8) {
+            if (random() > 0.8) {
                 const elements = document.querySelectorAll('.logo-text-wrapper, .image-wrapper');
                 elements.forEach(el => {
                     gsap.to(el, {
-                        scaleX: 1 + (Math.random() * 0.02 - 0.01),
-                        scaleY: 1 + (Math.random() * 0.02 - 0.01),
+                        scaleX: 1 + (random() * 0.02 - 0.01),
+                        scaleY: 1 + (random() * 0.02 - 0.01),
                         duration: 0.1,
                         yoyo: true,
                         repeat: 1,
@@ -635,10 +646,10 @@ class RandomAnimations {
                 });
             }
 
-            setTimeout(distort, Math.random() * 8000 + 4000);
+            this._loop('distort', distort, random() * 8000 + 4000);
         };
 
-        setTimeout(distort, 5000);
+        this._loop('distort', distort, 5000);
     }
 
     // New warp tunnel effect
@@ -674,8 +685,8 @@ class RandomAnimations {
 
     // Ripple pulse effect
     ripplePulse() {
-        const x = Math.random() * window.innerWidth;
-        const y = Math.random() * window.innerHeight;
+        const x = random() * window.innerWidth;
+        const y = random() * window.innerHeight;
 
         for (let i = 0; i < 3; i++) {
             const ripple = document.createElement('div');
@@ -708,13 +719,13 @@ class RandomAnimations {
     // Digital corruption effect
     digitalCorruption() {
         const corruption = document.createElement('div');
-        const lines = Math.floor(Math.random() * 5 + 3);
+        const lines = Math.floor(random() * 5 + 3);
         let content = '';
 
         for (let i = 0; i < lines; i++) {
-            const width = Math.random() * 100;
-            const left = Math.random() * 100;
-            const color = ['#00ffff', '#ff00ff', '#ffff00'][Math.floor(Math.random() * 3)];
+            const width = random() * 100;
+            const left = random() * 100;
+            const color = ['#00ffff', '#ff00ff', '#ffff00'][Math.floor(random() * 3)];
             content += `<div style="
                 position: absolute;
                 top: ${i * 20}%;
@@ -729,10 +740,10 @@ class RandomAnimations {
         corruption.innerHTML = content;
         corruption.style.cssText = `
             position: fixed;
-            top: ${Math.random() * 80}%;
+            top: ${random() * 80}%;
             left: 0;
             width: 100%;
-            height: ${Math.random() * 100 + 50}px;
+            height: ${random() * 100 + 50}px;
             pointer-events: none;
             z-index: 6;
             filter: blur(1px);
@@ -810,11 +821,11 @@ class RandomAnimations {
 
         for (let i = 0; i < 10; i++) {
             const line = document.createElement('div');
-            const height = Math.random() * 3 + 1;
+            const height = random() * 3 + 1;
             line.style.cssText = `
                 position: absolute;
                 left: 0;
-                top: ${Math.random() * 100}%;
+                top: ${random() * 100}%;
                 width: 100%;
                 height: ${height}px;
                 background: linear-gradient(90deg,
@@ -827,18 +838,20 @@ class RandomAnimations {
 
             gsap.to(line, {
                 x: '200%',
-                duration: Math.random() * 0.5 + 0.2,
+                duration: random() * 0.5 + 0.2,
                 delay: i * 0.05,
                 ease: 'none'
             });
         }
 
         document.body.appendChild(container);
-        setTimeout(() => container.remove(), 1000);
+        scheduler.timeout(() => container.remove(), 1000, { name: 'random-cleanup', category: 'ambient' });
     }
 
     destroy() {
         this.isRunning = false;
+        Object.values(this.timers).forEach((timer) => timer.cancel());
+        this.timers = {};
         this.activeAnimations.clear();
     }
 }
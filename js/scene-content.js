@@ -0,0 +1,360 @@
+// Scene Content - the 3D content each scene brings to ChaosEngine
+// A scene declares a particle layout, a colour palette, its geometry set and a
+// camera path; ChaosEngine.setSceneContent() morphs from the current scene to it.
+//
+//   galaxy: {
+//     layout: 'galaxy',                                  // PARTICLE_LAYOUTS key
+//     palette: [0x8a2be2, 0x4169e1, 0xffffff],           // particles + meshes
+//     lights: [0x8000ff, ...],                           // optional, defaults to palette
+//     geometry: [{ type: 'torus', args: [10, 0.4, 8, 64], position: [0, 0, 0] }],
+//     spacing: 15,                                       // row spacing for unpositioned shapes
+//     camera: { distance, height, swayX, swayY, speed }  // orbit around the origin
+//   }
+//
+// Unknown scenes (e.g. 'auto') fall back to the default content.
+
+export const DEFAULT_SCENE = 'default';
+
+const DEFAULT_CAMERA = { distance: 30, height: 0, swayX: 5, swayY: 3, speed: 0.1 };
+
+// Particle layouts: (t 0..1 along the particle list, random) -> [x, y, z]
+// Particles are drawn as a prefix of the list when the count drops, so a
+// layout should spread any prefix over the whole shape (use random, not t).
+export const PARTICLE_LAYOUTS = {
+    cube(t, random) {
+        return [(random() - 0.5) * 100, (random() - 0.5) * 100, (random() - 0.5) * 100];
+    },
+
+    sphere(t, random) {
+        const theta = random() * Math.PI * 2;
+        const phi = Math.acos(2 * random() - 1);
+        const radius = 32 + (random() - 0.5) * 6;
+        return [
+            radius * Math.sin(phi) * Math.cos(theta),
+            radius * Math.cos(phi),
+            radius * Math.sin(phi) * Math.sin(theta)
+        ];
+    },
+
+    // Three spiral arms, denser towards the core
+    galaxy(t, random) {
+        const arm = Math.floor(random() * 3);
+        const radius = Math.pow(random(), 0.6) * 48;
+        const angle = arm * (Math.PI * 2 / 3) + radius * 0.12 + (random() - 0.5) * 0.5;
+        const thickness = 3 * (1 - radius / 60);
+        return [Math.cos(angle) * radius, (random() - 0.5) * thickness * 2, Math.sin(angle) * radius];
+    },
+
+    // Rolling sea surface below the camera
+    waves(t, random) {
+        const x = (random() - 0.5) * 130;
+        const z = (random() - 0.5) * 90;
+        return [x, Math.sin(x * 0.15) * 3 + Math.cos(z * 0.1) * 3 - 12, z];
+    },
+
+    // Retro floor grid: points snapped onto grid lines
+    grid(t, random) {
+        const cell = 8;
+        let x = (random() - 0.5) * 128;
+        let z = (random() - 0.5) * 96;
+        if (random() < 0.5) {
+            x = Math.round(x / cell) * cell;
+        } else {
+            z = Math.round(z / cell) * cell;
+        }
+        return [x, -14, z];
+    },
+
+    // Falling code columns
+    rain(t, random) {
+        return [
+            Math.round((random() - 0.5) * 30) * 4,
+            (random() - 0.5) * 100,
+            Math.round((random() - 0.5) * 15) * 4
+        ];
+    },
+
+    // Flame cone, wide at the base
+    column(t, random) {
+        const h = random();
+        const radius = (1 - h) * 16 * Math.sqrt(random());
+        const angle = random() * Math.PI * 2;
+        return [Math.cos(angle) * radius, h * 60 - 28, Math.sin(angle) * radius];
+    },
+
+    // Tilted ring (torus shell)
+    ring(t, random) {
+        const angle = random() * Math.PI * 2;
+        const tube = random() * Math.PI * 2;
+        const minor = 3 * Math.sqrt(random());
+        const radius = 28 + Math.cos(tube) * minor;
+        const y = Math.sin(tube) * minor;
+        return [Math.cos(angle) * radius, y + Math.sin(angle) * radius * 0.3, Math.sin(angle) * radius];
+    },
+
+    // Cylinder running away from the camera
+    tunnel(t, random) {
+        const angle = random() * Math.PI * 2;
+        const radius = 24 + (random() - 0.5) * 4;
+        return [Math.cos(angle) * radius, Math.sin(angle) * radius, random() * 120 - 90];
+    },
+
+    // Hanging light curtains
+    curtain(t, random) {
+        const x = (random() - 0.5) * 120;
+        return [x, random() * 30 + 2 + Math.sin(x * 0.1) * 6, Math.sin(x * 0.05) * 15 - 10];
+    },
+
+    // Loose clusters (canopy)
+    cluster(t, random) {
+        const index = Math.floor(random() * 9);
+        const cx = Math.cos(index * 2.4) * (12 + index * 4);
+        const cz = Math.sin(index * 2.4) * (12 + index * 4) - 10;
+        const spread = 5 + random() * 4;
+        return [cx + (random() - 0.5) * spread * 2, (random() - 0.5) * 30, cz + (random() - 0.5) * spread * 2];
+    },
+
+    // Crystal lattice points
+    lattice(t, random) {
+        const step = 6;
+        return [
+            Math.round((random() - 0.5) * 14) * step,
+            Math.round((random() - 0.5) * 10) * step,
+            Math.round((random() - 0.5) * 10) * step
+        ].map((v) => v + (random() - 0.5) * 0.6);
+    },
+
+    // Setting sun disc over a horizon line
+    sun(t, random) {
+        if (random() < 0.55) {
+            const angle = random() * Math.PI;
+            const radius = 24 * Math.sqrt(random());
+            return [Math.cos(angle) * radius, Math.sin(angle) * radius - 6, -40];
+        }
+        return [(random() - 0.5) * 140, -6 + (random() - 0.5) * 1.5, (random() - 0.5) * 70 - 20];
+    },
+
+    // Flat disc for sparse scenes
+    disc(t, random) {
+        const angle = random() * Math.PI * 2;
+        const radius = Math.sqrt(random()) * 45;
+        return [Math.cos(angle) * radius, (random() - 0.5) * 2, Math.sin(angle) * radius];
+    }
+};
+
+export const SCENE_CONTENT = {
+    default: {
+        layout: 'cube',
+        palette: [0x00ffff, 0xff00ff, 0xffff00],
+        lights: [0xff0080, 0x00ff80, 0x80ff00, 0x8000ff],
+        geometry: [
+            { type: 'icosahedron', args: [8, 1] },
+            { type: 'torusKnot', args: [6, 2, 100, 16] },
+            { type: 'octahedron', args: [7, 0] },
+            { type: 'tetrahedron', args: [8, 2] }
+        ],
+        camera: DEFAULT_CAMERA
+    },
+    intense: {
+        layout: 'tunnel',
+        palette: [0xff0040, 0xff8000, 0xffffff],
+        geometry: [
+            { type: 'torusKnot', args: [7, 1.5, 120, 16], position: [0, 0, -10] },
+            { type: 'icosahedron', args: [5, 0], position: [-16, 6, -20] },
+            { type: 'icosahedron', args: [5, 0], position: [16, -6, -20] }
+        ],
+        camera: { distance: 26, height: 0, swayX: 3, swayY: 3, speed: 0.3 }
+    },
+    calm: {
+        layout: 'sphere',
+        palette: [0x80c0ff, 0xc0a0ff, 0xffffff],
+        geometry: [{ type: 'sphere', args: [9, 24, 16] }],
+        camera: { distance: 40, height: 4, swayX: 8, swayY: 2, speed: 0.05 }
+    },
+    glitch: {
+        layout: 'cube',
+        palette: [0xff0000, 0x00ff00, 0x0000ff, 0xffffff],
+        geometry: [
+            { type: 'box', args: [10, 10, 10, 2, 2, 2] },
+            { type: 'box', args: [4, 14, 4] },
+            { type: 'octahedron', args: [7, 0] },
+            { type: 'box', args: [14, 4, 4] }
+        ],
+        spacing: 14,
+        camera: { distance: 30, height: 0, swayX: 7, swayY: 5, speed: 0.4 }
+    },
+    techno: {
+        layout: 'tunnel',
+        palette: [0x00ffff, 0xff00ff, 0x0080ff],
+        geometry: [
+            { type: 'torus', args: [12, 0.5, 8, 48], position: [0, 0, -5] },
+            { type: 'torus', args: [16, 0.5, 8, 48], position: [0, 0, -25] },
+            { type: 'octahedron', args: [5, 0], position: [0, 0, -15] }
+        ],
+        camera: { distance: 28, height: 0, swayX: 2, swayY: 2, speed: 0.2 }
+    },
+    matrix: {
+        layout: 'rain',
+        palette: [0x00ff41, 0x008f11, 0xb0ffb0],
+        lights: [0x00ff41, 0x003b00, 0x00ff41, 0x008f11],
+        geometry: [
+            { type: 'box', args: [6, 6, 6, 3, 3, 3] },
+            { type: 'box', args: [6, 6, 6, 3, 3, 3] },
+            { type: 'box', args: [6, 6, 6, 3, 3, 3] }
+        ],
+        spacing: 18,
+        camera: { distance: 34, height: 6, swayX: 4, swayY: 1, speed: 0.08 }
+    },
+    minimal: {
+        layout: 'disc',
+        palette: [0xffffff, 0xa0a0a0],
+        lights: [0xffffff, 0x808080, 0xffffff, 0x808080],
+        geometry: [{ type: 'octahedron', args: [6, 0] }],
+        camera: { distance: 42, height: 14, swayX: 3, swayY: 1, speed: 0.04 }
+    },
+    chaotic: {
+        layout: 'cube',
+        palette: [0xff00ff, 0x00ffff, 0xffff00, 0xff0000, 0x00ff00],
+        geometry: [
+            { type: 'torusKnot', args: [5, 1.5, 100, 16, 3, 5] },
+            { type: 'icosahedron', args: [7, 1] },
+            { type: 'tetrahedron', args: [8, 1] },
+            { type: 'dodecahedron', args: [6, 0] },
+            { type: 'torusKnot', args: [5, 1, 80, 12, 2, 7] }
+        ],
+        spacing: 12,
+        camera: { distance: 28, height: 0, swayX: 10, swayY: 6, speed: 0.35 }
+    },
+    retro: {
+        layout: 'grid',
+        palette: [0xff00ff, 0x00ffff, 0xff6ec7],
+        geometry: [
+            { type: 'sphere', args: [10, 24, 12], position: [0, 8, -40] },
+            { type: 'tetrahedron', args: [5, 0], position: [-22, -6, -10] },
+            { type: 'tetrahedron', args: [5, 0], position: [22, -6, -10] }
+        ],
+        camera: { distance: 34, height: 2, swayX: 4, swayY: 1, speed: 0.1 }
+    },
+    vaporwave: {
+        layout: 'grid',
+        palette: [0xff71ce, 0x01cdfe, 0x05ffa1, 0xb967ff],
+        geometry: [
+            { type: 'dodecahedron', args: [7, 0], position: [-14, 4, -12] },
+            { type: 'torus', args: [8, 2, 12, 32], position: [14, 4, -12] },
+            { type: 'sphere', args: [12, 24, 12], position: [0, 10, -45] }
+        ],
+        camera: { distance: 32, height: 3, swayX: 6, swayY: 2, speed: 0.06 }
+    },
+    cyberpunk: {
+        layout: 'ring',
+        palette: [0xfcee0a, 0x00f0ff, 0xff003c],
+        geometry: [
+            { type: 'box', args: [4, 22, 4, 1, 4, 1], position: [-18, 0, -8] },
+            { type: 'box', args: [4, 30, 4, 1, 6, 1], position: [-8, 0, -20] },
+            { type: 'box', args: [4, 26, 4, 1, 5, 1], position: [10, 0, -16] },
+            { type: 'box', args: [4, 18, 4, 1, 3, 1], position: [20, 0, -6] }
+        ],
+        camera: { distance: 36, height: 6, swayX: 8, swayY: 2, speed: 0.12 }
+    },
+    neon: {
+        layout: 'ring',
+        palette: [0xff00ff, 0x00ffff, 0x39ff14],
+        geometry: [
+            { type: 'torus', args: [10, 0.6, 8, 64] },
+            { type: 'torusKnot', args: [6, 0.8, 120, 8, 2, 3] },
+            { type: 'torus', args: [7, 0.6, 8, 64] }
+        ],
+        spacing: 20,
+        camera: { distance: 34, height: 0, swayX: 6, swayY: 4, speed: 0.15 }
+    },
+    aurora: {
+        layout: 'curtain',
+        palette: [0x00ff9f, 0x00b8ff, 0x9d00ff],
+        geometry: [{ type: 'sphere', args: [6, 16, 12], position: [0, -18, -20] }],
+        camera: { distance: 36, height: -6, swayX: 6, swayY: 2, speed: 0.05 }
+    },
+    sunset: {
+        layout: 'sun',
+        palette: [0xff5e62, 0xff9966, 0xffd166, 0xc33764],
+        geometry: [
+            { type: 'cone', args: [8, 14, 4], position: [-24, -6, -25] },
+            { type: 'cone', args: [10, 18, 4], position: [24, -6, -30] }
+        ],
+        camera: { distance: 34, height: 2, swayX: 3, swayY: 1, speed: 0.04 }
+    },
+    ocean: {
+        layout: 'waves',
+        palette: [0x006994, 0x00b4d8, 0x90e0ef, 0xcaf0f8],
+        geometry: [
+            { type: 'torus', args: [9, 1.2, 12, 48], position: [-12, 0, -15] },
+            { type: 'sphere', args: [5, 20, 12], position: [14, 4, -10] }
+        ],
+        camera: { distance: 32, height: 8, swayX: 6, swayY: 2, speed: 0.06 }
+    },
+    forest: {
+        layout: 'cluster',
+        palette: [0x2d6a4f, 0x52b788, 0x95d5b2, 0xd8f3dc],
+        geometry: [
+            { type: 'cone', args: [5, 16, 6], position: [-18, -4, -12] },
+            { type: 'cone', args: [6, 20, 6], position: [0, -2, -22] },
+            { type: 'cone', args: [5, 14, 6], position: [18, -5, -10] }
+        ],
+        camera: { distance: 34, height: 2, swayX: 5, swayY: 2, speed: 0.05 }
+    },
+    fire: {
+        layout: 'column',
+        palette: [0xff2400, 0xff7f00, 0xffd700, 0xffffff],
+        lights: [0xff2400, 0xff7f00, 0xff4500, 0xffd700],
+        geometry: [
+            { type: 'tetrahedron', args: [6, 0], position: [-16, -8, -5] },
+            { type: 'octahedron', args: [5, 0], position: [0, 12, -10] },
+            { type: 'tetrahedron', args: [6, 0], position: [16, -8, -5] }
+        ],
+        camera: { distance: 34, height: 4, swayX: 4, swayY: 3, speed: 0.12 }
+    },
+    ice: {
+        layout: 'lattice',
+        palette: [0xe0ffff, 0xa5f2f3, 0x74ccf4, 0xffffff],
+        geometry: [
+            { type: 'octahedron', args: [7, 0] },
+            { type: 'icosahedron', args: [6, 0] },
+            { type: 'octahedron', args: [5, 0] }
+        ],
+        spacing: 16,
+        camera: { distance: 36, height: 3, swayX: 5, swayY: 3, speed: 0.05 }
+    },
+    galaxy: {
+        layout: 'galaxy',
+        palette: [0x8a2be2, 0x4169e1, 0xff69b4, 0xffffff],
+        lights: [0x8000ff, 0x4169e1, 0xff00ff, 0x00bfff],
+        geometry: [
+            { type: 'sphere', args: [4, 24, 16], position: [0, 0, 0] },
+            { type: 'torus', args: [9, 0.3, 8, 64], position: [0, 0, 0] }
+        ],
+        camera: { distance: 48, height: 22, swayX: 10, swayY: 4, speed: 0.07 }
+    }
+};
+
+export function getSceneContent(scene) {
+    return SCENE_CONTENT[scene] || SCENE_CONTENT[DEFAULT_SCENE];
+}
+
+/**
+ * Particle positions and colours for a scene
+ * @returns {{ positions: Float32Array, colors: Float32Array }}
+ */
+export function buildParticles(scene, count, random) {
+    const content = getSceneContent(scene);
+    const layout = PARTICLE_LAYOUTS[content.layout] || PARTICLE_LAYOUTS.cube;
+    const palette = content.palette.map((hex) => [((hex >> 16) & 255) / 255, ((hex >> 8) & 255) / 255, (hex & 255) / 255]);
+    const positions = new Float32Array(count * 3);
+    const colors = new Float32Array(count * 3);
+
+    for (let p = 0; p < count; p++) {
+        const [x, y, z] = layout(p / count, random);
+        const [r, g, b] = palette[Math.floor(random() * palette.length)];
+        positions.set([x, y, z], p * 3);
+        colors.set([r, g, b], p * 3);
+    }
+    return { positions, colors };
+}
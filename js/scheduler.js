@@ -0,0 +1,262 @@
+// Scheduler - one frame-aligned owner for the display's timers
+// Timeouts, intervals and per-frame callbacks are advanced from a single
+// requestAnimationFrame loop, so callbacks land on frame boundaries and the
+// whole show can be inspected, paused, scaled or cancelled in one place.
+//
+//   scheduler.timeout(fn, 8000, { name: 'sunset-reset', category: 'phase' });
+//   const watchdog = scheduler.interval(fn, 30000, { name: 'watchdog', category: 'system', scaled: false });
+//   scheduler.frame((deltaMs) => { ... }, { name: 'static-noise', category: 'effect' });
+//   watchdog.cancel();  scheduler.cancelCategory('effect');  scheduler.cancelAll({ except: ['system'] });
+//   scheduler.inspect();                              // console.table of everything scheduled
+//
+// Scaled timers (the default) run on show time: TimingController.setGlobalSpeed()
+// sets the time scale, so at 2x a 10 s phase waits 5 s. Hiding the page pauses
+// every timer except background ones (message polling), which keep running on a
+// coarse setTimeout tick while hidden.
+// Only the transport (vj-transport.js, vj-protocol.js), the frame-rate watchdogs that
+// must notice a stalled loop, and output-capture.js (which swaps the clock this loop
+// runs on) keep native timers.
+// Categories in use: phase, effect, intro, timing, performance, system (watchdogs,
+// transport), ambient (permanent background loops, and the resets and DOM cleanup
+// that end an effect, so an emergency stop never leaves one half-applied), general
+
+const MAX_FRAME_MS = 1000;   // a longer gap is a stall; don't fire a backlog of intervals
+const HIDDEN_TICK_MS = 250;  // background timers while the page is hidden (no rAF)
+
+class Scheduler {
+    constructor() {
+        this.timeScale = 1;
+        this.paused = false;
+
+        this._timers = new Map(); // id -> entry
+        this._nextId = 1;
+        this._lastFrame = 0;
+        this._running = false;
+        this._loop = 0; // bumped to retire a pending rAF/setTimeout tick
+
+        if (typeof document !== 'undefined') {
+            document.addEventListener('visibilitychange', () => {
+                if (document.hidden) {
+                    this.pause();
+                } else {
+                    this.resume();
+                }
+                // rAF doesn't fire while hidden: switch tick drivers
+                if (this._running) {
+                    this._loop++;
+                    this._schedule();
+                }
+            });
+        }
+    }
+
+    get size() {
+        return this._timers.size;
+    }
+
+    /**
+     * Run once after delay ms
+     * @param {Object} options - { name, category, scaled = true, background = false }
+     * @returns {Object} handle { id, name, cancel, pause, resume, isActive }
+     */
+    timeout(callback, delay = 0, options = {}) {
+        return this._add('timeout', callback, delay, options);
+    }
+
+    /**
+     * Run every delay ms. A late frame runs the callback once, not a backlog.
+     */
+    interval(callback, delay, options = {}) {
+        return this._add('interval', callback, Math.max(1, Number(delay) || 0), options);
+    }
+
+    /**
+     * Run every frame with (deltaMs, now); deltaMs is scaled unless scaled: false
+     */
+    frame(callback, options = {}) {
+        return this._add('frame', callback, 0, options);
+    }
+
+    cancel(target) {
+        const id = typeof target === 'object' && target ? target.id : target;
+        return this._timers.delete(id);
+    }
+
+    has(id) {
+        return this._timers.has(id);
+    }
+
+    /**
+     * Cancel every timer in a category
+     * @returns {number} timers cancelled
+     */
+    cancelCategory(category) {
+        let count = 0;
+        this._timers.forEach((entry, id) => {
+            if (entry.category !== category) return;
+            this._timers.delete(id);
+            count++;
+        });
+        return count;
+    }
+
+    /**
+     * Cancel everything (emergency stop); categories in except survive
+     */
+    cancelAll({ except = [] } = {}) {
+        let count = 0;
+        this._timers.forEach((entry, id) => {
+            if (except.includes(entry.category)) return;
+            this._timers.delete(id);
+            count++;
+        });
+        if (count) console.log(`🛑 Scheduler: cancelled ${count} timers`);
+        return count;
+    }
+
+    pause() {
+        this.paused = true;
+    }
+
+    resume() {
+        if (!this.paused) return;
+        this.paused = false;
+        this._lastFrame = this._now();
+    }
+
+    setTimeScale(scale) {
+        const num = Number(scale);
+        this.timeScale = Number.isFinite(num) && num > 0 ? num : 1;
+    }
+
+    /**
+     * Inspector rows: what is scheduled and when it fires next (ms)
+     */
+    list({ category } = {}) {
+        return [...this._timers.values()]
+            .filter((entry) => !category || entry.category === category)
+            .map((entry) => ({
+                id: entry.id,
+                name: entry.name,
+                category: entry.category,
+                type: entry.type,
+                delay: entry.delay,
+                remaining: entry.type === 'frame' ? 0 : Math.max(0, Math.round(entry.remaining)),
+                scaled: entry.scaled,
+                background: entry.background,
+                runs: entry.runs,
+                paused: entry.paused
+            }));
+    }
+
+    getStats() {
+        const byCategory = {};
+        const byType = { timeout: 0, interval: 0, frame: 0 };
+        this._timers.forEach((entry) => {
+            byCategory[entry.category] = (byCategory[entry.category] || 0) + 1;
+            byType[entry.type]++;
+        });
+        return { total: this._timers.size, byCategory, byType, timeScale: this.timeScale, paused: this.paused };
+    }
+
+    inspect() {
+        const rows = this.list();
+        console.log(`📋 Scheduler: ${rows.length} timers (x${this.timeScale}${this.paused ? ', paused' : ''})`);
+        console.table(rows);
+        return rows;
+    }
+
+    _add(type, callback, delay, { name = 'anonymous', category = 'general', scaled = true, background = false } = {}) {
+        const id = this._nextId++;
+        const entry = {
+            id, type, callback, name, category, scaled, background,
+            delay: Math.max(0, Number(delay) || 0),
+            remaining: Math.max(0, Number(delay) || 0),
+            runs: 0,
+            paused: false
+        };
+        this._timers.set(id, entry);
+        this._start();
+        return {
+            id,
+            name,
+            cancel: () => this.cancel(id),
+            pause: () => { entry.paused = true; },
+            resume: () => { entry.paused = false; },
+            isActive: () => this._timers.has(id) && !entry.paused
+        };
+    }
+
+    _run(entry, delta, now) {
+        entry.runs++;
+        try {
+            entry.callback(delta, now);
+        } catch (error) {
+            console.error(`❌ Error in scheduled ${entry.type} ${entry.name}:`, error);
+        }
+    }
+
+    _tick(now) {
+        const elapsed = Math.max(0, now - this._lastFrame);
+        this._lastFrame = now;
+
+        // Snapshot: callbacks may schedule or cancel timers
+        [...this._timers.values()].forEach((entry) => {
+            if (entry.paused || !this._timers.has(entry.id)) return;
+            if (this.paused && !entry.background) return;
+            // Background timers take the real gap (hidden tabs tick slowly)
+            const realDelta = entry.background ? elapsed : Math.min(MAX_FRAME_MS, elapsed);
+            const delta = entry.scaled ? realDelta * this.timeScale : realDelta;
+
+            if (entry.type === 'frame') {
+                this._run(entry, delta, now);
+                return;
+            }
+            entry.remaining -= delta;
+            if (entry.remaining > 0) return;
+
+            if (entry.type === 'timeout') {
+                this._timers.delete(entry.id);
+            } else {
+                entry.remaining = Math.max(entry.remaining + entry.delay, 0) || entry.delay;
+            }
+            this._run(entry, delta, now);
+        });
+    }
+
+    _start() {
+        if (this._running) return;
+        this._running = true;
+        this._lastFrame = this._now();
+        this._schedule();
+    }
+
+    _schedule() {
+        const loop = this._loop;
+        const tick = () => {
+            if (loop !== this._loop) return;
+            this._tick(this._now());
+            if (this._timers.size) {
+                this._schedule();
+            } else {
+                this._running = false;
+            }
+        };
+        const hidden = typeof document !== 'undefined' && document.hidden;
+        if (!hidden && typeof requestAnimationFrame !== 'undefined') {
+            requestAnimationFrame(tick);
+        } else {
+            setTimeout(tick, hidden ? HIDDEN_TICK_MS : 16);
+        }
+    }
+
+    _now() {
+        return typeof performance !== 'undefined' ? performance.now() : Date.now();
+    }
+}
+
+const scheduler = new Scheduler();
+if (typeof window !== 'undefined') {
+    window.scheduler = scheduler;
+}
+export default scheduler;
@@ -0,0 +1,127 @@
+// Seeded Random - reproducible randomness for the whole show
+// One seed drives a named stream per module, so a module's sequence doesn't
+// depend on how often other modules roll. Same seed + same control inputs gives
+// the same phases, effects and matrix messages.
+//
+//   import seededRandom from './seeded-random.js';
+//   const random = seededRandom.stream('random-animations');
+//   random()                  // 0..1, drop-in for Math.random()
+//   random.range(10, 20)  random.int(1, 100)  random.pick(list)  random.chance(0.3)
+//
+// Seed sources (first wins): ?seed= URL parameter, the seed saved by
+// replay(), otherwise a fresh seed. Emits window event:
+//   randomSeed  { seed, mode }   mode: 'live' | 'replay'
+
+const REPLAY_STORAGE_KEY = '3886_replay_seed';
+
+// 32-bit string hash (xmur3 finaliser) used to derive per-stream states
+function hashString(str) {
+    let h = 1779033703 ^ str.length;
+    for (let i = 0; i < str.length; i++) {
+        h = Math.imul(h ^ str.charCodeAt(i), 3432918353);
+        h = (h << 13) | (h >>> 19);
+    }
+    h = Math.imul(h ^ (h >>> 16), 2246822507);
+    h = Math.imul(h ^ (h >>> 13), 3266489909);
+    return (h ^ (h >>> 16)) >>> 0;
+}
+
+/**
+ * New human-readable seed (6 chars, A-Z0-9)
+ */
+export function generateSeed() {
+    const values = new Uint32Array(1);
+    if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+        crypto.getRandomValues(values);
+    } else {
+        values[0] = (Date.now() * 2654435761) >>> 0;
+    }
+    return values[0].toString(36).toUpperCase().padStart(6, '0').slice(-6);
+}
+
+class SeededRandom {
+    constructor() {
+        this.seed = null;
+        this.mode = 'live';
+        this._streams = new Map(); // name -> { state }
+
+        const { seed, mode } = this._initialSeed();
+        this.seed = seed;
+        this.mode = mode;
+        console.log(`🎲 Random seed ${this.seed} (${this.mode})`);
+    }
+
+    _initialSeed() {
+        if (typeof window === 'undefined') return { seed: generateSeed(), mode: 'live' };
+        try {
+            const fromUrl = new URLSearchParams(window.location.search).get('seed');
+            if (fromUrl) return { seed: fromUrl, mode: 'replay' };
+            const fromReplay = window.localStorage?.getItem(REPLAY_STORAGE_KEY);
+            if (fromReplay) {
+                // One-shot: the next plain reload starts a fresh live seed again
+                window.localStorage.removeItem(REPLAY_STORAGE_KEY);
+                return { seed: fromReplay, mode: 'replay' };
+            }
+        } catch (_) {}
+        return { seed: generateSeed(), mode: 'live' };
+    }
+
+    /**
+     * Named generator; the same name always returns the same stream
+     */
+    stream(name) {
+        const existing = this._streams.get(name);
+        if (existing) return existing.next;
+
+        const entry = { state: hashString(`${this.seed}:${name}`) };
+        // mulberry32
+        const next = () => {
+            entry.state = (entry.state + 0x6D2B79F5) >>> 0;
+            let t = entry.state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+        next.range = (min, max) => min + next() * (max - min);
+        next.int = (min, max) => Math.floor(min + next() * (max - min + 1));
+        next.pick = (list) => list[Math.floor(next() * list.length)];
+        next.chance = (probability) => next() < probability;
+
+        entry.next = next;
+        this._streams.set(name, entry);
+        return next;
+    }
+
+    /**
+     * Reseed every stream in place (modules keep their stream functions)
+     */
+    setSeed(seed, mode = 'live') {
+        this.seed = String(seed || generateSeed()).slice(0, 64);
+        this.mode = mode;
+        this._streams.forEach((entry, name) => {
+            entry.state = hashString(`${this.seed}:${name}`);
+        });
+        console.log(`🎲 Random seed ${this.seed} (${this.mode})`);
+        if (typeof window !== 'undefined') {
+            window.dispatchEvent(new CustomEvent('randomSeed', { detail: this.getState() }));
+        }
+    }
+
+    /**
+     * Remember a seed for the next page load; the caller reloads the page so
+     * every module starts its streams from the beginning.
+     */
+    replay(seed = this.seed) {
+        try { window.localStorage?.setItem(REPLAY_STORAGE_KEY, String(seed)); } catch (_) {}
+    }
+
+    getState() {
+        return { seed: this.seed, mode: this.mode };
+    }
+}
+
+const seededRandom = new SeededRandom();
+if (typeof window !== 'undefined') {
+    window.seededRandom = seededRandom;
+}
+export default seededRandom;
@@ -0,0 +1,309 @@
+// Setlist Sequencer - plays a timeline of scenes for a whole night on the display
+// Entries last a number of bars (counted on the beat clock) or seconds, and can
+// carry cue points (matrix messages, triggers, macros, presets). While a setlist
+// plays, the random phase loop in chaos-init.js is held; it resumes when the
+// setlist stops or ends. Emits window event:
+//   setlistState  { state, name, loop, index, count, entry, position, progress, remaining }
+
+import beatClock from './beat-clock.js';
+import scheduler from './scheduler.js';
+
+export const CUE_TYPES = ['matrix', 'trigger', 'macro', 'preset'];
+
+const STATE_EMIT_MS = 500;
+const DEFAULT_BARS = 32;
+
+/**
+ * Validate a setlist object (panel editor or imported JSON) and fill defaults.
+ * Throws with a readable message on the first invalid entry.
+ *
+ *   { name, loop, entries: [{ scene, bars | seconds, phase?, label?, cues: [{ at, type, ... }] }] }
+ *
+ * Cue `at` is measured in the entry's unit (bars or seconds from the entry start).
+ */
+export function normalizeSetlist(raw) {
+    if (!raw || typeof raw !== 'object' || !Array.isArray(raw.entries)) {
+        throw new Error('Setlist needs an entries array');
+    }
+
+    const entries = raw.entries.map((entry, i) => {
+        if (!entry || typeof entry.scene !== 'string' || !entry.scene) {
+            throw new Error(`Entry ${i + 1}: scene is required`);
+        }
+        const seconds = Number(entry.seconds);
+        const bars = Number(entry.bars);
+        const unit = entry.seconds !== undefined && !(entry.bars > 0) ? 'seconds' : 'bars';
+        const length = unit === 'seconds' ? seconds : (entry.bars === undefined ? DEFAULT_BARS : bars);
+        if (!Number.isFinite(length) || length <= 0) {
+            throw new Error(`Entry ${i + 1}: length must be a positive number of ${unit}`);
+        }
+
+        const cues = (Array.isArray(entry.cues) ? entry.cues : []).map((cue, j) => {
+            if (!cue || !CUE_TYPES.includes(cue.type)) {
+                throw new Error(`Entry ${i + 1}, cue ${j + 1}: type must be one of ${CUE_TYPES.join(', ')}`);
+            }
+            const at = Number(cue.at) || 0;
+            if (at < 0 || at >= length) {
+                throw new Error(`Entry ${i + 1}, cue ${j + 1}: "at" must be within the entry (0-${length} ${unit})`);
+            }
+            return { ...cue, at };
+        }).sort((a, b) => a.at - b.at);
+
+        return {
+            scene: entry.scene,
+            label: entry.label ? String(entry.label) : '',
+            phase: entry.phase || null,
+            unit,
+            length,
+            [unit]: length,
+            cues
+        };
+    });
+
+    return {
+        name: raw.name ? String(raw.name) : 'Untitled setlist',
+        loop: raw.loop === true,
+        entries
+    };
+}
+
+class SetlistSequencer {
+    constructor() {
+        this.setlist = null;
+        this.state = 'stopped';     // stopped | playing | paused
+        this.index = -1;
+        this.loop = false;
+
+        this._execute = () => {};
+        this._elapsedMs = 0;         // seconds entries: time played in the current entry
+        this._beats = 0;             // bar entries: beats counted in the current entry
+        this._lastBeat = null;
+        this._lastEmit = 0;
+        this._nextCue = 0;
+        this._ticker = null;
+        this._unsubscribeBeat = null;
+    }
+
+    /**
+     * @param {Object} options
+     * @param {Function} options.execute - runs { type: 'scene' | cue type, ... } actions on the display
+     */
+    init({ execute } = {}) {
+        if (execute) this._execute = execute;
+        if (this._unsubscribeBeat) return;
+        this._unsubscribeBeat = beatClock.onBeat((detail) => this._onBeat(detail));
+    }
+
+    get isActive() {
+        return this.state !== 'stopped';
+    }
+
+    get entry() {
+        return this.setlist?.entries[this.index] || null;
+    }
+
+    /**
+     * Replace the setlist. A playing setlist keeps its place when the current
+     * entry still exists, so the running show can be edited.
+     */
+    load(raw) {
+        this.setlist = normalizeSetlist(raw);
+        this.loop = this.setlist.loop;
+        if (this.isActive && this.index >= this.setlist.entries.length) {
+            this.stop();
+            return;
+        }
+        console.log(`📋 Setlist loaded: ${this.setlist.name} (${this.setlist.entries.length} entries)`);
+        this._emitState(true);
+    }
+
+    play() {
+        if (!this.setlist || this.setlist.entries.length === 0) return;
+        if (this.state === 'playing') return;
+
+        const resuming = this.state === 'paused';
+        this.state = 'playing';
+        this._startTicker();
+        if (resuming) {
+            this._lastBeat = beatClock.getState().beat;
+            this._emitState(true);
+        } else {
+            this._enter(0);
+        }
+    }
+
+    pause() {
+        if (this.state !== 'playing') return;
+        this.state = 'paused';
+        this._stopTicker();
+        this._emitState(true);
+    }
+
+    stop() {
+        if (this.state === 'stopped' && this.index === -1) return;
+        this.state = 'stopped';
+        this.index = -1;
+        this._stopTicker();
+        this._emitState(true);
+    }
+
+    next() {
+        if (!this.isActive) return;
+        this._advance();
+    }
+
+    prev() {
+        if (!this.isActive) return;
+        this.goto(Math.max(0, this.index - 1));
+    }
+
+    goto(index) {
+        if (!this.setlist) return;
+        const target = Math.floor(Number(index));
+        if (!(target >= 0 && target < this.setlist.entries.length)) return;
+        if (this.state === 'stopped') {
+            this.state = 'playing';
+            this._startTicker();
+        }
+        this._enter(target);
+    }
+
+    setLoop(loop) {
+        this.loop = !!loop;
+        if (this.setlist) this.setlist.loop = this.loop;
+        this._emitState(true);
+    }
+
+    /**
+     * Position inside the current entry in its own unit (bars or seconds)
+     */
+    getPosition() {
+        const entry = this.entry;
+        if (!entry) return 0;
+        return entry.unit === 'seconds'
+            ? this._elapsedMs / 1000
+            : this._beats / beatClock.beatsPerBar;
+    }
+
+    getState() {
+        const entry = this.entry;
+        const position = this.getPosition();
+        const remaining = entry
+            ? (entry.length - position) * (entry.unit === 'seconds' ? 1 : (beatClock.beatsPerBar * beatClock.period) / 1000)
+            : 0;
+        return {
+            state: this.state,
+            name: this.setlist?.name || null,
+            loop: this.loop,
+            index: this.index,
+            count: this.setlist?.entries.length || 0,
+            entry: entry ? { scene: entry.scene, label: entry.label, unit: entry.unit, length: entry.length } : null,
+            position,
+            progress: entry ? Math.min(1, position / entry.length) : 0,
+            remaining: Math.max(0, remaining)
+        };
+    }
+
+    _enter(index) {
+        this.index = index;
+        this._elapsedMs = 0;
+        this._beats = 0;
+        this._nextCue = 0;
+        this._lastBeat = beatClock.getState().beat;
+
+        const entry = this.entry;
+        console.log(`📋 Setlist ${index + 1}/${this.setlist.entries.length}: ${entry.label || entry.scene}`);
+        this._run({ type: 'scene', scene: entry.scene, phase: entry.phase });
+        this._fireCues();
+        this._emitState(true);
+    }
+
+    _advance() {
+        const nextIndex = this.index + 1;
+        if (nextIndex < this.setlist.entries.length) {
+            this._enter(nextIndex);
+        } else if (this.loop) {
+            this._enter(0);
+        } else {
+            console.log('📋 Setlist finished');
+            this.stop();
+        }
+    }
+
+    _fireCues() {
+        const entry = this.entry;
+        const position = this.getPosition();
+        while (this._nextCue < entry.cues.length && entry.cues[this._nextCue].at <= position + 1e-6) {
+            this._run(entry.cues[this._nextCue++]);
+        }
+    }
+
+    _update() {
+        const entry = this.entry;
+        if (!entry || this.state !== 'playing') return;
+        this._fireCues();
+        if (this.getPosition() >= entry.length - 1e-6) {
+            this._advance();
+        } else {
+            this._emitState();
+        }
+    }
+
+    _onBeat(detail) {
+        if (this.state !== 'playing' || this.entry?.unit !== 'bars') return;
+        // resync() restarts beat numbering, so only skip the beat we entered on
+        if (detail.beat === this._lastBeat) return;
+        this._lastBeat = detail.beat;
+        this._beats++;
+        this._update();
+    }
+
+    // delta is show time: held while the page is hidden, scaled by the global speed
+    _tick(delta) {
+        if (this.entry?.unit === 'seconds') {
+            this._elapsedMs += delta;
+            this._update();
+        } else {
+            this._emitState();
+        }
+    }
+
+    _run(action) {
+        try {
+            this._execute(action);
+        } catch (error) {
+            console.error(`Setlist ${action.type} action failed:`, error);
+        }
+    }
+
+    _startTicker() {
+        if (this._ticker) return;
+        this._ticker = scheduler.frame((delta) => this._tick(delta), { name: 'setlist', category: 'system' });
+    }
+
+    _stopTicker() {
+        this._ticker?.cancel();
+        this._ticker = null;
+    }
+
+    _emitState(force = false) {
+        const now = performance.now();
+        if (!force && now - this._lastEmit < STATE_EMIT_MS) return;
+        this._lastEmit = now;
+        window.dispatchEvent(new CustomEvent('setlistState', { detail: this.getState() }));
+    }
+
+    destroy() {
+        this._stopTicker();
+        this._unsubscribeBeat?.();
+        this._unsubscribeBeat = null;
+        this.state = 'stopped';
+        this.index = -1;
+    }
+}
+
+const setlistSequencer = new SetlistSequencer();
+if (typeof window !== 'undefined') {
+    window.setlistSequencer = setlistSequencer;
+}
+export default setlistSequencer;
@@ -0,0 +1,276 @@
+// Show Persistence - keeps the live show state across reloads and crashes
+// While the display runs, the state VJReceiver hands over (a preset-state.js
+// snapshot: scene, colour matrix, FX toggles and intensities, layers, logo and
+// trigger settings, plus the beat clock's BPM and mode) is written to localStorage
+// every couple of seconds and when the page unloads. The next boot restores it
+// once the first animation phase has started, unless restore is switched off or
+// the page was opened with ?clean. startClean() drops the snapshot and reloads.
+//
+//   { version: 1, savedAt, clean, crashes, preset: { ...preset }, bpm, bpmMode }
+//
+// `clean` is only set by the unload save, so a snapshot without it means the last
+// session crashed or was killed. `crashes` counts boots in a row that restored such
+// a snapshot without running stable for a minute; after MAX_CRASH_RESTORES the
+// display starts clean instead of looping on a state that keeps crashing it.
+// Snapshots are stored per output id (output-manager.js). Emits window event:
+//   showPersistence  { restore, savedAt, scene, pending, skipped, error,
+//                      restored: { at, savedAt, crashed } | null }
+
+import scheduler from './scheduler.js';
+import outputManager from './output-manager.js';
+import { normalizePreset } from './preset-state.js';
+
+export const SNAPSHOT_VERSION = 1;
+
+const STORAGE_PREFIX = '3886_show_state_';
+const SETTINGS_KEY = '3886_show_persistence';
+const SAVE_MS = 2000;
+const RESTORE_TIMEOUT_MS = 20000;  // restore anyway when no phase has started by then
+const STABLE_MS = 60000;           // a restored crash session counts as recovered after this
+const MAX_CRASH_RESTORES = 2;
+
+/**
+ * Validate a stored snapshot and return it in the current format.
+ * Throws with a readable message.
+ */
+export function normalizeSnapshot(raw) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        throw new Error('Show state must be an object');
+    }
+    if (raw.version > SNAPSHOT_VERSION) {
+        throw new Error(`Show state version ${raw.version} not supported (max ${SNAPSHOT_VERSION})`);
+    }
+    const bpm = Number(raw.bpm);
+    return {
+        version: SNAPSHOT_VERSION,
+        savedAt: Number(raw.savedAt) || 0,
+        clean: raw.clean === true,
+        crashes: Math.max(0, Math.floor(Number(raw.crashes)) || 0),
+        preset: normalizePreset(raw.preset),
+        bpm: Number.isFinite(bpm) && bpm > 0 ? bpm : undefined,
+        bpmMode: raw.bpmMode === 'auto' ? 'auto' : 'manual'
+    };
+}
+
+class ShowPersistence {
+    constructor() {
+        this.restoreOnBoot = true;
+        this.savedAt = null;
+        this.scene = null;          // scene of the last saved snapshot
+        this.restored = null;       // { at, savedAt, crashed } when this boot restored a snapshot
+        this.skipped = null;        // why a stored snapshot wasn't restored
+        this.error = null;
+        this.crashes = 0;
+        this.initialized = false;
+        this._capture = null;
+        this._restore = null;
+        this._saveTimer = null;
+        this._pendingRestore = null;
+        this._lastJson = null;
+        this._cleared = false;
+        this._loadSettings();
+    }
+
+    get storageKey() {
+        return `${STORAGE_PREFIX}${outputManager.id}`;
+    }
+
+    /**
+     * Read the previous session's snapshot and start saving this one
+     * @param {Object} hooks
+     * @param {Function} hooks.capture - () => { preset, bpm, bpmMode }
+     * @param {Function} hooks.restore - (snapshot) => void, applies a stored snapshot
+     */
+    init({ capture, restore }) {
+        if (this.initialized) return;
+        this.initialized = true;
+        this._capture = capture;
+        this._restore = restore;
+
+        const snapshot = this._read();
+        if (snapshot) {
+            this.savedAt = snapshot.savedAt;
+            this.scene = snapshot.preset.scene ?? null;
+            this.skipped = this._skipReason(snapshot);
+        }
+
+        if (snapshot && !this.skipped) {
+            // Boot phases would overwrite the scene, so wait for the first one
+            const onPhase = () => this._restoreSnapshot(snapshot);
+            const timeout = scheduler.timeout(onPhase, RESTORE_TIMEOUT_MS, {
+                name: 'show-state-restore', category: 'system', scaled: false, background: true
+            });
+            window.addEventListener('phaseStarted', onPhase, { once: true });
+            this._pendingRestore = () => {
+                timeout.cancel();
+                window.removeEventListener('phaseStarted', onPhase);
+            };
+        } else {
+            if (this.skipped) console.log(`💾 Show state not restored: ${this.skipped}`);
+            this._startSaving();
+        }
+
+        window.addEventListener('pagehide', () => this.save({ clean: true }));
+        this._emitState();
+    }
+
+    /**
+     * @returns {string|null} error message, null when applied
+     */
+    setSettings({ restore } = {}) {
+        if (restore !== undefined) {
+            if (typeof restore !== 'boolean') return 'restore must be true or false';
+            this.restoreOnBoot = restore;
+        }
+        try { localStorage.setItem(SETTINGS_KEY, JSON.stringify({ restore: this.restoreOnBoot })); } catch {}
+        this._emitState();
+        return null;
+    }
+
+    /**
+     * Write the current state. Unchanged state is only rewritten for the unload save.
+     */
+    save({ clean = false } = {}) {
+        if (!this._capture || this._cleared || this._pendingRestore) return;
+        let state;
+        try {
+            state = this._capture();
+        } catch (error) {
+            this._fail(`capture failed: ${error.message}`);
+            return;
+        }
+        const json = JSON.stringify(state);
+        if (!clean && json === this._lastJson) return;
+
+        const savedAt = Date.now();
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                version: SNAPSHOT_VERSION, savedAt, clean, crashes: clean ? 0 : this.crashes, ...state
+            }));
+        } catch (error) {
+            this._fail(`save failed: ${error.message}`);
+            return;
+        }
+        // After a clean save (page hidden into the back/forward cache) the next tick
+        // marks the session as running again
+        this._lastJson = clean ? null : json;
+        this.savedAt = savedAt;
+        this.scene = state.preset?.scene ?? null;
+        this.error = null;
+        this._emitState();
+    }
+
+    /**
+     * Drop the saved state and reload into a fresh show
+     */
+    startClean() {
+        this._cleared = true;
+        this._stopSaving();
+        try { localStorage.removeItem(this.storageKey); } catch {}
+        console.log('💾 Show state cleared, reloading clean');
+        window.location.reload();
+    }
+
+    getState() {
+        return {
+            restore: this.restoreOnBoot,
+            savedAt: this.savedAt,
+            scene: this.scene,
+            pending: !!this._pendingRestore,
+            restored: this.restored,
+            skipped: this.skipped,
+            error: this.error
+        };
+    }
+
+    destroy() {
+        this._pendingRestore?.();
+        this._pendingRestore = null;
+        this._stopSaving();
+    }
+
+    _skipReason(snapshot) {
+        const params = new URLSearchParams(window.location.search);
+        if (params.has('clean')) return 'opened with ?clean';
+        if (!this.restoreOnBoot) return 'restore on reload is off';
+        if (!snapshot.clean && snapshot.crashes >= MAX_CRASH_RESTORES) {
+            return `the last ${snapshot.crashes} restores crashed`;
+        }
+        return null;
+    }
+
+    _restoreSnapshot(snapshot) {
+        this._pendingRestore?.();
+        this._pendingRestore = null;
+
+        const crashed = !snapshot.clean;
+        this.crashes = crashed ? snapshot.crashes + 1 : 0;
+        try {
+            this._restore(snapshot);
+            this.restored = { at: Date.now(), savedAt: snapshot.savedAt, crashed };
+            console.log(`💾 Show state restored${crashed ? ' after a crash' : ''} (scene ${snapshot.preset.scene ?? 'auto'})`);
+        } catch (error) {
+            this._fail(`restore failed: ${error.message}`);
+        }
+        if (this.crashes) {
+            scheduler.timeout(() => {
+                this.crashes = 0;
+                this._lastJson = null;
+            }, STABLE_MS, { name: 'show-state-stable', category: 'system', scaled: false, background: true });
+        }
+        this._startSaving();
+        this._emitState();
+    }
+
+    _startSaving() {
+        if (this._saveTimer) return;
+        this._saveTimer = scheduler.interval(() => this.save(), SAVE_MS, {
+            name: 'show-state-save', category: 'system', scaled: false, background: true
+        });
+    }
+
+    _stopSaving() {
+        this._saveTimer?.cancel();
+        this._saveTimer = null;
+    }
+
+    _read() {
+        let raw = null;
+        try {
+            raw = JSON.parse(localStorage.getItem(this.storageKey));
+        } catch {}
+        if (!raw) return null;
+        try {
+            return normalizeSnapshot(raw);
+        } catch (error) {
+            this.error = `stored show state ignored: ${error.message}`;
+            console.warn(`⚠️ ${this.error}`);
+            return null;
+        }
+    }
+
+    _loadSettings() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+            if (saved) this.setSettings(saved);
+        } catch {}
+    }
+
+    _fail(message) {
+        this.error = message;
+        console.warn(`⚠️ Show state ${message}`);
+        this._emitState();
+    }
+
+    _emitState() {
+        if (typeof window === 'undefined' || !this.initialized) return;
+        window.dispatchEvent(new CustomEvent('showPersistence', { detail: this.getState() }));
+    }
+}
+
+const showPersistence = new ShowPersistence();
+if (typeof window !== 'undefined') {
+    window.showPersistence = showPersistence;
+}
+
+export default showPersistence;
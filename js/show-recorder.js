@@ -0,0 +1,313 @@
+// Show Recorder - records operator input on the display and replays it later
+// Every control message VJReceiver.handleMessage accepts is stored with its
+// time offset; replay feeds the messages back through handleMessage, so a
+// rehearsal, post-event render or bug report runs the real code paths.
+//
+//   {
+//     version: 1, name, seed, startedAt, duration,       // duration ms
+//     initialState: { ...preset },                       // preset-state.js snapshot at record start
+//     events: [{ t: 1520, message: { type: 'scene_change', scene: 'intense' } }, ...]
+//   }
+//
+// Replay speed scales the timeline (0.25x - 8x). Seeking forward applies the
+// skipped events without their one-shot effects; seeking back restores the
+// initial state and random seed, then does the same from the start.
+// Emits window event:
+//   showRecorderState  { recording: { active, name, events, duration },
+//                        replay: { state, name, position, duration, speed, events, index } }
+
+import scheduler from './scheduler.js';
+
+export const SESSION_VERSION = 1;
+
+const STATE_EMIT_MS = 500;
+const MIN_SPEED = 0.25;
+const MAX_SPEED = 8;
+
+// Queries, telemetry, venue calibration and the recorder's own controls aren't part of the show
+const UNRECORDED_TYPES = new Set([
+    'control_connect', 'ping', 'preset_capture', 'performance_stats', 'get_performance_stats',
+    'request_performance', 'run_animation_diagnostics', 'calibration', 'persistence_settings'
+]);
+
+// Never replayed: reloading the page would end the replay
+const UNREPLAYED_TYPES = new Set(['page_reload', 'system_reload', 'system_reset', 'persistence_clean']);
+
+// One-shot effects skipped when seeking; their result isn't lasting state
+const TRANSIENT_TYPES = new Set([
+    'trigger_effect', 'trigger_macro', 'matrix_message', 'anime_trigger', 'logo_pulse_trigger',
+    'beat_tap', 'beat_resync', 'emergency_stop', 'emergency_kill', 'emergency_cleanup', 'emergency_brake'
+]);
+
+function clampSpeed(speed) {
+    const num = Number(speed);
+    return Number.isFinite(num) && num > 0 ? Math.min(MAX_SPEED, Math.max(MIN_SPEED, num)) : 1;
+}
+
+/**
+ * Validate a session file and return a clean copy with events in time order.
+ */
+export function normalizeSession(raw) {
+    if (!raw || typeof raw !== 'object' || !Array.isArray(raw.events)) {
+        throw new Error('Session needs an events array');
+    }
+    if (raw.version > SESSION_VERSION) {
+        throw new Error(`Session version ${raw.version} not supported (max ${SESSION_VERSION})`);
+    }
+
+    const events = raw.events.map((event, i) => {
+        const t = Number(event?.t);
+        if (!Number.isFinite(t) || t < 0) throw new Error(`Event ${i + 1}: "t" must be a time offset in ms`);
+        if (!event.message || typeof event.message.type !== 'string') {
+            throw new Error(`Event ${i + 1}: message with a type is required`);
+        }
+        return { t, message: event.message };
+    }).sort((a, b) => a.t - b.t);
+
+    const last = events.length ? events[events.length - 1].t : 0;
+    return {
+        version: SESSION_VERSION,
+        name: raw.name ? String(raw.name) : 'Untitled session',
+        seed: raw.seed ? String(raw.seed) : null,
+        startedAt: raw.startedAt || null,
+        duration: Math.max(last, Number(raw.duration) || 0),
+        initialState: raw.initialState && typeof raw.initialState === 'object' ? raw.initialState : null,
+        events
+    };
+}
+
+class ShowRecorder {
+    constructor() {
+        this.recording = null;       // session being recorded
+        this.session = null;         // session loaded for replay
+        this.state = 'stopped';      // stopped | playing | paused
+        this.speed = 1;
+        this.position = 0;           // replay position, ms of session time
+
+        this._dispatch = () => {};
+        this._restore = () => {};
+        this._recordStart = 0;
+        this._index = 0;             // next event to replay
+        this._lastEmit = 0;
+        this._ticker = null;
+        this._muted = 0;
+    }
+
+    /**
+     * @param {Object} options
+     * @param {Function} options.dispatch - feeds a replayed message to the display
+     * @param {Function} options.restore - (session) resets the display to the session's start
+     */
+    init({ dispatch, restore } = {}) {
+        if (dispatch) this._dispatch = dispatch;
+        if (restore) this._restore = restore;
+    }
+
+    get isRecording() {
+        return !!this.recording;
+    }
+
+    // ---- Recording ----
+
+    startRecording({ name, seed, initialState } = {}) {
+        this.recording = {
+            version: SESSION_VERSION,
+            name: name ? String(name) : `Session ${new Date().toLocaleString()}`,
+            seed: seed || null,
+            startedAt: new Date().toISOString(),
+            duration: 0,
+            initialState: initialState || null,
+            events: []
+        };
+        this._recordStart = performance.now();
+        console.log(`⏺️ Recording show: ${this.recording.name}`);
+        this._emitState(true);
+    }
+
+    /**
+     * Store one accepted control message. Replayed messages and actions run
+     * inside withoutRecording() are skipped so a replay can't record itself.
+     */
+    record(message) {
+        if (!this.recording || this._muted > 0 || !message) return;
+        if (UNRECORDED_TYPES.has(message.type) || message.type.startsWith('show_')) return;
+
+        const { _id, ack, timestamp, ...fields } = message;
+        this.recording.events.push({
+            t: Math.round(performance.now() - this._recordStart),
+            message: fields
+        });
+        this._emitState();
+    }
+
+    stopRecording() {
+        if (!this.recording) return null;
+        const session = this.recording;
+        session.duration = Math.round(performance.now() - this._recordStart);
+        this.recording = null;
+        console.log(`⏹️ Recorded ${session.events.length} events (${(session.duration / 1000).toFixed(1)}s)`);
+        this._emitState(true);
+        return session;
+    }
+
+    withoutRecording(fn) {
+        this._muted++;
+        try {
+            return fn();
+        } finally {
+            this._muted--;
+        }
+    }
+
+    // ---- Replay ----
+
+    load(raw) {
+        const session = normalizeSession(raw);
+        this.stop();
+        this.session = session;
+        console.log(`📼 Session loaded: ${session.name} (${session.events.length} events)`);
+        this._emitState(true);
+    }
+
+    play(speed) {
+        if (!this.session) return;
+        if (speed !== undefined) this.speed = clampSpeed(speed);
+        if (this.state === 'playing') {
+            this._emitState(true);
+            return;
+        }
+        if (this.state === 'stopped') {
+            this.position = 0;
+            this._index = 0;
+            this._restore(this.session);
+        }
+        this.state = 'playing';
+        this._startTicker();
+        this._update();
+        this._emitState(true);
+    }
+
+    pause() {
+        if (this.state !== 'playing') return;
+        this.state = 'paused';
+        this._stopTicker();
+        this._emitState(true);
+    }
+
+    stop() {
+        if (this.state === 'stopped' && this.position === 0) return;
+        this.state = 'stopped';
+        this.position = 0;
+        this._index = 0;
+        this._stopTicker();
+        this._emitState(true);
+    }
+
+    setSpeed(speed) {
+        this.speed = clampSpeed(speed);
+        this._emitState(true);
+    }
+
+    /**
+     * Jump to a session time (ms). Keeps playing/paused; a stopped replay is paused there.
+     */
+    seek(ms) {
+        if (!this.session) return;
+        const target = Math.min(this.session.duration, Math.max(0, Number(ms) || 0));
+        if (target < this.position || this.state === 'stopped') {
+            this._index = 0;
+            this._restore(this.session);
+        }
+        if (this.state === 'stopped') this.state = 'paused';
+
+        const events = this.session.events;
+        while (this._index < events.length && events[this._index].t <= target) {
+            const { message } = events[this._index++];
+            if (!TRANSIENT_TYPES.has(message.type)) this._send(message);
+        }
+        this.position = target;
+        this._emitState(true);
+    }
+
+    getState() {
+        return {
+            recording: {
+                active: this.isRecording,
+                name: this.recording?.name || null,
+                events: this.recording?.events.length || 0,
+                duration: this.recording ? Math.round(performance.now() - this._recordStart) : 0
+            },
+            replay: {
+                state: this.state,
+                name: this.session?.name || null,
+                position: this.position,
+                duration: this.session?.duration || 0,
+                speed: this.speed,
+                events: this.session?.events.length || 0,
+                index: this._index
+            }
+        };
+    }
+
+    _update() {
+        const events = this.session.events;
+        while (this._index < events.length && events[this._index].t <= this.position) {
+            this._send(events[this._index++].message);
+        }
+        if (this.position >= this.session.duration) {
+            console.log('📼 Session replay finished');
+            this.stop();
+        } else {
+            this._emitState();
+        }
+    }
+
+    // Sessions are recorded in real time, so replay follows its own speed, not the global one
+    _tick(delta) {
+        this.position += delta * this.speed;
+        this._update();
+    }
+
+    _send(message) {
+        if (UNREPLAYED_TYPES.has(message.type)) return;
+        // random_seed replay would reload the page mid-replay
+        const fields = message.type === 'random_seed' ? { ...message, replay: false } : message;
+        try {
+            this.withoutRecording(() => this._dispatch({ ...fields, timestamp: Date.now() }));
+        } catch (error) {
+            console.error(`Replay of ${message.type} failed:`, error);
+        }
+    }
+
+    _startTicker() {
+        if (this._ticker) return;
+        // system: a replayed emergency_stop must not cancel the replay itself
+        this._ticker = scheduler.frame((delta) => this._tick(delta), {
+            name: 'show-replay', category: 'system', scaled: false
+        });
+    }
+
+    _stopTicker() {
+        this._ticker?.cancel();
+        this._ticker = null;
+    }
+
+    _emitState(force = false) {
+        const now = performance.now();
+        if (!force && now - this._lastEmit < STATE_EMIT_MS) return;
+        this._lastEmit = now;
+        window.dispatchEvent(new CustomEvent('showRecorderState', { detail: this.getState() }));
+    }
+
+    destroy() {
+        this._stopTicker();
+        this.recording = null;
+        this.state = 'stopped';
+    }
+}
+
+const showRecorder = new ShowRecorder();
+if (typeof window !== 'undefined') {
+    window.showRecorder = showRecorder;
+}
+export default showRecorder;
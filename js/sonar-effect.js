@@ -1,4 +1,8 @@
 import gsap from 'gsap';
+import seededRandom from './seeded-random.js';
+import scheduler from './scheduler.js';
+import layerManager from './layer-manager.js';
+const random = seededRandom.stream('sonar-effect');
 
 class SonarEffect {
     constructor() {
@@ -7,7 +11,8 @@ class SonarEffect {
         this.sonar = null;
         this.blips = [];
         this.sweepAngle = 0;
-        this.sweepInterval = null;
+        this.displayTimer = null;   // periodic appearance
+        this.blipTimer = null;      // new blips while shown
     }
 
     init() {
@@ -22,16 +27,16 @@ class SonarEffect {
 
     startPeriodicDisplay() {
         // Initial delay before first appearance
-        setTimeout(() => {
+        this.displayTimer = scheduler.timeout(() => {
             this.show();
 
             // Set up periodic display
-            setInterval(() => {
+            this.displayTimer = scheduler.interval(() => {
                 if (!this.isActive) {
                     this.show();
                 }
-            }, Math.random() * 30000 + 45000); // 45-75 seconds
-        }, 15000); // First appearance after 15 seconds
+            }, random() * 30000 + 45000, { name: 'sonar-display', category: 'ambient' }); // 45-75 seconds
+        }, 15000, { name: 'sonar-display', category: 'ambient' }); // First appearance after 15 seconds
     }
 
     createSonarScreen() {
@@ -63,6 +68,7 @@ class SonarEffect {
                 inset 0 0 100px rgba(0, 255, 133, 0.05),
                 0 0 50px rgba(0, 255, 133, 0.05);
         `;
+        layerManager.add('sonar', this.container);
         document.body.appendChild(this.container);
 
         // Create grid lines
@@ -210,8 +216,8 @@ class SonarEffect {
     generateRandomBlips() {
         // Create random blips on the sonar
         const createBlip = () => {
-            const angle = Math.random() * 360;
-            const distance = Math.random() * 80 + 10; // 10-90% from center
+            const angle = random() * 360;
+            const distance = random() * 80 + 10; // 10-90% from center
 
             const blip = document.createElement('div');
             blip.className = 'sonar-blip';
@@ -246,7 +252,7 @@ class SonarEffect {
             });
 
             // Remove blip after some time
-            setTimeout(() => {
+            scheduler.timeout(() => {
                 gsap.to(blip, {
                     opacity: 0,
                     scale: 2,
@@ -257,20 +263,21 @@ class SonarEffect {
                         this.blips = this.blips.filter(b => b.element !== blip);
                     }
                 });
-            }, Math.random() * 5000 + 3000);
+            }, random() * 5000 + 3000, { name: 'sonar-blip', category: 'effect' });
         };
 
         // Create initial blips
         for (let i = 0; i < 3; i++) {
-            setTimeout(() => createBlip(), i * 500);
+            scheduler.timeout(() => createBlip(), i * 500, { name: 'sonar-blip', category: 'effect' });
         }
 
         // Continue creating blips periodically
-        setInterval(() => {
-            if (Math.random() > 0.5 && this.blips.length < 5) {
+        this.blipTimer?.cancel();
+        this.blipTimer = scheduler.interval(() => {
+            if (random() > 0.5 && this.blips.length < 5) {
                 createBlip();
             }
-        }, 2000);
+        }, 2000, { name: 'sonar-blips', category: 'effect' });
     }
 
     checkBlipDetection() {
@@ -365,16 +372,19 @@ class SonarEffect {
         this.startSweep();
         this.generateRandomBlips();
 
-        // Auto-hide after 8-12 seconds
-        const displayDuration = Math.random() * 4000 + 8000;
-        setTimeout(() => {
+        // Auto-hide after 8-12 seconds (ambient: an emergency stop must not leave it shown)
+        const displayDuration = random() * 4000 + 8000;
+        scheduler.timeout(() => {
             this.hide();
-        }, displayDuration);
+        }, displayDuration, { name: 'sonar-hide', category: 'ambient' });
     }
 
     hide() {
         if (!this.container || !this.isActive) return;
 
+        this.blipTimer?.cancel();
+        this.blipTimer = null;
+
         // Fade out
         gsap.to(this.container, {
             opacity: 0,
@@ -392,9 +402,10 @@ class SonarEffect {
     }
 
     destroy() {
-        if (this.sweepInterval) {
-            clearInterval(this.sweepInterval);
-        }
+        this.displayTimer?.cancel();
+        this.blipTimer?.cancel();
+        this.displayTimer = null;
+        this.blipTimer = null;
         if (this.container) {
             this.container.remove();
         }
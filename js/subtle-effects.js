@@ -1,10 +1,21 @@
 import gsap from 'gsap';
+import seededRandom from './seeded-random.js';
+import scheduler from './scheduler.js';
+const random = seededRandom.stream('subtle-effects');
 
 class SubtleEffects {
     constructor() {
         this.initialized = false;
         this.glitchElements = [];
         this.floatingParticles = [];
+        // Scheduler loops by name; an emergency stop cancels them (category 'effect')
+        // and restartEssentialAnimations() calls init() again
+        this.timers = {};
+    }
+
+    _loop(key, callback, delay, { type = 'timeout', scaled = true } = {}) {
+        this.timers[key]?.cancel();
+        this.timers[key] = scheduler[type](callback, delay, { name: `subtle-${key}`, category: 'effect', scaled });
     }
 
     init() {
@@ -25,12 +36,12 @@ class SubtleEffects {
         const createFloatingSymbol = () => {
             const symbol = document.createElement('div');
             symbol.className = 'floating-symbol';
-            symbol.textContent = symbols[Math.floor(Math.random() * symbols.length)];
+            symbol.textContent = symbols[Math.floor(random() * symbols.length)];
             symbol.style.cssText = `
                 position: fixed;
-                font-size: ${Math.random() * 20 + 10}px;
-                color: rgba(0, 255, 133, ${Math.random() * 0.3 + 0.1});
-                left: ${Math.random() * window.innerWidth}px;
+                font-size: ${random() * 20 + 10}px;
+                color: rgba(0, 255, 133, ${random() * 0.3 + 0.1});
+                left: ${random() * window.innerWidth}px;
                 top: ${window.innerHeight + 50}px;
                 pointer-events: none;
                 z-index: 1;
@@ -40,9 +51,9 @@ class SubtleEffects {
 
             gsap.to(symbol, {
                 y: -(window.innerHeight + 100),
-                x: Math.random() * 100 - 50,
-                rotation: Math.random() * 360,
-                duration: Math.random() * 10 + 10,
+                x: random() * 100 - 50,
+                rotation: random() * 360,
+                duration: random() * 10 + 10,
                 ease: 'none',
                 onComplete: () => {
                     symbol.remove();
@@ -51,11 +62,11 @@ class SubtleEffects {
         };
 
         // Create a symbol every 3-8 seconds
-        setInterval(() => {
-            if (Math.random() > 0.7) {
+        this._loop('symbols', () => {
+            if (random() > 0.7) {
                 createFloatingSymbol();
             }
-        }, 3000);
+        }, 3000, { type: 'interval' });
     }
 
     // Periodic flicker effect on the cicada logo - VERY SUBTLE
@@ -176,7 +187,7 @@ class SubtleEffects {
             }
         };
 
-        setInterval(checkTime, 60000); // Check every minute
+        this._loop('clock', checkTime, 60000, { type: 'interval', scaled: false }); // Check every minute
     }
 
     triggerSecretAnimation() {
@@ -256,11 +267,11 @@ class SubtleEffects {
 
     triggerMidnightEffect() {
         // Midnight effect - only 5% chance of occurring
-        if (Math.random() < 0.05) {
+        if (random() < 0.05) {
             document.body.style.filter = 'invert(1)';
-            setTimeout(() => {
+            scheduler.timeout(() => {
                 document.body.style.filter = 'none';
-            }, 1000);
+            }, 1000, { name: 'subtle-midnight-restore', category: 'ambient' });
         }
     }
 
@@ -306,30 +317,30 @@ class SubtleEffects {
 
         const createBinaryDrop = () => {
             const drop = document.createElement('div');
-            drop.textContent = Math.random() > 0.5 ? '1' : '0';
+            drop.textContent = random() > 0.5 ? '1' : '0';
             drop.style.cssText = `
                 position: absolute;
                 color: #00ff85;
                 font-family: 'Courier New', monospace;
                 font-size: 14px;
-                left: ${Math.random() * 100}px;
+                left: ${random() * 100}px;
                 top: -20px;
             `;
             binaryContainer.appendChild(drop);
 
             gsap.to(drop, {
                 y: window.innerHeight + 20,
-                duration: Math.random() * 5 + 5,
+                duration: random() * 5 + 5,
                 ease: 'none',
                 onComplete: () => drop.remove()
             });
         };
 
-        setInterval(() => {
-            if (Math.random() > 0.5) {
+        this._loop('binary-rain', () => {
+            if (random() > 0.5) {
                 createBinaryDrop();
             }
-        }, 200);
+        }, 200, { type: 'interval' });
     }
 
     // Add subtle animations to ZIKADA and 3886 texts
@@ -374,7 +385,7 @@ class SubtleEffects {
             // Occasional glitch without x positioning
             const glitchZikada = () => {
                 gsap.to(logoText, {
-                    skewX: Math.random() * 2 - 1,
+                    skewX: random() * 2 - 1,
                     // Removed x transform to maintain alignment
                     duration: 0.05,
                     repeat: 2,
@@ -386,9 +397,9 @@ class SubtleEffects {
                 });
 
                 // Schedule next glitch
-                setTimeout(glitchZikada, Math.random() * 15000 + 10000);
+                this._loop('zikada-glitch', glitchZikada, random() * 15000 + 10000);
             };
-            setTimeout(glitchZikada, Math.random() * 5000);
+            this._loop('zikada-glitch', glitchZikada, random() * 5000);
 
             // Text shadow pulse
             const shadowPulse = gsap.timeline({ repeat: -1 });
@@ -447,9 +458,9 @@ class SubtleEffects {
                 });
 
                 // Schedule next pulse
-                setTimeout(pulse3886, Math.random() * 20000 + 15000);
+                this._loop('3886-pulse', pulse3886, random() * 20000 + 15000);
             };
-            setTimeout(pulse3886, Math.random() * 10000);
+            this._loop('3886-pulse', pulse3886, random() * 10000);
 
             // Add chromatic aberration effect
             const chromaticTimeline = gsap.timeline({ repeat: -1 });
@@ -483,7 +494,7 @@ class SubtleEffects {
         if (logoText && text3886) {
             // Occasional synchronized glitch
             const syncGlitch = () => {
-                const skewAmount = Math.random() * 5 - 2.5;
+                const skewAmount = random() * 5 - 2.5;
                 const timeline = gsap.timeline();
 
                 timeline
@@ -505,14 +516,16 @@ class SubtleEffects {
                     });
 
                 // Schedule next sync glitch
-                setTimeout(syncGlitch, Math.random() * 25000 + 20000);
+                this._loop('sync-glitch', syncGlitch, random() * 25000 + 20000);
             };
-            setTimeout(syncGlitch, Math.random() * 10000 + 5000);
+            this._loop('sync-glitch', syncGlitch, random() * 10000 + 5000);
         }
     }
 
     destroy() {
         this.initialized = false;
+        Object.values(this.timers).forEach((timer) => timer.cancel());
+        this.timers = {};
     }
 }
 
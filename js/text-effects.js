@@ -1,4 +1,7 @@
 import gsap from 'gsap';
+import seededRandom from './seeded-random.js';
+import scheduler from './scheduler.js';
+const random = seededRandom.stream('text-effects');
 
 // Safe TextEffects implementation with proper lifecycle management
 class TextEffects {
@@ -11,7 +14,7 @@ class TextEffects {
         this.activeEffects = new WeakMap();
         this.timelines = new WeakMap();
         this.trackedElements = new Set(); // Track elements for cleanup
-        this.intervals = new Set(); // For cleanup
+        this.intervals = new Set(); // Scheduler handles, for cleanup
         this.canvases = new Set(); // Track created canvases
         this.rafIds = new Set(); // Track RAF IDs
         
@@ -97,7 +100,7 @@ class TextEffects {
             originalText,
             isScrambling: false,
             timeline: null,
-            timeoutId: null,
+            timer: null,
             destroyed: false
         };
         
@@ -125,12 +128,14 @@ class TextEffects {
                     self.activeScrambleCount--;
                     
                     // Schedule next scramble
+                    // Ambient: init() skips elements it already scrambles, so an
+                    // emergency stop must not end the loop for good
                     if (!state.destroyed) {
-                        state.timeoutId = setTimeout(() => {
+                        state.timer = scheduler.timeout(() => {
                             if (!state.destroyed) {
                                 triggerRandomly();
                             }
-                        }, Math.random() * 5000 + 5000);
+                        }, random() * 5000 + 5000, { name: 'text-scramble', category: 'ambient' });
                     }
                 }
             });
@@ -159,7 +164,7 @@ class TextEffects {
                                 return originalText[index];
                             }
                             return state.originalText.includes(char) ? 
-                                chars[Math.floor(Math.random() * chars.length)] : 
+                                chars[Math.floor(random() * chars.length)] : 
                                 char;
                         })
                         .join('');
@@ -176,7 +181,7 @@ class TextEffects {
         };
 
         // Start with initial delay
-        state.timeoutId = setTimeout(triggerRandomly, Math.random() * 3000);
+        state.timer = scheduler.timeout(triggerRandomly, random() * 3000, { name: 'text-scramble', category: 'ambient' });
     }
 
     initializeGlitchText() {
@@ -279,10 +284,10 @@ class TextEffects {
                     ctx.font = '15px monospace';
 
                     for (let i = 0; i < drops.length && i < 100; i++) { // Limit iterations
-                        const text = this.matrixChars[Math.floor(Math.random() * this.matrixChars.length)];
+                        const text = this.matrixChars[Math.floor(random() * this.matrixChars.length)];
                         ctx.fillText(text, i * 20, drops[i] * 20);
 
-                        if (drops[i] * 20 > canvas.height && Math.random() > 0.975) {
+                        if (drops[i] * 20 > canvas.height && random() > 0.975) {
                             drops[i] = 0;
                         }
                         drops[i]++;
@@ -302,10 +307,10 @@ class TextEffects {
         this.rafIds.add(rafId);
 
         // Handle resize with debouncing
-        let resizeTimeout;
+        let resizeTimeout = null;
         const handleResize = () => {
-            clearTimeout(resizeTimeout);
-            resizeTimeout = setTimeout(resizeCanvas, 250);
+            resizeTimeout?.cancel();
+            resizeTimeout = scheduler.timeout(resizeCanvas, 250, { name: 'matrix-resize', category: 'system', scaled: false });
         };
         
         window.addEventListener('resize', handleResize);
@@ -317,7 +322,7 @@ class TextEffects {
                 this.rafIds.delete(rafId);
             }
             window.removeEventListener('resize', handleResize);
-            clearTimeout(resizeTimeout);
+            resizeTimeout?.cancel();
         };
         
         // Store cleanup for later
@@ -329,12 +334,15 @@ class TextEffects {
         const enterButton = document.querySelector('.button-primary');
         if (!enterButton) return;
 
+        // Runs again after an emergency stop: replace the previous loop
+        this.cleanupElement(enterButton);
+
         const originalText = enterButton.textContent;
         if (!originalText) return;
         
         const state = {
             originalText,
-            intervalId: null,
+            timer: null,
             destroyed: false
         };
         
@@ -348,8 +356,8 @@ class TextEffects {
             const chars = originalText.split('');
             const corruptedChars = chars.map((char, i) => {
                 // Reduce probability and limit corruption
-                if (Math.random() < 0.2) { // Reduced from 0.3
-                    return this.glitchChars[Math.floor(Math.random() * this.glitchChars.length)];
+                if (random() < 0.2) { // Reduced from 0.3
+                    return this.glitchChars[Math.floor(random() * this.glitchChars.length)];
                 }
                 return char;
             });
@@ -357,26 +365,21 @@ class TextEffects {
             enterButton.textContent = corruptedChars.join('');
 
             // Faster restore to reduce visual disruption
-            setTimeout(() => {
+            scheduler.timeout(() => {
                 if (!state.destroyed) {
                     enterButton.textContent = originalText;
                 }
-            }, 75); // Reduced from 100ms
+            }, 75, { name: 'text-break-restore', category: 'ambient' }); // Reduced from 100ms
         };
 
         // Less frequent triggering with cleanup
-        state.intervalId = setInterval(() => {
-            if (state.destroyed) {
-                clearInterval(state.intervalId);
-                return;
-            }
-            
-            if (Math.random() < 0.15) { // Reduced from 0.2
+        state.timer = scheduler.interval(() => {
+            if (random() < 0.15) { // Reduced from 0.2
                 corruptText();
             }
-        }, 4000); // Increased from 3000ms
+        }, 4000, { name: 'text-break', category: 'effect' }); // Increased from 3000ms
         
-        this.intervals.add(state.intervalId);
+        this.intervals.add(state.timer);
 
         // Add CSS effects
         if (!document.getElementById('text-breaking-effects')) {
@@ -442,7 +445,7 @@ class TextEffects {
         
         let activeBlocks = 0;
         const state = {
-            intervalId: null,
+            timer: null,
             activeBlocks: 0,
             destroyed: false
         };
@@ -454,16 +457,16 @@ class TextEffects {
             if (state.destroyed || activeBlocks >= this.MAX_CORRUPTION_BLOCKS) return;
             
             const block = document.createElement('div');
-            const size = Math.random() * 200 + 50;
-            const x = Math.random() * window.innerWidth;
-            const y = Math.random() * window.innerHeight;
+            const size = random() * 200 + 50;
+            const x = random() * window.innerWidth;
+            const y = random() * window.innerHeight;
 
             block.style.cssText = `
                 position: absolute;
                 left: ${x}px;
                 top: ${y}px;
                 width: ${size}px;
-                height: ${Math.random() * 20 + 5}px;
+                height: ${random() * 20 + 5}px;
                 background: linear-gradient(90deg,
                     transparent,
                     rgba(0, 255, 255, 0.15),
@@ -477,39 +480,34 @@ class TextEffects {
             activeBlocks++;
 
             // Cleanup block
-            setTimeout(() => {
+            scheduler.timeout(() => {
                 if (block.parentNode) {
                     block.remove();
                     activeBlocks--;
                 }
-            }, 200);
+            }, 200, { name: 'corruption-block', category: 'ambient' });
         };
 
         // Much less frequent triggering
-        state.intervalId = setInterval(() => {
-            if (state.destroyed) {
-                clearInterval(state.intervalId);
-                return;
-            }
-            
-            if (Math.random() < 0.05) { // Reduced from 0.1
+        state.timer = scheduler.interval(() => {
+            if (random() < 0.05) { // Reduced from 0.1
                 corruptionOverlay.style.display = 'block';
 
                 // Fewer blocks per burst
-                const blockCount = Math.min(Math.random() * 3 + 2, this.MAX_CORRUPTION_BLOCKS - activeBlocks);
+                const blockCount = Math.min(random() * 3 + 2, this.MAX_CORRUPTION_BLOCKS - activeBlocks);
                 for (let i = 0; i < blockCount; i++) {
-                    setTimeout(() => createCorruptionBlock(), i * 50);
+                    scheduler.timeout(() => createCorruptionBlock(), i * 50, { name: 'corruption-block', category: 'effect' });
                 }
 
-                setTimeout(() => {
+                scheduler.timeout(() => {
                     if (!state.destroyed) {
                         corruptionOverlay.style.display = 'none';
                     }
-                }, 300); // Reduced from 500
+                }, 300, { name: 'corruption-hide', category: 'ambient' }); // Reduced from 500
             }
-        }, 5000); // Increased from 2000ms
+        }, 5000, { name: 'data-corruption', category: 'effect' }); // Increased from 2000ms
         
-        this.intervals.add(state.intervalId);
+        this.intervals.add(state.timer);
     }
 
     // Clean up effects for a specific element
@@ -523,15 +521,10 @@ class TextEffects {
                 state.timeline.kill();
             }
             
-            // Clean up timeouts
-            if (state.timeoutId) {
-                clearTimeout(state.timeoutId);
-            }
-            
-            // Clean up intervals
-            if (state.intervalId) {
-                clearInterval(state.intervalId);
-                this.intervals.delete(state.intervalId);
+            // Clean up scheduled timers
+            if (state.timer) {
+                state.timer.cancel();
+                this.intervals.delete(state.timer);
             }
             
             // Clean up custom cleanup
@@ -553,7 +546,7 @@ class TextEffects {
         console.log('🧹 Destroying SafeTextEffects...');
         
         // Clean up all intervals
-        this.intervals.forEach(id => clearInterval(id));
+        this.intervals.forEach(timer => timer.cancel());
         this.intervals.clear();
         
         // Clean up all RAF IDs
@@ -1,10 +1,11 @@
 import gsap from 'gsap';
+import scheduler from './scheduler.js';
 
 class TimingController {
     constructor() {
         this.masterTimeline = gsap.timeline({ repeat: -1 });
         this.animationSpeed = 1;
-        this.intervals = new Map();
+        this.intervals = new Map(); // id -> scheduler handle
         this.timeouts = new Map();
     }
 
@@ -23,48 +24,54 @@ class TimingController {
             .to({}, { duration: 12, onStart: () => this.phase('cooldown') });
     }
 
+    // A playing setlist sets the pace itself; the loop resumes when it stops
+    holdMasterTimeline(hold) {
+        if (hold) {
+            this.masterTimeline.pause();
+        } else {
+            this.masterTimeline.resume();
+        }
+    }
+
     phase(phaseName) {
         // Emit phase change to all animation components
         window.dispatchEvent(new CustomEvent('animationPhase', { detail: { phase: phaseName } }));
     }
 
     syncAnimationSpeeds() {
-        // Sync all GSAP animations to a unified time scale
+        // Sync all GSAP animations and scheduled timers to a unified time scale
         gsap.globalTimeline.timeScale(this.animationSpeed);
+        scheduler.setTimeScale(this.animationSpeed);
     }
 
     setGlobalSpeed(speed) {
         this.animationSpeed = speed;
         gsap.globalTimeline.timeScale(speed);
+        scheduler.setTimeScale(speed);
     }
 
-    // Centralized interval management for better performance
+    // Named timers on the shared scheduler (show time: they follow the global speed)
     addInterval(id, callback, delay) {
-        if (this.intervals.has(id)) {
-            clearInterval(this.intervals.get(id));
-        }
-        this.intervals.set(id, setInterval(callback, delay));
+        this.intervals.get(id)?.cancel();
+        this.intervals.set(id, scheduler.interval(callback, delay, { name: id, category: 'timing' }));
     }
 
     addTimeout(id, callback, delay) {
-        if (this.timeouts.has(id)) {
-            clearTimeout(this.timeouts.get(id));
-        }
-        this.timeouts.set(id, setTimeout(callback, delay));
+        this.timeouts.get(id)?.cancel();
+        this.timeouts.set(id, scheduler.timeout(() => {
+            this.timeouts.delete(id);
+            callback();
+        }, delay, { name: id, category: 'timing' }));
     }
 
     clearInterval(id) {
-        if (this.intervals.has(id)) {
-            clearInterval(this.intervals.get(id));
-            this.intervals.delete(id);
-        }
+        this.intervals.get(id)?.cancel();
+        this.intervals.delete(id);
     }
 
     clearTimeout(id) {
-        if (this.timeouts.has(id)) {
-            clearTimeout(this.timeouts.get(id));
-            this.timeouts.delete(id);
-        }
+        this.timeouts.get(id)?.cancel();
+        this.timeouts.delete(id);
     }
 
     // Optimize by batching DOM reads/writes
@@ -101,8 +108,8 @@ class TimingController {
 
     destroy() {
         this.masterTimeline.kill();
-        this.intervals.forEach(interval => clearInterval(interval));
-        this.timeouts.forEach(timeout => clearTimeout(timeout));
+        this.intervals.forEach(interval => interval.cancel());
+        this.timeouts.forEach(timeout => timeout.cancel());
         this.intervals.clear();
         this.timeouts.clear();
     }
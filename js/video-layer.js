@@ -0,0 +1,556 @@
+// Video Layer - clip library and playlist player for the 'video' compositor layer
+// Clips come from videos/manifest.json (`npm run videos` scans the folder into it):
+//
+//   { id, src, label, blend: 'screen', opacity: 0-1, rate: 1,
+//     mask: 'none'|'logo'|'circle', filter: CSS filter }
+//
+// Playlists list clip ids: { id, name, clips: [...] }. Two decks: the next clip cuts
+// or crossfades over the current one, optionally on the next beat or bar
+// (beat-clock.js), and a playlist moves on every `clipDuration` seconds. `rate`
+// scales every clip's own rate. 'logo' masks a clip by the logo image's alpha,
+// 'circle' by a circle around it; both follow the logo while shown.
+// Clip edits and playlists made in the panel are stored on top of the manifest.
+// Emits window event:
+//   videoLayer  { ready, clips, playlists, settings, playing: { clip, playlist, index } | null }
+
+import gsap from 'gsap';
+import beatClock from './beat-clock.js';
+import scheduler from './scheduler.js';
+import layerManager, { BLEND_MODES } from './layer-manager.js';
+import seededRandom from './seeded-random.js';
+
+const random = seededRandom.stream('video-layer');
+
+export const VIDEO_MASKS = ['none', 'logo', 'circle'];
+export const VIDEO_TRANSITIONS = ['cut', 'crossfade'];
+export const VIDEO_SYNC = ['off', 'beat', 'bar'];
+
+const VIDEO_DIR = './videos/';
+const MANIFEST_URL = `${VIDEO_DIR}manifest.json`;
+const STORAGE_KEY = '3886_video_layer';
+const READY_TIMEOUT_MS = 2000;   // crossfade anyway when a clip is slow to buffer
+const MASK_TRACK_MS = 250;
+const LOGO_SELECTOR = '.image-2, img[src*="c01n"], .image-wrapper img';
+
+const FALLBACK_MANIFEST = {
+    clips: [{ id: 'beehive', src: 'beehive-loop.mp4', label: 'Beehive', blend: 'screen', opacity: 0.5 }],
+    playlists: []
+};
+
+const DEFAULT_SETTINGS = {
+    rate: 1,
+    transition: 'crossfade',
+    fade: 2,               // seconds
+    sync: 'off',
+    clipDuration: 30,      // seconds per playlist entry
+    shuffle: false,
+    loop: true
+};
+
+const STYLE = `
+    .vl-deck { position: fixed; left: 0; top: 0; width: 100vw; height: 100vh; pointer-events: none; overflow: hidden; opacity: 0; z-index: 1; }
+    .vl-deck video { position: absolute; left: 0; top: 0; width: 100%; height: 100%; object-fit: cover; }
+`;
+
+function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * Validate a clip and fill defaults. Throws with a readable message.
+ */
+export function normalizeClip(raw) {
+    const id = String(raw?.id || '').trim();
+    if (!/^[\w-]+$/.test(id)) throw new Error(`Clip "${id}": id needs letters, digits, - and _`);
+    const src = String(raw.src || '').trim();
+    if (!src) throw new Error(`Clip ${id}: src is required`);
+    const blend = raw.blend ?? 'normal';
+    if (!BLEND_MODES.includes(blend)) throw new Error(`Clip ${id}: blend must be one of ${BLEND_MODES.join(', ')}`);
+    const mask = raw.mask ?? 'none';
+    if (!VIDEO_MASKS.includes(mask)) throw new Error(`Clip ${id}: mask must be one of ${VIDEO_MASKS.join(', ')}`);
+    const opacity = raw.opacity === undefined ? 1 : Number(raw.opacity);
+    if (!Number.isFinite(opacity) || opacity < 0 || opacity > 1) throw new Error(`Clip ${id}: opacity must be 0-1`);
+    const rate = raw.rate === undefined ? 1 : Number(raw.rate);
+    if (!Number.isFinite(rate) || rate < 0.1 || rate > 4) throw new Error(`Clip ${id}: rate must be 0.1-4`);
+
+    return {
+        id,
+        src,
+        label: String(raw.label || id),
+        blend,
+        opacity,
+        rate,
+        mask,
+        filter: typeof raw.filter === 'string' ? raw.filter : ''
+    };
+}
+
+/**
+ * Validate a playlist against the known clip ids. Throws with a readable message.
+ */
+export function normalizePlaylist(raw, clipIds) {
+    const name = String(raw?.name || '').trim();
+    if (!name) throw new Error('Playlist needs a name');
+    const id = String(raw.id || name.toLowerCase().replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '')).trim();
+    if (!/^[\w-]+$/.test(id)) throw new Error(`Playlist ${name}: id needs letters, digits, - and _`);
+    if (!Array.isArray(raw.clips)) throw new Error(`Playlist ${name}: clips must be a list of clip ids`);
+    const unknown = raw.clips.find((clip) => !clipIds.has(clip));
+    if (unknown !== undefined) throw new Error(`Playlist ${name}: unknown clip "${unknown}"`);
+    return { id, name, clips: [...raw.clips] };
+}
+
+class VideoLayer {
+    constructor() {
+        this.manifest = { clips: [], playlists: [] };
+        this.clipEdits = {};        // clip id -> { blend, mask, rate, opacity }
+        this.savedPlaylists = {};   // id -> playlist made in the panel (shadows the manifest)
+        this.settings = { ...DEFAULT_SETTINGS };
+        this.decks = [];
+        this.active = -1;           // deck index on screen
+        this.playing = null;        // { clip, playlist, index }
+        this.ready = false;
+        this.advanceTimer = null;
+        this.maskTimer = null;
+        this._switch = 0;           // bumped to drop a switch still waiting for its beat
+        this._initPromise = null;
+    }
+
+    /**
+     * Build the decks and load the manifest; safe to call more than once
+     */
+    init() {
+        if (!this._initPromise) this._initPromise = this._init();
+        return this._initPromise;
+    }
+
+    async _init() {
+        const style = document.createElement('style');
+        style.id = 'video-layer-style';
+        style.textContent = STYLE;
+        document.head.appendChild(style);
+
+        this.decks = [0, 1].map(() => {
+            const deck = document.createElement('div');
+            deck.className = 'vl-deck';
+            deck.dataset.permanent = 'true';
+            const video = document.createElement('video');
+            video.muted = true;
+            video.loop = true;
+            video.playsInline = true;
+            video.preload = 'auto';
+            video.setAttribute('playsinline', '');
+            video.addEventListener('error', () => console.debug(`🎞️ Video clip unavailable: ${video.src}`));
+            deck.appendChild(video);
+            layerManager.add('video', deck);
+            document.body.appendChild(deck);
+            return { deck, video, clip: null };
+        });
+
+        this._loadStored();
+        this.manifest = await this._loadManifest();
+        this.ready = true;
+        console.log(`🎞️ Video layer: ${this.manifest.clips.length} clips, ${this.getPlaylists().length} playlists`);
+        this._emitState();
+    }
+
+    getClips() {
+        return this.manifest.clips.map((clip) => {
+            try {
+                return normalizeClip({ ...clip, ...this.clipEdits[clip.id] });
+            } catch {
+                return clip;
+            }
+        });
+    }
+
+    getClip(id) {
+        return this.getClips().find((clip) => clip.id === id) || null;
+    }
+
+    getPlaylists() {
+        const playlists = new Map(this.manifest.playlists.map((playlist) => [playlist.id, { ...playlist, builtIn: true }]));
+        Object.values(this.savedPlaylists).forEach((playlist) => playlists.set(playlist.id, { ...playlist, builtIn: false }));
+        return [...playlists.values()];
+    }
+
+    // ============================================
+    // PLAYBACK
+    // ============================================
+
+    /**
+     * Show one clip (loops until stopped or replaced)
+     * @param {Object} options - { transition, fade } for this switch only
+     * @returns {string|null} error message, null when started
+     */
+    playClip(id, options = {}) {
+        const clip = this.getClip(id);
+        if (!clip) return `unknown clip "${id}"`;
+        this._cancelAdvance();
+        this.playing = { clip: id, playlist: null, index: -1 };
+        this._show(clip, options);
+        return null;
+    }
+
+    /**
+     * Run a playlist from `index`
+     * @returns {string|null} error message, null when started
+     */
+    playPlaylist(id, { index = 0, ...options } = {}) {
+        const playlist = this.getPlaylists().find((entry) => entry.id === id);
+        if (!playlist) return `unknown playlist "${id}"`;
+        const clips = playlist.clips.filter((clip) => this.getClip(clip));
+        if (!clips.length) return `playlist ${playlist.name} has no clips`;
+        const at = clamp(Math.floor(Number(index) || 0), 0, clips.length - 1);
+        this.playing = { clip: clips[at], playlist: id, index: at };
+        this._show(this.getClip(clips[at]), options);
+        this._scheduleAdvance();
+        return null;
+    }
+
+    /**
+     * Next playlist entry (random one when shuffling)
+     * @returns {boolean} false when nothing is left to play
+     */
+    next() {
+        const playlist = this.playing?.playlist && this.getPlaylists().find((entry) => entry.id === this.playing.playlist);
+        if (!playlist) return false;
+        const clips = playlist.clips.filter((clip) => this.getClip(clip));
+        if (!clips.length) return false;
+        let index = this.playing.index + 1;
+        if (this.settings.shuffle && clips.length > 1) {
+            index = (this.playing.index + 1 + Math.floor(random() * (clips.length - 1))) % clips.length;
+        } else if (index >= clips.length) {
+            if (!this.settings.loop) {
+                this.stop();
+                return false;
+            }
+            index = 0;
+        }
+        return this.playPlaylist(playlist.id, { index }) === null;
+    }
+
+    stop({ fade = this.settings.fade } = {}) {
+        this._switch++;
+        this._cancelAdvance();
+        this.playing = null;
+        const current = this.decks[this.active];
+        this.active = -1;
+        this._trackMask();
+        if (current) this._fadeOut(current, Number(fade) || 0);
+        this._emitState();
+    }
+
+    // ============================================
+    // LIBRARY EDITS
+    // ============================================
+
+    /**
+     * Change a clip's blend, mask, rate or opacity; applies live when it is on screen
+     * @returns {string|null} error message, null when applied
+     */
+    setClip(id, { blend, mask, rate, opacity } = {}) {
+        const clip = this.getClip(id);
+        if (!clip) return `unknown clip "${id}"`;
+        const edit = { ...this.clipEdits[id] };
+        if (blend !== undefined) edit.blend = blend;
+        if (mask !== undefined) edit.mask = mask;
+        if (rate !== undefined) edit.rate = Number(rate);
+        if (opacity !== undefined) edit.opacity = Number(opacity);
+        let next;
+        try {
+            next = normalizeClip({ ...clip, ...edit });
+        } catch (error) {
+            return error.message;
+        }
+        this.clipEdits[id] = edit;
+
+        const deck = this.decks[this.active];
+        if (deck?.clip?.id === id) {
+            deck.clip = next;
+            this._applyClip(deck, next);
+            gsap.to(deck.deck, { opacity: next.opacity, duration: 0.3, overwrite: 'auto' });
+            this._trackMask();
+        }
+        this._changed();
+        return null;
+    }
+
+    /**
+     * Store a playlist { id?, name, clips }; replaces one with the same id
+     * @returns {string|null} error message, null when saved
+     */
+    savePlaylist(raw) {
+        let playlist;
+        try {
+            playlist = normalizePlaylist(raw, new Set(this.manifest.clips.map((clip) => clip.id)));
+        } catch (error) {
+            return error.message;
+        }
+        this.savedPlaylists[playlist.id] = playlist;
+        this._changed();
+        return null;
+    }
+
+    /**
+     * Remove a stored playlist (a manifest playlist it shadowed comes back)
+     */
+    deletePlaylist(id) {
+        if (!this.savedPlaylists[id]) return `playlist "${id}" comes from the manifest`;
+        delete this.savedPlaylists[id];
+        if (this.playing?.playlist === id && !this.getPlaylists().some((entry) => entry.id === id)) this.stop();
+        this._changed();
+        return null;
+    }
+
+    /**
+     * @returns {string|null} error message, null when applied
+     */
+    setSettings(fields = {}) {
+        const next = { ...this.settings };
+        if (fields.rate !== undefined) {
+            const rate = Number(fields.rate);
+            if (!Number.isFinite(rate) || rate < 0.1 || rate > 4) return 'rate must be 0.1-4';
+            next.rate = rate;
+        }
+        if (fields.transition !== undefined) {
+            if (!VIDEO_TRANSITIONS.includes(fields.transition)) return `transition must be one of ${VIDEO_TRANSITIONS.join(', ')}`;
+            next.transition = fields.transition;
+        }
+        if (fields.fade !== undefined) {
+            const fade = Number(fields.fade);
+            if (!Number.isFinite(fade) || fade < 0 || fade > 30) return 'fade must be 0-30 seconds';
+            next.fade = fade;
+        }
+        if (fields.sync !== undefined) {
+            if (!VIDEO_SYNC.includes(fields.sync)) return `sync must be one of ${VIDEO_SYNC.join(', ')}`;
+            next.sync = fields.sync;
+        }
+        if (fields.clipDuration !== undefined) {
+            const seconds = Number(fields.clipDuration);
+            if (!Number.isFinite(seconds) || seconds < 2 || seconds > 600) return 'clipDuration must be 2-600 seconds';
+            next.clipDuration = seconds;
+        }
+        if (fields.shuffle !== undefined) next.shuffle = !!fields.shuffle;
+        if (fields.loop !== undefined) next.loop = !!fields.loop;
+
+        const durationChanged = next.clipDuration !== this.settings.clipDuration;
+        this.settings = next;
+        const deck = this.decks[this.active];
+        if (deck?.clip) deck.video.playbackRate = deck.clip.rate * next.rate;
+        if (durationChanged && this.playing?.playlist) this._scheduleAdvance();
+        this._changed();
+        return null;
+    }
+
+    getState() {
+        return {
+            ready: this.ready,
+            clips: this.getClips(),
+            playlists: this.getPlaylists(),
+            settings: { ...this.settings },
+            playing: this.playing ? { ...this.playing } : null
+        };
+    }
+
+    // ============================================
+    // DECKS
+    // ============================================
+
+    _show(clip, { transition = this.settings.transition, fade = this.settings.fade } = {}) {
+        const token = ++this._switch;
+        const go = () => {
+            if (token !== this._switch || !this.decks.length) return;
+            const outgoing = this.decks[this.active];
+            const incomingIndex = this.active === 0 ? 1 : 0;
+            const incoming = this.decks[incomingIndex];
+
+            const src = `${VIDEO_DIR}${encodeURI(clip.src)}`;
+            if (incoming.video.getAttribute('src') !== src) incoming.video.setAttribute('src', src);
+            incoming.clip = clip;
+            this._applyClip(incoming, clip);
+            try { incoming.video.currentTime = 0; } catch {}
+            incoming.video.play().catch(() => console.debug(`🎞️ Clip ${clip.id} did not start (autoplay or missing file)`));
+
+            this.active = incomingIndex;
+            this._trackMask();
+            this._whenReady(incoming.video).then(() => {
+                if (token !== this._switch) return;
+                const seconds = transition === 'cut' || !outgoing ? 0 : Number(fade) || 0;
+                gsap.killTweensOf(incoming.deck);
+                if (seconds) {
+                    gsap.to(incoming.deck, { opacity: clip.opacity, duration: seconds, ease: 'sine.inOut' });
+                } else {
+                    gsap.set(incoming.deck, { opacity: clip.opacity });
+                }
+                if (outgoing && outgoing !== incoming) this._fadeOut(outgoing, seconds);
+            });
+            console.log(`🎞️ Video ${transition === 'cut' ? 'cut' : 'crossfade'} to ${clip.id}`);
+            this._emitState();
+        };
+
+        if (this.settings.sync === 'off') {
+            go();
+        } else {
+            beatClock.onNextBeat(go, this.settings.sync);
+        }
+    }
+
+    _fadeOut(deck, seconds) {
+        gsap.killTweensOf(deck.deck);
+        gsap.to(deck.deck, {
+            opacity: 0,
+            duration: seconds,
+            ease: 'sine.inOut',
+            onComplete: () => {
+                if (this.decks[this.active] !== deck) deck.video.pause();
+            }
+        });
+    }
+
+    _applyClip(deck, clip) {
+        deck.deck.style.mixBlendMode = clip.blend;
+        deck.video.style.filter = clip.filter || '';
+        deck.video.playbackRate = clip.rate * this.settings.rate;
+        this._applyMask(deck);
+    }
+
+    _applyMask(deck) {
+        const style = deck.video.style;
+        const mask = deck.clip?.mask || 'none';
+        const logo = mask === 'none' ? null : document.querySelector(LOGO_SELECTOR);
+        const rect = logo?.getBoundingClientRect();
+        const props = { image: '', size: '', position: '', repeat: '' };
+
+        if (rect && rect.width && rect.height) {
+            if (mask === 'logo') {
+                props.image = `url("${logo.currentSrc || logo.src}")`;
+                props.size = `${rect.width}px ${rect.height}px`;
+                props.position = `${rect.left}px ${rect.top}px`;
+                props.repeat = 'no-repeat';
+            } else {
+                const radius = Math.min(rect.width, rect.height) / 2;
+                const x = rect.left + rect.width / 2;
+                const y = rect.top + rect.height / 2;
+                props.image = `radial-gradient(circle ${radius}px at ${x}px ${y}px, #000 97%, transparent 100%)`;
+            }
+        }
+        style.webkitMaskImage = style.maskImage = props.image;
+        style.webkitMaskSize = style.maskSize = props.size;
+        style.webkitMaskPosition = style.maskPosition = props.position;
+        style.webkitMaskRepeat = style.maskRepeat = props.repeat;
+    }
+
+    // The logo moves and scales with the show: keep a masked clip on it
+    _trackMask() {
+        const deck = this.decks[this.active];
+        const masked = deck?.clip && deck.clip.mask !== 'none';
+        if (masked && !this.maskTimer) {
+            this.maskTimer = scheduler.interval(() => {
+                const current = this.decks[this.active];
+                if (current) this._applyMask(current);
+            }, MASK_TRACK_MS, { name: 'video-mask', category: 'ambient', scaled: false });
+        } else if (!masked && this.maskTimer) {
+            this.maskTimer.cancel();
+            this.maskTimer = null;
+        }
+    }
+
+    _whenReady(video) {
+        if (video.readyState >= 2) return Promise.resolve();
+        return new Promise((resolve) => {
+            const done = () => {
+                timer.cancel();
+                video.removeEventListener('canplay', done);
+                resolve();
+            };
+            const timer = scheduler.timeout(done, READY_TIMEOUT_MS, { name: 'video-ready', category: 'ambient', scaled: false });
+            video.addEventListener('canplay', done);
+        });
+    }
+
+    _scheduleAdvance() {
+        this._cancelAdvance();
+        this.advanceTimer = scheduler.timeout(() => {
+            this.advanceTimer = null;
+            this.next();
+        }, this.settings.clipDuration * 1000, { name: 'video-advance', category: 'ambient', scaled: false });
+    }
+
+    _cancelAdvance() {
+        this.advanceTimer?.cancel();
+        this.advanceTimer = null;
+    }
+
+    // ============================================
+    // MANIFEST & STORAGE
+    // ============================================
+
+    async _loadManifest() {
+        let raw = FALLBACK_MANIFEST;
+        try {
+            const response = await fetch(MANIFEST_URL, { cache: 'no-cache' });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            raw = await response.json();
+        } catch (error) {
+            console.warn(`⚠️ Video manifest unavailable (${error.message}), using the built-in clip`);
+        }
+
+        const clips = [];
+        (Array.isArray(raw.clips) ? raw.clips : []).forEach((entry) => {
+            try {
+                const clip = normalizeClip(entry);
+                if (!clips.some((known) => known.id === clip.id)) clips.push(clip);
+            } catch (error) {
+                console.warn(`⚠️ Video manifest: ${error.message}`);
+            }
+        });
+        const ids = new Set(clips.map((clip) => clip.id));
+        const playlists = [];
+        (Array.isArray(raw.playlists) ? raw.playlists : []).forEach((entry) => {
+            try {
+                playlists.push(normalizePlaylist(entry, ids));
+            } catch (error) {
+                console.warn(`⚠️ Video manifest: ${error.message}`);
+            }
+        });
+        return { clips, playlists };
+    }
+
+    _changed() {
+        this._save();
+        this._emitState();
+    }
+
+    _save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify({
+                clips: this.clipEdits,
+                playlists: this.savedPlaylists,
+                settings: this.settings
+            }));
+        } catch {}
+    }
+
+    // Validated against the manifest when used: a clip may have left the folder since
+    _loadStored() {
+        let saved = null;
+        try {
+            saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        } catch {}
+        if (!saved) return;
+        if (saved.clips && typeof saved.clips === 'object') this.clipEdits = saved.clips;
+        if (saved.playlists && typeof saved.playlists === 'object') this.savedPlaylists = saved.playlists;
+        if (saved.settings) this.setSettings(saved.settings);
+    }
+
+    _emitState() {
+        if (typeof window === 'undefined') return;
+        window.dispatchEvent(new CustomEvent('videoLayer', { detail: this.getState() }));
+    }
+}
+
+const videoLayer = new VideoLayer();
+if (typeof window !== 'undefined') {
+    window.videoLayer = videoLayer;
+}
+export default videoLayer;
@@ -4,22 +4,28 @@
  * ============================================
  * 
  * Unified communication between control panel and main page
- * Handles BroadcastChannel and postMessage with fallback support
+ * Speaks the shared protocol (vj-protocol.js) on the VJReceiver channel,
+ * with a postMessage fallback when BroadcastChannel is unavailable
  */
 
-const CHANNEL_NAME = 'zikada-vj';
-const MESSAGE_KIND = 'ZIKADA_CONTROL';
+import {
+    CHANNEL_NAME,
+    SOURCES,
+    createMessage,
+    normalizeMessage
+} from './vj-protocol.js';
+import VJTransport from './vj-transport.js';
 
-// Message type constants
+// Message type constants (canonical protocol types)
 export const MESSAGE_TYPES = {
-    EMERGENCY_KILL: 'EMERGENCY_KILL',
-    SYSTEM_RESET: 'SYSTEM_RESET', 
-    SYSTEM_RELOAD: 'SYSTEM_RELOAD',
-    SET_PERFORMANCE_MODE: 'SET_PERFORMANCE_MODE',
-    MATRIX_MESSAGE_SHOW: 'MATRIX_MESSAGE_SHOW',
-    MATRIX_MESSAGE_HIDE: 'MATRIX_MESSAGE_HIDE',
-    PING: 'PING',
-    PONG: 'PONG'
+    EMERGENCY_KILL: 'emergency_kill',
+    SYSTEM_RESET: 'system_reset',
+    SYSTEM_RELOAD: 'page_reload',
+    SET_PERFORMANCE_MODE: 'performance_mode',
+    MATRIX_MESSAGE_SHOW: 'matrix_overlay_show',
+    MATRIX_MESSAGE_HIDE: 'matrix_overlay_hide',
+    PING: 'ping',
+    PONG: 'pong'
 };
 
 class VJMessaging {
@@ -27,6 +33,7 @@ class VJMessaging {
         this.bc = null;
         this.messageHandlers = new Map();
         this.isControlPanel = window.location.pathname.includes('control-panel');
+        this.source = this.isControlPanel ? SOURCES.CONTROL : SOURCES.DISPLAY;
         this.connectionTimeout = null;
         this.connected = false;
         
@@ -43,11 +50,11 @@ class VJMessaging {
     
     initializeBroadcastChannel() {
         try {
-            this.bc = new BroadcastChannel(CHANNEL_NAME);
-            this.bc.addEventListener('message', (event) => {
-                this.handleMessage(event.data);
-            });
-            console.log('📡 BroadcastChannel initialized');
+            // Shared with the other modules on this page (and the WebSocket relay, if configured)
+            this.bc = VJTransport.shared(CHANNEL_NAME, { role: this.source });
+            this._onChannelMessage = (event) => this.handleMessage(event.data);
+            this.bc.addEventListener('message', this._onChannelMessage);
+            console.log('📡 VJ transport initialized');
         } catch (error) {
             console.warn('BroadcastChannel not supported, using postMessage fallback:', error);
         }
@@ -59,7 +66,7 @@ class VJMessaging {
             if (event.origin !== window.location.origin) return;
             
             const data = event.data;
-            if (data && data.kind === MESSAGE_KIND) {
+            if (data && data.v !== undefined) {
                 this.handleMessage(data);
             }
         });
@@ -87,37 +94,37 @@ class VJMessaging {
         });
     }
     
+    /**
+     * Send a protocol message
+     * @param {string|Object} type - Message type, or a full message object ({ type, ...fields })
+     * @param {Object} payload - Message fields when `type` is a string
+     */
     sendMessage(type, payload = {}) {
-        const message = {
-            kind: MESSAGE_KIND,
-            type,
-            payload,
-            timestamp: Date.now(),
-            source: this.isControlPanel ? 'control-panel' : 'main-page'
-        };
+        const fields = typeof type === 'object' ? type : { ...payload, type };
+        const message = createMessage(fields.type, fields, this.source);
         
-        // Send via BroadcastChannel if available
+        // Send via BroadcastChannel if available, postMessage only as fallback
         if (this.bc) {
             try {
                 this.bc.postMessage(message);
             } catch (error) {
                 console.warn('BroadcastChannel send failed:', error);
             }
-        }
-        
-        // Send via postMessage as fallback
-        try {
-            if (window.opener && !window.opener.closed) {
-                window.opener.postMessage(message, window.location.origin);
-            }
-            if (window.parent && window.parent !== window) {
-                window.parent.postMessage(message, window.location.origin);
+        } else {
+            try {
+                if (window.opener && !window.opener.closed) {
+                    window.opener.postMessage(message, window.location.origin);
+                }
+                if (window.parent && window.parent !== window) {
+                    window.parent.postMessage(message, window.location.origin);
+                }
+            } catch (error) {
+                console.warn('postMessage fallback failed:', error);
             }
-        } catch (error) {
-            console.warn('postMessage fallback failed:', error);
         }
         
-        console.log(`📤 Sent: ${type}`, payload);
+        console.log(`📤 Sent: ${message.type}`, message);
+        return message;
     }
     
     on(type, handler) {
@@ -134,27 +141,20 @@ class VJMessaging {
     }
     
     handleMessage(data) {
-        if (!data || data.kind !== MESSAGE_KIND) return;
+        const message = normalizeMessage(data);
+        if (!message) return;
         
-        const { type, payload, source, timestamp } = data;
+        const { type, source, timestamp } = message;
         
         // Ignore messages from same source type to prevent loops
-        const currentSource = this.isControlPanel ? 'control-panel' : 'main-page';
-        if (source === currentSource) return;
-        
-        console.log(`📥 Received: ${type}`, payload);
-        
-        // Handle ping/pong automatically
-        if (type === MESSAGE_TYPES.PING && !this.isControlPanel) {
-            this.sendMessage(MESSAGE_TYPES.PONG);
-            return;
-        }
+        if (source === this.source) return;
         
-        // Call registered handlers
+        // Call registered handlers (the main page answers pings itself in VJReceiver)
         if (this.messageHandlers.has(type)) {
+            console.log(`📥 Received: ${type}`, message);
             this.messageHandlers.get(type).forEach(handler => {
                 try {
-                    handler(payload, { type, source, timestamp });
+                    handler(message, { type, source, timestamp });
                 } catch (error) {
                     console.error(`Error in message handler for ${type}:`, error);
                 }
@@ -194,7 +194,8 @@ class VJMessaging {
     
     destroy() {
         if (this.bc) {
-            this.bc.close();
+            // Shared transport: detach only, other modules keep using it
+            this.bc.removeEventListener('message', this._onChannelMessage);
         }
         if (this.connectionTimeout) {
             clearTimeout(this.connectionTimeout);
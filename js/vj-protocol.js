@@ -0,0 +1,357 @@
+/**
+ * ============================================
+ * ZIKADA 3886 - VJ MESSAGE PROTOCOL
+ * ============================================
+ *
+ * Single source of truth for messages between control panels and the display
+ * (VJReceiver). Every message is a flat object:
+ *
+ *   { type, v, _id, source, timestamp, ...fields }
+ *
+ *   v       protocol version (PROTOCOL_VERSION)
+ *   _id     unique message id; acks and errors reference it as `requestId`
+ *   source  'control' | 'display' (receivers ignore their own side)
+ *   ack     optional; when true the display replies { type: 'ack', requestId }
+ *   target  optional; output id, list of output ids or 'all' (multi-output shows,
+ *           see output-manager.js). Missing means every output.
+ *   output  stamped by displays on everything they send
+ *   droppedFiles  set by the relay transport: names of Blob fields it had to
+ *           null out (files only travel over BroadcastChannel)
+ *
+ * Legacy type names and the old vj-messaging envelope ({ kind, type, payload })
+ * are normalised to canonical types before validation.
+ */
+
+export const PROTOCOL_VERSION = 1;
+export const CHANNEL_NAME = '3886_vj_control';
+// Largest message the WebSocket relay forwards (recorded show sessions are the big ones)
+export const MAX_RELAY_MESSAGE_BYTES = 16 * 1024 * 1024;
+
+export const SOURCES = {
+    CONTROL: 'control',
+    DISPLAY: 'display'
+};
+
+// Legacy vj-messaging envelope marker
+const LEGACY_KIND = 'ZIKADA_CONTROL';
+
+/**
+ * Control -> display command schemas.
+ * Field specs: 'number' | 'string' | 'boolean' | 'object' | 'any', suffix '?' = optional.
+ * Numeric strings are coerced for 'number' fields (slider values).
+ */
+export const MESSAGE_SCHEMAS = {
+    // Connection
+    control_connect: {},
+    ping: {},
+
+    // Scene / tempo / colour
+    scene_change: { scene: 'string', autoMode: 'boolean?' },
+    color_change: { property: 'string', value: 'number', matrix: 'object?' },
+    color_reset: {},
+    speed_change: { speed: 'number' },
+    phase_duration_change: { duration: 'number' },
+    bpm_change: { bpm: 'number' },
+    beat_tap: {},
+    beat_mode: { mode: 'string' },
+    beat_resync: {},
+    bpm_ripple_toggle: { enabled: 'boolean' },
+
+    // Effects
+    fx_intensity: { effect: 'string', intensity: 'number' },
+    effect_toggle: { effect: 'string', enabled: 'boolean' },
+    trigger_effect: { effect: 'string', settings: 'object?' },
+    trigger_settings: { settings: 'object' },
+    trigger_macro: { macro: 'string?', settings: 'object?' },
+    layer_toggle: { layer: 'string', visible: 'boolean?' },
+    layer_update: { layer: 'string', opacity: 'number?', blend: 'string?', muted: 'boolean?', solo: 'boolean?' },
+    layer_order: { order: 'object?', layer: 'string?', move: 'number?' },
+    layer_reset: {},
+    video_play: { clip: 'string?', playlist: 'string?', index: 'number?', transition: 'string?', fade: 'number?' },
+    video_stop: { fade: 'number?' },
+    video_next: {},
+    video_clip: { clip: 'string', blend: 'string?', mask: 'string?', rate: 'number?', opacity: 'number?' },
+    video_settings: {
+        rate: 'number?', transition: 'string?', fade: 'number?', sync: 'string?',
+        clipDuration: 'number?', shuffle: 'boolean?', loop: 'boolean?'
+    },
+    video_playlist: { playlist: 'object' },
+    video_playlist_delete: { playlist: 'string' },
+    lottie_play: { animation: 'string', duration: 'number?' },
+    lottie_stop: { animation: 'string?' },
+    lottie_opacity: { animation: 'string', opacity: 'number?' },
+    lottie_settings: { auto: 'boolean?', maxConcurrent: 'number?' },
+    capture_settings: { mode: 'string?', resolution: 'string?', fps: 'number?', bitrate: 'number?', duration: 'number?' },
+    capture_start: {},
+    capture_stop: {},
+    capture_snapshot: {},
+    capture_save: { file: 'string' },
+    persistence_settings: { restore: 'boolean?' },
+    persistence_clean: {},
+    postfx_pass: { pass: 'string', enabled: 'boolean?', params: 'object?', duration: 'number?' },
+    postfx_order: { order: 'object' },
+    postfx_reset: { duration: 'number?' },
+    particle_mode: { mode: 'string' },
+    output_config: { crop: 'any?', layers: 'object?', scenes: 'string?', leader: 'boolean?' },
+    calibration: {
+        mode: 'boolean?', testPattern: 'boolean?', corners: 'object?', nudge: 'object?',
+        mesh: 'object?', blend: 'object?', reset: 'boolean?'
+    },
+    plugin_param: { plugin: 'string', param: 'string', value: 'number' },
+    preset_load: { preset: 'object', duration: 'number?', from: 'object?' },
+    preset_capture: { name: 'string?' },
+    random_seed: { seed: 'string', replay: 'boolean?' },
+    apply_settings: { data: 'object' },
+    sequence_event: { originalType: 'string', data: 'any?' },
+
+    // Animation system
+    anime_enable: {},
+    anime_disable: {},
+    anime_kill: {},
+    anime_emergency_stop: {},
+    anime_trigger: { id: 'string' },
+    logo_pulse_trigger: {},
+    logo_glow_toggle: {},
+    logo_outline_toggle: { enabled: 'boolean?' },
+
+    // Setlist sequencer
+    setlist_load: { setlist: 'object' },
+    setlist_play: {},
+    setlist_pause: {},
+    setlist_stop: {},
+    setlist_next: {},
+    setlist_prev: {},
+    setlist_goto: { index: 'number' },
+    setlist_loop: { loop: 'boolean' },
+
+    // Show recording / replay
+    show_record_start: { name: 'string?' },
+    show_record_stop: {},
+    show_replay_load: { session: 'object' },
+    show_replay_play: { speed: 'number?' },
+    show_replay_pause: {},
+    show_replay_stop: {},
+    show_replay_seek: { time: 'number' },
+    show_replay_speed: { speed: 'number' },
+
+    // Matrix messages
+    matrix_message: { message: 'string', roll: 'any?', style: 'string?', duration: 'number?', position: 'string?' },
+    message_library_load: { library: 'object' },
+    message_queue_add: {
+        text: 'string', id: 'string?', style: 'string?', duration: 'number?',
+        position: 'string?', priority: 'string?', at: 'number?'
+    },
+    message_queue_remove: { id: 'string' },
+    message_queue_play: { id: 'string' },
+    message_queue_clear: { history: 'boolean?' },
+    message_queue_settings: { paused: 'boolean?', gap: 'number?' },
+    matrix_overlay_show: { text: 'string' },
+    matrix_overlay_hide: {},
+
+    // Audio
+    audio_input: { source: 'string', file: 'object?', name: 'string?', deviceId: 'string?', droppedFiles: 'object?' },
+    audio_settings: { settings: 'object' },
+
+    // System / performance
+    performance_mode: { mode: 'string' },
+    emergency_stop: {},
+    emergency_kill: {},
+    emergency_cleanup: {},
+    emergency_brake: {},
+    safe_cleanup: {},
+    performance_optimization: {},
+    system_reset: {},
+    system_reload: {},
+    page_reload: {},
+    request_performance: {},
+    performance_stats: { fps: 'number?', activeEffects: 'number?' }, // panel telemetry, informational
+    get_performance_stats: {},
+    run_animation_diagnostics: {}
+};
+
+/**
+ * Legacy/alias type -> canonical type, with optional field renames
+ */
+export const TYPE_ALIASES = {
+    color_update: { type: 'color_change', fields: { parameter: 'property' } },
+    speed_update: { type: 'speed_change', fields: { value: 'speed' } },
+    phase_duration_update: { type: 'phase_duration_change', fields: { value: 'duration' } },
+    bpm_update: { type: 'bpm_change' },
+    effect_intensity: { type: 'fx_intensity', fields: { value: 'intensity' } },
+    anime_kill_all: { type: 'anime_kill' },
+    request_performance_detailed: { type: 'get_performance_stats' },
+
+    // Old vj-messaging constants
+    EMERGENCY_KILL: { type: 'emergency_kill' },
+    SYSTEM_RESET: { type: 'system_reset' },
+    SYSTEM_RELOAD: { type: 'page_reload' },
+    SET_PERFORMANCE_MODE: { type: 'performance_mode' },
+    MATRIX_MESSAGE_SHOW: { type: 'matrix_overlay_show' },
+    MATRIX_MESSAGE_HIDE: { type: 'matrix_overlay_hide' },
+    PING: { type: 'ping' },
+    PONG: { type: 'pong' }
+};
+
+export const ERROR_CODES = {
+    MALFORMED: 'malformed',
+    UNKNOWN_TYPE: 'unknown_type',
+    INVALID_PAYLOAD: 'invalid_payload',
+    UNSUPPORTED_VERSION: 'unsupported_version',
+    TOO_LARGE: 'too_large'
+};
+
+export function generateId() {
+    return Date.now().toString(36) + Math.random().toString(36).substr(2, 7);
+}
+
+/**
+ * Build an outgoing message stamped with version, id and source
+ */
+export function createMessage(type, fields = {}, source = SOURCES.CONTROL) {
+    return {
+        ...fields,
+        type,
+        v: PROTOCOL_VERSION,
+        _id: fields._id || generateId(),
+        source,
+        timestamp: Date.now()
+    };
+}
+
+export function createAck(message, fields = {}) {
+    return createMessage('ack', { ...fields, requestId: message._id, requestType: message.type }, SOURCES.DISPLAY);
+}
+
+export function createError(message, code, error) {
+    return createMessage('error', {
+        requestId: message && message._id,
+        requestType: message && message.type,
+        code,
+        error
+    }, SOURCES.DISPLAY);
+}
+
+/**
+ * Whether a message is meant for the given output (see `target` above)
+ */
+export function isAddressedTo(message, outputId) {
+    const target = message && message.target;
+    if (target === undefined || target === null || target === 'all') return true;
+    return Array.isArray(target) ? target.includes(outputId) || target.includes('all') : target === outputId;
+}
+
+/**
+ * Resolve aliases and legacy envelopes into a canonical flat message.
+ * Does not validate; see validateMessage().
+ */
+export function normalizeMessage(raw) {
+    if (!raw || typeof raw !== 'object' || typeof raw.type !== 'string') return null;
+
+    let message = raw;
+    if (raw.kind === LEGACY_KIND) {
+        const { kind, payload, ...rest } = raw;
+        message = { ...(payload || {}), ...rest };
+        if (message.source === 'control-panel') message.source = SOURCES.CONTROL;
+        if (message.source === 'main-page') message.source = SOURCES.DISPLAY;
+    }
+
+    const alias = TYPE_ALIASES[message.type];
+    if (alias) {
+        message = { ...message, type: alias.type };
+        Object.entries(alias.fields || {}).forEach(([from, to]) => {
+            if (message[to] === undefined && message[from] !== undefined) message[to] = message[from];
+            delete message[from];
+        });
+    }
+
+    // anime_trigger senders use either `id` or `effect` for the animation id
+    if (message.type === 'anime_trigger' && message.id === undefined && message.effect !== undefined) {
+        message = { ...message, id: message.effect };
+    }
+    return message;
+}
+
+/**
+ * Validate a normalised control message against its schema.
+ * Coerces numeric strings in place. Returns null when valid, otherwise { code, error }.
+ */
+export function validateMessage(message) {
+    if (!message || typeof message.type !== 'string') {
+        return { code: ERROR_CODES.MALFORMED, error: 'Message must be an object with a string type' };
+    }
+    // Messages without `v` come from pre-protocol senders and are treated as version 1
+    if (message.v !== undefined && message.v > PROTOCOL_VERSION) {
+        return { code: ERROR_CODES.UNSUPPORTED_VERSION, error: `Protocol v${message.v} not supported (max v${PROTOCOL_VERSION})` };
+    }
+
+    const schema = MESSAGE_SCHEMAS[message.type];
+    if (!schema) {
+        return { code: ERROR_CODES.UNKNOWN_TYPE, error: `Unknown message type "${message.type}"` };
+    }
+
+    for (const [field, spec] of Object.entries(schema)) {
+        const optional = spec.endsWith('?');
+        const kind = optional ? spec.slice(0, -1) : spec;
+        const value = message[field];
+
+        if (value === undefined || value === null) {
+            if (optional) continue;
+            return { code: ERROR_CODES.INVALID_PAYLOAD, error: `${message.type}.${field} is required` };
+        }
+        if (kind === 'any') continue;
+
+        if (kind === 'number') {
+            const num = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+            if (typeof num !== 'number' || !Number.isFinite(num)) {
+                return { code: ERROR_CODES.INVALID_PAYLOAD, error: `${message.type}.${field} must be a number` };
+            }
+            message[field] = num;
+        } else if (kind === 'object' ? (typeof value !== 'object') : (typeof value !== kind)) {
+            return { code: ERROR_CODES.INVALID_PAYLOAD, error: `${message.type}.${field} must be ${kind === 'object' ? 'an' : 'a'} ${kind}` };
+        }
+    }
+    return null;
+}
+
+/**
+ * Tracks requests sent with `ack: true` and settles them on ack/error replies
+ */
+export class RequestTracker {
+    constructor(timeoutMs = 3000) {
+        this.timeoutMs = timeoutMs;
+        this.pending = new Map();
+    }
+
+    track(message) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.pending.delete(message._id);
+                reject(new Error(`${message.type} timed out waiting for ack`));
+            }, this.timeoutMs);
+            this.pending.set(message._id, { resolve, reject, timer });
+        });
+    }
+
+    /**
+     * Settle a pending request from an ack/error reply; returns true if it matched
+     */
+    settle(reply) {
+        const entry = reply && this.pending.get(reply.requestId);
+        if (!entry) return false;
+        clearTimeout(entry.timer);
+        this.pending.delete(reply.requestId);
+        if (reply.type === 'error') {
+            const error = new Error(reply.error || 'Request rejected');
+            error.code = reply.code;
+            entry.reject(error);
+        } else {
+            entry.resolve(reply);
+        }
+        return true;
+    }
+
+    clear() {
+        this.pending.forEach((entry) => clearTimeout(entry.timer));
+        this.pending.clear();
+    }
+}
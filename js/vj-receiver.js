@@ -3,11 +3,44 @@
 
 import gsap from 'gsap';
 import intervalManager from './interval-manager.js';
+import scheduler from './scheduler.js';
 const VJ_DEBUG = false;
 import filterManager from './filter-manager.js';
 import fxController from './fx-controller.js';
 import animationManager from './animation-manager.js';
-import vjMessaging, { MESSAGE_TYPES } from './vj-messaging.js';
+import {
+    CHANNEL_NAME,
+    SOURCES,
+    createMessage,
+    createAck,
+    createError,
+    ERROR_CODES,
+    normalizeMessage,
+    validateMessage
+} from './vj-protocol.js';
+import VJTransport from './vj-transport.js';
+import audioAnalyzer from './audio-analyzer.js';
+import beatClock from './beat-clock.js';
+import setlistSequencer from './setlist-sequencer.js';
+import timingController from './timing-controller.js';
+import { normalizePreset, interpolatePreset } from './preset-state.js';
+import seededRandom from './seeded-random.js';
+import showRecorder from './show-recorder.js';
+import performanceModeManager from './performance-mode-manager.js';
+import pluginRegistry from './plugin-registry.js';
+import outputManager from './output-manager.js';
+import projectionMapper from './projection-mapper.js';
+import messageQueue from './message-queue.js';
+import messageLibrary from './message-library.js';
+import layerManager from './layer-manager.js';
+import videoLayer from './video-layer.js';
+import beehiveLogoBlend from './beehive-logo-blend.js';
+import lottieAnimations from './lottie-animations.js';
+import outputCapture from './output-capture.js';
+import showPersistence from './show-persistence.js';
+const random = seededRandom.stream('vj-receiver');
+
+const OUTPUT_STATUS_MS = 2000;
 
 // Ensure GSAP is globally available
 if (typeof window !== 'undefined' && !window.gsap) {
@@ -76,12 +109,7 @@ export function hideMatrixMessage() {
 }
 
 // Debounce helper for matrix messages
-let matrixMessageDebounceTimer = null;
 function debouncedShowMatrixMessage(text) {
-    if (matrixMessageDebounceTimer) {
-        clearTimeout(matrixMessageDebounceTimer);
-    }
-    
     const currentEl = getMatrixEl();
     if (currentEl.textContent === text && currentEl.classList.contains('overlay-visible')) {
         return; // Same message already showing
@@ -99,7 +127,7 @@ class VJReceiver {
         this._useLocalStorageBridge = true;
         // Ripple feature flags
         this.bpmRippleEnabled = false;
-        this.bpmRippleInterval = null;
+        this.bpmPulseTween = null;
         this.clickRippleEnabled = false; // disable click-based ripple by default to avoid on-click animations
         this.currentSettings = {
             colors: {
@@ -123,11 +151,16 @@ class VJReceiver {
         this.triggerSettings = {
             theme: 'green',
             intensity: 0.7,
-            speed: 0.6
+            speed: 0.6,
+            quantize: 'beat' // off | beat | bar
         };
 
         this.animeEnabled = false;
         this.activeFx = 0;
+        // Tracked for preset capture (see capturePreset)
+        this.layerVisibility = {};
+        this.logoState = { glow: false, outline: false };
+        this.presetFade = null;
         this.fpsMonitor = null;
         this.localStoragePollingHandle = null; // Track localStorage polling interval
         
@@ -142,9 +175,6 @@ class VJReceiver {
     init() {
         console.log('🎮 VJ Receiver initializing...');
         
-        // Initialize VJ messaging system handlers
-        this.initVJMessaging();
-
         // Initialize broadcast channel
         this.initBroadcastChannel();
 
@@ -154,54 +184,41 @@ class VJReceiver {
         // Hook into existing chaos system
         this.hookIntoChaosEngine();
 
+        // Relay audio analyzer status/levels back to the control panel
+        this.initAudioBridge();
+        this.initBeatClock();
+        this.initSetlist();
+        this.initShowRecorder();
+        this.initPerformanceQuality();
+        this.initPostFX();
+        this.initPlugins();
+        this.initLayers();
+        this.initVideoLayer();
+        this.initLottie();
+        this.initCapture();
+        this.initPersistence();
+        this.initOutput();
+        this.initCalibration();
+        this.initMessageQueue();
+        this.initMessageLibrary();
+
         // Enable click/touch ripple (centered on pointer) if allowed
         this.setupClickRipple();
 
         // If no control panel connects shortly, enable autonomous MATRIX dice as fallback
-        this._fallbackArmTimeout = setTimeout(() => {
+        this._fallbackArmTimeout = scheduler.timeout(() => {
             if (!this.hasControlPanel && window.matrixMessages && typeof window.matrixMessages.enableAutonomousDiceMode === 'function') {
                 console.log('🕒 No control panel detected — enabling autonomous MATRIX dice mode');
                 window.matrixMessages.enableAutonomousDiceMode();
                 this._fallbackDiceEnabled = true;
             }
-        }, 25000);
+        }, 25000, { name: 'dice-fallback-arm', category: 'system', scaled: false });
     }
     
-    initVJMessaging() {
-        // Set up handlers for the new VJ messaging system
-        vjMessaging.on(MESSAGE_TYPES.EMERGENCY_KILL, () => {
-            setBlackout(true);
-            this.emergencyStop();
-        });
-        
-        vjMessaging.on(MESSAGE_TYPES.SYSTEM_RESET, () => {
-            setBlackout(false);
-            this.resetAllSystems();
-        });
-        
-        vjMessaging.on(MESSAGE_TYPES.SYSTEM_RELOAD, () => {
-            window.location.reload();
-        });
-        
-        vjMessaging.on(MESSAGE_TYPES.SET_PERFORMANCE_MODE, (payload) => {
-            this.setPerformanceMode(payload.mode);
-        });
-        
-        vjMessaging.on(MESSAGE_TYPES.MATRIX_MESSAGE_SHOW, (payload) => {
-            debouncedShowMatrixMessage(payload.text);
-        });
-        
-        vjMessaging.on(MESSAGE_TYPES.MATRIX_MESSAGE_HIDE, () => {
-            hideMatrixMessage();
-        });
-        
-        console.log('📡 VJ messaging handlers initialized');
-    }
-
     initBroadcastChannel() {
         try {
-            // Create broadcast channel
-            this.channel = new BroadcastChannel('3886_vj_control');
+            // Create broadcast channel (mirrored through the WebSocket relay when configured)
+            this.channel = VJTransport.shared(CHANNEL_NAME, { role: 'display' });
             // Disable LS bridge when BroadcastChannel is available
             this._useLocalStorageBridge = false;
 
@@ -214,6 +231,12 @@ class VJReceiver {
             this.isConnected = true;
             console.log('📡 VJ Receiver connected via BroadcastChannel');
 
+            // postMessage fallback used by vj-messaging when a panel opened this window
+            window.addEventListener('message', (event) => {
+                if (event.origin !== window.location.origin || event.source === window) return;
+                if (event.data && event.data.v !== undefined) this.handleMessage(event.data);
+            });
+
         } catch (error) {
             console.error('Failed to initialize BroadcastChannel:', error);
 
@@ -241,10 +264,7 @@ class VJReceiver {
 
         // Override sendMessage for localStorage
         this.sendMessage = (data) => {
-            const payload = {
-                ...data,
-                timestamp: Date.now()
-            };
+            const payload = createMessage(data.type, { ...data, output: outputManager.id }, SOURCES.DISPLAY);
             if (this._useLocalStorageBridge) {
                 try { localStorage.setItem('3886_vj_response', JSON.stringify(payload)); } catch {}
             }
@@ -277,16 +297,13 @@ class VJReceiver {
             }
         }, 1500, 'vj-localStorage-poll', {
             category: 'system',
+            background: true, // messages keep arriving while the tab is hidden
             maxAge: Infinity // Keep running until explicitly cleared
         });
     }
 
     sendMessage(data) {
-        const messageData = {
-            ...data,
-            timestamp: Date.now(),
-            _id: Math.random().toString(36).substr(2, 9)
-        };
+        const messageData = createMessage(data.type, { ...data, output: outputManager.id }, SOURCES.DISPLAY);
 
         // Prefer BroadcastChannel; LS bridge only when needed
         if (this._useLocalStorageBridge) {
@@ -311,8 +328,30 @@ class VJReceiver {
         }
     }
 
-    handleMessage(data) {
-        // console.log('📨 Received control message:', data);
+    handleMessage(raw) {
+        // console.log('📨 Received control message:', raw);
+
+        if (!raw) return;
+        // Other displays' broadcasts (status, acks, pong...) share the channel;
+        // mirrored outputs pick up the leader output's random phases from it
+        if (raw.source === SOURCES.DISPLAY) {
+            if (raw.type === 'output_phase' && raw.output !== outputManager.id && outputManager.followsLeader) {
+                window.chaosInit?.playScene(raw.scene);
+            }
+            return;
+        }
+
+        // Resolve aliases/legacy envelopes, then reject anything that doesn't match its schema
+        const data = normalizeMessage(raw);
+        // Addressed to other outputs (multi-screen shows)
+        if (data && !outputManager.accepts(data)) return;
+        const invalid = validateMessage(data);
+        if (invalid) {
+            console.warn(`⚠️ Rejected control message (${invalid.code}):`, invalid.error);
+            this.sendMessage(createError(data || raw, invalid.code, invalid.error));
+            return;
+        }
+        showRecorder.record(data);
 
         switch(data.type) {
             case 'control_connect':
@@ -334,72 +373,41 @@ class VJReceiver {
                 break;
 
             case 'scene_change':
+                // AUTO MODE hands the night back to random phases
+                if (data.scene === 'auto') setlistSequencer.stop();
                 this.changeScene(data.scene);
                 break;
 
-            // Support both 'color_update' and 'color_change' from control panel
-            case 'color_update':
-                this.updateColor(data.parameter, data.value);
-                break;
-
             case 'color_change':
-                // Handle the new control panel format
-                if (data.property && data.value !== undefined) {
-                    this.updateColor(data.property, data.value);
-                }
+                this.updateColor(data.property, data.value);
                 break;
 
             case 'color_reset':
                 this.resetColors();
                 break;
 
-            case 'speed_update':
-                this.updateSpeed(data.value);
-                break;
-
-            // Support 'speed_change' from control panel
             case 'speed_change':
                 this.updateSpeed(data.speed);
                 break;
 
-            case 'phase_duration_update':
-                this.updatePhaseDuration(data.value);
-                break;
-
-            // Support 'phase_duration_change' from control panel
             case 'phase_duration_change':
                 this.updatePhaseDuration(data.duration);
                 break;
 
-            case 'bpm_update':
-                this.updateBPM(data.bpm);
-                break;
-
-            // Support 'bpm_change' from control panel
             case 'bpm_change':
-                this.updateBPM(data.bpm);
+                beatClock.setBPM(data.bpm, 'manual');
                 break;
 
-            case 'effect_intensity': {
-                // Accept both value (0..1) and intensity (0..100) from different panels
-                let raw = (data.value !== undefined) ? data.value : data.intensity;
-                if (raw === undefined || raw === null) break;
-                const val = Number(raw) > 1 ? Number(raw) / 100 : Number(raw);
-                this.updateEffectIntensity(data.effect, val);
-                break;
-            }
-
-            // Support 'fx_intensity' from control panel
             case 'fx_intensity': {
-                // Normalized 0..1 expected; some send 0..100
-                const val = Number(data.intensity) > 1 ? Number(data.intensity) / 100 : Number(data.intensity);
+                // Normalized 0..1 expected; some panels send 0..100
+                const val = data.intensity > 1 ? data.intensity / 100 : data.intensity;
                 this.updateEffectIntensity(data.effect, val);
                 break;
             }
 
             case 'trigger_effect':
                 if (data.settings) this._mergeTriggerSettings(data.settings);
-                this.triggerEffect(data.effect, data.settings);
+                this.onBeatGrid(() => this.triggerEffect(data.effect, data.settings));
                 break;
 
             case 'trigger_settings':
@@ -412,7 +420,123 @@ class VJReceiver {
                 break;
 
             case 'preset_load':
-                this.loadPreset(data.preset);
+                try {
+                    this.loadPreset(data.preset, { duration: data.duration, from: data.from });
+                } catch (error) {
+                    console.warn('⚠️ Rejected preset:', error.message);
+                    this.sendMessage(createError(data, ERROR_CODES.INVALID_PAYLOAD, error.message));
+                    return;
+                }
+                break;
+
+            case 'preset_capture':
+                // Reply carries the snapshot so the panel can store it in a slot
+                this.sendMessage(createAck(data, { preset: this.capturePreset(data.name) }));
+                return;
+
+            case 'show_record_start':
+                showRecorder.startRecording({
+                    name: data.name,
+                    seed: seededRandom.seed,
+                    initialState: this.capturePreset('Session start')
+                });
+                break;
+
+            case 'show_record_stop':
+                // Reply carries the session so the panel can offer it as a download
+                this.sendMessage(createAck(data, { session: showRecorder.stopRecording() }));
+                return;
+
+            case 'show_replay_load':
+                try {
+                    showRecorder.load(data.session);
+                } catch (error) {
+                    console.warn('⚠️ Rejected session:', error.message);
+                    this.sendMessage(createError(data, ERROR_CODES.INVALID_PAYLOAD, error.message));
+                    return;
+                }
+                break;
+
+            case 'show_replay_play':
+                showRecorder.play(data.speed);
+                break;
+
+            case 'show_replay_pause':
+                showRecorder.pause();
+                break;
+
+            case 'show_replay_stop':
+                showRecorder.stop();
+                break;
+
+            case 'show_replay_seek':
+                showRecorder.seek(data.time * 1000);
+                break;
+
+            case 'show_replay_speed':
+                showRecorder.setSpeed(data.speed);
+                break;
+
+            case 'postfx_pass': {
+                const pipeline = window.chaosEngine?.pipeline;
+                if (!pipeline?.get(data.pass)) {
+                    this.sendMessage(createError(data, ERROR_CODES.INVALID_PAYLOAD, `Unknown post-processing pass: ${data.pass}`));
+                    return;
+                }
+                if (data.enabled !== undefined) pipeline.setEnabled(data.pass, data.enabled);
+                if (data.params) pipeline.setParams(data.pass, data.params, data.duration);
+                break;
+            }
+
+            case 'postfx_order':
+                window.chaosEngine?.pipeline.setOrder(data.order);
+                break;
+
+            case 'postfx_reset':
+                window.chaosEngine?.pipeline.reset(data.duration);
+                break;
+
+            case 'particle_mode':
+                if (!window.chaosEngine?.setParticleMode(data.mode)) {
+                    this.sendMessage(createError(data, ERROR_CODES.INVALID_PAYLOAD, `Unknown particle mode: ${data.mode}`));
+                    return;
+                }
+                break;
+
+            case 'output_config': {
+                const error = outputManager.setConfig(data);
+                if (error) {
+                    this.sendMessage(createError(data, ERROR_CODES.INVALID_PAYLOAD, error));
+                    return;
+                }
+                break;
+            }
+
+            case 'calibration': {
+                const error = projectionMapper.apply(data);
+                if (error) {
+                    this.sendMessage(createError(data, ERROR_CODES.INVALID_PAYLOAD, error));
+                    return;
+                }
+                break;
+            }
+
+            case 'plugin_param':
+                if (!pluginRegistry.setParam(data.plugin, data.param, data.value)) {
+                    this.sendMessage(createError(data, ERROR_CODES.INVALID_PAYLOAD, `Unknown plugin parameter: ${data.plugin}.${data.param}`));
+                    return;
+                }
+                break;
+
+            case 'random_seed':
+                if (data.replay) {
+                    // Reload so every module starts its stream from the top
+                    seededRandom.replay(data.seed);
+                    window.location.reload();
+                    return;
+                }
+                seededRandom.setSeed(data.seed);
+                this.sendMessage({ type: 'random_seed_state', ...seededRandom.getState(), timestamp: Date.now() });
                 break;
 
             case 'performance_mode':
@@ -439,7 +563,6 @@ class VJReceiver {
                 break;
 
             case 'anime_kill':
-            case 'anime_kill_all':  // Support control panel alias
                 console.log('💀 Processing anime_kill');
                 if (window.animeManager) {
                     window.animeManager.killAll();
@@ -456,12 +579,10 @@ class VJReceiver {
                 this.sendAnimeStatus('emergency_stopped', false, { success: true });
                 break;
 
-            case 'anime_trigger': {
-                const animationId = data.id || data.effect;
-                console.log('🎬 Processing anime_trigger:', animationId);
-                this.handleAnimeTrigger(animationId);
+            case 'anime_trigger':
+                console.log('🎬 Processing anime_trigger:', data.id);
+                this.handleAnimeTrigger(data.id);
                 break;
-            }
 
             case 'layer_toggle': {
                 console.log('🎭 Processing layer_toggle:', data.layer, data.visible);
@@ -469,6 +590,190 @@ class VJReceiver {
                 break;
             }
 
+            case 'layer_update': {
+                const { opacity, blend, solo } = data;
+                const error = layerManager.setLayer(data.layer, { opacity, blend, solo });
+                if (error) {
+                    this.sendMessage(createError(data, ERROR_CODES.INVALID_PAYLOAD, error));
+                    return;
+                }
+                if (data.muted !== undefined) this.toggleLayer(data.layer, !data.muted);
+                break;
+            }
+
+            case 'layer_order': {
+                const error = typeof data.move === 'number'
+                    ? layerManager.move(data.layer, data.move)
+                    : layerManager.setOrder(data.order);
+                if (error) {
+                    this.sendMessage(createError(data, ERROR_CODES.INVALID_PAYLOAD, error));
+                    return;
+                }
+                break;
+            }
+
+            case 'layer_reset':
+                layerManager.reset();
+                break;
+
+            case 'video_play': {
+                const options = { index: data.index, transition: data.transition, fade: data.fade };
+                const error = data.playlist
+                    ? videoLayer.playPlaylist(data.playlist, options)
+                    : (data.clip ? videoLayer.playClip(data.clip, options) : 'video_play needs a clip or playlist');
+                if (error) {
+                    this.sendMessage(createError(data, ERROR_CODES.INVALID_PAYLOAD, error));
+                    return;
+                }
+                break;
+            }
+
+            case 'video_stop':
+                videoLayer.stop(data.fade !== undefined ? { fade: data.fade } : {});
+                break;
+
+            case 'video_next':
+                videoLayer.next();
+                break;
+
+            case 'video_clip': {
+                const { blend, mask, rate, opacity } = data;
+                const error = videoLayer.setClip(data.clip, { blend, mask, rate, opacity });
+                if (error) {
+                    this.sendMessage(createError(data, ERROR_CODES.INVALID_PAYLOAD, error));
+                    return;
+                }
+                break;
+            }
+
+            case 'video_settings': {
+                const error = videoLayer.setSettings(data);
+                if (error) {
+                    this.sendMessage(createError(data, ERROR_CODES.INVALID_PAYLOAD, error));
+                    return;
+                }
+                break;
+            }
+
+            case 'video_playlist': {
+                const error = videoLayer.savePlaylist(data.playlist);
+                if (error) {
+                    this.sendMessage(createError(data, ERROR_CODES.INVALID_PAYLOAD, error));
+                    return;
+                }
+                break;
+            }
+
+            case 'video_playlist_delete': {
+                const error = videoLayer.deletePlaylist(data.playlist);
+                if (error) {
+                    this.sendMessage(createError(data, ERROR_CODES.INVALID_PAYLOAD, error));
+                    return;
+                }
+                break;
+            }
+
+            case 'lottie_play': {
+                const error = lottieAnimations.playAnimation(data.animation, data.duration !== undefined
+                    ? { hold: false, duration: data.duration }
+                    : { hold: true });
+                if (error) {
+                    this.sendMessage(createError(data, ERROR_CODES.INVALID_PAYLOAD, error));
+                    return;
+                }
+                break;
+            }
+
+            case 'lottie_stop': {
+                if (!data.animation) {
+                    lottieAnimations.stopAll();
+                    break;
+                }
+                const error = lottieAnimations.stopAnimation(data.animation);
+                if (error) {
+                    this.sendMessage(createError(data, ERROR_CODES.INVALID_PAYLOAD, error));
+                    return;
+                }
+                break;
+            }
+
+            case 'lottie_opacity': {
+                const error = lottieAnimations.setOpacity(data.animation, data.opacity ?? null);
+                if (error) {
+                    this.sendMessage(createError(data, ERROR_CODES.INVALID_PAYLOAD, error));
+                    return;
+                }
+                break;
+            }
+
+            case 'lottie_settings': {
+                const error = lottieAnimations.setSettings({ auto: data.auto, maxConcurrent: data.maxConcurrent });
+                if (error) {
+                    this.sendMessage(createError(data, ERROR_CODES.INVALID_PAYLOAD, error));
+                    return;
+                }
+                break;
+            }
+
+            case 'capture_settings': {
+                const { mode, resolution, fps, bitrate, duration } = data;
+                const error = outputCapture.setSettings({ mode, resolution, fps, bitrate, duration });
+                if (error) {
+                    this.sendMessage(createError(data, ERROR_CODES.INVALID_PAYLOAD, error));
+                    return;
+                }
+                break;
+            }
+
+            case 'capture_start': {
+                const error = outputCapture.start();
+                if (error) {
+                    this.sendMessage(createError(data, ERROR_CODES.INVALID_PAYLOAD, error));
+                    return;
+                }
+                break;
+            }
+
+            case 'capture_stop': {
+                const error = outputCapture.stop();
+                if (error) {
+                    this.sendMessage(createError(data, ERROR_CODES.INVALID_PAYLOAD, error));
+                    return;
+                }
+                break;
+            }
+
+            case 'capture_snapshot': {
+                const error = outputCapture.snapshot();
+                if (error) {
+                    this.sendMessage(createError(data, ERROR_CODES.INVALID_PAYLOAD, error));
+                    return;
+                }
+                break;
+            }
+
+            case 'capture_save': {
+                const error = outputCapture.saveFile(data.file);
+                if (error) {
+                    this.sendMessage(createError(data, ERROR_CODES.INVALID_PAYLOAD, error));
+                    return;
+                }
+                break;
+            }
+
+            case 'persistence_settings': {
+                const error = showPersistence.setSettings({ restore: data.restore });
+                if (error) {
+                    this.sendMessage(createError(data, ERROR_CODES.INVALID_PAYLOAD, error));
+                    return;
+                }
+                break;
+            }
+
+            case 'persistence_clean':
+                showPersistence.startClean();
+                break;
+
             // Logo animation controls
             case 'logo_pulse_trigger':
                 console.log('💫 Triggering logo pulse');
@@ -502,6 +807,8 @@ class VJReceiver {
                     this.sendAnimeStatus('blocked', false, { actionId: 'logo-glow', success: false, reason: 'disabled' });
                     break;
                 }
+                // Only the latching paths change logoState.glow; one-shot pulses leave nothing to store
+                const latches = this.logoGlowLatches();
                 if (window.animationManager && typeof window.animationManager.trigger === 'function') {
                     // Use a one-shot glow pulse
                     window.animationManager.trigger('logo-glow');
@@ -519,9 +826,10 @@ class VJReceiver {
                     if (el) {
                         const prev = el.style.filter;
                         el.style.filter = 'drop-shadow(0 0 30px #00ff41) drop-shadow(0 0 60px #00ff41)';
-                        setTimeout(() => { el.style.filter = prev; }, 1000);
+                        scheduler.timeout(() => { el.style.filter = prev; }, 1000, { name: 'logo-glow-restore', category: 'effect' });
                     }
                 }
+                if (latches) this.logoState.glow = !this.logoState.glow;
                 this.sendMessage({ type: 'logo_glow_toggled', timestamp: Date.now() });
                 break;
 
@@ -543,6 +851,7 @@ class VJReceiver {
                         }
                     });
                 }
+                this.logoState.outline = !!data.enabled;
                 this.sendMessage({ type: 'logo_outline_toggled', enabled: data.enabled, timestamp: Date.now() });
                 break;
 
@@ -550,7 +859,7 @@ class VJReceiver {
                 console.log('📝 Displaying matrix message:', data.message);
                 // Trigger matrix message display
                 if (window.matrixMessages && window.matrixMessages.showMessage) {
-                    window.matrixMessages.showMessage(data.message);
+                    window.matrixMessages.showMessage(data.message, { style: data.style, duration: data.duration, position: data.position });
                     // Acknowledge immediately that the message display has started
                     this.sendMessage({
                         type: 'matrix_message_displayed',
@@ -570,15 +879,76 @@ class VJReceiver {
                 }
                 break;
 
+            case 'message_library_load': {
+                const error = messageLibrary.load(data.library, { keepTimestamp: true });
+                if (error) {
+                    this.sendMessage(createError(data, ERROR_CODES.INVALID_PAYLOAD, error));
+                    return;
+                }
+                break;
+            }
+
+            case 'message_queue_add': {
+                const error = messageQueue.add(data);
+                if (error) {
+                    this.sendMessage(createError(data, ERROR_CODES.INVALID_PAYLOAD, error));
+                    return;
+                }
+                break;
+            }
+
+            case 'message_queue_remove':
+                messageQueue.remove(data.id);
+                break;
+
+            case 'message_queue_play':
+                if (!messageQueue.playNow(data.id)) {
+                    this.sendMessage(createError(data, ERROR_CODES.INVALID_PAYLOAD, `No queued message ${data.id}`));
+                    return;
+                }
+                break;
+
+            case 'message_queue_clear':
+                messageQueue.clear({ history: !!data.history });
+                break;
+
+            case 'message_queue_settings': {
+                const error = messageQueue.setSettings(data);
+                if (error) {
+                    this.sendMessage(createError(data, ERROR_CODES.INVALID_PAYLOAD, error));
+                    return;
+                }
+                break;
+            }
+
+            case 'matrix_overlay_show':
+                debouncedShowMatrixMessage(data.text);
+                break;
+
+            case 'matrix_overlay_hide':
+                hideMatrixMessage();
+                break;
+
             case 'emergency_stop':
                 this.emergencyStop();
                 break;
 
+            // Emergency stop plus blackout overlay
+            case 'emergency_kill':
+                setBlackout(true);
+                this.emergencyStop();
+                break;
+
             case 'system_reset':
                 console.log('🔄 Processing system_reset');
+                setBlackout(false);
                 this.resetAllSystems();
                 break;
 
+            case 'page_reload':
+                window.location.reload();
+                break;
+
             case 'system_reload':
                 console.log('🌀 Processing system_reload (full restart)');
                 try {
@@ -586,7 +956,7 @@ class VJReceiver {
                         window.ChaosControl.restart();
                     } else if (window.chaosInit && typeof window.chaosInit.init === 'function') {
                         window.chaosInit.destroy?.();
-                        setTimeout(() => window.chaosInit.init(), 100);
+                        scheduler.timeout(() => window.chaosInit.init(), 100, { name: 'chaos-restart', category: 'system', scaled: false, background: true });
                     } else {
                         // Fallback: hard reload as last resort
                         window.location.reload();
@@ -634,11 +1004,6 @@ class VJReceiver {
                 this.sendDetailedPerformanceData();
                 break;
 
-            // Some control panels send this alias
-            case 'request_performance_detailed':
-                this.sendDetailedPerformanceData();
-                break;
-
             case 'run_animation_diagnostics':
                 this.runAnimationDiagnostics();
                 break;
@@ -647,57 +1012,74 @@ class VJReceiver {
                 this.handleSequenceEvent(data);
                 break;
 
-            case 'apply_settings':
-                console.log('🔄 VJ Receiver: Applying settings from control panel');
-                this.applyControlPanelSettings(data.data);
+            case 'beat_tap':
+                beatClock.tap();
                 break;
 
-            // REMOVED: Complex reset handlers - now using minimal reset approach
-            default:
-                // Handle new VJ messaging system messages
-                if (data.kind === 'ZIKADA_CONTROL') {
-                    this.handleVJMessage(data);
+            case 'beat_mode':
+                beatClock.setMode(data.mode);
+                break;
+
+            case 'beat_resync':
+                beatClock.resync();
+                break;
+
+            case 'setlist_load':
+                try {
+                    setlistSequencer.load(data.setlist);
+                } catch (error) {
+                    console.warn('⚠️ Rejected setlist:', error.message);
+                    this.sendMessage(createError(data, ERROR_CODES.INVALID_PAYLOAD, error.message));
+                    return;
                 }
                 break;
-        }
-    }
 
-    handleVJMessage(data) {
-        const { type, payload } = data;
-        
-        switch (type) {
-            case MESSAGE_TYPES.EMERGENCY_KILL:
-                console.log('🚨 Emergency Kill triggered via VJ messaging');
-                setBlackout(true);
-                this.emergencyStop();
+            case 'setlist_play':
+                setlistSequencer.play();
                 break;
-                
-            case MESSAGE_TYPES.SYSTEM_RESET:
-                console.log('🔄 System Reset triggered via VJ messaging');
-                setBlackout(false);
-                this.resetAllSystems();
+
+            case 'setlist_pause':
+                setlistSequencer.pause();
                 break;
-                
-            case MESSAGE_TYPES.SYSTEM_RELOAD:
-                console.log('🌀 System Reload triggered via VJ messaging');
-                window.location.reload();
+
+            case 'setlist_stop':
+                setlistSequencer.stop();
                 break;
-                
-            case MESSAGE_TYPES.SET_PERFORMANCE_MODE:
-                console.log('⚡ Performance mode change via VJ messaging:', payload.mode);
-                this.setPerformanceMode(payload.mode);
+
+            case 'setlist_next':
+                setlistSequencer.next();
                 break;
-                
-            case MESSAGE_TYPES.MATRIX_MESSAGE_SHOW:
-                console.log('📝 Matrix message show via VJ messaging:', payload.text);
-                debouncedShowMatrixMessage(payload.text);
+
+            case 'setlist_prev':
+                setlistSequencer.prev();
                 break;
-                
-            case MESSAGE_TYPES.MATRIX_MESSAGE_HIDE:
-                console.log('📝 Matrix message hide via VJ messaging');
-                hideMatrixMessage();
+
+            case 'setlist_goto':
+                setlistSequencer.goto(data.index);
+                break;
+
+            case 'setlist_loop':
+                setlistSequencer.setLoop(data.loop);
                 break;
+
+            case 'audio_input':
+                this.setAudioInput(data.source, data);
+                break;
+
+            case 'audio_settings':
+                audioAnalyzer.setSettings(data.settings || {});
+                this.sendMessage({ type: 'audio_status', ...audioAnalyzer.getStatus(), timestamp: Date.now() });
+                break;
+
+            case 'apply_settings':
+                console.log('🔄 VJ Receiver: Applying settings from control panel');
+                this.applyControlPanelSettings(data.data);
+                break;
+
+            // REMOVED: Complex reset handlers - now using minimal reset approach
         }
+
+        if (data.ack) this.sendMessage(createAck(data));
     }
 
     handleConnection() {
@@ -709,6 +1091,298 @@ class VJReceiver {
             settings: this.currentSettings
         });
         this.sendAnimeStatus('status', this.animeEnabled);
+        this.sendMessage({ type: 'audio_status', ...audioAnalyzer.getStatus(), timestamp: Date.now() });
+        this.sendMessage({ type: 'beat_clock', ...beatClock.getState(), timestamp: Date.now() });
+        this.sendMessage({ type: 'setlist_state', ...setlistSequencer.getState(), timestamp: Date.now() });
+        this.sendMessage({ type: 'random_seed_state', ...seededRandom.getState(), timestamp: Date.now() });
+        this.sendMessage({ type: 'show_state', ...showRecorder.getState(), timestamp: Date.now() });
+        if (window.chaosEngine?.pipeline.composer) {
+            this.sendMessage({ type: 'postfx_state', ...window.chaosEngine.pipeline.getState(), timestamp: Date.now() });
+        }
+        if (window.chaosEngine) {
+            this.sendMessage({ type: 'particle_mode_state', ...window.chaosEngine.getParticleState(), timestamp: Date.now() });
+        }
+        this.sendMessage({ type: 'plugin_manifest', ...pluginRegistry.getManifest(), timestamp: Date.now() });
+        this.sendMessage({ type: 'calibration_state', ...projectionMapper.getState(), timestamp: Date.now() });
+        this.sendMessage({ type: 'layer_state', ...layerManager.getState(), timestamp: Date.now() });
+        this.sendMessage({ type: 'video_state', ...videoLayer.getState(), timestamp: Date.now() });
+        this.sendMessage({ type: 'lottie_state', ...lottieAnimations.getState(), timestamp: Date.now() });
+        this.sendMessage({ type: 'capture_state', ...outputCapture.getState(), timestamp: Date.now() });
+        this.sendMessage({ type: 'persistence_state', ...showPersistence.getState(), timestamp: Date.now() });
+        this.sendMessage({ type: 'message_queue_state', ...messageQueue.getState(), timestamp: Date.now() });
+        this.sendMessage({ type: 'message_library_state', library: messageLibrary.getLibrary(), timestamp: Date.now() });
+        const quality = performanceModeManager.getState();
+        this.sendMessage({ type: 'performance_mode_updated', mode: quality.mode, tier: quality.tier, frameTime: quality.frameTime, timestamp: Date.now() });
+    }
+
+    initAudioBridge() {
+        window.addEventListener('audioStatus', (e) => {
+            this.sendMessage({ type: 'audio_status', ...audioAnalyzer.getStatus(), ...e.detail, timestamp: Date.now() });
+        });
+
+        // Level meters in the panel only need ~10Hz; skip entirely on the localStorage bridge
+        let lastLevelsSent = 0;
+        window.addEventListener('audioUpdate', (e) => {
+            if (this._useLocalStorageBridge || !this.hasControlPanel) return;
+            const now = performance.now();
+            if (now - lastLevelsSent < 100) return;
+            lastLevelsSent = now;
+            this.sendMessage({ type: 'audio_levels', levels: e.detail });
+        });
+        window.addEventListener('audioOnset', (e) => {
+            if (this._useLocalStorageBridge || !this.hasControlPanel) return;
+            this.sendMessage({ type: 'audio_onset', strength: e.detail.strength });
+        });
+    }
+
+    initBeatClock() {
+        beatClock.init();
+
+        // Tempo changes from any source (manual, tap, auto) drive updateBPM
+        window.addEventListener('beatClock', (e) => {
+            const { bpm } = e.detail;
+            if (bpm !== this.currentSettings.bpm) this.updateBPM(bpm);
+            this.sendMessage({ type: 'beat_clock', ...beatClock.getState(), timestamp: Date.now() });
+        });
+
+        this._beatUnsubscribe = beatClock.onBeat((beat) => {
+            if (this.bpmRippleEnabled) this.triggerRipple();
+            // Per-beat phase for the panel indicator; too chatty for the localStorage bridge
+            if (this._useLocalStorageBridge || !this.hasControlPanel) return;
+            this.sendMessage({
+                type: 'beat_clock',
+                bpm: beat.bpm,
+                source: beatClock.source,
+                mode: beatClock.mode,
+                confidence: beatClock.confidence,
+                beat: beat.beat,
+                bar: beat.bar,
+                beatInBar: beat.beatInBar
+            });
+        });
+    }
+
+    initSetlist() {
+        // Cues re-fire when a recorded setlist_play is replayed, so they aren't recorded themselves
+        setlistSequencer.init({ execute: (action) => showRecorder.withoutRecording(() => this.runSetlistAction(action)) });
+
+        let wasActive = false;
+        window.addEventListener('setlistState', (e) => {
+            const active = e.detail.state !== 'stopped';
+            if (active !== wasActive) {
+                // Random phases and the calm/buildup/intense loop only run without a setlist
+                if (window.chaosInit) window.chaosInit.phaseHold = active;
+                timingController.holdMasterTimeline(active);
+                if (!active) {
+                    this.currentSettings.scene = 'auto';
+                    this.sendMessage({ type: 'scene_changed', scene: 'auto' });
+                }
+                wasActive = active;
+            }
+            this.sendMessage({ type: 'setlist_state', ...e.detail, timestamp: Date.now() });
+        });
+    }
+
+    initPerformanceQuality() {
+        performanceModeManager.init();
+        // Fires for manual mode changes and for the governor's tier steps in auto mode
+        window.addEventListener('performanceQuality', (e) => {
+            const { mode, tier, frameTime } = e.detail;
+            this.sendMessage({ type: 'performance_mode_updated', mode, tier, frameTime, timestamp: Date.now() });
+        });
+    }
+
+    initPostFX() {
+        window.addEventListener('postfxState', (e) => {
+            this.sendMessage({ type: 'postfx_state', ...e.detail, timestamp: Date.now() });
+        });
+        window.addEventListener('particleField', (e) => {
+            this.sendMessage({ type: 'particle_mode_state', ...e.detail, timestamp: Date.now() });
+        });
+    }
+
+    // Layer compositor: order, opacity, blend and solo per layer (layer-manager.js)
+    initLayers() {
+        window.addEventListener('layerState', (e) => {
+            this.sendMessage({ type: 'layer_state', ...e.detail, timestamp: Date.now() });
+        });
+        layerManager.init();
+    }
+
+    // Video layer: clip library, playlists and transitions (video-layer.js)
+    initVideoLayer() {
+        window.addEventListener('videoLayer', (e) => {
+            this.sendMessage({ type: 'video_state', ...e.detail, timestamp: Date.now() });
+        });
+        videoLayer.init();
+    }
+
+    // Lottie schedule and visible animations (lottie-animations.js; chaos-init starts it)
+    initLottie() {
+        window.addEventListener('lottieState', (e) => {
+            this.sendMessage({ type: 'lottie_state', ...e.detail, timestamp: Date.now() });
+        });
+    }
+
+    // Output capture: recording progress and finished files (output-capture.js)
+    initCapture() {
+        window.addEventListener('captureState', (e) => {
+            this.sendMessage({ type: 'capture_state', ...e.detail, timestamp: Date.now() });
+        });
+    }
+
+    // Show state kept across reloads and crashes (show-persistence.js): the preset
+    // snapshot plus the beat clock, restored through the preset path
+    initPersistence() {
+        window.addEventListener('showPersistence', (e) => {
+            this.sendMessage({ type: 'persistence_state', ...e.detail, timestamp: Date.now() });
+        });
+        showPersistence.init({
+            capture: () => ({ preset: this.capturePreset('Show state'), bpm: beatClock.bpm, bpmMode: beatClock.mode }),
+            restore: (snapshot) => {
+                this.applyPresetState(snapshot.preset);
+                // Auto mode starts from the saved tempo until onsets take over
+                if (snapshot.bpm) beatClock.setBPM(snapshot.bpm, 'manual');
+                if (snapshot.bpmMode === 'auto') beatClock.setMode('auto');
+            }
+        });
+    }
+
+    // Multi-output: per-output layer set, status heartbeat for the panel's output
+    // list, and the leader's random phases relayed to mirrored outputs
+    initOutput() {
+        Object.entries(outputManager.config.layers).forEach(([layer, visible]) => this.toggleLayer(layer, visible));
+
+        window.addEventListener('outputConfig', () => {
+            this.applyOutputLayers();
+            this.sendOutputStatus();
+        });
+        window.addEventListener('phaseStarted', (e) => {
+            if (outputManager.config.leader) this.sendMessage({ type: 'output_phase', scene: e.detail.scene });
+        });
+        scheduler.interval(() => this.sendOutputStatus(), OUTPUT_STATUS_MS, {
+            name: 'output-status', category: 'system', scaled: false, background: true
+        });
+    }
+
+    applyOutputLayers() {
+        Object.entries(outputManager.config.layers).forEach(([layer, visible]) => {
+            if (layerManager.layers.get(layer)?.muted === visible) layerManager.setLayer(layer, { muted: !visible });
+        });
+    }
+
+    sendOutputStatus() {
+        const fps = Math.round(this.currentFPS || 0);
+        this.sendMessage({
+            type: 'output_status',
+            ...outputManager.getState(),
+            fps,
+            scene: window.chaosInit?.currentPhase || this.currentSettings.scene,
+            status: document.hidden ? 'hidden' : (fps && fps < 20 ? 'low-fps' : 'ok'),
+            timestamp: Date.now()
+        });
+    }
+
+    // Projection mapping: this output's corner pin, mesh warp and edge blend
+    initCalibration() {
+        window.addEventListener('calibrationState', (e) => {
+            this.sendMessage({ type: 'calibration_state', ...e.detail, timestamp: Date.now() });
+        });
+        projectionMapper.init();
+    }
+
+    initMessageQueue() {
+        window.addEventListener('messageQueue', (e) => {
+            this.sendMessage({ type: 'message_queue_state', ...e.detail, timestamp: Date.now() });
+        });
+        messageQueue.init();
+    }
+
+    // Panel library edits arrive as message_library_load; the panel keeps the newer copy
+    initMessageLibrary() {
+        window.addEventListener('messageLibrary', (e) => {
+            this.sendMessage({ type: 'message_library_state', ...e.detail, timestamp: Date.now() });
+        });
+    }
+
+    initPlugins() {
+        window.addEventListener('pluginRegistry', (e) => {
+            this.sendMessage({ type: 'plugin_manifest', ...e.detail, timestamp: Date.now() });
+        });
+        pluginRegistry.registerBundled();
+    }
+
+    initShowRecorder() {
+        showRecorder.init({
+            // Replays go through the same entry point as live panel input
+            dispatch: (message) => this.handleMessage(message),
+            restore: (session) => {
+                setlistSequencer.stop();
+                if (session.seed) seededRandom.setSeed(session.seed, 'replay');
+                if (session.initialState) this.loadPreset(session.initialState);
+            }
+        });
+        window.addEventListener('showRecorderState', (e) => {
+            this.sendMessage({ type: 'show_state', ...e.detail, timestamp: Date.now() });
+        });
+    }
+
+    // Scene changes and cue points from the setlist sequencer. Cues already land on
+    // the beat grid, so triggers run immediately instead of through onBeatGrid.
+    runSetlistAction(action) {
+        switch (action.type) {
+            case 'scene':
+                this.changeScene(action.scene);
+                if (action.phase) timingController.phase(action.phase);
+                break;
+            case 'matrix':
+                this.handleMessage(createMessage('matrix_message', { message: String(action.message || '') }, SOURCES.CONTROL));
+                break;
+            case 'trigger':
+                this.triggerEffect(action.effect);
+                break;
+            case 'macro':
+                this.runMacro(action.macro || 'impact');
+                break;
+            case 'preset':
+                this.loadPreset(action.preset, { duration: action.duration });
+                break;
+        }
+    }
+
+    // Run a trigger on the next beat/bar per triggerSettings.quantize (immediately when off)
+    onBeatGrid(callback) {
+        const quantize = this.triggerSettings.quantize;
+        if (quantize === 'beat' || quantize === 'bar') {
+            beatClock.onNextBeat(callback, quantize);
+        } else {
+            callback();
+        }
+    }
+
+    setAudioInput(source, data = {}) {
+        console.log(`🎧 Audio input -> ${source}`);
+        switch (source) {
+            case 'mic':
+                audioAnalyzer.startMicrophone(data.deviceId || null);
+                break;
+            case 'file':
+                // File objects survive BroadcastChannel structured cloning, not the localStorage bridge
+                // or the relay; tell the panel rather than staying silent
+                if (data.droppedFiles?.includes('file')) {
+                    this.sendMessage({
+                        type: 'audio_status',
+                        ...audioAnalyzer.getStatus(),
+                        error: 'audio files are not sent over the relay, open the panel on the display machine',
+                        timestamp: Date.now()
+                    });
+                    break;
+                }
+                audioAnalyzer.startFile(data.file);
+                break;
+            default:
+                audioAnalyzer.stop();
+        }
     }
 
     changeScene(scene) {
@@ -718,6 +1392,9 @@ class VJReceiver {
         if (!chaosInit) return;
 
         if (scene === 'auto') {
+            // Leave any plugin scene; the phase cycle enters the next phase's own
+            pluginRegistry.setScene(null);
+
             // Resume auto phase switching
             chaosInit.phaseRunning = true;
             chaosInit.startAnimationPhases();
@@ -725,6 +1402,9 @@ class VJReceiver {
             // Stop auto switching
             chaosInit.phaseRunning = false;
 
+            // Leaves the previous plugin scene; enters scene if a plugin owns it
+            pluginRegistry.setScene(scene);
+
             // Trigger specific phase
             switch(scene) {
                 case 'intense':
@@ -785,6 +1465,10 @@ class VJReceiver {
         }
 
         this.currentSettings.scene = scene;
+        // Each scene brings its own 3D content (scene-content.js) and post-processing mix (SCENE_POSTFX)
+        window.chaosEngine?.applyScene(scene);
+        // Not a phaseStarted: that one is relayed to mirrored outputs and releases the boot restore
+        window.dispatchEvent(new CustomEvent('sceneChanged', { detail: { scene: scene === 'auto' ? null : scene } }));
 
         // Log and expose current scene for diagnostics
         try {
@@ -881,6 +1565,7 @@ class VJReceiver {
         }
     }
 
+    // Driven by the beat clock; send bpm_change or call beatClock.setBPM() to change tempo
     updateBPM(bpm) {
         this.currentSettings.bpm = bpm;
 
@@ -889,8 +1574,9 @@ class VJReceiver {
 
         // Pulse effects to BPM
         if (window.enhancedLogoAnimator) {
-            // Sync logo pulse to BPM
-            gsap.to('.logo-text-wrapper, .image-wrapper', {
+            // Sync logo pulse to BPM (replace the previous tween instead of stacking them)
+            if (this.bpmPulseTween) this.bpmPulseTween.kill();
+            this.bpmPulseTween = gsap.to('.logo-text-wrapper, .image-wrapper', {
                 scale: 1.02,
                 duration: beatInterval / 2000,
                 yoyo: true,
@@ -898,9 +1584,6 @@ class VJReceiver {
                 ease: 'sine.inOut'
             });
         }
-
-        // Restart BPM ripple if enabled
-        this.setupBpmRippleTimer();
     }
 
     updateEffectIntensity(effect, value) {
@@ -1019,12 +1702,16 @@ class VJReceiver {
             case 'heat-shimmer':
                 this.triggerHeatShimmer();
                 break;
+            default:
+                if (!pluginRegistry.trigger(effect, this.triggerSettings)) {
+                    console.warn(`Unknown trigger effect: ${effect}`);
+                }
         }
 
         // Decrement active effects counter after effect duration
-        setTimeout(() => {
+        scheduler.timeout(() => {
             this.activeFx--;
-        }, 2000);
+        }, 2000, { name: 'active-fx-count', category: 'system' });
     }
 
     _mergeTriggerSettings(s) {
@@ -1032,6 +1719,7 @@ class VJReceiver {
         this.triggerSettings.theme = (s.theme || this.triggerSettings.theme);
         if (typeof s.intensity === 'number') this.triggerSettings.intensity = Math.max(0, Math.min(1, s.intensity));
         if (typeof s.speed === 'number') this.triggerSettings.speed = Math.max(0.1, Math.min(1, s.speed));
+        if (['off', 'beat', 'bar'].includes(s.quantize)) this.triggerSettings.quantize = s.quantize;
     }
 
     _themeColor() {
@@ -1044,14 +1732,14 @@ class VJReceiver {
         }
     }
 
-    // Macro sequences
+    // Macro sequences - steps land on beat subdivisions (sixteenths when fast, eighths otherwise)
     runMacro(id) {
         const speed = this.triggerSettings.speed || 0.6;
-        const delay = (ms) => new Promise(r => setTimeout(r, ms));
-        const step = Math.max(80, Math.round(220 - speed * 150));
-        const seq = async (arr) => {
-            for (const e of arr) { this.triggerEffect(e); await delay(step + Math.random()*80); }
-        };
+        const delay = (ms) => new Promise(r => scheduler.timeout(r, ms, { name: 'macro-step', category: 'effect', scaled: false }));
+        const division = speed >= 0.5 ? 0.25 : 0.5;
+        const seq = (arr) => this.onBeatGrid(async () => {
+            for (const e of arr) { this.triggerEffect(e); await delay(beatClock.msUntilNext(division)); }
+        });
         switch ((id || '').toLowerCase()) {
             case 'glitch':
                 seq(['chroma-pulse', 'rgbsplit', 'invert-flicker', 'scanlines-sweep']);
@@ -1107,9 +1795,9 @@ class VJReceiver {
             const current = window.getComputedStyle(document.body).filter;
             const pulsedFilter = current === 'none' ? 'hue-rotate(45deg)' : `${current} hue-rotate(45deg)`;
             window.filterManager.applyImmediate(pulsedFilter, { duration: 0.1 });
-            setTimeout(() => {
+            scheduler.timeout(() => {
                 window.filterManager.applyImmediate(current === 'none' ? 'none' : current, { duration: 0.15 });
-            }, 250);
+            }, 250, { name: 'trigger-restore', category: 'effect' });
         }
     }
 
@@ -1119,7 +1807,7 @@ class VJReceiver {
             if (window.fxController) {
                 const current = window.fxController.getIntensity('noise');
                 window.fxController.setIntensity({ noise: Math.min(1, current + 0.5) });
-                setTimeout(() => window.fxController.setIntensity({ noise: current }), 300);
+                scheduler.timeout(() => window.fxController.setIntensity({ noise: current }), 300, { name: 'trigger-restore', category: 'effect' });
                 return;
             }
         } catch {}
@@ -1140,7 +1828,7 @@ class VJReceiver {
             if (fx) {
                 const wasOn = !!fx.effectStates?.cyberGrid;
                 fx.setEffectEnabled('cyberGrid', true);
-                setTimeout(() => fx.setEffectEnabled('cyberGrid', wasOn), 500);
+                scheduler.timeout(() => fx.setEffectEnabled('cyberGrid', wasOn), 500, { name: 'trigger-restore', category: 'effect' });
                 return;
             }
         } catch {}
@@ -1181,11 +1869,11 @@ class VJReceiver {
             window.filterManager.applyImmediate(blurFilter, { duration: 0.1 });
         }
         gsap.to(targets, { scale: 1, duration: 0.25, delay: 0.12, ease: 'power2.in' });
-        setTimeout(() => {
+        scheduler.timeout(() => {
             if (window.filterManager) {
                 window.filterManager.applyImmediate(current === 'none' ? 'none' : current, { duration: 0.15 });
             }
-        }, 400);
+        }, 400, { name: 'trigger-restore', category: 'effect' });
     }
 
     triggerInvertFlicker() {
@@ -1328,12 +2016,12 @@ class VJReceiver {
 
         // Sequence via Filter Manager (sanitized, atomic transitions)
         filterManager.applyImmediate('hue-rotate(120deg) saturate(2)', { duration: d1, ease: 'power2.inOut' });
-        setTimeout(() => {
+        scheduler.timeout(() => {
             filterManager.applyImmediate('hue-rotate(-120deg) saturate(2)', { duration: d2, ease: 'power2.inOut' });
-            setTimeout(() => {
+            scheduler.timeout(() => {
                 filterManager.applyImmediate(originalFilter || 'none', { duration: d3, ease: 'power2.out' });
-            }, Math.max(0, Math.round(d2 * 1000)));
-        }, Math.max(0, Math.round(d1 * 1000)));
+            }, Math.max(0, Math.round(d2 * 1000)), { name: 'color-cycle', category: 'effect' });
+        }, Math.max(0, Math.round(d1 * 1000)), { name: 'color-cycle', category: 'effect' });
     }
 
     triggerShake() {
@@ -1341,24 +2029,9 @@ class VJReceiver {
         this.triggerRipple();
     }
 
-    // Public: enable/disable ripple on BPM
+    // Public: enable/disable ripple on BPM (fired from the beat clock, see initBeatClock)
     setBpmRippleEnabled(enabled) {
         this.bpmRippleEnabled = !!enabled;
-        this.setupBpmRippleTimer();
-    }
-
-    setupBpmRippleTimer() {
-        if (this.bpmRippleInterval) {
-            clearInterval(this.bpmRippleInterval);
-            this.bpmRippleInterval = null;
-        }
-        if (!this.bpmRippleEnabled) return;
-        const bpm = this.currentSettings.bpm || 120;
-        const period = Math.max(200, Math.floor(60000 / bpm));
-        this.bpmRippleInterval = setInterval(() => {
-            // Center ripple on each beat
-            this.triggerRipple();
-        }, period);
     }
 
     setupClickRipple() {
@@ -1433,7 +2106,7 @@ class VJReceiver {
         const maxRadius = Math.sqrt(window.innerWidth * window.innerWidth + window.innerHeight * window.innerHeight) * 0.5;
 
         for (let i = 0; i < rippleCount; i++) {
-            setTimeout(() => {
+            scheduler.timeout(() => {
                 const color = colors[i % colors.length];
                 const circle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
                 circle.setAttribute('cx', cx);
@@ -1462,7 +2135,7 @@ class VJReceiver {
 
                 // Synchronized glow pulse on logo
                 this.logoGlowPulse();
-            }, i * 120);
+            }, i * 120, { name: 'ripple-ring', category: 'effect' });
         }
     }
 
@@ -1513,8 +2186,8 @@ class VJReceiver {
             const wave = document.createElement('div');
             wave.style.cssText = `
                 position: fixed;
-                left: ${Math.random() * 100}%;
-                top: ${Math.random() * 100}%;
+                left: ${random() * 100}%;
+                top: ${random() * 100}%;
                 width: 3px;
                 height: 3px;
                 background: rgba(0, 255, 133, 0.9);
@@ -1528,7 +2201,7 @@ class VJReceiver {
             gsap.to(wave, {
                 scale: 15,
                 opacity: 0,
-                duration: Math.random() * (1 + (1 - particlesI)) + 0.4,
+                duration: random() * (1 + (1 - particlesI)) + 0.4,
                 delay: i * 0.1,
                 ease: 'power2.out',
                 onComplete: () => wave.remove()
@@ -1542,24 +2215,137 @@ class VJReceiver {
         }
     }
 
-    loadPreset(preset) {
-        console.log('📂 Loading preset:', preset);
+    /**
+     * Snapshot of the complete visual state (format: preset-state.js)
+     */
+    capturePreset(name) {
+        const pool = window.matrixMessages?.messages;
+        return normalizePreset({
+            version: 2,
+            name: name || `Preset ${new Date().toLocaleTimeString()}`,
+            colors: { ...this.currentSettings.colors },
+            speed: this.currentSettings.speed,
+            phaseDuration: this.currentSettings.phaseDuration,
+            scene: this.currentSettings.scene,
+            intensities: { ...fxController.intensities },
+            effects: { ...(fxController.effectStates || {}) },
+            layers: { ...this.layerVisibility },
+            logo: { ...this.logoState },
+            anime: { enabled: !!this.animeEnabled },
+            triggerSettings: { ...this.triggerSettings },
+            postProcessing: window.chaosEngine?.pipeline.getConfig(),
+            matrixPool: Array.isArray(pool) ? [...pool] : undefined
+        });
+    }
+
+    /**
+     * Apply a preset, optionally crossfading over `duration` seconds.
+     * Numeric values (colours, speed, FX intensities) are interpolated; discrete
+     * values (scene, toggles, layers, pool) switch at the halfway point.
+     * With `from`, that preset is applied first so the fade runs from A to B.
+     */
+    loadPreset(raw, { duration = 0, from = null } = {}) {
+        const preset = normalizePreset(raw);
+        console.log('📂 Loading preset:', preset.name, duration ? `(${duration}s crossfade)` : '');
 
-        // Apply all preset values
-        if (preset.hue !== undefined) this.updateColor('hue', preset.hue);
-        if (preset.saturation !== undefined) this.updateColor('saturation', preset.saturation);
-        if (preset.brightness !== undefined) this.updateColor('brightness', preset.brightness);
-        if (preset.contrast !== undefined) this.updateColor('contrast', preset.contrast);
+        if (this.presetFade) {
+            cancelAnimationFrame(this.presetFade);
+            this.presetFade = null;
+        }
+        if (from) this.applyPresetState(normalizePreset(from));
+
+        const durationMs = Math.max(0, Number(duration) || 0) * 1000;
+        if (durationMs === 0) {
+            this.applyPresetState(preset);
+            this.sendMessage({ type: 'preset_status', state: 'loaded', name: preset.name, progress: 1 });
+            return;
+        }
+
+        // Own rAF loop: a GSAP tween would be stretched by the speed it is fading
+        const start = this.capturePreset();
+        const startTime = performance.now();
+        let switched = false;
+        let lastReport = 0;
+        const step = () => {
+            const now = performance.now();
+            const t = Math.min(1, (now - startTime) / durationMs);
+            if (t >= 1) {
+                this.presetFade = null;
+                this.applyPresetState(preset);
+                this.sendMessage({ type: 'preset_status', state: 'loaded', name: preset.name, progress: 1 });
+                return;
+            }
+            this.applyPresetValues(interpolatePreset(start, preset, t));
+            if (!switched && t >= 0.5) {
+                switched = true;
+                this.applyPresetToggles(preset);
+            }
+            if (now - lastReport > 250) {
+                lastReport = now;
+                this.sendMessage({ type: 'preset_status', state: 'fading', name: preset.name, progress: t });
+            }
+            this.presetFade = requestAnimationFrame(step);
+        };
+        this.presetFade = requestAnimationFrame(step);
+    }
 
-        if (preset.speed !== undefined) this.updateSpeed(preset.speed / 100);
-        if (preset.phaseDuration !== undefined) this.updatePhaseDuration(preset.phaseDuration * 1000);
+    applyPresetState(preset) {
+        this.applyPresetValues(interpolatePreset(preset, preset, 1));
+        if (preset.phaseDuration !== undefined && preset.phaseDuration !== this.currentSettings.phaseDuration) {
+            this.updatePhaseDuration(preset.phaseDuration);
+        }
+        this.applyPresetToggles(preset);
+    }
+
+    applyPresetValues({ colors, intensities, speed }) {
+        Object.entries(colors).forEach(([key, value]) => { this.currentSettings.colors[key] = value; });
+        if (Object.keys(colors).length) filterManager.setPartial(colors, 0);
+        Object.entries(intensities).forEach(([effect, value]) => {
+            if (effect in this.currentSettings.effects) this.currentSettings.effects[effect] = value;
+        });
+        if (Object.keys(intensities).length) fxController.setIntensity(intensities);
+        if (speed !== undefined) this.updateSpeed(speed);
+    }
+
+    // Only touches what differs, so recalling the active preset doesn't restart effects
+    applyPresetToggles(preset) {
+        if (preset.scene !== undefined && preset.scene !== this.currentSettings.scene) {
+            this.changeScene(preset.scene);
+        }
+
+        Object.entries(preset.effects || {}).forEach(([effect, enabled]) => {
+            if (!!fxController.effectStates?.[effect] !== !!enabled) this.toggleEffect(effect, !!enabled);
+        });
+        Object.entries(preset.layers || {}).forEach(([layer, visible]) => {
+            if ((this.layerVisibility[layer] !== false) !== !!visible) this.toggleLayer(layer, !!visible);
+        });
+
+        // The preset message itself is what gets recorded; a replay would apply these twice
+        showRecorder.withoutRecording(() => {
+            if (preset.anime && !!preset.anime.enabled !== !!this.animeEnabled) {
+                this.handleMessage(createMessage(preset.anime.enabled ? 'anime_enable' : 'anime_disable', {}, SOURCES.CONTROL));
+            }
+            if (preset.logo) {
+                if (preset.logo.outline !== undefined && !!preset.logo.outline !== this.logoState.outline) {
+                    this.handleMessage(createMessage('logo_outline_toggle', { enabled: !!preset.logo.outline }, SOURCES.CONTROL));
+                }
+                if (preset.logo.glow !== undefined && !!preset.logo.glow !== this.logoState.glow && this.logoGlowLatches()) {
+                    this.handleMessage(createMessage('logo_glow_toggle', {}, SOURCES.CONTROL));
+                }
+            }
+        });
 
-        if (preset.glitch !== undefined) this.updateEffectIntensity('glitch', preset.glitch / 100);
-        if (preset.particles !== undefined) this.updateEffectIntensity('particles', preset.particles / 100);
-        if (preset.distortion !== undefined) this.updateEffectIntensity('distortion', preset.distortion / 100);
-        if (preset.noise !== undefined) this.updateEffectIntensity('noise', preset.noise / 100);
+        if (preset.triggerSettings) this._mergeTriggerSettings(preset.triggerSettings);
+        if (preset.postProcessing) window.chaosEngine?.pipeline.configure(preset.postProcessing);
+        if (preset.matrixPool && preset.matrixPool.length && window.matrixMessages) {
+            window.matrixMessages.messages = [...preset.matrixPool];
+        }
+    }
 
-        if (preset.scene !== undefined) this.changeScene(preset.scene);
+    // Whether logo_glow_toggle switches a lasting glow (vs. firing a one-shot pulse)
+    logoGlowLatches() {
+        if (window.animationManager && typeof window.animationManager.trigger === 'function') return false;
+        return !!(window.toggleLogoGlow || window.logoAnimations?.glowPulse);
     }
 
     setAnimeFlag(enabled) {
@@ -1624,14 +2410,14 @@ class VJReceiver {
                     tryStart();
                 } else {
                     let retries = 10;
-                    const iv = setInterval(() => {
+                    const retry = scheduler.interval(() => {
                         if (typeof window.enableLogoAnimation === 'function') {
-                            clearInterval(iv);
+                            retry.cancel();
                             tryStart();
                         } else if (--retries <= 0) {
-                            clearInterval(iv);
+                            retry.cancel();
                         }
-                    }, 200);
+                    }, 200, { name: 'logo-animation-retry', category: 'system', scaled: false });
                 }
                 this.sendAnimeStatus('enabled', true, { success: true });
                 console.log('✅ Anime enabled successfully');
@@ -1738,10 +2524,10 @@ class VJReceiver {
                             // CSS fallback
                             logo.style.transition = 'transform 1s ease-in-out';
                             logo.style.transform = 'rotate(360deg)';
-                            setTimeout(() => {
+                            scheduler.timeout(() => {
                                 logo.style.transition = '';
                                 logo.style.transform = '';
-                            }, 1000);
+                            }, 1000, { name: 'anime-trigger-reset', category: 'ambient' });
                         }
                         success = true;
                     }
@@ -1751,9 +2537,9 @@ class VJReceiver {
                     const logoGlow = document.querySelector('.image-2');
                     if (logoGlow) {
                         logoGlow.style.filter = 'drop-shadow(0 0 30px #00ff41) drop-shadow(0 0 60px #00ff41)';
-                        setTimeout(() => {
+                        scheduler.timeout(() => {
                             logoGlow.style.filter = '';
-                        }, 1000);
+                        }, 1000, { name: 'anime-trigger-reset', category: 'ambient' });
                         success = true;
                     }
                     break;
@@ -1768,9 +2554,9 @@ class VJReceiver {
                     if (matrixElement) {
                         matrixElement.style.transition = 'opacity 0.1s';
                         matrixElement.style.opacity = '0';
-                        setTimeout(() => {
+                        scheduler.timeout(() => {
                             matrixElement.style.opacity = '1';
-                        }, 100);
+                        }, 100, { name: 'anime-trigger-reset', category: 'ambient' });
                         success = true;
                     }
                     break;
@@ -1808,9 +2594,9 @@ class VJReceiver {
                             document.head.appendChild(style);
                         }
                         matrixGlitch.style.animation = 'glitch 0.3s infinite';
-                        setTimeout(() => {
+                        scheduler.timeout(() => {
                             matrixGlitch.style.animation = '';
-                        }, 1000);
+                        }, 1000, { name: 'anime-trigger-reset', category: 'ambient' });
                         success = true;
                     }
                     break;
@@ -1818,9 +2604,9 @@ class VJReceiver {
                 case 'bg-warp':
                     if (window.animeManager && this.animeEnabled) {
                         window.dispatchEvent(new CustomEvent('animationPhase', { detail: { phase: 'intense' } }));
-                        setTimeout(() => {
+                        scheduler.timeout(() => {
                             window.dispatchEvent(new CustomEvent('animationPhase', { detail: { phase: 'auto' } }));
-                        }, 2000);
+                        }, 2000, { name: 'anime-trigger-reset', category: 'ambient' });
                     }
                     // Fallback animation
                     if (gsap) {
@@ -1834,9 +2620,9 @@ class VJReceiver {
                         });
                     } else {
                         document.body.style.transform = 'scale(1.05) rotate(2deg)';
-                        setTimeout(() => {
+                        scheduler.timeout(() => {
                             document.body.style.transform = '';
-                        }, 500);
+                        }, 500, { name: 'anime-trigger-reset', category: 'ambient' });
                     }
                     success = true;
                     break;
@@ -1873,9 +2659,9 @@ class VJReceiver {
                             document.head.appendChild(style);
                         }
                         document.body.style.animation = 'shake 0.5s';
-                        setTimeout(() => {
+                        scheduler.timeout(() => {
                             document.body.style.animation = '';
-                        }, 500);
+                        }, 500, { name: 'anime-trigger-reset', category: 'ambient' });
                     }
                     success = true;
                     break;
@@ -1903,9 +2689,9 @@ class VJReceiver {
                             document.head.appendChild(style);
                         }
                         document.body.style.animation = 'zoom-burst 1s ease-in-out';
-                        setTimeout(() => {
+                        scheduler.timeout(() => {
                             document.body.style.animation = '';
-                        }, 1000);
+                        }, 1000, { name: 'anime-trigger-reset', category: 'ambient' });
                     }
                     success = true;
                     break;
@@ -1916,19 +2702,20 @@ class VJReceiver {
                         const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789!@#$%^&*';
                         let iterations = 0;
 
-                        const interval = setInterval(() => {
+                        // Ambient: a cancelled scramble would leave the text garbled
+                        const interval = scheduler.interval(() => {
                             el.textContent = originalText.split('').map((char, index) => {
                                 if (index < iterations) {
                                     return originalText[index];
                                 }
-                                return chars[Math.floor(Math.random() * chars.length)];
+                                return chars[Math.floor(random() * chars.length)];
                             }).join('');
 
                             iterations++;
                             if (iterations > originalText.length) {
-                                clearInterval(interval);
+                                interval.cancel();
                             }
-                        }, 50);
+                        }, 50, { name: 'anime-text-scramble', category: 'ambient' });
                     });
                     success = true;
                     break;
@@ -1958,9 +2745,9 @@ class VJReceiver {
 
                     // Add extra chaos (route via Filter Manager for safety)
                     filterManager.applyImmediate('hue-rotate(180deg) saturate(200%)', { duration: 0.5, ease: 'power2.inOut' });
-                    setTimeout(() => {
+                    scheduler.timeout(() => {
                         filterManager.applyImmediate('none', { duration: 0.5, ease: 'power2.inOut' });
-                    }, 2000);
+                    }, 2000, { name: 'anime-trigger-reset', category: 'ambient' });
                     success = true;
                     break;
 
@@ -2013,84 +2800,16 @@ class VJReceiver {
 
     setPerformanceMode(mode) {
         console.log(`🎮 Setting performance mode: ${mode}`);
-
-        // If centralized manager exists, delegate and return
-        if (window.performanceModeManager && typeof window.performanceModeManager.applyMode === 'function') {
-            window.performanceModeManager.applyMode(mode);
-            this.sendMessage({ type: 'performance_mode_updated', mode, timestamp: Date.now() });
-            return;
-        }
-
-        // Normalize for different subsystems
-        // performanceManager expects: 'low' | 'medium' | 'high' (no 'auto')
-        const pmMode = (mode === 'auto') ? 'medium' : mode;
-        // performanceElementManager expects: 'aggressive' | 'conservative' | 'normal'
-        const pemMode = (mode === 'low') ? 'aggressive' : 'normal'; // 'auto' and 'high' map to normal
-        const perfDetail = { mode: pmMode, source: 'vj-receiver', raw: mode };
-
-        if (window.animePerfAdapter && typeof window.animePerfAdapter.applyMode === 'function') {
-            window.animePerfAdapter.applyMode(mappedMode);
-        }
-
-        window.dispatchEvent(new CustomEvent('performanceMode', { detail: perfDetail }));
-        if (!window.performanceManager) {
-            window.dispatchEvent(new CustomEvent('performanceModeChange', { detail: perfDetail }));
-        }
-
-
-        // Apply performance mode to all available systems
-        if (window.ChaosControl && window.ChaosControl.setPerformance) {
-            window.ChaosControl.setPerformance(pmMode);
-        }
-
-        if (window.performanceManager && typeof window.performanceManager.setPerformanceMode === 'function') {
-            window.performanceManager.setPerformanceMode(pmMode);
-        }
-
-        if (window.performanceElementManager && typeof window.performanceElementManager.setPerformanceMode === 'function') {
-            window.performanceElementManager.setPerformanceMode(pemMode);
-        }
-
-        if (window.fxController) {
-            // Scale intensities by mode
-            switch(mode) {
-                case 'low':
-                    window.fxController.setGlobalIntensityMultiplier(0.7);
-                    break;
-                case 'auto':
-                    window.fxController.setGlobalIntensityMultiplier(1.0);
-                    break;
-                case 'high':
-                    window.fxController.setGlobalIntensityMultiplier(1.3);
-                    break;
-            }
-        }
-
-        if (window.gsapAnimationRegistry) {
-            // Adjust animation limits based on requested external mode
-            switch(mode) {
-                case 'low':
-                    window.gsapAnimationRegistry.maxAnimations = 50;
-                    break;
-                case 'auto':
-                    window.gsapAnimationRegistry.maxAnimations = 100;
-                    break;
-                case 'high':
-                    window.gsapAnimationRegistry.maxAnimations = 200;
-                    break;
-            }
-            console.log(`🎬 GSAP animation limit set to ${window.gsapAnimationRegistry.maxAnimations} for ${mode} mode (pm:${pmMode}, pem:${pemMode})`);
-        }
-
-        // Send confirmation back to control panel
-        this.sendMessage({
-            type: 'performance_mode_updated',
-            mode: mode,
-            timestamp: Date.now()
-        });
+        // Every subsystem registers with the manager; it answers via performanceQuality
+        performanceModeManager.applyMode(mode);
+        if (window.chaosInit) window.chaosInit.performanceMode = mode;
     }
 
     emergencyStop() {
+        // The setlist would otherwise fire its next scene into the reset, cooldown or not;
+        // paused keeps its position so the operator can resume
+        setlistSequencer.pause();
+
         // Prevent death spiral: enforce cooldown between emergency stops
         const now = performance.now();
         const timeSinceLastStop = now - this.lastEmergencyStop;
@@ -2123,11 +2842,13 @@ class VJReceiver {
             window.gsapAnimationRegistry.killByFilter({ category: 'effect', excludeEssential: true });
             window.gsapAnimationRegistry.killByFilter({ category: 'particle', excludeEssential: true });
         }
-        if (window.intervalManager && typeof window.intervalManager.clearCategory === 'function') {
-            window.intervalManager.clearCategory('effect');
-            window.intervalManager.clearCategory('particle');
-            window.intervalManager.clearCategory('artifact');
-        }
+        // Every scheduled phase/effect timer (incl. intervalManager's); transport and ambient loops stay
+        scheduler.cancelAll({ except: ['system', 'ambient'] });
+        // Quantized triggers still waiting for their beat
+        beatClock.cancelPending();
+        // Clips and playlists advance on ambient timers, so stop them explicitly
+        beehiveLogoBlend.hide();
+        videoLayer.stop({ fade: 0 });
         if (window.performanceElementManager && typeof window.performanceElementManager.removeAllByCategory === 'function') {
             window.performanceElementManager.removeAllByCategory('effect');
             window.performanceElementManager.removeAllByCategory('particle');
@@ -2185,6 +2906,9 @@ class VJReceiver {
             }
         });
 
+        // Effect packs remove whatever they put on screen
+        pluginRegistry.cleanupAll();
+
         // 6. RESET MATRIX MESSAGE SYSTEM
         if (window.matrixMessages && typeof window.matrixMessages.forceCleanup === 'function') {
             window.matrixMessages.forceCleanup();
@@ -2196,17 +2920,17 @@ class VJReceiver {
         }
 
         // 8. RESTART SYSTEM CLEANLY WITH FULL RECREATION
-        setTimeout(() => {
+        scheduler.timeout(() => {
             // Trigger FULL system restart (simulates F5)
             this.restartEssentialAnimations(); // Now this is a FULL restart
 
             // Start with auto scene after restart
-            setTimeout(() => {
+            scheduler.timeout(() => {
                 this.changeScene('auto');
                 console.log('✅ Enhanced emergency reset completed - Full system recreated!');
-            }, 2000);
+            }, 2000, { name: 'emergency-auto-scene', category: 'system', scaled: false });
 
-        }, 800); // Even faster recovery since we're doing full restart
+        }, 800, { name: 'emergency-restart', category: 'system', scaled: false }); // Even faster recovery since we're doing full restart
     }
 
     executeEmergencyCleanup() {
@@ -2365,10 +3089,10 @@ class VJReceiver {
         this.resetPerformanceSystems();
 
         // Step 7: Restart the entire system (like F5 refresh)
-        setTimeout(() => {
+        scheduler.timeout(() => {
             console.log('🚀 RESTARTING ENTIRE SYSTEM...');
             this.restartEssentialAnimations();
-        }, 1000);
+        }, 1000, { name: 'system-restart', category: 'system', scaled: false });
 
         console.log('✅ COMPREHENSIVE SYSTEM RESET COMPLETED');
     }
@@ -2560,7 +3284,7 @@ class VJReceiver {
         gsap.globalTimeline.timeScale(1.0);
 
         // Reset BPM
-        this.currentSettings.bpm = 120;
+        beatClock.setBPM(120, 'manual');
 
         console.log('✅ All effects and filters reset');
     }
@@ -2609,9 +3333,9 @@ class VJReceiver {
         }
 
         // Restart FPS monitoring after a short delay
-        setTimeout(() => {
+        scheduler.timeout(() => {
             this.startPerformanceMonitoring();
-        }, 500);
+        }, 500, { name: 'fps-monitor-restart', category: 'system', scaled: false });
 
         // Force garbage collection if available
         if (window.gc) {
@@ -2645,7 +3369,7 @@ class VJReceiver {
 
             // Update BPM
             if (settings.bpm !== undefined) {
-                this.updateBPM(settings.bpm);
+                beatClock.setBPM(settings.bpm, 'manual');
             }
 
             // Update scene
@@ -2761,9 +3485,7 @@ class VJReceiver {
         }
         
         // 5. RECREATE SPECIALIZED EFFECTS
-        if (window.beehiveLogoBlend && window.beehiveLogoBlend.init) {
-            window.beehiveLogoBlend.init();
-        }
+        beehiveLogoBlend.init();
         
         if (window.sonarEffect && window.sonarEffect.init) {
             window.sonarEffect.init();
@@ -2783,12 +3505,12 @@ class VJReceiver {
             window.chaosInit.phaseRunning = true;
             
             // Start animation phases with same timing as fresh load
-            setTimeout(() => {
+            scheduler.timeout(() => {
                 console.log('🚀 Starting animation phases (like fresh page load)...');
                 if (typeof window.chaosInit.startAnimationPhases === 'function') {
                     window.chaosInit.startAnimationPhases();
                 }
-            }, 2000); // Same 2-second delay as original init
+            }, 2000, { name: 'phase-start', category: 'system', scaled: false }); // Same 2-second delay as original init
             
             // Restart animation watchdog
             if (typeof window.chaosInit.startAnimationWatchdog === 'function') {
@@ -2841,7 +3563,7 @@ class VJReceiver {
                 } else {
                     failures.push(`${id} (missing target: ${selector})`);
                 }
-                await new Promise(r => setTimeout(r, 200));
+                await new Promise(r => scheduler.timeout(r, 200, { name: 'diagnostics-step', category: 'system', scaled: false }));
             } catch (e) {
                 failures.push(`${id} (error: ${e?.message || 'unknown'})`);
             }
@@ -2852,7 +3574,7 @@ class VJReceiver {
             try {
                 this.triggerEffect(eff);
                 successes.push(`fx:${eff}`);
-                await new Promise(r => setTimeout(r, 200));
+                await new Promise(r => scheduler.timeout(r, 200, { name: 'diagnostics-step', category: 'system', scaled: false }));
             } catch (e) {
                 failures.push(`fx:${eff} (error: ${e?.message || 'unknown'})`);
             }
@@ -2984,9 +3706,9 @@ class VJReceiver {
 
     hookIntoChaosEngine() {
         // Wait for chaos engine to be ready
-        const checkChaosEngine = setInterval(() => {
+        const checkChaosEngine = scheduler.interval(() => {
             if (window.chaosInit || window.ChaosControl) {
-                clearInterval(checkChaosEngine);
+                checkChaosEngine.cancel();
                 console.log('✅ VJ Receiver hooked into Chaos Engine');
 
                 // Store reference to chaos init
@@ -3004,7 +3726,7 @@ class VJReceiver {
                     }
                 } catch (_) {}
             }
-        }, 100);
+        }, 100, { name: 'chaos-engine-hook', category: 'system', scaled: false, background: true });
     }
 
     // Add missing methods for control panel integration
@@ -3122,50 +3844,11 @@ class VJReceiver {
 
     toggleLayer(layerName, visible) {
         console.log(`🎭 Toggling layer ${layerName} to ${visible ? 'visible' : 'hidden'}`);
+        this.layerVisibility[layerName] = visible !== false;
 
-        const layerMap = {
-            // Background elements - including video, grid effects, and base layers
-            'background': '.background-video, .cyber-grid-effect, #cyber-grid-effect, .plasma-field, #plasma-field-canvas, .anime-plasma-field',
-
-            // Matrix rain and digital effects
-            'matrix-rain': '.matrix-rain, .chaos-matrix, .data-streams-overlay, #data-streams-overlay, .anime-data-streams',
-
-            // Logo and main visual elements
-            'logo': '.image-wrapper, .image-2, .image-3, .logo-container, .anime-logo-container, .glow',
-
-            // Text elements - all headings and text content
-            'text': '.text-3886, .logo-text, .scramble-text, .heading-20, .enter-button-wrapper, h1, h2, h3, p',
-
-            // Overlay effects - vignette, noise, scanlines
-'overlay': '#vignette-effect, #vignette-overlay, #scanlines-effect, #scanlines-overlay, #digital-noise-effect, #grain-overlay, #film-grain-effect, #chromatic-aberration, .chaos-overlay',
-
-            // Debug and performance info
-            'debug': '.debug-overlay, .debug-info, .performance-monitor, #performanceMonitor',
-
-            // Particles and floating elements
-            'particles': '#particles-effect, .anime-particles, .chaos-particles',
-
-            // Animation effects
-            'animations': '.anime-holographic-container, .anime-strobe-circles, .anime-mandala, .anime-psychedelic-waves'
-        };
-
-        const selector = layerMap[layerName];
-        if (selector) {
-            const elements = document.querySelectorAll(selector);
-            console.log(`Found ${elements.length} elements for layer ${layerName}`);
-
-            elements.forEach(el => {
-                if (visible) {
-                    // Restore display property
-                    el.style.display = '';
-                    el.style.visibility = 'visible';
-                    el.style.opacity = '';
-                } else {
-                    // Hide element
-                    el.style.display = 'none';
-                }
-            });
-        }
+        // Muted through the layer stylesheet, so elements created later stay hidden too
+        outputManager.setLayer(layerName, visible !== false);
+        layerManager.setLayer(layerName, { muted: visible === false });
 
         // Special handling for specific layers
         switch(layerName) {
@@ -3238,7 +3921,7 @@ class VJReceiver {
 
         // Update debug info periodically
         if (!this.debugInterval) {
-            this.debugInterval = setInterval(() => {
+            this.debugInterval = scheduler.interval(() => {
                 if (debugEl && debugEl.style.display !== 'none') {
                     debugEl.innerHTML = `
                         <div style="font-weight: bold; margin-bottom: 5px;">DEBUG INFO</div>
@@ -3252,7 +3935,7 @@ class VJReceiver {
                         Time: ${new Date().toLocaleTimeString()}
                     `;
                 }
-            }, 100);
+            }, 100, { name: 'debug-overlay', category: 'system', scaled: false });
         }
     }
 
@@ -3279,21 +3962,29 @@ class VJReceiver {
             console.log('✅ localStorage polling interval cleared');
         }
         
-        // Clear BPM ripple interval
-        if (this.bpmRippleInterval) {
-            clearInterval(this.bpmRippleInterval);
-            this.bpmRippleInterval = null;
-        }
+        // Stop beat-driven ripple and the beat clock
+        if (this._beatUnsubscribe) {
+            this._beatUnsubscribe();
+            this._beatUnsubscribe = null;
+        }
+        if (this.bpmPulseTween) {
+            this.bpmPulseTween.kill();
+            this.bpmPulseTween = null;
+        }
+        setlistSequencer.destroy();
+        showRecorder.destroy();
+        performanceModeManager.destroy();
+        beatClock.destroy();
         
         // Clear debug interval
         if (this.debugInterval) {
-            clearInterval(this.debugInterval);
+            this.debugInterval.cancel();
             this.debugInterval = null;
         }
         
         // Clear fallback timeout
         if (this._fallbackArmTimeout) {
-            clearTimeout(this._fallbackArmTimeout);
+            this._fallbackArmTimeout.cancel();
             this._fallbackArmTimeout = null;
         }
         
@@ -0,0 +1,276 @@
+/**
+ * ============================================
+ * ZIKADA 3886 - VJ TRANSPORT
+ * ============================================
+ *
+ * BroadcastChannel-compatible transport (postMessage / onmessage /
+ * addEventListener('message') / close) that additionally mirrors traffic
+ * through the WebSocket relay (server/vj-relay.js) when one is configured,
+ * so a panel on another machine can drive the display.
+ *
+ * Relay config comes from the page URL (?relay=ws://host:3887&room=main&code=123456)
+ * or from localStorage ('3886_vj_relay'). Without a relay this is a plain
+ * BroadcastChannel. Status is published as a window 'relayStatus' event.
+ */
+
+import { ERROR_CODES, MAX_RELAY_MESSAGE_BYTES, createMessage } from './vj-protocol.js';
+
+const RELAY_STORAGE_KEY = '3886_vj_relay';
+const RECONNECT_MIN_MS = 1000;
+const RECONNECT_MAX_MS = 15000;
+const SEEN_ID_LIMIT = 200;
+
+// VJTransport.shared() instances by channel name
+const sharedTransports = new Map();
+
+// Relay close codes that won't fix themselves by reconnecting
+const FATAL_CLOSE_CODES = { 4001: 'handshake rejected', 4003: 'wrong pairing code' };
+const CLOSE_TOO_LARGE = 1009;
+
+export function loadRelayConfig() {
+    try {
+        const params = new URLSearchParams(window.location.search);
+        if (params.get('relay')) {
+            return {
+                url: params.get('relay'),
+                room: params.get('room') || 'main',
+                code: params.get('code') || ''
+            };
+        }
+        const saved = JSON.parse(localStorage.getItem(RELAY_STORAGE_KEY));
+        return saved && saved.url ? saved : null;
+    } catch {
+        return null;
+    }
+}
+
+export function saveRelayConfig(config) {
+    try {
+        if (config && config.url) {
+            localStorage.setItem(RELAY_STORAGE_KEY, JSON.stringify(config));
+        } else {
+            localStorage.removeItem(RELAY_STORAGE_KEY);
+        }
+    } catch {}
+}
+
+export class VJTransport extends EventTarget {
+    /**
+     * @param {string} name - BroadcastChannel / protocol channel name
+     * @param {Object} options - { role: 'control' | 'display', relay?: { url, room, code } }
+     */
+    constructor(name, options = {}) {
+        super();
+        this.name = name;
+        this.role = options.role || 'control';
+        this.onmessage = null;
+
+        this.channel = null;
+        this.socket = null;
+        this.relayConfig = options.relay !== undefined ? options.relay : loadRelayConfig();
+        this.relayState = 'off';
+        this.relayPeers = null;
+        this._reconnectDelay = RECONNECT_MIN_MS;
+        this._reconnectTimer = null;
+        this._seenIds = new Set();
+        this._closed = false;
+
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.channel = new BroadcastChannel(name);
+            this.channel.addEventListener('message', (event) => this._deliver(event.data));
+        } else if (!this.relayConfig) {
+            // Same contract as `new BroadcastChannel()`: callers fall back to localStorage
+            throw new Error('BroadcastChannel not supported and no relay configured');
+        }
+
+        if (this.relayConfig) this._connectRelay();
+    }
+
+    /**
+     * One transport per channel name and page, so modules on the same page
+     * (e.g. vj-messaging and the professional panel) share one relay socket
+     */
+    static shared(name, options = {}) {
+        let transport = sharedTransports.get(name);
+        if (!transport || transport._closed) {
+            transport = new VJTransport(name, options);
+            sharedTransports.set(name, transport);
+        }
+        return transport;
+    }
+
+    postMessage(message) {
+        if (this.channel) this.channel.postMessage(message);
+        if (message && message._id) this._remember(message._id);
+
+        if (this.socket && this.relayState === 'connected') {
+            // Blobs/Files only survive structured cloning, not JSON: remote peers get the
+            // message without them (listed in droppedFiles) so they can report it
+            const droppedFiles = Object.keys(message || {}).filter((key) => typeof Blob !== 'undefined' && message[key] instanceof Blob);
+            if (droppedFiles.length) {
+                console.warn(`📡 Relay: ${message.type} carries a file, remote peers get it without`);
+                message = { ...message, droppedFiles };
+                droppedFiles.forEach((key) => { message[key] = null; });
+            }
+            try {
+                const json = JSON.stringify(message);
+                if (json.length * 3 > MAX_RELAY_MESSAGE_BYTES && new TextEncoder().encode(json).length > MAX_RELAY_MESSAGE_BYTES) {
+                    this._rejectTooLarge(message, json.length);
+                    return;
+                }
+                this.socket.send(json);
+            } catch (error) {
+                console.warn('📡 Relay send failed:', error.message);
+            }
+        }
+    }
+
+    /**
+     * Switch relay at runtime (persisted); pass null to go local-only
+     */
+    setRelay(config) {
+        saveRelayConfig(config);
+        this.relayConfig = config && config.url ? config : null;
+        this._disconnectRelay();
+        this._reconnectDelay = RECONNECT_MIN_MS;
+        if (this.relayConfig) {
+            this._connectRelay();
+        } else {
+            this._setRelayState('off');
+        }
+    }
+
+    getRelayStatus() {
+        return {
+            state: this.relayState,
+            url: this.relayConfig?.url || null,
+            room: this.relayConfig?.room || null,
+            peers: this.relayPeers
+        };
+    }
+
+    close() {
+        this._closed = true;
+        this._disconnectRelay();
+        if (this.channel) {
+            try { this.channel.close(); } catch {}
+            this.channel = null;
+        }
+    }
+
+    // ============================================
+    // INTERNALS
+    // ============================================
+
+    _deliver(data) {
+        // The same message can arrive via BroadcastChannel and the relay
+        if (data && data._id) {
+            if (this._seenIds.has(data._id)) return;
+            this._remember(data._id);
+        }
+        const event = new MessageEvent('message', { data });
+        if (typeof this.onmessage === 'function') this.onmessage(event);
+        this.dispatchEvent(event);
+    }
+
+    _remember(id) {
+        this._seenIds.add(id);
+        if (this._seenIds.size > SEEN_ID_LIMIT) {
+            this._seenIds.delete(this._seenIds.values().next().value);
+        }
+    }
+
+    _connectRelay() {
+        if (this._closed || !this.relayConfig) return;
+        const { url, room, code } = this.relayConfig;
+
+        let socket;
+        try {
+            socket = new WebSocket(url);
+        } catch (error) {
+            this._setRelayState('error', error.message);
+            return;
+        }
+        this.socket = socket;
+        this._setRelayState('connecting');
+
+        socket.addEventListener('open', () => {
+            socket.send(JSON.stringify({ type: 'relay_hello', room: room || 'main', code, role: this.role }));
+        });
+
+        socket.addEventListener('message', (event) => {
+            let data;
+            try { data = JSON.parse(event.data); } catch { return; }
+
+            if (data.type === 'relay_welcome' || data.type === 'relay_peers') {
+                this.relayPeers = data.peers;
+                this._reconnectDelay = RECONNECT_MIN_MS;
+                this._setRelayState('connected');
+                return;
+            }
+            this._deliver(data);
+        });
+
+        socket.addEventListener('close', (event) => {
+            if (this.socket !== socket) return;
+            this.socket = null;
+            this.relayPeers = null;
+
+            const fatal = FATAL_CLOSE_CODES[event.code];
+            if (fatal) {
+                this._setRelayState('error', fatal);
+                return;
+            }
+            this._setRelayState('disconnected', event.code === CLOSE_TOO_LARGE ? 'message too large for the relay' : undefined);
+            this._scheduleReconnect();
+        });
+    }
+
+    /**
+     * Keep an oversized message off the relay (it would close the socket) and say so:
+     * on the relay status, and to the remote requester when it is a reply
+     */
+    _rejectTooLarge(message, length) {
+        const limit = Math.round(MAX_RELAY_MESSAGE_BYTES / (1024 * 1024));
+        const error = `${message.requestType || message.type} is over the relay's ${limit} MB limit`;
+        console.warn(`📡 Relay: ${error} (${(length / (1024 * 1024)).toFixed(1)} MB), only sent locally`);
+        if (message.type === 'ack' && message.requestId) {
+            const reply = createMessage('error', {
+                requestId: message.requestId,
+                requestType: message.requestType,
+                code: ERROR_CODES.TOO_LARGE,
+                error
+            }, message.source);
+            this.socket.send(JSON.stringify(reply));
+        }
+        this._setRelayState(this.relayState, error);
+    }
+
+    _scheduleReconnect() {
+        if (this._closed || !this.relayConfig) return;
+        clearTimeout(this._reconnectTimer);
+        this._reconnectTimer = setTimeout(() => this._connectRelay(), this._reconnectDelay);
+        this._reconnectDelay = Math.min(RECONNECT_MAX_MS, this._reconnectDelay * 2);
+    }
+
+    _disconnectRelay() {
+        clearTimeout(this._reconnectTimer);
+        this._reconnectTimer = null;
+        if (this.socket) {
+            const socket = this.socket;
+            this.socket = null;
+            try { socket.close(1000, 'client closed'); } catch {}
+        }
+        this.relayPeers = null;
+    }
+
+    _setRelayState(state, error) {
+        this.relayState = state;
+        console.log(`📡 Relay ${state}${error ? `: ${error}` : ''}`);
+        window.dispatchEvent(new CustomEvent('relayStatus', {
+            detail: { ...this.getRelayStatus(), role: this.role, error }
+        }));
+    }
+}
+
+export default VJTransport;
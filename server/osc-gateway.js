@@ -0,0 +1,252 @@
+#!/usr/bin/env node
+/**
+ * ============================================
+ * ZIKADA 3886 - OSC GATEWAY
+ * ============================================
+ *
+ * Receives OSC over UDP (TouchOSC, Resolume, Lemur...) and forwards it to the
+ * display as protocol messages through the WebSocket relay (vj-relay.js).
+ * Display replies (scene, FPS, BPM...) are sent back out as OSC feedback.
+ *
+ * Addresses are mapped in a JSON file (default: server/osc-map.json), which
+ * is reloaded when it changes:
+ *
+ *   routes:          { address: '/3886/fx/:effect', type: 'fx_intensity', args: ['intensity'], fields?: {} }
+ *   feedbackRoutes:  { type: 'scene_changed', address: '/3886/feedback/scene', args: ['scene'] }
+ *
+ * `:name` path segments become message fields; `args` name the OSC arguments
+ * in order (suffix ':boolean' turns 0/1 into false/true). Routes without args
+ * ignore a 0/false argument so button releases don't trigger twice.
+ *
+ *   npm run osc                                        (starts its own relay on 3887)
+ *   npm run osc -- --relay ws://127.0.0.1:3887 --code 4711 --room main --map my-map.json
+ */
+
+import dgram from 'node:dgram';
+import { readFileSync, unwatchFile, watchFile } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import WebSocket from 'ws';
+import { decodePacket, encodeMessage } from './osc.js';
+import { startRelay } from './vj-relay.js';
+import { SOURCES, createMessage, normalizeMessage, validateMessage } from '../js/vj-protocol.js';
+
+const DEFAULT_MAP = fileURLToPath(new URL('./osc-map.json', import.meta.url));
+const RECONNECT_MS = 2000;
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        const match = argv[i].match(/^--([\w-]+)(?:=(.*))?$/);
+        if (!match) continue;
+        if (match[2] !== undefined) {
+            args[match[1]] = match[2];
+        } else if (argv[i + 1] !== undefined && !argv[i + 1].startsWith('--')) {
+            args[match[1]] = argv[++i];
+        } else {
+            args[match[1]] = true;
+        }
+    }
+    return args;
+}
+
+/**
+ * Turn '/3886/fx/:effect' into a matcher returning { effect } or null
+ */
+function compileAddress(pattern) {
+    const names = [];
+    const source = pattern.split('/').map((segment) => {
+        if (segment.startsWith(':')) {
+            names.push(segment.slice(1));
+            return '([^/]+)';
+        }
+        return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }).join('/');
+    const regex = new RegExp(`^${source}$`);
+    return (address) => {
+        const match = regex.exec(address);
+        if (!match) return null;
+        const params = {};
+        names.forEach((name, i) => { params[name] = decodeURIComponent(match[i + 1]); });
+        return params;
+    };
+}
+
+function coerceArg(value, kind) {
+    if (kind === 'boolean') return typeof value === 'boolean' ? value : Number(value) !== 0;
+    if (kind === 'number') return Number(value);
+    if (kind === 'string') return String(value);
+    return value;
+}
+
+export function loadMap(path) {
+    const map = JSON.parse(readFileSync(path, 'utf8'));
+    map.routes = (map.routes || []).map((route) => ({ ...route, match: compileAddress(route.address) }));
+    map.feedbackRoutes = map.feedbackRoutes || [];
+    return map;
+}
+
+/**
+ * Map one decoded OSC message to a protocol message (or null)
+ */
+export function oscToMessage(map, { address, args }) {
+    for (const route of map.routes) {
+        const params = route.match(address);
+        if (!params) continue;
+
+        const argNames = route.args || [];
+        if (argNames.length === 0 && args.length > 0 && (args[0] === 0 || args[0] === false)) return null;
+
+        const fields = { ...(route.fields || {}), ...params };
+        argNames.forEach((spec, i) => {
+            if (args[i] === undefined) return;
+            const [name, kind] = spec.split(':');
+            fields[name] = coerceArg(args[i], kind);
+        });
+        return createMessage(route.type, fields, SOURCES.CONTROL);
+    }
+    return null;
+}
+
+export function startGateway(options = {}) {
+    const mapPath = options.map || DEFAULT_MAP;
+    let map = loadMap(mapPath);
+    const listen = { host: '0.0.0.0', port: 9000, ...map.listen, ...options.listen };
+    const feedback = { ...map.feedback, ...options.feedback };
+
+    let relayUrl = options.relay;
+    let code = options.code;
+    let embeddedRelay = null;
+    if (!relayUrl) {
+        embeddedRelay = startRelay({ port: options.relayPort || 3887, code });
+        relayUrl = `ws://127.0.0.1:${options.relayPort || 3887}`;
+        code = embeddedRelay.pairingCode;
+    }
+
+    watchFile(mapPath, { interval: 1000 }, () => {
+        try {
+            map = loadMap(mapPath);
+            console.log(`🗺️ OSC map reloaded (${map.routes.length} routes)`);
+        } catch (error) {
+            console.warn('⚠️ OSC map reload failed, keeping previous map:', error.message);
+        }
+    });
+
+    // ---- WebSocket relay (display side) ----
+    let socket = null;
+    let closed = false;
+    let pollTimer = null;
+
+    const send = (message) => {
+        if (socket && socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(message));
+    };
+
+    const connect = () => {
+        if (closed) return;
+        socket = new WebSocket(relayUrl);
+        socket.on('open', () => {
+            socket.send(JSON.stringify({ type: 'relay_hello', room: options.room || 'main', code, role: 'control' }));
+        });
+        socket.on('message', (raw) => {
+            let data;
+            try { data = JSON.parse(raw.toString()); } catch { return; }
+            if (data.type === 'relay_welcome') {
+                console.log(`🔗 OSC gateway joined relay room "${data.room}"`);
+                send(createMessage('control_connect', {}, SOURCES.CONTROL));
+                return;
+            }
+            if (data.source === SOURCES.CONTROL || String(data.type).startsWith('relay_')) return;
+            sendFeedback(data);
+        });
+        socket.on('close', (closeCode, reason) => {
+            if (closed) return;
+            console.warn(`📡 Relay closed (${closeCode}${reason?.length ? ` ${reason}` : ''}), retrying...`);
+            setTimeout(connect, RECONNECT_MS);
+        });
+        socket.on('error', (error) => console.warn('⚠️ Relay error:', error.message));
+    };
+
+    if (feedback.pollPerformanceMs) {
+        pollTimer = setInterval(() => send(createMessage('request_performance', {}, SOURCES.CONTROL)), feedback.pollPerformanceMs);
+    }
+
+    // ---- OSC in/out ----
+    const udp = dgram.createSocket('udp4');
+
+    const sendFeedback = (data) => {
+        if (!feedback.port) return;
+        map.feedbackRoutes
+            .filter((route) => route.type === data.type)
+            .forEach((route) => {
+                const args = (route.args || []).map((field) => data[field]);
+                if (args.some((arg) => arg === undefined)) return;
+                udp.send(encodeMessage(route.address, args), feedback.port, feedback.host || '127.0.0.1');
+            });
+    };
+
+    udp.on('message', (packet, remote) => {
+        let messages;
+        try {
+            messages = decodePacket(packet);
+        } catch (error) {
+            console.warn(`⚠️ Bad OSC packet from ${remote.address}:`, error.message);
+            return;
+        }
+        messages.forEach((osc) => {
+            let message;
+            try {
+                message = oscToMessage(map, osc);
+            } catch (error) {
+                // e.g. a malformed %-escape in an address parameter
+                console.warn(`⚠️ Bad OSC address ${osc.address} from ${remote.address}:`, error.message);
+                return;
+            }
+            if (!message) {
+                if (options.verbose) console.log(`🎚️ Unmapped OSC ${osc.address}`, osc.args);
+                return;
+            }
+            // Catch mapping mistakes here instead of as display error replies
+            const invalid = validateMessage(normalizeMessage(message));
+            if (invalid) {
+                console.warn(`⚠️ ${osc.address} -> ${message.type}: ${invalid.error}`);
+                return;
+            }
+            console.log(`🎚️ ${osc.address} ${osc.args.join(' ')} -> ${message.type}`);
+            send(message);
+        });
+    });
+
+    udp.on('listening', () => {
+        console.log(`🎚️ OSC gateway listening on udp://${listen.host}:${listen.port}`);
+        if (feedback.port) console.log(`   feedback -> udp://${feedback.host || '127.0.0.1'}:${feedback.port}`);
+    });
+    udp.bind(listen.port, listen.host);
+
+    connect();
+
+    return {
+        udp,
+        close() {
+            closed = true;
+            clearInterval(pollTimer);
+            socket?.close();
+            udp.close();
+            embeddedRelay?.wss.close();
+            unwatchFile(mapPath);
+        }
+    };
+}
+
+// Run directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    const args = parseArgs(process.argv.slice(2));
+    startGateway({
+        map: args.map,
+        relay: args.relay || process.env.VJ_RELAY_URL,
+        relayPort: args['relay-port'] ? Number(args['relay-port']) : undefined,
+        code: args.code || process.env.VJ_RELAY_CODE,
+        room: args.room,
+        listen: args.port ? { port: Number(args.port) } : undefined,
+        feedback: args['feedback-port'] ? { port: Number(args['feedback-port']), host: args['feedback-host'] } : undefined,
+        verbose: args.verbose !== undefined
+    });
+}
@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+/**
+ * ZIKADA 3886 - OSC test sender
+ *
+ * Sends one OSC message to the gateway and optionally prints feedback.
+ *
+ *   npm run osc:send -- /3886/scene intense
+ *   npm run osc:send -- /3886/fx/glitch 0.8
+ *   npm run osc:send -- /3886/trigger/strobe --listen 9001 --wait 3000
+ *
+ * Options: --host 127.0.0.1  --port 9000  --listen <feedback port>  --wait <ms>
+ */
+
+import dgram from 'node:dgram';
+import { decodePacket, encodeMessage } from './osc.js';
+
+function parseCli(argv) {
+    const options = { host: '127.0.0.1', port: 9000, wait: 1500 };
+    const positional = [];
+    for (let i = 0; i < argv.length; i++) {
+        const match = argv[i].match(/^--([\w-]+)$/);
+        if (match) {
+            options[match[1]] = argv[++i];
+        } else {
+            positional.push(argv[i]);
+        }
+    }
+    return { options, address: positional[0], args: positional.slice(1) };
+}
+
+// "0.5" -> float, "3" -> int, "true"/"false" -> T/F, anything else -> string
+function parseArg(value) {
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+    if (/^-?\d+$/.test(value)) return parseInt(value, 10);
+    if (/^-?\d*\.\d+$/.test(value)) return parseFloat(value);
+    return value;
+}
+
+const { options, address, args } = parseCli(process.argv.slice(2));
+if (!address || !address.startsWith('/')) {
+    console.error('Usage: npm run osc:send -- <address> [args...] [--host h] [--port p] [--listen port] [--wait ms]');
+    process.exit(1);
+}
+
+const socket = dgram.createSocket('udp4');
+const packet = encodeMessage(address, args.map(parseArg));
+
+const finish = () => {
+    socket.close();
+};
+
+if (options.listen) {
+    socket.on('message', (data) => {
+        try {
+            decodePacket(data).forEach((message) => console.log(`⬅️  ${message.address}`, ...message.args));
+        } catch (error) {
+            console.warn('Bad feedback packet:', error.message);
+        }
+    });
+    socket.bind(Number(options.listen), () => {
+        socket.send(packet, Number(options.port), options.host, () => {
+            console.log(`➡️  ${address}`, ...args, `(listening for feedback on ${options.listen})`);
+            setTimeout(finish, Number(options.wait));
+        });
+    });
+} else {
+    socket.send(packet, Number(options.port), options.host, (error) => {
+        if (error) console.error('Send failed:', error.message);
+        else console.log(`➡️  ${address}`, ...args);
+        finish();
+    });
+}
@@ -0,0 +1,133 @@
+/**
+ * ============================================
+ * ZIKADA 3886 - OSC 1.0 CODEC
+ * ============================================
+ *
+ * Minimal Open Sound Control encoder/decoder for the OSC gateway.
+ * Supports messages and bundles with i, f, s, b, h, d, T, F, N, I type tags.
+ */
+
+const BUNDLE_TAG = '#bundle';
+
+function pad4(length) {
+    return (length + 3) & ~3;
+}
+
+function readString(buf, offset) {
+    let end = offset;
+    while (end < buf.length && buf[end] !== 0) end++;
+    if (end >= buf.length) throw new Error('Unterminated OSC string');
+    return { value: buf.toString('utf8', offset, end), offset: pad4(end + 1) };
+}
+
+function writeString(value) {
+    const bytes = Buffer.from(String(value), 'utf8');
+    const out = Buffer.alloc(pad4(bytes.length + 1));
+    bytes.copy(out);
+    return out;
+}
+
+function decodeMessage(buf) {
+    const address = readString(buf, 0);
+    if (!address.value.startsWith('/')) throw new Error(`Invalid OSC address "${address.value}"`);
+
+    // Type tags are optional in OSC 1.0; a bare address has no arguments
+    if (address.offset >= buf.length) return { address: address.value, args: [] };
+
+    const tags = readString(buf, address.offset);
+    if (!tags.value.startsWith(',')) throw new Error('Missing OSC type tag string');
+
+    const args = [];
+    let offset = tags.offset;
+    for (const tag of tags.value.slice(1)) {
+        switch (tag) {
+            case 'i':
+                args.push(buf.readInt32BE(offset));
+                offset += 4;
+                break;
+            case 'f':
+                args.push(buf.readFloatBE(offset));
+                offset += 4;
+                break;
+            case 'h':
+                args.push(Number(buf.readBigInt64BE(offset)));
+                offset += 8;
+                break;
+            case 'd':
+                args.push(buf.readDoubleBE(offset));
+                offset += 8;
+                break;
+            case 's': {
+                const str = readString(buf, offset);
+                args.push(str.value);
+                offset = str.offset;
+                break;
+            }
+            case 'b': {
+                const size = buf.readInt32BE(offset);
+                args.push(buf.subarray(offset + 4, offset + 4 + size));
+                offset += 4 + pad4(size);
+                break;
+            }
+            case 'T': args.push(true); break;
+            case 'F': args.push(false); break;
+            case 'N': args.push(null); break;
+            case 'I': args.push(Infinity); break;
+            default:
+                throw new Error(`Unsupported OSC type tag "${tag}"`);
+        }
+    }
+    return { address: address.value, args };
+}
+
+/**
+ * Decode a UDP datagram into a flat list of { address, args } messages
+ */
+export function decodePacket(buf) {
+    if (buf.length >= 8 && buf.toString('utf8', 0, 7) === BUNDLE_TAG) {
+        const messages = [];
+        let offset = 16; // '#bundle\0' + 8 byte time tag (ignored: executed immediately)
+        while (offset + 4 <= buf.length) {
+            const size = buf.readInt32BE(offset);
+            offset += 4;
+            messages.push(...decodePacket(buf.subarray(offset, offset + size)));
+            offset += size;
+        }
+        return messages;
+    }
+    return [decodeMessage(buf)];
+}
+
+/**
+ * Encode one OSC message. Integers become 'i', other numbers 'f'.
+ */
+export function encodeMessage(address, args = []) {
+    let tags = ',';
+    const parts = [];
+    for (const arg of args) {
+        if (typeof arg === 'number') {
+            const part = Buffer.alloc(4);
+            if (Number.isInteger(arg) && arg >= -2147483648 && arg <= 2147483647) {
+                tags += 'i';
+                part.writeInt32BE(arg);
+            } else {
+                tags += 'f';
+                part.writeFloatBE(arg);
+            }
+            parts.push(part);
+        } else if (typeof arg === 'boolean') {
+            tags += arg ? 'T' : 'F';
+        } else if (arg === null || arg === undefined) {
+            tags += 'N';
+        } else if (Buffer.isBuffer(arg)) {
+            tags += 'b';
+            const size = Buffer.alloc(4);
+            size.writeInt32BE(arg.length);
+            parts.push(size, arg, Buffer.alloc(pad4(arg.length) - arg.length));
+        } else {
+            tags += 's';
+            parts.push(writeString(arg));
+        }
+    }
+    return Buffer.concat([writeString(address), writeString(tags), ...parts]);
+}
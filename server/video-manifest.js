@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+/**
+ * ZIKADA 3886 - video clip manifest
+ *
+ * Scans public/videos and updates public/videos/manifest.json, the clip library
+ * the display's video layer loads (js/video-layer.js). New files are added with
+ * default settings, clips whose file is gone are dropped (also from playlists),
+ * everything else in the manifest is kept as edited.
+ *
+ *   npm run videos
+ *   npm run videos -- --dir public/videos
+ */
+
+import { existsSync, readFileSync, readdirSync, writeFileSync } from 'node:fs';
+import { basename, extname, join } from 'node:path';
+
+const VIDEO_EXTENSIONS = new Set(['.mp4', '.webm', '.mov', '.m4v', '.ogv']);
+
+const USAGE = 'Usage: npm run videos -- [--dir <folder>]';
+
+function usage(message) {
+    console.error(`✖ ${message}`);
+    console.error(USAGE);
+    process.exit(1);
+}
+
+function parseCli(argv) {
+    const options = { dir: 'public/videos' };
+    for (let i = 0; i < argv.length; i++) {
+        const match = argv[i].match(/^--([\w-]+)$/);
+        if (!match) usage(`unexpected argument ${argv[i]}`);
+        if (match[1] !== 'dir') usage(`unknown option --${match[1]}`);
+        const value = argv[++i];
+        if (!value || value.startsWith('--')) usage(`--${match[1]} needs a value`);
+        options[match[1]] = value;
+    }
+    return options;
+}
+
+// 'beehive-loop.mp4' -> 'beehive-loop'
+function clipId(file) {
+    return basename(file, extname(file)).toLowerCase().replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '') || 'clip';
+}
+
+// 'beehive-loop' -> 'Beehive Loop'
+function clipLabel(id) {
+    return id.split(/[-_]+/).filter(Boolean).map((word) => word[0].toUpperCase() + word.slice(1)).join(' ');
+}
+
+const { dir } = parseCli(process.argv.slice(2));
+if (!existsSync(dir)) usage(`${dir} does not exist`);
+const manifestPath = join(dir, 'manifest.json');
+
+let manifest = { version: 1, clips: [], playlists: [] };
+if (existsSync(manifestPath)) {
+    try {
+        manifest = { ...manifest, ...JSON.parse(readFileSync(manifestPath, 'utf8')) };
+    } catch (error) {
+        console.error(`✖ ${manifestPath} is not valid JSON: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+const files = readdirSync(dir).filter((file) => VIDEO_EXTENSIONS.has(extname(file).toLowerCase())).sort();
+const clips = Array.isArray(manifest.clips) ? manifest.clips : [];
+
+const kept = clips.filter((clip) => files.includes(clip.src));
+clips.filter((clip) => !kept.includes(clip)).forEach((clip) => console.log(`- ${clip.id} (${clip.src} is gone)`));
+
+const ids = new Set(kept.map((clip) => clip.id));
+files.filter((file) => !kept.some((clip) => clip.src === file)).forEach((file) => {
+    let id = clipId(file);
+    for (let n = 2; ids.has(id); n++) id = `${clipId(file)}-${n}`;
+    ids.add(id);
+    kept.push({ id, src: file, label: clipLabel(id) });
+    console.log(`+ ${id} (${file})`);
+});
+
+manifest.clips = kept;
+manifest.playlists = (Array.isArray(manifest.playlists) ? manifest.playlists : []).map((playlist) => ({
+    ...playlist,
+    clips: (playlist.clips || []).filter((id) => ids.has(id))
+}));
+
+writeFileSync(manifestPath, `${JSON.stringify(manifest, null, 2)}\n`);
+console.log(`✔ ${manifestPath}: ${manifest.clips.length} clips, ${manifest.playlists.length} playlists`);
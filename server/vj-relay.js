@@ -0,0 +1,172 @@
+#!/usr/bin/env node
+/**
+ * ============================================
+ * ZIKADA 3886 - VJ WEBSOCKET RELAY
+ * ============================================
+ *
+ * Lets a control panel on another machine (booth laptop) drive the display
+ * (projector PC). Clients join a room with a shared pairing code and every
+ * protocol message is forwarded to the other clients in the same room.
+ *
+ *   npm run relay -- --port 3887 --code 4711
+ *   VJ_RELAY_PORT=3887 VJ_RELAY_CODE=4711 npm run relay
+ *
+ * Client handshake (first frame, within HELLO_TIMEOUT_MS):
+ *   { type: 'relay_hello', room, code, role: 'control' | 'display' }
+ * Server replies:
+ *   { type: 'relay_welcome', room, peers }      then relays room traffic
+ *   { type: 'relay_peers', room, peers }        whenever someone joins/leaves
+ *
+ * Messages are limited to MAX_RELAY_MESSAGE_BYTES (js/vj-protocol.js); clients
+ * report larger ones instead of sending them.
+ */
+
+import { WebSocketServer } from 'ws';
+import { randomInt, timingSafeEqual } from 'node:crypto';
+import { networkInterfaces } from 'node:os';
+import { MAX_RELAY_MESSAGE_BYTES } from '../js/vj-protocol.js';
+
+const HELLO_TIMEOUT_MS = 5000;
+const HEARTBEAT_MS = 15000;
+
+// Close codes (4000-4999 are application defined)
+const CLOSE_HELLO_TIMEOUT = 4000;
+const CLOSE_BAD_HELLO = 4001;
+const CLOSE_BAD_CODE = 4003;
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        const match = argv[i].match(/^--([\w-]+)(?:=(.*))?$/);
+        if (!match) continue;
+        if (match[2] !== undefined) {
+            args[match[1]] = match[2];
+        } else if (argv[i + 1] !== undefined && !argv[i + 1].startsWith('--')) {
+            args[match[1]] = argv[++i];
+        } else {
+            args[match[1]] = true;
+        }
+    }
+    return args;
+}
+
+function codesMatch(expected, given) {
+    const a = Buffer.from(String(expected));
+    const b = Buffer.from(String(given ?? ''));
+    return a.length === b.length && timingSafeEqual(a, b);
+}
+
+function lanAddresses() {
+    return Object.values(networkInterfaces())
+        .flat()
+        .filter((iface) => iface && iface.family === 'IPv4' && !iface.internal)
+        .map((iface) => iface.address);
+}
+
+export function startRelay({ port = 3887, code } = {}) {
+    const pairingCode = String(code || randomInt(100000, 1000000));
+    const rooms = new Map(); // room -> Set<socket>
+    // Clients hold larger messages back (vj-transport.js), so hitting this means an old client
+    const wss = new WebSocketServer({ port, maxPayload: MAX_RELAY_MESSAGE_BYTES });
+
+    const peersOf = (room) => {
+        const peers = { control: 0, display: 0 };
+        rooms.get(room)?.forEach((socket) => { peers[socket.role] = (peers[socket.role] || 0) + 1; });
+        return peers;
+    };
+
+    const broadcastPeers = (room) => {
+        const message = JSON.stringify({ type: 'relay_peers', room, peers: peersOf(room), timestamp: Date.now() });
+        rooms.get(room)?.forEach((socket) => socket.send(message));
+    };
+
+    const leave = (socket) => {
+        const members = rooms.get(socket.room);
+        if (!members) return;
+        members.delete(socket);
+        console.log(`👋 ${socket.role} left room "${socket.room}" (${members.size} left)`);
+        if (members.size === 0) {
+            rooms.delete(socket.room);
+        } else {
+            broadcastPeers(socket.room);
+        }
+    };
+
+    wss.on('connection', (socket, request) => {
+        socket.isAlive = true;
+        socket.room = null;
+        socket.on('pong', () => { socket.isAlive = true; });
+
+        const helloTimer = setTimeout(() => socket.close(CLOSE_HELLO_TIMEOUT, 'hello timeout'), HELLO_TIMEOUT_MS);
+
+        socket.on('message', (raw, isBinary) => {
+            if (isBinary) return;
+
+            // Joined: forward verbatim to everyone else in the room
+            if (socket.room) {
+                rooms.get(socket.room)?.forEach((peer) => {
+                    if (peer !== socket && peer.readyState === peer.OPEN) peer.send(raw.toString());
+                });
+                return;
+            }
+
+            let hello;
+            try { hello = JSON.parse(raw.toString()); } catch { hello = null; }
+            if (!hello || hello.type !== 'relay_hello' || typeof hello.room !== 'string' || !hello.room) {
+                socket.close(CLOSE_BAD_HELLO, 'expected relay_hello');
+                return;
+            }
+            clearTimeout(helloTimer);
+            if (!codesMatch(pairingCode, hello.code)) {
+                console.warn(`🔒 Rejected ${request.socket.remoteAddress}: wrong pairing code`);
+                socket.close(CLOSE_BAD_CODE, 'wrong pairing code');
+                return;
+            }
+
+            socket.room = hello.room.slice(0, 64);
+            socket.role = hello.role === 'display' ? 'display' : 'control';
+            if (!rooms.has(socket.room)) rooms.set(socket.room, new Set());
+            rooms.get(socket.room).add(socket);
+            console.log(`🔗 ${socket.role} joined room "${socket.room}" from ${request.socket.remoteAddress}`);
+
+            socket.send(JSON.stringify({ type: 'relay_welcome', room: socket.room, peers: peersOf(socket.room), timestamp: Date.now() }));
+            broadcastPeers(socket.room);
+        });
+
+        socket.on('close', () => {
+            clearTimeout(helloTimer);
+            leave(socket);
+        });
+        socket.on('error', (error) => console.warn('⚠️ Relay socket error:', error.message));
+    });
+
+    // Drop clients that vanished without a close frame (laptop lid, Wi-Fi drop)
+    const heartbeat = setInterval(() => {
+        wss.clients.forEach((socket) => {
+            if (!socket.isAlive) {
+                socket.terminate();
+                return;
+            }
+            socket.isAlive = false;
+            socket.ping();
+        });
+    }, HEARTBEAT_MS);
+    wss.on('close', () => clearInterval(heartbeat));
+
+    wss.on('listening', () => {
+        console.log(`📡 VJ relay listening on port ${port}`);
+        lanAddresses().forEach((address) => console.log(`   ws://${address}:${port}`));
+        console.log(`🔑 Pairing code: ${pairingCode}`);
+    });
+
+    return { wss, pairingCode, rooms };
+}
+
+// Run directly: node server/vj-relay.js [--port 3887] [--code 123456]
+if (import.meta.url === `file://${process.argv[1]}`) {
+    const args = parseArgs(process.argv.slice(2));
+    startRelay({
+        port: Number(args.port || process.env.VJ_RELAY_PORT || 3887),
+        code: args.code || process.env.VJ_RELAY_CODE
+    });
+}